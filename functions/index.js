@@ -0,0 +1,141 @@
+import { onRequest } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import * as logger from 'firebase-functions/logger';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { consumeQuota, recordUsage, QuotaError } from './quota.js';
+
+// Proxy for Gemini so the API key never reaches the browser. Callers must send
+// a Firebase ID token; each user is rate limited and has a daily quota.
+// In the emulator the key is read from functions/.secret.local.
+
+initializeApp();
+const db = getFirestore();
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+
+// Keep in sync with GEMINI_MODELS in src/lib/llmSettings.js
+const ALLOWED_MODELS = ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash'];
+// Room for up to 60,000 characters of attached source text plus a repair request
+const MAX_PROMPT_LENGTH = 120000;
+
+const sendError = (res, status, code, message, extra = {}) => {
+  res.status(status).json({ error: { code, message, ...extra } });
+};
+
+const verifyCaller = async (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  if (!match) return null;
+  try {
+    return await getAuth().verifyIdToken(match[1]);
+  } catch (error) {
+    logger.warn('Rejected ID token', { message: error.message });
+    return null;
+  }
+};
+
+// Stream the response as newline-delimited JSON: { text } chunks followed by { done, usage }.
+// Stops reading from Gemini if the client disconnects (e.g. the user cancelled).
+const streamResponse = async (res, generativeModel, { uid, model, prompt }) => {
+  let cancelled = false;
+  res.on('close', () => {
+    cancelled = !res.writableEnded;
+  });
+
+  const result = await generativeModel.generateContentStream(prompt);
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  for await (const chunk of result.stream) {
+    if (cancelled) break;
+    res.write(`${JSON.stringify({ text: chunk.text() })}\n`);
+  }
+
+  if (cancelled) {
+    logger.info('Stream cancelled by client', { uid, model });
+    res.end();
+    return;
+  }
+
+  const response = await result.response;
+  const tokens = await recordUsage(db, uid, { model, usage: response.usageMetadata });
+  logger.info('Generated insight', { uid, model, stream: true, ...tokens });
+  res.end(`${JSON.stringify({ done: true, usage: tokens })}\n`);
+};
+
+export const generate = onRequest(
+  { region: 'asia-south1', cors: true, secrets: [geminiApiKey], timeoutSeconds: 120 },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      sendError(res, 405, 'method-not-allowed', 'Use POST.');
+      return;
+    }
+
+    const caller = await verifyCaller(req);
+    if (!caller) {
+      sendError(res, 401, 'unauthenticated', 'Please log in to generate insights.');
+      return;
+    }
+
+    const { prompt, responseSchema, model = ALLOWED_MODELS[0], temperature, stream = false } = req.body || {};
+    if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH) {
+      sendError(res, 400, 'invalid-argument', `The prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters.`);
+      return;
+    }
+    if (!ALLOWED_MODELS.includes(model)) {
+      sendError(res, 400, 'invalid-argument', `Unsupported model "${model}".`);
+      return;
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      sendError(res, 400, 'invalid-argument', 'The temperature must be a number between 0 and 2.');
+      return;
+    }
+
+    try {
+      await consumeQuota(db, caller.uid);
+    } catch (error) {
+      if (error instanceof QuotaError) {
+        res.set('Retry-After', String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, { retryAfter: error.retryAfter });
+        return;
+      }
+      logger.error('Quota check failed', error);
+      sendError(res, 500, 'internal', 'Could not check your usage quota. Please try again.');
+      return;
+    }
+
+    try {
+      const genAI = new GoogleGenerativeAI(geminiApiKey.value());
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          ...(temperature !== undefined && { temperature }),
+          ...(responseSchema && {
+            responseMimeType: 'application/json',
+            responseSchema
+          })
+        }
+      });
+
+      if (stream) {
+        await streamResponse(res, generativeModel, { uid: caller.uid, model, prompt });
+        return;
+      }
+
+      const result = await generativeModel.generateContent(prompt);
+      const tokens = await recordUsage(db, caller.uid, { model, usage: result.response.usageMetadata });
+      logger.info('Generated insight', { uid: caller.uid, model, ...tokens });
+
+      res.json({ text: result.response.text(), usage: tokens });
+    } catch (error) {
+      logger.error('Gemini request failed', { uid: caller.uid, message: error.message });
+      if (res.headersSent) {
+        res.end(`${JSON.stringify({ error: { code: 'upstream-error', message: 'The AI service stopped responding midway.' } })}\n`);
+        return;
+      }
+      sendError(res, 502, 'upstream-error', 'The AI service failed to respond. Please try again.');
+    }
+  }
+);
@@ -0,0 +1,87 @@
+import { FieldValue } from 'firebase-admin/firestore';
+
+// Per-user limits for the generate endpoint. Repair calls count like any other request.
+export const LIMITS = {
+  perMinute: 5,
+  perDay: 50
+};
+
+export class QuotaError extends Error {
+  constructor(code, message, retryAfter) {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const secondsUntilMidnightUtc = (date) => {
+  const midnight = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  return Math.ceil((midnight - date) / 1000);
+};
+
+// Record one request for `uid`, throwing a QuotaError if it would exceed a limit.
+// Counters live in usage/{uid} and are updated in a transaction.
+export const consumeQuota = async (db, uid, now = new Date()) => {
+  const ref = db.doc(`usage/${uid}`);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const usage = snapshot.exists ? snapshot.data() : {};
+
+    const today = dayKey(now);
+    const dailyCount = usage.day === today ? usage.dailyCount || 0 : 0;
+    if (dailyCount >= LIMITS.perDay) {
+      throw new QuotaError(
+        'quota-exceeded',
+        `You have used all ${LIMITS.perDay} generations for today. The quota resets at midnight UTC.`,
+        secondsUntilMidnightUtc(now)
+      );
+    }
+
+    const windowStart = usage.windowStart || 0;
+    const inWindow = now.getTime() - windowStart < 60 * 1000;
+    const windowCount = inWindow ? usage.windowCount || 0 : 0;
+    if (windowCount >= LIMITS.perMinute) {
+      const retryAfter = Math.ceil((windowStart + 60 * 1000 - now.getTime()) / 1000);
+      throw new QuotaError(
+        'rate-limited',
+        `Too many requests. Please wait ${retryAfter} seconds and try again.`,
+        retryAfter
+      );
+    }
+
+    transaction.set(ref, {
+      day: today,
+      dailyCount: dailyCount + 1,
+      windowStart: inWindow ? windowStart : now.getTime(),
+      windowCount: windowCount + 1,
+      ...(usage.day !== today && { tokensToday: 0 }),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+};
+
+// Log the token usage reported by Gemini for one request
+export const recordUsage = async (db, uid, { model, usage }) => {
+  const tokens = {
+    promptTokens: usage?.promptTokenCount || 0,
+    outputTokens: usage?.candidatesTokenCount || 0,
+    totalTokens: usage?.totalTokenCount || 0
+  };
+
+  await Promise.all([
+    db.collection(`usage/${uid}/requests`).add({
+      model,
+      ...tokens,
+      timestamp: FieldValue.serverTimestamp()
+    }),
+    db.doc(`usage/${uid}`).set({
+      tokensToday: FieldValue.increment(tokens.totalTokens)
+    }, { merge: true })
+  ]);
+
+  return tokens;
+};
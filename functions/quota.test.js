@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { LIMITS, QuotaError, consumeQuota } from './quota';
+
+// Firestore is replaced by one usage document and a transaction that reads and
+// merges into it, as runTransaction does for a single attempt
+
+vi.mock('firebase-admin/firestore', () => ({
+  FieldValue: { serverTimestamp: () => 'server-time' }
+}));
+
+let stored;
+let writes;
+
+const db = {
+  doc: (path) => ({ path }),
+  runTransaction: async (update) => {
+    writes = [];
+    const transaction = {
+      get: async () => ({ exists: stored !== undefined, data: () => stored }),
+      set: (ref, data, options) => writes.push({ ref, data, options })
+    };
+    await update(transaction);
+    // Writes are only applied when the update function finishes
+    writes.forEach(({ data, options }) => {
+      stored = options?.merge ? { ...stored, ...data } : data;
+    });
+  }
+};
+
+const at = (time) => new Date(`2025-06-01T${time}Z`);
+
+beforeEach(() => {
+  stored = undefined;
+});
+
+describe('consumeQuota', () => {
+  it('starts the counters on first use', async () => {
+    await consumeQuota(db, 'alice', at('10:00:00'));
+
+    expect(stored).toEqual({
+      day: '2025-06-01',
+      dailyCount: 1,
+      windowStart: at('10:00:00').getTime(),
+      windowCount: 1,
+      tokensToday: 0,
+      updatedAt: 'server-time'
+    });
+  });
+
+  it('merges into the user\'s usage document', async () => {
+    await consumeQuota(db, 'alice', at('10:00:00'));
+
+    expect(writes).toHaveLength(1);
+    expect(writes[0]).toMatchObject({ ref: { path: 'usage/alice' }, options: { merge: true } });
+  });
+
+  it(`rate-limits the ${LIMITS.perMinute + 1}th request within a minute`, async () => {
+    for (let second = 0; second < LIMITS.perMinute; second += 1) {
+      await consumeQuota(db, 'alice', at(`10:00:0${second}`));
+    }
+
+    const error = await consumeQuota(db, 'alice', at('10:00:20')).catch(err => err);
+    expect(error).toBeInstanceOf(QuotaError);
+    expect(error).toMatchObject({ code: 'rate-limited', retryAfter: 40 });
+    expect(writes).toEqual([]);
+    expect(stored.windowCount).toBe(LIMITS.perMinute);
+  });
+
+  it('starts a new window after a minute', async () => {
+    stored = { day: '2025-06-01', dailyCount: 5, windowStart: at('10:00:00').getTime(), windowCount: LIMITS.perMinute };
+    await consumeQuota(db, 'alice', at('10:01:00'));
+
+    expect(stored).toMatchObject({ dailyCount: 6, windowStart: at('10:01:00').getTime(), windowCount: 1 });
+  });
+
+  it(`stops at ${LIMITS.perDay} requests a day until midnight UTC`, async () => {
+    stored = { day: '2025-06-01', dailyCount: LIMITS.perDay, windowStart: 0, windowCount: 0, tokensToday: 1200 };
+
+    const error = await consumeQuota(db, 'alice', at('23:00:00')).catch(err => err);
+    expect(error).toBeInstanceOf(QuotaError);
+    expect(error).toMatchObject({ code: 'quota-exceeded', retryAfter: 3600 });
+    expect(error.message).toContain(`all ${LIMITS.perDay} generations for today`);
+    expect(writes).toEqual([]);
+    expect(stored.dailyCount).toBe(LIMITS.perDay);
+  });
+
+  it('resets the daily count and tokens on a new day', async () => {
+    stored = { day: '2025-06-01', dailyCount: LIMITS.perDay, windowStart: at('23:59:30').getTime(), windowCount: 2, tokensToday: 1200 };
+    await consumeQuota(db, 'alice', new Date('2025-06-02T00:00:10Z'));
+
+    expect(stored).toMatchObject({ day: '2025-06-02', dailyCount: 1, windowCount: 3, tokensToday: 0 });
+  });
+
+  it('keeps the token count within the same day', async () => {
+    stored = { day: '2025-06-01', dailyCount: 3, windowStart: 0, windowCount: 0, tokensToday: 1200 };
+    await consumeQuota(db, 'alice', at('12:00:00'));
+
+    expect(stored).toMatchObject({ dailyCount: 4, tokensToday: 1200 });
+  });
+});
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// Cloud Functions unit tests (`cd functions && npm test`). They run in Node
+// against the functions' own dependencies, with Firestore stubbed.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['**/*.test.js']
+  },
+})
@@ -1,405 +1,252 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Download, Sun, Moon, LogOut, Save, Trash2 } from 'lucide-react';
-import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithPopup, GoogleAuthProvider, signOut, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, getDocs, deleteDoc, doc } from 'firebase/firestore';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { applyEdit, restoreInsight } from './lib/insightTypes';
+import { DEFAULT_MODE } from './lib/modes';
+import { loadDraft, saveDraft, clearDraft } from './lib/intakeDraft';
+import { loadLastAnalysis, saveLastAnalysis } from './lib/analysisCache';
+import { loadSettings, saveSettings, normalizeSettings } from './lib/llmSettings';
+import { DEFAULT_PRINT_THEME } from './lib/pdfReport';
+import { scenarioRootId } from './lib/scenarios';
+import { normalizeActionPlan } from './lib/actionPlan';
+import { auth, db } from './services/firebase';
+import { requiresSignIn } from './services/llmProviders';
+import { repositoryFor } from './services/insightsRepository';
+import { canEdit } from './services/workspaces';
+import { publishReport, listReportLinks, revokeReport } from './services/publicReports';
+import useAuth from './hooks/useAuth';
+import useWorkspaces from './hooks/useWorkspaces';
+import useSyncStatus from './hooks/useSyncStatus';
+import useInsightGeneration from './hooks/useInsightGeneration';
+import useSourceAttachments from './hooks/useSourceAttachments';
+import useInsightSaving from './hooks/useInsightSaving';
+import useItemActions from './hooks/useItemActions';
+import useFollowUpChat from './hooks/useFollowUpChat';
+import useActionPlan from './hooks/useActionPlan';
+import useInsightExports from './hooks/useInsightExports';
+import AppHeader from './components/AppHeader';
+import InsightBuilder from './components/InsightBuilder';
+import ResultsDashboard from './components/ResultsDashboard';
+import SavedInsightsSection from './components/SavedInsightsSection';
+import VersionHistory from './components/VersionHistory';
+import CompareView from './components/CompareView';
+import CommentsPanel from './components/CommentsPanel';
+import ShareLinkPanel from './components/ShareLinkPanel';
+import ScenarioPanel from './components/ScenarioPanel';
+import FollowUpChat from './components/FollowUpChat';
+import ActionPlan from './components/ActionPlan';
 import './App.css';
 
-// Firebase configuration
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-  measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
+// The builder form starts from the draft autosaved in this browser, if any
+const initialForm = () => {
+  const draft = loadDraft();
+  return {
+    mode: draft?.mode || DEFAULT_MODE,
+    insightType: draft?.insightType || 'SWOT Analysis',
+    input: draft?.input || '',
+    modeInputs: draft?.modeInputs || {}
+  };
 };
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-auth.languageCode = 'en';
-const db = getFirestore(app);
-
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
-
-const COLORS = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
-
 const App = () => {
   const [theme, setTheme] = useState('light');
-  const [user, setUser] = useState(null);
-  const [mode, setMode] = useState('Startup');
-  const [input, setInput] = useState('');
-  const [insightType, setInsightType] = useState('SWOT Analysis');
-  const [insights, setInsights] = useState(null);
-  const [savedInsights, setSavedInsights] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const barChartRef = useRef(null);
-  const pieChartRef = useRef(null);
+  const [form, setForm] = useState(initialForm);
+  // An unsaved analysis from before a reload reopens where it was left
+  const [insights, setInsights] = useState(loadLastAnalysis);
+  // Bumped after a save or delete so the saved list reloads
+  const [savedListKey, setSavedListKey] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [printTheme, setPrintTheme] = useState(DEFAULT_PRINT_THEME);
+  // Provider, model and temperature, kept in this browser
+  const [llmSettings, setLlmSettings] = useState(loadSettings);
+  // Workspace whose insights are listed and where new insights are saved; null is personal
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(null);
+  const { user, signIn, signOut } = useAuth(auth, setError);
+  const workspaceState = useWorkspaces(db, user);
+  const syncStatus = useSyncStatus(db, user);
+  const attachments = useSourceAttachments(setError);
+  const generation = useInsightGeneration({
+    user,
+    settings: llmSettings,
+    setInsights,
+    onStart: () => setEditing(false),
+    onError: setError
+  });
+
+  // The listed library, and the one the open insight was loaded from or saved to
+  const repository = useMemo(() => (user ? repositoryFor(db, user, activeWorkspaceId) : null), [user, activeWorkspaceId]);
+  const insightId = insights?.id;
+  const insightWorkspaceId = insights?.workspaceId || null;
+  const insightRepository = useMemo(() => (user ? repositoryFor(db, user, insightWorkspaceId) : null), [user, insightWorkspaceId]);
+  const roleIn = (workspaceId) => (workspaceId
+    ? workspaceState.workspaces.find(workspace => workspace.id === workspaceId)?.role || null
+    : 'owner');
+  const insightRole = user && insights ? roleIn(insights.workspaceId) : null;
+  // Saved insights and scenarios belong to their library; anything else is saved to the active one
+  const ownLibrary = Boolean(insights?.id || insights?.scenario);
+  // Viewers of a workspace can read and comment but not edit or save
+  const canSaveInsight = Boolean(user && insights) && canEdit(ownLibrary ? insightRole : roleIn(activeWorkspaceId));
+  const canEditInsight = !user || canSaveInsight;
+  // Gemini goes through the `generate` function, which needs a signed-in user
+  const signInRequired = !user && requiresSignIn(llmSettings);
+
+  const refreshSavedList = () => setSavedListKey(key => key + 1);
+  const editInsight = (changes) => setInsights(prev => applyEdit(prev, changes));
+
+  const saving = useInsightSaving({
+    db,
+    user,
+    insights,
+    setInsights,
+    activeWorkspaceId,
+    repository,
+    onSaved: refreshSavedList,
+    onRestore: () => setEditing(false),
+    onError: setError
+  });
+  const itemActionState = useItemActions({ user, settings: llmSettings, insights, setInsights, signInRequired, onError: setError });
+  const chat = useFollowUpChat({
+    db,
+    user,
+    settings: llmSettings,
+    insights,
+    setInsights,
+    canSave: canSaveInsight,
+    signInRequired,
+    onEdit: editInsight,
+    onError: setError
+  });
+  const actionPlan = useActionPlan({ db, user, insights, setInsights, canSave: canSaveInsight, onSaved: refreshSavedList, onError: setError });
+  const exports = useInsightExports({ insights, comparison, printTheme, repository, onError: setError });
+
+  // Autosave the builder form shortly after typing stops
+  useEffect(() => {
+    const timer = setTimeout(() => saveDraft(form), 500);
+    return () => clearTimeout(timer);
+  }, [form]);
 
-  // Handle Firebase Authentication
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-      setUser(currentUser);
-      if (currentUser) {
-        try {
-          const querySnapshot = await getDocs(collection(db, `users/${currentUser.uid}/insights`));
-          const insightsList = querySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            timestamp: doc.data().timestamp.toDate()
-          }));
-          setSavedInsights(insightsList);
-        } catch (error) {
-          console.error("Error fetching insights:", error);
-          setError('Failed to load saved insights. Please refresh the page.');
-        }
-      } else {
-        setSavedInsights([]);
-      }
-    });
-    return () => unsubscribe();
-  }, []);
-
-  const handleGoogleLogin = async () => {
-    const provider = new GoogleAuthProvider();
-    provider.setCustomParameters({ prompt: 'select_account' });
-    
-    try {
-      await signInWithPopup(auth, provider);
-    } catch (error) {
-      console.error("Google Login Error:", error);
-      setError('Failed to login with Google. Please try again.');
-    }
-  };
+    saveSettings(llmSettings);
+  }, [llmSettings]);
 
-  const handleSignOut = async () => {
-    try {
-      await signOut(auth);
-    } catch (error) {
-      console.error("Sign Out Error:", error);
-      setError('Failed to sign out. Please try again.');
-    }
-  };
+  // Keep the open analysis once it has finished generating
+  useEffect(() => {
+    if (!insights?.streaming) saveLastAnalysis(insights);
+  }, [insights]);
 
-  const saveInsight = async () => {
-    if (!user || !insights) return;
-    try {
-      const docRef = await addDoc(collection(db, `users/${user.uid}/insights`), {
-        insightType,
-        input,
-        mode,
-        swot: insights.swot,
-        chartData: insights.chartData,
-        timestamp: new Date(),
-      });
-      
-      setSavedInsights(prev => [
-        ...prev,
-        {
-          id: docRef.id,
-          insightType,
-          input,
-          mode,
-          swot: insights.swot,
-          chartData: insights.chartData,
-          timestamp: new Date()
-        }
-      ]);
-      
-      alert('Insight saved successfully!');
-    } catch (error) {
-      console.error("Error saving insight:", error);
-      setError('Failed to save insight. Please try again.');
-    }
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const clearForm = () => {
+    updateForm({ input: '', modeInputs: {} });
+    clearDraft();
   };
 
-  const deleteInsight = async (insightId) => {
-    if (!user) return;
-    try {
-      await deleteDoc(doc(db, `users/${user.uid}/insights`, insightId));
-      setSavedInsights(prev => prev.filter(insight => insight.id !== insightId));
-      alert('Insight deleted successfully!');
-    } catch (error) {
-      console.error("Error deleting insight:", error);
-      setError('Failed to delete insight. Please try again.');
-    }
+  const updateLlmSettings = (changes) => setLlmSettings(prev => normalizeSettings({ ...prev, ...changes }));
+
+  // The next person on this browser should not inherit the server's API key
+  const signOutAndForgetKey = async () => {
+    setLlmSettings(prev => ({ ...prev, apiKey: '' }));
+    await signOut();
   };
 
-  const loadInsight = (insight) => {
-    setInsightType(insight.insightType);
-    setInput(insight.input);
-    setMode(insight.mode || 'Startup');
+  const toggleTheme = () => setTheme(theme === 'light' ? 'dark' : 'light');
+
+  // `workspaceId` is the library the insight was read from
+  const loadInsight = (insight, workspaceId = activeWorkspaceId) => {
+    const restored = restoreInsight(insight);
+    setForm(prev => ({ ...prev, insightType: restored.insightType, input: insight.input, mode: restored.mode, modeInputs: restored.modeInputs }));
     setInsights({
-      swot: insight.swot,
-      chartData: insight.chartData
+      ...restored,
+      id: insight.id,
+      version: insight.version ?? null,
+      workspaceId,
+      tags: insight.tags || [],
+      folder: insight.folder || '',
+      pinned: Boolean(insight.pinned),
+      chat: insight.chat || [],
+      actionPlan: normalizeActionPlan(insight.actionPlan)
     });
+    setEditing(false);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const toggleTheme = () => setTheme(theme === 'light' ? 'dark' : 'light');
-
-  const generateInsights = async () => {
-    if (!input) {
-      setError('Please enter a description.');
-      return;
-    }
-    if (input.length < 10) {
-      setError('Please enter a more detailed description (at least 10 characters).');
-      return;
-    }
-
-    setLoading(true);
+  const openImported = (insight) => {
+    setForm(prev => ({ ...prev, insightType: insight.insightType, input: insight.input, mode: insight.mode, modeInputs: insight.modeInputs }));
+    setInsights(insight);
+    setEditing(false);
     setError(null);
-    
-    try {
-     const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" }); // Using newer model
-const prompt = `
-Act as a top-tier business analyst. Generate a comprehensive, objective ${insightType} for: "${input}".
-
-Key Requirements:
-1. Conduct deep analysis considering market conditions, competitive landscape, and internal capabilities
-2. Provide balanced insights without pre-judging strength levels
-3. Include quantitative estimates where possible (market size, probability, impact scores)
-4. Consider both short-term and long-term perspectives
-5. Highlight non-obvious insights that require expert analysis
-
-Output Format (STRICTLY follow this structure):
-
-### Core Analysis
-[Brief 2-3 sentence summary of the overall assessment]
-
-### Strengths
-- [Strength 1] (Impact: High/Medium/Low) (Evidence: [supporting data point])
-- [Strength 2] (Competitive Advantage: [description]) (Sustainability: [timeframe])
-[Add more as needed]
-
-### Weaknesses
-- [Weakness 1] (Risk Level: [rating]) (Remediation: [suggestion])
-- [Weakness 2] (Operational Impact: [description])
-[Add more as needed]
-
-### Opportunities
-- [Opportunity 1] (Probability: X%) (Potential Value: [estimate])
-- [Opportunity 2] (Time Sensitivity: [urgency]) (Resources Needed: [list])
-[Add more as needed]
-
-### Threats
-- [Threat 1] (Likelihood: X%) (Potential Damage: [impact description])
-- [Threat 2] (External Factor: [source]) (Defensive Options: [suggestions])
-[Add more as needed]
-
-### Strategic Recommendations
-1. [Priority action 1] (Timeframe: [when])
-2. [Priority action 2] (Resources: [requirements])
-3. [Risk mitigation strategy]
-
-Note: 
-- Never state "Threat is low" or "Strength is high" without evidence
-- Provide concrete reasoning for each point
-- Include comparative industry benchmarks where applicable
-`;
-      
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
-
-      const parseSection = (sectionName) => {
-        const sectionRegex = new RegExp(`## ${sectionName}\\s*\\n([\\s\\S]*?)(?:##|$)`);
-        const match = text.match(sectionRegex);
-        if (!match) return [];
-        
-        return match[1].split('\n')
-          .filter(line => line.trim().startsWith('-'))
-          .map(item => item.replace(/^- /, '').trim())
-          .filter(Boolean);
-      };
-
-      const swot = {
-        Strengths: parseSection('Strengths'),
-        Weaknesses: parseSection('Weaknesses'),
-        Opportunities: parseSection('Opportunities'),
-        Threats: parseSection('Threats')
-      };
-
-      if (Object.values(swot).every(arr => arr.length === 0)) {
-        throw new Error("Failed to parse insights. The response format may have changed.");
-      }
-
-      const chartData = [
-        { name: 'Strengths', value: Math.max(swot.Strengths.length, 1) * 10 },
-        { name: 'Weaknesses', value: Math.max(swot.Weaknesses.length, 1) * 10 },
-        { name: 'Opportunities', value: Math.max(swot.Opportunities.length, 1) * 10 },
-        { name: 'Threats', value: Math.max(swot.Threats.length, 1) * 10 }
-      ].filter(item => item.value > 0);
-
-      setInsights({ swot, chartData });
-
-    } catch (error) {
-      console.error("Generation Error:", error);
-      setError(error.message || "Failed to generate insights. Please try again.");
-    } finally {
-      setLoading(false);
-    }
   };
 
-  const exportPDF = async () => {
-    if (!insights) return;
-    
-    const doc = new jsPDF({
-      orientation: "portrait",
-      unit: "mm",
-      format: "a4"
-    });
+  const generateInsights = () => generation.generate({ ...form, sources: attachments.sources });
 
-    const margin = 15;
-    let y = margin;
-    
-    // Add title
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(20);
-    doc.text("InsightCraft Report", margin, y);
-    y += 10;
-
-    // Add metadata
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(12);
-    doc.text(`Insight Type: ${insightType}`, margin, y);
-    y += 7;
-    doc.text(`Mode: ${mode}`, margin, y);
-    y += 7;
-    doc.text(`Description: ${input}`, margin, y);
-    y += 10;
-
-    // Add SWOT analysis
-    const splitText = (text, maxWidth) => doc.splitTextToSize(text, maxWidth - margin * 2);
-
-    Object.entries(insights.swot).forEach(([key, values]) => {
-      doc.setFont("helvetica", "bold");
-      doc.text(`${key}:`, margin, y);
-      y += 7;
-      
-      doc.setFont("helvetica", "normal");
-      values.forEach((item) => {
-        const lines = splitText(`• ${item}`, 180);
-        lines.forEach((line) => {
-          if (y > 270) {
-            doc.addPage();
-            y = margin;
-          }
-          doc.text(line, margin + 5, y);
-          y += 7;
-        });
-      });
-      y += 5;
-    });
+  // A what-if variant of the open saved insight with one assumption changed
+  const createScenario = (assumption) => generation.generate({
+    insightType: insights.insightType,
+    mode: insights.mode,
+    modeInputs: insights.modeInputs,
+    input: insights.input,
+    sources: [],
+    scenario: { parent: insights, assumption }
+  });
+
+  const editRecommendations = (items) => editInsight({
+    recommendations: items.map((item, index) => ({ ...item, priority: index + 1 }))
+  });
+
+  const loadVersions = useCallback(() => insightRepository.listVersions(insightId), [insightRepository, insightId]);
+
+  const subscribeInsightComments = useCallback(
+    (onChange, onError) => insightRepository.subscribeComments(insightId, onChange, onError),
+    [insightRepository, insightId]
+  );
+
+  const loadReportLinks = useCallback(() => listReportLinks(db, user, insightId), [user, insightId]);
+
+  const scenarioTreeId = insights?.id ? scenarioRootId(insights) : null;
+  const loadScenarioTree = useCallback(
+    () => insightRepository.fetchScenarioTree(scenarioTreeId)
+      .then(list => list.map(entry => ({ ...entry, ...restoreInsight(entry) }))),
+    [insightRepository, scenarioTreeId]
+  );
 
-    // Add charts with improved resolution
-    const addChartToPDF = async (chartRef, title) => {
-      try {
-        // Create a temporary container with larger dimensions for high-res capture
-        const tempContainer = document.createElement('div');
-        tempContainer.style.position = 'absolute';
-        tempContainer.style.left = '-9999px';
-        tempContainer.style.width = '800px';
-        tempContainer.style.height = '600px';
-        tempContainer.style.backgroundColor = theme === 'dark' ? '#1f2937' : '#ffffff';
-        document.body.appendChild(tempContainer);
-
-        // Clone the chart with larger dimensions
-        const chartClone = chartRef.current.cloneNode(true);
-        chartClone.style.width = '800px';
-        chartClone.style.height = '600px';
-        tempContainer.appendChild(chartClone);
-
-        // Wait for the clone to render
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        const canvas = await html2canvas(tempContainer, {
-          scale: 3,
-          logging: false,
-          useCORS: true,
-          backgroundColor: theme === 'dark' ? '#1f2937' : '#ffffff'
-        });
-        
-        // Clean up
-        document.body.removeChild(tempContainer);
-
-        if (y > 150) {
-          doc.addPage();
-          y = margin;
-        }
-        
-        const imgData = canvas.toDataURL('image/png', 1.0);
-        const imgWidth = 180;
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-        
-        doc.setFont("helvetica", "bold");
-        doc.text(title, margin, y);
-        y += 7;
-        
-        doc.addImage(imgData, 'PNG', margin, y, imgWidth, imgHeight);
-        y += imgHeight + 10;
-        
-      } catch (err) {
-        console.error("Error generating chart image:", err);
-      }
-    };
-
-    await addChartToPDF(barChartRef, "SWOT Analysis Bar Chart");
-    await addChartToPDF(pieChartRef, "SWOT Analysis Pie Chart");
-
-    doc.save('InsightCraft_Report.pdf');
+  // Saved insights for the compare view, oldest first so changes read forwards in time
+  const compareInsights = (saved) => {
+    setComparison([...saved]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(entry => ({ ...restoreInsight(entry), id: entry.id, timestamp: entry.timestamp })));
+    requestAnimationFrame(() => document.getElementById('compare-view')?.scrollIntoView({ behavior: 'smooth' }));
   };
 
+  const organiseInsight = async (insight, changes) => {
+    const updated = await repository.organise(insight, changes);
+    setInsights(prev => (prev?.id === insight.id ? { ...prev, ...changes } : prev));
+    return updated;
+  };
+
+  const itemActions = insights && !insights.streaming && !editing && canEditInsight
+    ? {
+      pending: itemActionState.pending,
+      explanations: itemActionState.explanations,
+      onRun: itemActionState.run,
+      onDismiss: itemActionState.dismiss,
+      onEvidence: itemActionState.editEvidence
+    }
+    : null;
+  const workspaceLabel = insights?.workspaceId
+    ? `${workspaceState.workspaces.find(workspace => workspace.id === insights.workspaceId)?.name || 'Workspace'} (${insightRole || 'no access'})`
+    : null;
+
   return (
     <div className={`min-h-screen ${theme === 'light' ? 'bg-gray-100 text-gray-900' : 'bg-gray-900 text-white'} font-inter transition-colors duration-300`}>
-      {/* Header */}
-      <header className="p-4 flex justify-between items-center">
-        <motion.h1
-          initial={{ opacity: 0, y: -20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="text-3xl font-poppins font-bold text-indigo-600"
-        >
-          InsightCraft
-        </motion.h1>
-        <div className="flex items-center space-x-4">
-          {user ? (
-            <div className="flex items-center space-x-2">
-              <span className="text-sm">{user.displayName}</span>
-              <motion.button
-                whileHover={{ scale: 1.05 }}
-                onClick={handleSignOut}
-                className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
-              >
-                <LogOut size={24} />
-              </motion.button>
-            </div>
-          ) : (
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              onClick={handleGoogleLogin}
-              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
-            >
-              Login with Google
-            </motion.button>
-          )}
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            onClick={toggleTheme}
-            className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
-          >
-            {theme === 'light' ? <Moon size={24} /> : <Sun size={24} />}
-          </motion.button>
-        </div>
-      </header>
+      <AppHeader
+        theme={theme}
+        user={user}
+        syncStatus={syncStatus}
+        onSignIn={signIn}
+        onSignOut={signOutAndForgetKey}
+        onToggleTheme={toggleTheme}
+      />
 
       {/* Error Message */}
       {error && (
@@ -421,230 +268,151 @@ Note:
 
       {/* Main Content */}
       <main className="max-w-5xl mx-auto p-4">
-        {/* Prompt Dashboard */}
-        <motion.section
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
-        >
-          <h2 className="text-2xl font-poppins font-semibold mb-4">Insight Builder</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium mb-2">Select Mode</label>
-              <select
-                value={mode}
-                onChange={(e) => setMode(e.target.value)}
-                className={`w-full p-2 border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
-              >
-                <option>Startup</option>
-                <option>Content Creator</option>
-                <option>Marketing Strategist</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-2">Insight Type</label>
-              <select
-                value={insightType}
-                onChange={(e) => setInsightType(e.target.value)}
-                className={`w-full p-2 border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
-              >
-                <option>SWOT Analysis</option>
-                <option>Product Ideas</option>
-                <option>Market Trends</option>
-              </select>
-            </div>
-          </div>
-          <label className="block text-sm font-medium mt-4 mb-2">Business Description</label>
-          <textarea
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            placeholder="e.g., I want to build an edtech startup focused on coding for kids."
-            className={`w-full p-3 border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
-            rows="4"
-          />
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={generateInsights}
-            className="mt-4 px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition duration-200"
-            disabled={loading}
-          >
-            {loading ? (
-              <span className="flex items-center justify-center">
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Generating...
-              </span>
-            ) : 'Generate Insights'}
-          </motion.button>
-        </motion.section>
+        <InsightBuilder
+          theme={theme}
+          form={form}
+          onChange={updateForm}
+          onClear={clearForm}
+          attachments={attachments}
+          settings={llmSettings}
+          onSettingsChange={updateLlmSettings}
+          loading={generation.loading}
+          onGenerate={generateInsights}
+          onCancel={generation.cancel}
+          onImport={openImported}
+          onError={setError}
+        />
 
         {/* Results Dashboard */}
         <AnimatePresence>
           {insights && (
-            <motion.section
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0 }}
-              className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
+            <ResultsDashboard
+              theme={theme}
+              insights={insights}
+              workspaceLabel={workspaceLabel}
+              editing={editing}
+              canEdit={canEditInsight}
+              canSave={canSaveInsight}
+              onToggleEditing={() => setEditing(prev => !prev)}
+              onSave={() => saving.save()}
+              onEditItems={editInsight}
+              onEditRecommendations={editRecommendations}
+              itemActions={itemActions}
+              onUndo={itemActionState.undo}
+              printTheme={printTheme}
+              onPrintThemeChange={setPrintTheme}
+              onExportPdf={exports.exportPdf}
+              onExport={exports.exportAs}
             >
-              <div className="flex justify-between items-center mb-4">
-                <h2 className="text-2xl font-poppins font-semibold">Results Dashboard</h2>
-                <div className="flex space-x-2">
-                  {user && (
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      onClick={saveInsight}
-                      className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                    >
-                      <Save size={20} className="mr-2" /> Save Insight
-                    </motion.button>
-                  )}
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    onClick={exportPDF}
-                    className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
-                  >
-                    <Download size={20} className="mr-2" /> Export PDF
-                  </motion.button>
-                </div>
-              </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <h3 className="text-lg font-poppins font-medium mb-2">Insights</h3>
-                  {Object.entries(insights.swot).map(([key, values]) => (
-                    <div key={key} className="mb-4">
-                      <h4 className="font-semibold">{key}</h4>
-                      {values.length > 0 ? (
-                        <ul className="list-disc pl-5">
-                          {values.map((item, i) => (
-                            <li key={i} className="text-sm">{item}</li>
-                          ))}
-                        </ul>
-                      ) : (
-                        <p className="text-sm text-gray-500">No {key.toLowerCase()} identified</p>
-                      )}
-                    </div>
-                  ))}
-                </div>
-                <div className="space-y-8">
-                  <div className="h-[300px] flex flex-col items-center" ref={barChartRef}>
-                    <h4 className="text-sm font-medium mb-2">SWOT Analysis Bar Chart</h4>
-                    <ResponsiveContainer width="100%" height="100%">
-                      <BarChart data={insights.chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                        <XAxis dataKey="name" />
-                        <YAxis />
-                        <Tooltip 
-                          contentStyle={{
-                            backgroundColor: theme === 'dark' ? '#1f2937' : '#ffffff',
-                            borderColor: theme === 'dark' ? '#374151' : '#e5e7eb'
-                          }}
-                        />
-                        <Bar dataKey="value" fill="#4f46e5" radius={[4, 4, 0, 0]}>
-                          {insights.chartData.map((entry, index) => (
-                            <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                          ))}
-                        </Bar>
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </div>
-                  
-                  <div className="h-[350px] flex flex-col items-center" ref={pieChartRef}>
-                    <h4 className="text-sm font-medium mb-2">SWOT Distribution</h4>
-                    <ResponsiveContainer width="100%" height="100%">
-                      <PieChart>
-                        <Pie
-                          data={insights.chartData}
-                          dataKey="value"
-                          nameKey="name"
-                          cx="50%"
-                          cy="50%"
-                          outerRadius={120}
-                          innerRadius={60}
-                          paddingAngle={5}
-                          label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
-                          labelLine={false}
-                        >
-                          {insights.chartData.map((entry, index) => (
-                            <Cell 
-                              key={`cell-${index}`} 
-                              fill={COLORS[index % COLORS.length]} 
-                              stroke={theme === 'dark' ? '#1f2937' : '#ffffff'}
-                              strokeWidth={2}
-                            />
-                          ))}
-                        </Pie>
-                        <Tooltip 
-                          formatter={(value) => [`${value} points`, 'Score']}
-                          contentStyle={{
-                            backgroundColor: theme === 'dark' ? '#1f2937' : '#ffffff',
-                            borderColor: theme === 'dark' ? '#374151' : '#e5e7eb'
-                          }}
-                        />
-                        <Legend 
-                          layout="horizontal" 
-                          verticalAlign="bottom" 
-                          align="center"
-                          wrapperStyle={{
-                            paddingTop: '20px'
-                          }}
-                        />
-                      </PieChart>
-                    </ResponsiveContainer>
-                  </div>
-                </div>
-              </div>
-            </motion.section>
+              {user && insights.id && insights.version && (
+                <VersionHistory
+                  currentVersion={insights.version}
+                  loadVersions={loadVersions}
+                  onRestore={canSaveInsight ? saving.restoreVersion : null}
+                  theme={theme}
+                />
+              )}
+              {user && insights.id && (
+                <ScenarioPanel
+                  theme={theme}
+                  currentId={insights.id}
+                  currentVersion={insights.version}
+                  loadTree={loadScenarioTree}
+                  busy={generation.loading}
+                  onCreate={canSaveInsight && !signInRequired ? createScenario : null}
+                  onOpen={(entry) => loadInsight(entry, insights.workspaceId || null)}
+                />
+              )}
+              {canSaveInsight && insights.id && (
+                <ShareLinkPanel
+                  theme={theme}
+                  loadLinks={loadReportLinks}
+                  onPublish={(days) => publishReport(db, user, insights, days)}
+                  onRevoke={(reportId) => revokeReport(db, reportId)}
+                />
+              )}
+              {user && insights.id && insights.workspaceId && insightRole && (
+                <CommentsPanel
+                  theme={theme}
+                  subscribe={subscribeInsightComments}
+                  onAdd={(text) => insightRepository.addComment(insights.id, user, text)}
+                  onDelete={(commentId) => insightRepository.deleteComment(insights.id, commentId)}
+                  currentUid={user.uid}
+                  canModerate={insightRole === 'owner'}
+                />
+              )}
+            </ResultsDashboard>
           )}
         </AnimatePresence>
 
-        {/* Saved Insights */}
-        {user && (
+        {/* Action Plan */}
+        {insights && !insights.streaming && (insights.actionPlan?.length > 0 || insights.recommendations?.length > 0) && (
+          <motion.section
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
+          >
+            <ActionPlan
+              theme={theme}
+              insight={insights}
+              onChange={canEditInsight ? actionPlan.update : null}
+              onExportCalendar={actionPlan.exportCalendar}
+            />
+          </motion.section>
+        )}
+
+        {/* Follow-up Chat */}
+        {insights && !insights.streaming && (
+          <motion.section
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
+          >
+            <FollowUpChat
+              theme={theme}
+              insight={insights}
+              busy={chat.chatting}
+              canApply={canEditInsight}
+              onAsk={chat.ask}
+              onApply={chat.apply}
+            />
+          </motion.section>
+        )}
+
+        {/* Compare View */}
+        {comparison && (
           <motion.section
+            id="compare-view"
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
-            className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6`}
+            className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
           >
-            <h2 className="text-2xl font-poppins font-semibold mb-4">Saved Insights</h2>
-            {savedInsights.length === 0 ? (
-              <p className="text-sm text-gray-500">No saved insights yet.</p>
-            ) : (
-              <div className="space-y-4">
-                {savedInsights.map((insight) => (
-                  <motion.div
-                    key={insight.id}
-                    initial={{ opacity: 0, x: -20 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    className={`p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'} flex justify-between items-center`}
-                  >
-                    <div 
-                      className="flex-1 cursor-pointer" 
-                      onClick={() => loadInsight(insight)}
-                    >
-                      <h3 className="font-semibold">{insight.insightType}</h3>
-                      <p className={`text-sm ${theme === 'light' ? 'text-gray-600' : 'text-gray-300'}`}>{insight.input}</p>
-                      <p className={`text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
-                        {insight.timestamp.toLocaleString()}
-                      </p>
-                    </div>
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      onClick={() => deleteInsight(insight.id)}
-                      className="p-2 text-red-600 hover:text-red-700"
-                    >
-                      <Trash2 size={20} />
-                    </motion.button>
-                  </motion.div>
-                ))}
-              </div>
-            )}
+            <CompareView insights={comparison} theme={theme} onExportPdf={exports.exportComparison} onClose={() => setComparison(null)} />
           </motion.section>
         )}
+
+        {/* Saved Insights */}
+        {user && (
+          <SavedInsightsSection
+            theme={theme}
+            user={user}
+            workspaceState={workspaceState}
+            activeWorkspaceId={activeWorkspaceId}
+            onSelectWorkspace={setActiveWorkspaceId}
+            repository={repository}
+            canEdit={canEdit(roleIn(activeWorkspaceId))}
+            refreshKey={savedListKey}
+            exporting={exports.exportingAll}
+            onExportAll={exports.exportSavedInsights}
+            onOrganise={organiseInsight}
+            onLoad={loadInsight}
+            onDelete={saving.remove}
+            onCompare={compareInsights}
+          />
+        )}
       </main>
     </div>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,364 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { exportInsight } from './lib/exportFormats';
+import { exportInsightPDF } from './lib/pdfReport';
+import { createProxyModel } from './services/generationClient';
+import { VersionConflictError } from './services/insightVersions';
+import { sampleInsight } from './test/fixtures';
+
+// Firebase and Gemini are replaced so the flows run offline: the signed-in user
+// comes from a fake onAuthStateChanged, saved insights from a fake repository,
+// and the Gemini proxy answers with the mock provider's recorded responses.
+
+const { auth, repository } = vi.hoisted(() => ({
+  auth: { user: null },
+  repository: {}
+}));
+
+vi.mock('./services/firebase', () => ({ auth: {}, db: {} }));
+
+vi.mock('firebase/auth', () => ({
+  GoogleAuthProvider: vi.fn(() => ({ setCustomParameters: vi.fn() })),
+  onAuthStateChanged: vi.fn((_, callback) => {
+    callback(auth.user);
+    return () => {};
+  }),
+  signInWithPopup: vi.fn(),
+  signOut: vi.fn()
+}));
+
+vi.mock('./services/insightsRepository', () => ({
+  repositoryFor: vi.fn(() => repository)
+}));
+
+vi.mock('./services/workspaces', () => ({
+  canEdit: (role) => role === 'owner' || role === 'editor',
+  listWorkspaces: vi.fn(async () => []),
+  listInvitations: vi.fn(async () => [])
+}));
+
+vi.mock('./services/publicReports', () => ({
+  publishReport: vi.fn(),
+  listReportLinks: vi.fn(async () => []),
+  revokeReport: vi.fn()
+}));
+
+vi.mock('./services/syncStatus', async (importOriginal) => ({
+  ...(await importOriginal()),
+  trackEarlierWrites: vi.fn()
+}));
+
+vi.mock('./services/generationClient', async (importOriginal) => {
+  const { createMockModel } = await import('./services/mockProvider');
+  return {
+    ...(await importOriginal()),
+    // Without generateContentStream the response arrives in one piece
+    createProxyModel: vi.fn(({ responseSchema }) => ({
+      generateContent: createMockModel({ responseSchema }).generateContent
+    }))
+  };
+});
+
+vi.mock('./lib/exportFormats', async (importOriginal) => ({
+  ...(await importOriginal()),
+  exportInsight: vi.fn()
+}));
+
+vi.mock('./lib/pdfReport', async (importOriginal) => ({
+  ...(await importOriginal()),
+  exportInsightPDF: vi.fn()
+}));
+
+const testUser = { uid: 'user-1', displayName: 'Ada Lovelace', email: 'ada@example.com', getIdToken: async () => 'token' };
+
+const savedTrends = {
+  ...sampleInsight('Market Trends'),
+  id: 'saved-1',
+  version: 1,
+  timestamp: new Date('2025-06-01T10:00:00Z'),
+  tags: [],
+  pinned: false
+};
+
+const generate = async (user, description = 'An after-school coding club for kids aged 8 to 12') => {
+  await user.type(screen.getByLabelText('Business Description'), description);
+  await user.click(screen.getByRole('button', { name: 'Generate Insights' }));
+};
+
+beforeEach(() => {
+  auth.user = testUser;
+  Object.assign(repository, {
+    save: vi.fn(async () => ({ id: 'new-1', version: 1, committed: Promise.resolve() })),
+    remove: vi.fn(async () => ({ committed: Promise.resolve() })),
+    listVersions: vi.fn(async () => []),
+    fetchPage: vi.fn(async () => ({ items: [savedTrends], cursor: null, hasMore: false })),
+    fetchPinned: vi.fn(async () => []),
+    fetchLibrary: vi.fn(async () => ({ tags: [], folders: [] })),
+    fetchAll: vi.fn(async () => [savedTrends]),
+    fetchScenarioTree: vi.fn(async () => [savedTrends]),
+    organise: vi.fn(),
+    updateChat: vi.fn(async () => {}),
+    updateActionPlan: vi.fn(async () => {})
+  });
+});
+
+describe('generating', () => {
+  it('shows the analysis returned by the model', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+
+    const dashboard = await screen.findByRole('heading', { name: 'Results Dashboard' });
+    const results = dashboard.closest('section');
+    expect(within(results).getByText(/The business has a clear niche/)).toBeInTheDocument();
+    expect(within(results).getAllByText('Reliance on one acquisition channel').length).toBeGreaterThan(0);
+    expect(within(results).getByText(/SWOT Analysis · Startup · Gemini · gemini-2.0-flash/)).toBeInTheDocument();
+    expect(createProxyModel).toHaveBeenCalledWith(expect.objectContaining({ user: testUser, model: 'gemini-2.0-flash' }));
+  });
+
+  it('asks for a longer description before calling the model', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user, 'Coding');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Please enter a more detailed description (at least 10 characters).');
+    expect(createProxyModel).not.toHaveBeenCalled();
+  });
+
+  it('asks signed-out users to log in to use Gemini', async () => {
+    auth.user = null;
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Please log in with Google to generate insights');
+    expect(screen.queryByRole('heading', { name: 'Saved Insights' })).not.toBeInTheDocument();
+  });
+});
+
+describe('signing out', () => {
+  it('forgets the API key of an OpenAI-compatible server', async () => {
+    localStorage.setItem('insightcraft:llmSettings', JSON.stringify({ provider: 'openai', model: 'llama3', rememberApiKey: true }));
+    localStorage.setItem('insightcraft:apiKey', JSON.stringify('sk-test'));
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: /Model settings/ }));
+    expect(screen.getByLabelText('API key (if the server needs one)')).toHaveValue('sk-test');
+    await user.click(screen.getByRole('button', { name: 'Sign out' }));
+
+    expect(screen.getByLabelText('API key (if the server needs one)')).toHaveValue('');
+    await waitFor(() => expect(localStorage.getItem('insightcraft:apiKey')).toBeNull());
+    expect(screen.getByLabelText('Remember the key on this browser')).toBeChecked();
+  });
+});
+
+describe('saving', () => {
+  it('saves a new insight and then offers to save a version', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await user.click(await screen.findByRole('button', { name: 'Save Insight' }));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Insight saved successfully!'));
+    expect(repository.save).toHaveBeenCalledWith(expect.objectContaining({
+      insightType: 'SWOT Analysis',
+      input: 'An after-school coding club for kids aged 8 to 12'
+    }));
+    expect(screen.getByRole('button', { name: 'Save Version' })).toBeInTheDocument();
+    // The saved list reloads
+    await waitFor(() => expect(repository.fetchPage.mock.calls.length).toBeGreaterThanOrEqual(4));
+  });
+
+  it('leaves an insight opened during the save alone', async () => {
+    let commit;
+    repository.save.mockResolvedValueOnce({ id: 'new-1', version: 1, committed: new Promise(resolve => { commit = resolve; }) });
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user, 'A dog walking service for busy professionals');
+    await user.click(await screen.findByRole('button', { name: 'Save Insight' }));
+    await user.click(await screen.findByText(savedTrends.input));
+    await act(async () => commit());
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Insight saved successfully!'));
+    expect(screen.getByLabelText('Insight Type')).toHaveValue('Market Trends');
+    await user.click(screen.getByRole('button', { name: 'Save Version' }));
+    await waitFor(() => expect(repository.save).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'saved-1', insightType: 'Market Trends' })));
+  });
+
+  it('explains a save the security rules rejected', async () => {
+    repository.save.mockRejectedValueOnce(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await user.click(await screen.findByRole('button', { name: 'Save Insight' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This insight could not be saved because it is too large or incomplete.');
+  });
+
+  it('asks to reload when the version was saved elsewhere first', async () => {
+    repository.save.mockRejectedValueOnce(new VersionConflictError(2));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await user.click(await screen.findByRole('button', { name: 'Save Insight' }));
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Version 2 of this insight was saved in another tab or by someone else');
+    expect(alert).toHaveTextContent('Reload it from Saved Insights');
+    expect(alert).not.toHaveTextContent('too large or incomplete');
+  });
+});
+
+describe('saved insights', () => {
+  it('opens a saved insight in the dashboard and the builder', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(await screen.findByText(savedTrends.input));
+
+    const dashboard = await screen.findByRole('heading', { name: 'Results Dashboard' });
+    expect(within(dashboard.closest('section')).getByText(/Automation and a shift to subscription buying/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Insight Type')).toHaveValue('Market Trends');
+    expect(screen.getByLabelText('Business Description')).toHaveValue(savedTrends.input);
+    expect(screen.getByRole('button', { name: 'Save Version' })).toBeInTheDocument();
+  });
+
+  it('deletes a saved insight', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await screen.findByText(savedTrends.input);
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Insight deleted successfully!'));
+    expect(repository.remove).toHaveBeenCalledWith('saved-1');
+  });
+
+  it('drops a page that arrives after the filters changed', async () => {
+    let resolvePage;
+    repository.fetchPage.mockImplementation(async (filters, cursor) => {
+      if (cursor) return new Promise(resolve => { resolvePage = resolve; });
+      return { items: [savedTrends], cursor: filters.mode ? null : 'cursor-1', hasMore: !filters.mode };
+    });
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(await screen.findByRole('button', { name: 'Load more' }));
+    await user.selectOptions(screen.getByDisplayValue('All modes'), 'Marketing Strategist');
+    await waitFor(() => expect(repository.fetchPage).toHaveBeenCalledWith(expect.objectContaining({ mode: 'Marketing Strategist' }), null, undefined));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument());
+    await act(async () => resolvePage({ items: [{ ...savedTrends, id: 'stale-1', input: 'A page of the unfiltered list' }], cursor: null, hasMore: false }));
+
+    expect(screen.queryByText('A page of the unfiltered list')).not.toBeInTheDocument();
+  });
+});
+
+describe('scenarios', () => {
+  it('generates a what-if variant of a saved insight and saves it linked to it', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(await screen.findByText(savedTrends.input));
+    await user.click(await screen.findByRole('button', { name: 'What-if scenarios' }));
+    await user.type(screen.getByLabelText('Create a scenario from this analysis'), 'What if we sell to schools instead of parents');
+    await user.click(screen.getByRole('button', { name: 'Create scenario' }));
+
+    expect(await screen.findByText('What if we sell to schools instead of parents')).toHaveTextContent('Scenario: What if');
+    expect(repository.fetchScenarioTree).toHaveBeenCalledWith('saved-1');
+    await user.click(screen.getByRole('button', { name: 'Save Insight' }));
+
+    await waitFor(() => expect(repository.save).toHaveBeenCalledWith(expect.objectContaining({
+      insightType: 'Market Trends',
+      input: savedTrends.input,
+      scenario: { parentId: 'saved-1', rootId: 'saved-1', assumption: 'we sell to schools instead of parents' }
+    })));
+  });
+});
+
+describe('evidence', () => {
+  it('flags estimated claims until the user attaches a source', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+
+    expect(await screen.findByText('5 of 9 claims need verification.')).toBeInTheDocument();
+    await user.click(screen.getAllByRole('button', { name: 'Add source' })[0]);
+    await user.type(screen.getByLabelText('Supporting source'), 'https://example.com/niche-conversion-study');
+    await user.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(screen.getByText('4 of 9 claims need verification.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'https://example.com/niche-conversion-study' })).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(screen.getByText(/Unsaved changes/)).toBeInTheDocument();
+  });
+});
+
+describe('action plan', () => {
+  it('tracks the recommendations of a new analysis as actions', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+
+    const plan = (await screen.findByRole('heading', { name: 'Action Plan' })).closest('section');
+    expect(within(plan).getByText('0 of 3 done')).toBeInTheDocument();
+    expect(within(plan).getByText('Weaknesses: Reliance on one acquisition channel')).toBeInTheDocument();
+    await user.click(within(plan).getByRole('button', { name: 'Checklist' }));
+    await user.click(within(plan).getByRole('checkbox', { name: /Introduce an annual plan/ }));
+
+    expect(within(plan).getByText('1 of 3 done')).toBeInTheDocument();
+    // Unsaved insights keep the plan until their first save
+    expect(repository.updateActionPlan).not.toHaveBeenCalled();
+  });
+
+  it('writes status changes of a saved insight straight away', async () => {
+    const actionPlan = [{ id: 'a1', text: 'Automate the weekly report', owner: 'Ops', dueDate: '2025-07-01', status: 'todo', addresses: [] }];
+    repository.fetchPage.mockResolvedValue({ items: [{ ...savedTrends, actionPlan }], cursor: null, hasMore: false });
+    const user = userEvent.setup();
+    render(<App />);
+    expect(await screen.findByText('0 of 1 actions done')).toBeInTheDocument();
+    await user.click(screen.getByText(savedTrends.input));
+    await user.selectOptions(await screen.findByLabelText('Status of Automate the weekly report'), 'done');
+
+    expect(repository.updateActionPlan).toHaveBeenCalledWith('saved-1', [{ ...actionPlan[0], status: 'done' }]);
+  });
+});
+
+describe('exporting', () => {
+  it('exports the open analysis as a PDF with the chosen theme', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await screen.findByRole('heading', { name: 'Results Dashboard' });
+    await user.selectOptions(screen.getByLabelText('PDF theme'), 'dark');
+    await user.click(screen.getByRole('button', { name: 'Export PDF' }));
+
+    expect(exportInsightPDF).toHaveBeenCalledWith(
+      expect.objectContaining({ insightType: 'SWOT Analysis', summary: expect.stringMatching(/clear niche/) }),
+      { printTheme: 'dark' }
+    );
+  });
+
+  it('reports a PDF report that could not be created', async () => {
+    exportInsightPDF.mockImplementationOnce(() => {
+      throw new Error('layout failed');
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await screen.findByRole('heading', { name: 'Results Dashboard' });
+    await user.click(screen.getByRole('button', { name: 'Export PDF' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to create the PDF report. Please try again.');
+  });
+
+  it('exports the open analysis in the format picked from the menu', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await generate(user);
+    await screen.findByRole('heading', { name: 'Results Dashboard' });
+    await user.click(screen.getByRole('button', { name: /Export as/ }));
+    await user.click(screen.getByRole('menuitem', { name: /Markdown/ }));
+
+    expect(exportInsight).toHaveBeenCalledWith(expect.objectContaining({ insightType: 'SWOT Analysis' }), 'markdown');
+  });
+});
@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { CalendarDays, ListChecks, Columns, Trash2, Plus } from 'lucide-react';
+import {
+  ACTION_STATUSES,
+  MAX_OWNER_LENGTH,
+  actionProgress,
+  addRecommendedActions,
+  isOverdue,
+  removeAction,
+  updateAction
+} from '../lib/actionPlan';
+
+// The owner is committed when the field loses focus so typing does not write on every key
+const OwnerField = ({ action, disabled, inputClass, onCommit }) => {
+  const [owner, setOwner] = useState(action.owner);
+  return (
+    <input
+      value={owner}
+      onChange={(e) => setOwner(e.target.value)}
+      onBlur={() => owner.trim() !== action.owner && onCommit(owner.trim())}
+      placeholder="Owner"
+      maxLength={MAX_OWNER_LENGTH}
+      disabled={disabled}
+      className={`w-32 ${inputClass}`}
+      aria-label={`Owner of ${action.text}`}
+    />
+  );
+};
+
+// The recommendations of the open insight as tracked actions, shown as a board
+// with a column per status or as a checklist. `onChange` receives a function of
+// the current plan; it is null when the user cannot edit the insight.
+// Cards can be dragged between columns; the status menu does the same from the keyboard.
+const ActionPlan = ({ theme, insight, onChange, onExportCalendar }) => {
+  const [view, setView] = useState('board');
+  const [dragged, setDragged] = useState(null);
+  const plan = insight.actionPlan || [];
+  const { done, total, percent } = actionProgress(plan);
+  const untracked = addRecommendedActions(plan, insight).length - plan.length;
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+  const inputClass = `p-1 text-xs border rounded ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`;
+  const canEdit = Boolean(onChange);
+
+  const change = (id, changes) => onChange(current => updateAction(current, id, changes));
+
+  const drop = (status) => {
+    if (dragged && canEdit) change(dragged, { status });
+    setDragged(null);
+  };
+
+  const details = (action) => (
+    <>
+      {action.addresses.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {action.addresses.map(link => (
+            <span
+              key={`${link.section}-${link.text}`}
+              title={link.text}
+              className={`text-xs px-2 py-0.5 rounded max-w-full truncate ${theme === 'light' ? 'bg-gray-200 text-gray-600' : 'bg-gray-600 text-gray-200'}`}
+            >
+              {link.section}: {link.text}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <OwnerField
+          key={action.owner}
+          action={action}
+          disabled={!canEdit}
+          inputClass={inputClass}
+          onCommit={(owner) => change(action.id, { owner })}
+        />
+        <input
+          type="date"
+          value={action.dueDate}
+          onChange={(e) => change(action.id, { dueDate: e.target.value })}
+          disabled={!canEdit}
+          className={inputClass}
+          aria-label={`Due date of ${action.text}`}
+        />
+        {isOverdue(action) && <span className="text-xs text-red-600">Overdue</span>}
+      </div>
+    </>
+  );
+
+  const removeButton = (action) => canEdit && (
+    <button
+      onClick={() => onChange(current => removeAction(current, action.id))}
+      className="p-1 text-gray-400 hover:text-red-600"
+      aria-label={`Remove ${action.text}`}
+    >
+      <Trash2 size={14} />
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-2xl font-poppins font-semibold">Action Plan</h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setView(view === 'board' ? 'checklist' : 'board')}
+            className="flex items-center px-3 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700"
+          >
+            {view === 'board' ? <ListChecks size={16} className="mr-2" /> : <Columns size={16} className="mr-2" />}
+            {view === 'board' ? 'Checklist' : 'Board'}
+          </button>
+          <button
+            onClick={onExportCalendar}
+            disabled={!plan.some(action => action.dueDate)}
+            className="flex items-center px-3 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-700 disabled:opacity-50"
+          >
+            <CalendarDays size={16} className="mr-2" /> Export deadlines (.ics)
+          </button>
+        </div>
+      </div>
+      <div className="flex items-center mb-4">
+        <div className={`flex-1 h-2 rounded ${theme === 'light' ? 'bg-gray-200' : 'bg-gray-700'}`}>
+          <div className="h-2 rounded bg-green-500" style={{ width: `${percent}%` }} />
+        </div>
+        <span className={`ml-3 text-sm ${mutedText}`}>{done} of {total} done</span>
+      </div>
+      {canEdit && untracked > 0 && (
+        <button
+          onClick={() => onChange(current => addRecommendedActions(current, insight))}
+          className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-700 mb-4"
+        >
+          <Plus size={16} className="mr-1" />
+          Track {untracked} recommendation{untracked === 1 ? '' : 's'} not in the plan
+        </button>
+      )}
+      {total === 0 ? (
+        <p className={`text-sm ${mutedText}`}>No actions are being tracked for this analysis.</p>
+      ) : view === 'board' ? (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {Object.entries(ACTION_STATUSES).map(([status, label]) => {
+            const actions = plan.filter(action => action.status === status);
+            return (
+              <div
+                key={status}
+                onDragOver={(e) => canEdit && e.preventDefault()}
+                onDrop={() => drop(status)}
+                className={`p-3 rounded-lg min-h-24 ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}
+              >
+                <h3 className="text-sm font-medium mb-2">{label} ({actions.length})</h3>
+                <ul className="space-y-2">
+                  {actions.map(action => (
+                    <li
+                      key={action.id}
+                      draggable={canEdit}
+                      onDragStart={() => setDragged(action.id)}
+                      onDragEnd={() => setDragged(null)}
+                      className={`p-2 rounded text-sm ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} ${canEdit ? 'cursor-move' : ''}`}
+                    >
+                      <div className="flex justify-between items-start">
+                        <span>{action.text}</span>
+                        {removeButton(action)}
+                      </div>
+                      {details(action)}
+                      <select
+                        value={action.status}
+                        onChange={(e) => change(action.id, { status: e.target.value })}
+                        disabled={!canEdit}
+                        className={`mt-2 ${inputClass}`}
+                        aria-label={`Status of ${action.text}`}
+                      >
+                        {Object.entries(ACTION_STATUSES).map(([key, name]) => (
+                          <option key={key} value={key}>{name}</option>
+                        ))}
+                      </select>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <ul className="space-y-2">
+          {plan.map(action => (
+            <li key={action.id} className={`p-2 rounded-lg text-sm ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+              <div className="flex justify-between items-start">
+                <label className="flex items-start">
+                  <input
+                    type="checkbox"
+                    checked={action.status === 'done'}
+                    onChange={(e) => change(action.id, { status: e.target.checked ? 'done' : 'todo' })}
+                    disabled={!canEdit}
+                    className="mt-1 mr-2"
+                  />
+                  <span className={action.status === 'done' ? `line-through ${mutedText}` : ''}>{action.text}</span>
+                </label>
+                <span className="flex items-center">
+                  {action.status === 'doing' && <span className={`text-xs mr-2 ${mutedText}`}>In progress</span>}
+                  {removeButton(action)}
+                </span>
+              </div>
+              <div className="ml-6">{details(action)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActionPlan;
@@ -0,0 +1,53 @@
+import { motion } from 'framer-motion';
+import { Sun, Moon, LogOut } from 'lucide-react';
+import { clearSyncFailure } from '../services/syncStatus';
+import SyncStatus from './SyncStatus';
+
+// Title bar with the sync indicator, sign-in state and theme toggle
+const AppHeader = ({ theme, user, syncStatus, onSignIn, onSignOut, onToggleTheme }) => (
+  <header className="p-4 flex justify-between items-center">
+    <motion.h1
+      initial={{ opacity: 0, y: -20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="text-3xl font-poppins font-bold text-indigo-600"
+    >
+      InsightCraft
+    </motion.h1>
+    <div className="flex items-center space-x-4">
+      {(user || !syncStatus.online) && (
+        <SyncStatus theme={theme} {...syncStatus} onDismissFailure={clearSyncFailure} />
+      )}
+      {user ? (
+        <div className="flex items-center space-x-2">
+          <span className="text-sm">{user.displayName}</span>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            onClick={onSignOut}
+            className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+            aria-label="Sign out"
+          >
+            <LogOut size={24} />
+          </motion.button>
+        </div>
+      ) : (
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          onClick={onSignIn}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+        >
+          Login with Google
+        </motion.button>
+      )}
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        onClick={onToggleTheme}
+        className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+        aria-label={theme === 'light' ? 'Switch to dark theme' : 'Switch to light theme'}
+      >
+        {theme === 'light' ? <Moon size={24} /> : <Sun size={24} />}
+      </motion.button>
+    </div>
+  </header>
+);
+
+export default AppHeader;
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import { MessageSquare, Trash2 } from 'lucide-react';
+
+// Live comment thread under a workspace insight
+const CommentsPanel = ({ theme, subscribe, onAdd, onDelete, currentUid, canModerate }) => {
+  const [comments, setComments] = useState([]);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribe(setComments, (err) => {
+    console.error("Comments Error:", err);
+    setError('Failed to load comments.');
+  }), [subscribe]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    try {
+      await onAdd(text);
+      setText('');
+      setError(null);
+    } catch (err) {
+      console.error("Comments Error:", err);
+      setError('Failed to post the comment. Please try again.');
+    }
+  };
+
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  return (
+    <div className="mt-6">
+      <h3 className="flex items-center text-lg font-poppins font-medium mb-2">
+        <MessageSquare size={18} className="mr-2" /> Comments
+      </h3>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {comments.length === 0 ? (
+        <p className={`text-sm mb-3 ${mutedText}`}>No comments yet.</p>
+      ) : (
+        <ul className="space-y-3 mb-3">
+          {comments.map(comment => (
+            <li key={comment.id} className={`p-3 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+              <div className="flex justify-between items-center">
+                <span className="text-sm font-semibold">{comment.authorName}</span>
+                <span className="flex items-center gap-2">
+                  <span className={`text-xs ${mutedText}`}>{comment.createdAt.toLocaleString()}</span>
+                  {(comment.authorId === currentUid || canModerate) && (
+                    <button
+                      onClick={() => onDelete(comment.id)}
+                      className="p-1 text-red-600 hover:text-red-700"
+                      aria-label="Delete comment"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </span>
+              </div>
+              <p className="text-sm whitespace-pre-wrap mt-1">{comment.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={submit} className="flex gap-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Add a comment"
+          maxLength={2000}
+          rows="2"
+          className={`flex-1 p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
+        />
+        <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 self-end">
+          Post
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import { RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { COLORS, tooltipStyle } from '../lib/constants';
+import { alignInsights, buildOverlayChartData, changeSummary, columnLabel } from '../lib/compareInsights';
+
+// Side-by-side view of 2-4 saved insights, oldest first. Items that match across
+// columns share a colour; hovering one highlights its matches.
+const CompareView = ({ insights, theme, onExportPdf, onClose }) => {
+  const [hoveredGroup, setHoveredGroup] = useState(null);
+
+  const sections = alignInsights(insights);
+  const overlay = buildOverlayChartData(insights);
+  const gridStyle = { gridTemplateColumns: `repeat(${insights.length}, minmax(0, 1fr))` };
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  const columnsWithGroup = (section, group) => section.columns
+    .map((column, index) => (column.some(cell => cell.group === group) ? columnLabel(index) : null))
+    .filter(Boolean);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-poppins font-semibold">Compare Insights</h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={onExportPdf}
+            className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-transform hover:scale-105"
+          >
+            <Download size={20} className="mr-2" /> Export PDF
+          </button>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+            aria-label="Close comparison"
+          >
+            <X size={24} />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-4 mb-6" style={gridStyle}>
+        {insights.map((insight, index) => (
+          <div key={insight.id} className={`p-3 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+            <p className="font-semibold">{columnLabel(index)} · {insight.insightType}</p>
+            <p className={`text-xs ${mutedText}`}>{insight.mode} · {insight.timestamp.toLocaleDateString()}</p>
+            <p className="text-sm mt-1 line-clamp-3">{insight.input}</p>
+          </div>
+        ))}
+      </div>
+
+      {sections.map(section => (
+        <div key={section.key} className="mb-6">
+          <h3 className="text-lg font-poppins font-medium mb-2">{section.title}</h3>
+          <div className="grid gap-4" style={gridStyle}>
+            {section.columns.map((column, index) => (
+              <ul key={index} className="space-y-1">
+                {column.length === 0 && <li className={`text-sm ${mutedText}`}>Nothing listed</li>}
+                {column.map((cell, i) => {
+                  const color = cell.group !== null ? COLORS[cell.group % COLORS.length] : null;
+                  return (
+                    <li
+                      key={i}
+                      onMouseEnter={() => setHoveredGroup(cell.group)}
+                      onMouseLeave={() => setHoveredGroup(null)}
+                      title={color ? `Also in ${columnsWithGroup(section, cell.group).filter(label => label !== columnLabel(index)).join(', ')}` : undefined}
+                      className={`text-sm pl-2 py-0.5 rounded border-l-4 ${hoveredGroup !== null && hoveredGroup === cell.group ? 'bg-yellow-200 text-gray-900' : ''}`}
+                      style={{ borderColor: color || 'transparent' }}
+                    >
+                      {cell.text}
+                    </li>
+                  );
+                })}
+              </ul>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {overlay.series.length > 1 && (
+        <div className="h-[350px] flex flex-col items-center mb-6">
+          <h4 className="text-sm font-medium mb-2">SWOT Scores Overlay</h4>
+          <ResponsiveContainer width="100%" height="100%">
+            <RadarChart data={overlay.data}>
+              <PolarGrid />
+              <PolarAngleAxis dataKey="name" />
+              <PolarRadiusAxis />
+              {overlay.series.map((label, index) => (
+                <Radar
+                  key={label}
+                  name={label}
+                  dataKey={label}
+                  stroke={COLORS[index % COLORS.length]}
+                  fill={COLORS[index % COLORS.length]}
+                  fillOpacity={0.2}
+                />
+              ))}
+              <Tooltip formatter={(value) => [`${value} points`]} contentStyle={tooltipStyle(theme)} />
+              <Legend />
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <h3 className="text-lg font-poppins font-medium mb-2">What Changed</h3>
+      {insights.slice(1).map((insight, index) => {
+        const changes = changeSummary(insights[index], insight);
+        return (
+          <div key={insight.id} className="mb-4">
+            <h4 className="font-semibold text-sm">{columnLabel(index)} → {columnLabel(index + 1)}</h4>
+            {changes.length === 0 ? (
+              <p className={`text-sm ${mutedText}`}>No added or removed items.</p>
+            ) : (
+              <ul>
+                {changes.flatMap(({ key, title, added, removed }) => [
+                  ...added.map((text, i) => (
+                    <li key={`${key}+${i}`} className="text-sm text-green-600">
+                      <span className="font-mono mr-2">+</span>{title}: {text}
+                    </li>
+                  )),
+                  ...removed.map((text, i) => (
+                    <li key={`${key}-${i}`} className="text-sm text-red-600">
+                      <span className="font-mono mr-2">−</span>{title}: {text}
+                    </li>
+                  ))
+                ])}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { GripVertical, Plus, X } from 'lucide-react';
+import ItemAttributes from './ItemAttributes';
+
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Inline editor for a list of items: edit the text, add, remove and drag to reorder.
+// Attributes are kept as they are; an item left empty is dropped when it loses focus.
+const EditableItemList = ({ items, onChange, theme, addLabel = 'Add item' }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [focusIndex, setFocusIndex] = useState(null);
+
+  const updateText = (index, value) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, text: value } : item)));
+  };
+
+  const removeItem = (index) => onChange(items.filter((_, i) => i !== index));
+
+  const addItem = () => {
+    setFocusIndex(items.length);
+    onChange([...items, { text: '', attributes: {} }]);
+  };
+
+  const dropOn = (index) => {
+    if (dragIndex !== null && dragIndex !== index) onChange(moveItem(items, dragIndex, index));
+    setDragIndex(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <ul className="space-y-2">
+        {items.map((item, i) => (
+          <li
+            key={i}
+            draggable
+            onDragStart={() => setDragIndex(i)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => dropOn(i)}
+            onDragEnd={() => setDragIndex(null)}
+            className={`flex items-start space-x-2 p-2 rounded-lg ${theme === 'light' ? 'bg-gray-50' : 'bg-gray-700'} ${dragIndex === i ? 'opacity-50' : ''}`}
+          >
+            <GripVertical size={16} className="mt-2 shrink-0 cursor-grab text-gray-400" aria-label="Drag to reorder" />
+            <div className="flex-1">
+              <textarea
+                value={item.text}
+                onChange={(e) => updateText(i, e.target.value)}
+                onBlur={() => !item.text.trim() && removeItem(i)}
+                autoFocus={focusIndex === i}
+                rows="2"
+                className={`w-full p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`}
+              />
+              <ItemAttributes attributes={item.attributes} theme={theme} />
+            </div>
+            <button
+              // Keep the textarea focused so its blur handler cannot remove an item first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => removeItem(i)}
+              className="p-1 text-red-600 hover:text-red-700"
+              aria-label="Remove item"
+            >
+              <X size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        onClick={addItem}
+        className="flex items-center text-sm text-indigo-600 hover:text-indigo-700"
+      >
+        <Plus size={16} className="mr-1" /> {addLabel}
+      </button>
+    </div>
+  );
+};
+
+export default EditableItemList;
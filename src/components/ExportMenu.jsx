@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { ChevronDown, FileDown } from 'lucide-react';
+import { EXPORT_FORMATS } from '../lib/exportFormats';
+
+// "Export as" dropdown next to Export PDF; `onExport` gets the EXPORT_FORMATS key
+const ExportMenu = ({ theme, disabled, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const choose = async (format) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await onExport(format);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="relative"
+      onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+    >
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={disabled || busy}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-transform hover:scale-105 disabled:opacity-50"
+      >
+        <FileDown size={20} className="mr-2" /> {busy ? 'Exporting…' : 'Export as'}
+        <ChevronDown size={16} className="ml-1" />
+      </button>
+      {open && (
+        <ul
+          role="menu"
+          className={`absolute right-0 z-10 mt-2 w-56 rounded-lg shadow-lg py-1 ${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-700 text-white'}`}
+        >
+          {Object.entries(EXPORT_FORMATS).map(([key, { label, extension }]) => (
+            <li key={key} role="none">
+              <button
+                role="menuitem"
+                onClick={() => choose(key)}
+                className={`w-full text-left px-4 py-2 text-sm ${theme === 'light' ? 'hover:bg-gray-100' : 'hover:bg-gray-600'}`}
+              >
+                {label} <span className="text-gray-400">.{extension}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
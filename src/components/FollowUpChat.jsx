@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { MessagesSquare, Send } from 'lucide-react';
+import { MAX_QUESTION_LENGTH, answerProposal } from '../lib/followUpChat';
+import { insightSections } from '../lib/insightDiff';
+import { formatItem } from '../lib/insightParser';
+
+// Questions about the open analysis. Items an answer proposes, or the whole
+// answer, can be added to the analysis or replace one of its items.
+const FollowUpChat = ({ theme, insight, busy, canApply, onAsk, onApply }) => {
+  const [question, setQuestion] = useState('');
+  const [error, setError] = useState(null);
+  // Message whose answer is being added as an item, and where it goes
+  const [answerTarget, setAnswerTarget] = useState(null);
+  const messages = insight.chat || [];
+  const sections = insightSections(insight);
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+  const inputClass = `p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!question.trim() || busy) return;
+    try {
+      await onAsk(question.trim());
+      setQuestion('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applyAnswer = (messageIndex) => {
+    const { sectionKey, replaces } = answerTarget;
+    onApply(messageIndex, null, answerProposal(insight, sectionKey, messages[messageIndex].text, replaces));
+    setAnswerTarget(null);
+  };
+
+  const targetItems = answerTarget ? sections.find(section => section.key === answerTarget.sectionKey).items : [];
+
+  return (
+    <div>
+      <h2 className="flex items-center text-2xl font-poppins font-semibold mb-1">
+        <MessagesSquare size={22} className="mr-2" /> Follow-up Chat
+      </h2>
+      <p className={`text-sm mb-4 ${mutedText}`}>
+        Ask about this analysis, e.g. &quot;expand threat 2&quot; or &quot;give me a go-to-market plan for opportunity 1&quot;.
+      </p>
+      {messages.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {messages.map((message, messageIndex) => (
+            <li
+              key={messageIndex}
+              className={message.role === 'user'
+                ? 'ml-auto max-w-[80%] p-3 rounded-lg bg-indigo-600 text-white text-sm whitespace-pre-wrap'
+                : `max-w-[90%] p-3 rounded-lg text-sm ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}
+            >
+              {message.role === 'user' ? message.text : (
+                <>
+                  <p className="whitespace-pre-wrap">{message.text}</p>
+                  {message.proposals?.length > 0 && (
+                    <ul className="mt-3 space-y-2">
+                      {message.proposals.map((proposal, proposalIndex) => (
+                        <li
+                          key={proposalIndex}
+                          className={`p-2 rounded border ${theme === 'light' ? 'border-gray-300 bg-white' : 'border-gray-600 bg-gray-800'}`}
+                        >
+                          <p className={`text-xs font-semibold ${mutedText}`}>
+                            {proposal.sectionTitle}{proposal.replaces > 0 && ` · rewrites #${proposal.replaces}`}
+                          </p>
+                          <p>{formatItem(proposal.item)}</p>
+                          {proposal.applied ? (
+                            <p className="text-xs text-green-600 mt-1">Added to the analysis</p>
+                          ) : canApply && (
+                            <div className="flex gap-3 mt-1">
+                              {proposal.replaces > 0 && (
+                                <button
+                                  onClick={() => onApply(messageIndex, proposalIndex, proposal)}
+                                  className="text-xs text-indigo-600 hover:text-indigo-700"
+                                >
+                                  Replace #{proposal.replaces}
+                                </button>
+                              )}
+                              <button
+                                onClick={() => onApply(messageIndex, proposalIndex, { ...proposal, replaces: 0 })}
+                                className="text-xs text-indigo-600 hover:text-indigo-700"
+                              >
+                                Add as new item
+                              </button>
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {canApply && (answerTarget?.messageIndex === messageIndex ? (
+                    <div className="flex flex-wrap items-center gap-2 mt-3">
+                      <select
+                        value={answerTarget.sectionKey}
+                        onChange={(e) => setAnswerTarget({ ...answerTarget, sectionKey: e.target.value, replaces: 0 })}
+                        className={inputClass}
+                        aria-label="Section"
+                      >
+                        {sections.map(section => (
+                          <option key={section.key} value={section.key}>{section.title}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={answerTarget.replaces}
+                        onChange={(e) => setAnswerTarget({ ...answerTarget, replaces: Number(e.target.value) })}
+                        className={inputClass}
+                        aria-label="Position"
+                      >
+                        <option value={0}>As a new item</option>
+                        {targetItems.map((entry, index) => (
+                          <option key={index} value={index + 1}>Replace #{index + 1}</option>
+                        ))}
+                      </select>
+                      <button onClick={() => applyAnswer(messageIndex)} className="text-xs text-indigo-600 hover:text-indigo-700">
+                        Apply
+                      </button>
+                      <button onClick={() => setAnswerTarget(null)} className={`text-xs ${mutedText}`}>
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setAnswerTarget({ messageIndex, sectionKey: sections[0].key, replaces: 0 })}
+                      className="text-xs text-indigo-600 hover:text-indigo-700 mt-2"
+                    >
+                      Use this answer in the analysis…
+                    </button>
+                  ))}
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {busy && <p className={`text-sm mb-2 ${mutedText}`}>Thinking…</p>}
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <form onSubmit={submit} className="flex gap-2">
+        <textarea
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) submit(e);
+          }}
+          placeholder="Ask a follow-up question"
+          maxLength={MAX_QUESTION_LENGTH}
+          rows="2"
+          className={`flex-1 ${inputClass}`}
+        />
+        <button
+          type="submit"
+          disabled={busy || !question.trim()}
+          className="flex items-center px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 self-end disabled:opacity-50"
+        >
+          <Send size={14} className="mr-1" /> Ask
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default FollowUpChat;
@@ -0,0 +1,116 @@
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, Tooltip, Legend, ReferenceArea, Cell, ResponsiveContainer } from 'recharts';
+import { buildImpactLikelihoodPoints } from '../lib/scoring';
+import { tooltipStyle } from '../lib/constants';
+
+const SERIES = {
+  Opportunities: { name: 'Opportunities', color: '#10b981' },
+  Threats: { name: 'Threats', color: '#ef4444' }
+};
+
+const IMPACT_LABELS = { 1: 'Low', 2: 'Medium', 3: 'High' };
+
+// Heat bands: the further up and right, the more attention the item needs
+const BANDS = [0, 33, 66, 100].flatMap((x, xIndex, xs) => (xIndex === 3 ? [] : [1, 2, 3].map(impact => ({
+  x1: x,
+  x2: xs[xIndex + 1],
+  y1: impact - 0.5,
+  y2: impact + 0.5,
+  opacity: 0.05 + (xIndex + impact - 1) * 0.05
+}))));
+
+// Spread points that share the same impact so they do not hide each other
+const withJitter = (points) => points.map((point, index) => ({
+  ...point,
+  y: point.impact + ((index % 5) - 2) * 0.08
+}));
+
+const ImpactLikelihoodHeatmap = ({ swot, theme, highlightedId, onHighlight, onSelect }) => {
+  const points = withJitter(buildImpactLikelihoodPoints(swot));
+  const unplotted = ['Opportunities', 'Threats'].reduce((sum, section) => sum + swot[section].length, 0) - points.length;
+
+  return (
+    <div>
+      <h3 className="text-lg font-poppins font-medium mb-2">Impact vs Likelihood</h3>
+      {points.length > 0 ? (
+        <div className="h-[360px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <ScatterChart margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+              {BANDS.map(band => (
+                <ReferenceArea
+                  key={`${band.x1}-${band.y1}`}
+                  x1={band.x1}
+                  x2={band.x2}
+                  y1={band.y1}
+                  y2={band.y2}
+                  fill="#f59e0b"
+                  fillOpacity={band.opacity}
+                  stroke="none"
+                />
+              ))}
+              <XAxis
+                type="number"
+                dataKey="likelihood"
+                name="Probability / likelihood"
+                domain={[0, 100]}
+                unit="%"
+                label={{ value: 'Probability / likelihood', position: 'insideBottom', offset: -10 }}
+              />
+              <YAxis
+                type="number"
+                dataKey="y"
+                name="Impact"
+                domain={[0.5, 3.5]}
+                ticks={[1, 2, 3]}
+                tickFormatter={(value) => IMPACT_LABELS[value]}
+              />
+              <ZAxis range={[80, 80]} />
+              <Tooltip
+                cursor={false}
+                contentStyle={tooltipStyle(theme)}
+                content={({ payload }) => {
+                  const point = payload?.[0]?.payload;
+                  if (!point) return null;
+                  return (
+                    <div className="p-2 text-sm rounded border" style={tooltipStyle(theme)}>
+                      <p className="font-semibold">{point.text}</p>
+                      <p>{SERIES[point.section].name.slice(0, -1)} · {point.likelihood}% · {IMPACT_LABELS[point.impact]} impact</p>
+                    </div>
+                  );
+                }}
+              />
+              <Legend verticalAlign="top" />
+              {Object.entries(SERIES).map(([section, { name, color }]) => (
+                <Scatter
+                  key={section}
+                  name={name}
+                  data={points.filter(point => point.section === section)}
+                  fill={color}
+                  onMouseEnter={(point) => onHighlight(point.id)}
+                  onMouseLeave={() => onHighlight(null)}
+                  onClick={(point) => onSelect(point.id)}
+                  className="cursor-pointer"
+                >
+                  {points.filter(point => point.section === section).map(point => (
+                    <Cell
+                      key={point.id}
+                      fill={color}
+                      stroke={highlightedId === point.id ? '#111827' : color}
+                      strokeWidth={highlightedId === point.id ? 3 : 1}
+                    />
+                  ))}
+                </Scatter>
+              ))}
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No opportunities or threats with a probability to plot.</p>
+      )}
+      {points.length > 0 && unplotted > 0 && (
+        <p className="text-xs text-gray-500 mt-2">{unplotted} item(s) without a probability or likelihood are not plotted.</p>
+      )}
+    </div>
+  );
+};
+
+export default ImpactLikelihoodHeatmap;
@@ -0,0 +1,74 @@
+import { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { IMPORT_ACCEPT, ImportError, parseImportedAnalysis } from '../lib/importAnalysis';
+
+// Opens an analysis exported as JSON or CSV. A file with several analyses
+// (a bulk export) lists them so one can be picked.
+const ImportAnalysis = ({ theme, onImport, onError }) => {
+  const inputRef = useRef(null);
+  const [choices, setChoices] = useState([]);
+
+  const readFile = async (file) => {
+    try {
+      const analyses = await parseImportedAnalysis(file);
+      if (analyses.length === 1) {
+        setChoices([]);
+        onImport(analyses[0]);
+      } else {
+        setChoices(analyses);
+      }
+    } catch (err) {
+      console.error("Import Error:", err);
+      onError(err instanceof ImportError ? err.message : 'Failed to read the file. Please try again.');
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="flex items-center text-sm text-indigo-600 hover:text-indigo-700"
+      >
+        <Upload size={16} className="mr-1" /> Import analysis (JSON or CSV export)
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) readFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+      {choices.length > 0 && (
+        <div className={`mt-2 p-3 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm font-medium">This file has {choices.length} analyses. Open one:</p>
+            <button onClick={() => setChoices([])} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          </div>
+          <ul className="space-y-1 max-h-60 overflow-y-auto">
+            {choices.map((analysis, index) => (
+              <li key={index}>
+                <button
+                  onClick={() => {
+                    setChoices([]);
+                    onImport(analysis);
+                  }}
+                  className="w-full text-left text-sm p-2 rounded hover:bg-indigo-100 hover:text-gray-900"
+                >
+                  <span className="font-semibold">{analysis.insightType}</span> · {analysis.mode} · {analysis.input.slice(0, 100)}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportAnalysis;
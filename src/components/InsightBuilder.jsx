@@ -0,0 +1,133 @@
+import { motion } from 'framer-motion';
+import { INSIGHT_TYPES } from '../lib/insightTypes';
+import { MODES, intakeEntries } from '../lib/modes';
+import { MAX_INPUT_LENGTH } from '../lib/constants';
+import IntakeForm from './IntakeForm';
+import SourceAttachments from './SourceAttachments';
+import ImportAnalysis from './ImportAnalysis';
+import ModelSettings from './ModelSettings';
+
+// The form an analysis is generated from: mode, insight type, intake answers,
+// description, attached sources and model settings. `form` is
+// { mode, insightType, input, modeInputs } and `onChange` receives changed fields.
+const InsightBuilder = ({
+  theme,
+  form,
+  onChange,
+  onClear,
+  attachments,
+  settings,
+  onSettingsChange,
+  loading,
+  onGenerate,
+  onCancel,
+  onImport,
+  onError
+}) => {
+  const { mode, insightType, input, modeInputs } = form;
+  const fieldClass = `w-full border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+
+  return (
+    <motion.section
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
+    >
+      <h2 className="text-2xl font-poppins font-semibold mb-4">Insight Builder</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="builder-mode" className="block text-sm font-medium mb-2">Select Mode</label>
+          <select
+            id="builder-mode"
+            value={mode}
+            onChange={(e) => onChange({ mode: e.target.value })}
+            className={`p-2 ${fieldClass}`}
+          >
+            {Object.keys(MODES).map(name => (
+              <option key={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="builder-insight-type" className="block text-sm font-medium mb-2">Insight Type</label>
+          <select
+            id="builder-insight-type"
+            value={insightType}
+            onChange={(e) => onChange({ insightType: e.target.value })}
+            className={`p-2 ${fieldClass}`}
+          >
+            {Object.keys(INSIGHT_TYPES).map(name => (
+              <option key={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <IntakeForm
+        theme={theme}
+        mode={mode}
+        values={modeInputs}
+        onChange={(key, value) => onChange({ modeInputs: { ...modeInputs, [key]: value } })}
+      />
+      <div className="flex justify-between items-end mt-4 mb-2">
+        <label htmlFor="builder-description" className="block text-sm font-medium">Business Description</label>
+        {(input || Object.values(modeInputs).some(Boolean)) && (
+          <button type="button" onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+            Clear form
+          </button>
+        )}
+      </div>
+      <textarea
+        id="builder-description"
+        value={input}
+        onChange={(e) => onChange({ input: e.target.value })}
+        placeholder="e.g., I want to build an edtech startup focused on coding for kids."
+        className={`p-3 ${fieldClass}`}
+        rows="4"
+        maxLength={MAX_INPUT_LENGTH}
+      />
+      {input.trim().length < 80 && intakeEntries(mode, modeInputs).length === 0 && (
+        <p className={`text-xs mt-1 ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+          A one-line description gives a generic analysis. Answering a few intake questions above makes it specific to your business.
+        </p>
+      )}
+      <SourceAttachments
+        theme={theme}
+        sources={attachments.sources}
+        busy={attachments.reading}
+        onAdd={attachments.add}
+        onRemove={attachments.remove}
+      />
+      <ImportAnalysis theme={theme} onImport={onImport} onError={onError} />
+      <ModelSettings theme={theme} settings={settings} onChange={onSettingsChange} />
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={onGenerate}
+        className="mt-4 px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition duration-200"
+        disabled={loading}
+      >
+        {loading ? (
+          <span className="flex items-center justify-center">
+            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            Generating...
+          </span>
+        ) : 'Generate Insights'}
+      </motion.button>
+      {loading && (
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onCancel}
+          className="mt-4 ml-2 px-6 py-3 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-200"
+        >
+          Cancel
+        </motion.button>
+      )}
+    </motion.section>
+  );
+};
+
+export default InsightBuilder;
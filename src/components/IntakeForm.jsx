@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { getMode } from '../lib/modes';
+import { MAX_INTAKE_LENGTH } from '../lib/constants';
+
+// Optional structured questions about the business, which vary by mode. The
+// answers are sent with the prompt and saved with the insight.
+const IntakeForm = ({ theme, mode, values, onChange }) => {
+  const [open, setOpen] = useState(true);
+  const { fields } = getMode(mode);
+  const filled = fields.filter(field => values[field.key]?.trim()).length;
+  const inputClass = `w-full p-2 border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+
+  return (
+    <div className="mt-4">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center text-sm font-medium"
+        aria-expanded={open}
+      >
+        {open ? <ChevronDown size={16} className="mr-1" /> : <ChevronRight size={16} className="mr-1" />}
+        Guided intake (optional)
+        <span className={`ml-2 font-normal ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+          {filled} of {fields.length} answered
+        </span>
+      </button>
+      {open && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+          {fields.map(field => (
+            <div key={field.key} className={field.type === 'textarea' ? 'md:col-span-2' : ''}>
+              <label htmlFor={`intake-${field.key}`} className="block text-sm font-medium mb-2">{field.label}</label>
+              {field.type === 'select' ? (
+                <select
+                  id={`intake-${field.key}`}
+                  value={values[field.key] || ''}
+                  onChange={(e) => onChange(field.key, e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Not specified</option>
+                  {field.options.map(option => (
+                    <option key={option}>{option}</option>
+                  ))}
+                </select>
+              ) : field.type === 'textarea' ? (
+                <textarea
+                  id={`intake-${field.key}`}
+                  value={values[field.key] || ''}
+                  onChange={(e) => onChange(field.key, e.target.value)}
+                  placeholder={field.placeholder}
+                  className={inputClass}
+                  rows="2"
+                  maxLength={MAX_INTAKE_LENGTH}
+                />
+              ) : (
+                <input
+                  id={`intake-${field.key}`}
+                  type="text"
+                  value={values[field.key] || ''}
+                  onChange={(e) => onChange(field.key, e.target.value)}
+                  placeholder={field.placeholder}
+                  className={inputClass}
+                  maxLength={MAX_INTAKE_LENGTH}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IntakeForm;
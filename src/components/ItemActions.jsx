@@ -0,0 +1,49 @@
+import { X } from 'lucide-react';
+import { ITEM_ACTIONS, itemKey } from '../lib/itemActions';
+
+// Regenerate / refine / explain links under a single item, and its explanation once asked for.
+// `actions` is { pending, explanations, onRun, onDismiss, onEvidence } from the dashboard;
+// ItemEvidence uses `onEvidence` to replace an item with its evidence changed.
+const ItemActions = ({ theme, sectionKey, index, item, actions }) => {
+  const key = itemKey(sectionKey, item);
+  const explanation = actions.explanations[key];
+  const running = actions.pending?.key === key;
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  return (
+    <div className="text-xs">
+      {running ? (
+        <span className={mutedText}>{ITEM_ACTIONS[actions.pending.action].label}…</span>
+      ) : (
+        <span className="flex flex-wrap gap-x-3 md:opacity-0 md:group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+          {Object.entries(ITEM_ACTIONS).map(([action, { label }]) => (
+            <button
+              key={action}
+              type="button"
+              onClick={() => actions.onRun(sectionKey, index, action)}
+              disabled={Boolean(actions.pending)}
+              className="text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+            >
+              {label}
+            </button>
+          ))}
+        </span>
+      )}
+      {explanation && (
+        <div className={`relative mt-1 p-2 pr-6 rounded ${theme === 'light' ? 'bg-indigo-50 text-gray-800' : 'bg-gray-700 text-gray-100'}`}>
+          <p className="whitespace-pre-wrap">{explanation}</p>
+          <button
+            type="button"
+            onClick={() => actions.onDismiss(key)}
+            className={`absolute top-1 right-1 ${mutedText} hover:text-gray-700`}
+            aria-label="Close explanation"
+          >
+            <X size={12} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemActions;
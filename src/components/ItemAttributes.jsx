@@ -0,0 +1,21 @@
+import { attributeLabel, formatAttributeValue } from '../lib/insightParser';
+
+const ItemAttributes = ({ attributes, theme, exclude = [] }) => {
+  const entries = Object.entries(attributes || {}).filter(([key]) => !exclude.includes(key));
+  if (entries.length === 0) return null;
+
+  return (
+    <span className="flex flex-wrap gap-1 mt-1">
+      {entries.map(([key, value]) => (
+        <span
+          key={key}
+          className={`text-xs px-2 py-0.5 rounded ${theme === 'light' ? 'bg-gray-100 text-gray-600' : 'bg-gray-700 text-gray-300'}`}
+        >
+          {attributeLabel(key)}: {formatAttributeValue(key, value)}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default ItemAttributes;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Link2, StickyNote, X } from 'lucide-react';
+import { MAX_SUPPORT_LENGTH, MAX_SUPPORTING_SOURCES, addSupportingSource, isLink, isUnverified, removeSupportingSource, verificationOf } from '../lib/evidence';
+
+// What a claim rests on, whether it still needs checking, and the links and
+// notes the user attached to back it up. `actions` is the dashboard's item
+// actions (see ItemActions); without them the evidence is read-only.
+const ItemEvidence = ({ theme, sectionKey, item, actions }) => {
+  const [adding, setAdding] = useState(false);
+  const [value, setValue] = useState('');
+  const verification = verificationOf(item);
+  const supporting = item.supportingSources || [];
+  if (!verification && supporting.length === 0) return null;
+
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+  const unverified = isUnverified(item);
+  const update = actions && ((next) => actions.onEvidence(sectionKey, item, next));
+
+  const add = (e) => {
+    e.preventDefault();
+    update(addSupportingSource(item, value));
+    setValue('');
+    setAdding(false);
+  };
+
+  return (
+    <div className="text-xs mt-1">
+      <div className="flex flex-wrap items-center gap-x-2">
+        {unverified ? (
+          <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">Needs verification</span>
+        ) : verification?.needsVerification && (
+          <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-800">Checked</span>
+        )}
+        {verification?.confidence && <span className={mutedText}>{verification.confidence} confidence</span>}
+        {verification?.basis && <span className={mutedText}>· {verification.basis}</span>}
+        {update && supporting.length < MAX_SUPPORTING_SOURCES && !adding && (
+          <button type="button" onClick={() => setAdding(true)} className="text-indigo-600 hover:text-indigo-700">
+            Add source
+          </button>
+        )}
+      </div>
+      {supporting.length > 0 && (
+        <ul className="mt-1 space-y-0.5">
+          {supporting.map((source, index) => (
+            <li key={`${index}-${source.value}`} className="flex items-start">
+              {isLink(source) ? (
+                <>
+                  <Link2 size={12} className={`mr-1 mt-0.5 shrink-0 ${mutedText}`} />
+                  <a href={source.value} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline break-all">
+                    {source.value}
+                  </a>
+                </>
+              ) : (
+                <>
+                  <StickyNote size={12} className={`mr-1 mt-0.5 shrink-0 ${mutedText}`} />
+                  <span className="whitespace-pre-wrap">{source.value}</span>
+                </>
+              )}
+              {update && (
+                <button
+                  type="button"
+                  onClick={() => update(removeSupportingSource(item, index))}
+                  className={`ml-1 ${mutedText} hover:text-red-600`}
+                  aria-label="Remove source"
+                >
+                  <X size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {adding && (
+        <form onSubmit={add} className="flex space-x-2 mt-1">
+          <input
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="A link (https://…) or a note on how this was checked"
+            maxLength={MAX_SUPPORT_LENGTH}
+            className={`flex-1 p-1 border rounded ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`}
+            aria-label="Supporting source"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={!value.trim()}
+            className="px-2 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Add
+          </button>
+          <button type="button" onClick={() => setAdding(false)} className={mutedText}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ItemEvidence;
@@ -0,0 +1,67 @@
+import { TrendingUp, TrendingDown, ArrowRight } from 'lucide-react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import ItemAttributes from './ItemAttributes';
+import SourceBadges from './SourceBadges';
+import ItemEvidence from './ItemEvidence';
+import { COLORS, tooltipStyle } from '../lib/constants';
+
+const directionIcon = (direction) => {
+  const value = String(direction ?? '').toLowerCase();
+  if (/ris|up|grow|increas/.test(value)) return <TrendingUp size={20} className="text-green-600" />;
+  if (/declin|down|fall|decreas/.test(value)) return <TrendingDown size={20} className="text-red-600" />;
+  return <ArrowRight size={20} className="text-gray-500" />;
+};
+
+const MarketTrendsResults = ({ insights, theme, itemActions }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+    <div>
+      <h3 className="text-lg font-poppins font-medium mb-2">Market Trends</h3>
+      {insights.trends.length > 0 ? (
+        <ul className="space-y-3">
+          {insights.trends.map((trend, i) => (
+            <li key={i} className="flex items-start space-x-3">
+              <span className="mt-0.5">{directionIcon(trend.direction)}</span>
+              <div className="flex-1">
+                <h4 className="font-semibold text-sm">
+                  {trend.title}
+                  <SourceBadges item={trend} sources={insights.sources} theme={theme} />
+                </h4>
+                {trend.description && <p className="text-sm">{trend.description}</p>}
+                <p className={`text-xs mt-1 ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+                  {trend.direction || 'Unknown direction'} · {trend.timeHorizon || 'No horizon given'} · {typeof trend.confidence === 'number' ? `${trend.confidence}% confidence` : 'Confidence not stated'}
+                </p>
+                <ItemAttributes
+                  attributes={trend.attributes}
+                  theme={theme}
+                  exclude={['direction', 'timeHorizon', 'confidence']}
+                />
+                <ItemEvidence theme={theme} sectionKey="trends" item={trend} actions={itemActions} />
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No market trends identified</p>
+      )}
+    </div>
+    {insights.chartData.length > 0 && (
+      <div className="h-[300px] flex flex-col items-center">
+        <h4 className="text-sm font-medium mb-2">Trend Confidence</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={insights.chartData} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <XAxis type="number" domain={[0, 100]} unit="%" />
+            <YAxis type="category" dataKey="name" width={120} />
+            <Tooltip formatter={(value) => [`${value}%`, 'Confidence']} contentStyle={tooltipStyle(theme)} />
+            <Bar dataKey="value" radius={[0, 4, 4, 0]}>
+              {insights.chartData.map((entry, index) => (
+                <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    )}
+  </div>
+);
+
+export default MarketTrendsResults;
@@ -0,0 +1,61 @@
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ItemAttributes from './ItemAttributes';
+import SourceBadges from './SourceBadges';
+import ItemEvidence from './ItemEvidence';
+import { COLORS, tooltipStyle } from '../lib/constants';
+import { getMode } from '../lib/modes';
+
+// Extra output sections contributed by the selected mode (content pillars, channel mix, ...)
+// With `itemActions` the user can attach evidence to the items
+const ModeSections = ({ insights, theme, itemActions = null }) => {
+  const sections = getMode(insights.mode).extraSections
+    .filter(section => insights.extras?.[section.key]?.length > 0);
+  if (sections.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+      {sections.map(section => {
+        const items = insights.extras[section.key];
+        const shareData = section.chart === 'share'
+          ? items
+            .filter(item => typeof item.attributes.share === 'number')
+            .map(item => ({ name: item.title, value: item.attributes.share }))
+          : [];
+
+        return (
+          <div key={section.key}>
+            <h3 className="text-lg font-poppins font-medium mb-2">{section.title}</h3>
+            <ul className="space-y-2">
+              {items.map((item, i) => (
+                <li key={i} className="text-sm">
+                  <span className="font-semibold">{item.title}</span>
+                  {item.description && <span>: {item.description}</span>}
+                  <SourceBadges item={item} sources={insights.sources} theme={theme} />
+                  <ItemAttributes attributes={item.attributes} theme={theme} />
+                  <ItemEvidence theme={theme} sectionKey={`extras.${section.key}`} item={item} actions={itemActions} />
+                </li>
+              ))}
+            </ul>
+            {shareData.length > 0 && (
+              <div className="h-[300px] flex flex-col items-center mt-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <PieChart>
+                    <Pie data={shareData} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={100}>
+                      {shareData.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value) => [`${value}%`, 'Share']} contentStyle={tooltipStyle(theme)} />
+                    <Legend />
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ModeSections;
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { PROVIDERS, MIN_TEMPERATURE, MAX_TEMPERATURE, settingsProblem } from '../lib/llmSettings';
+
+// Provider, model and temperature used for generation, follow-up questions and item actions.
+// `onChange` receives the changed fields; the caller normalises and stores them.
+const ModelSettings = ({ theme, settings, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const provider = PROVIDERS[settings.provider];
+  const problem = settingsProblem(settings);
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+  const inputClass = `w-full p-2 border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+
+  return (
+    <div className="mt-4">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center text-sm font-medium"
+        aria-expanded={open}
+      >
+        {open ? <ChevronDown size={16} className="mr-1" /> : <ChevronRight size={16} className="mr-1" />}
+        Model settings
+        <span className={`ml-2 font-normal ${mutedText}`}>
+          {provider.label}{settings.model && ` · ${settings.model}`} · temperature {settings.temperature}
+        </span>
+      </button>
+      {open && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+          <div>
+            <label htmlFor="model-provider" className="block text-sm font-medium mb-2">Provider</label>
+            <select
+              id="model-provider"
+              value={settings.provider}
+              onChange={(e) => onChange({ provider: e.target.value, model: '' })}
+              className={inputClass}
+            >
+              {Object.entries(PROVIDERS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="model-name" className="block text-sm font-medium mb-2">Model</label>
+            {provider.models ? (
+              <select
+                id="model-name"
+                value={settings.model}
+                onChange={(e) => onChange({ model: e.target.value })}
+                className={inputClass}
+              >
+                {provider.models.map(model => (
+                  <option key={model}>{model}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                id="model-name"
+                type="text"
+                value={settings.model}
+                onChange={(e) => onChange({ model: e.target.value })}
+                placeholder="e.g., llama3.1 or gpt-4o-mini"
+                className={inputClass}
+              />
+            )}
+          </div>
+          {settings.provider === 'openai' && (
+            <>
+              <div>
+                <label htmlFor="model-base-url" className="block text-sm font-medium mb-2">Server URL</label>
+                <input
+                  id="model-base-url"
+                  type="url"
+                  value={settings.baseUrl}
+                  onChange={(e) => onChange({ baseUrl: e.target.value })}
+                  placeholder="http://localhost:11434/v1"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label htmlFor="model-api-key" className="block text-sm font-medium mb-2">API key (if the server needs one)</label>
+                <input
+                  id="model-api-key"
+                  type="password"
+                  value={settings.apiKey}
+                  onChange={(e) => onChange({ apiKey: e.target.value })}
+                  autoComplete="off"
+                  className={inputClass}
+                />
+                <label className="flex items-center text-sm mt-2">
+                  <input
+                    type="checkbox"
+                    checked={settings.rememberApiKey}
+                    onChange={(e) => onChange({ rememberApiKey: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Remember the key on this browser
+                </label>
+                <p className={`text-xs mt-1 ${mutedText}`}>
+                  The key is sent only to the server above. Unless it is remembered, it is forgotten when this tab closes.
+                  A remembered key stays in this browser's storage, where any script running on this site could read it,
+                  until you sign out or clear it.
+                </p>
+              </div>
+            </>
+          )}
+          <div className="md:col-span-2">
+            <label htmlFor="model-temperature" className="block text-sm font-medium mb-2">
+              Temperature: {settings.temperature}
+            </label>
+            <input
+              id="model-temperature"
+              type="range"
+              min={MIN_TEMPERATURE}
+              max={MAX_TEMPERATURE}
+              step="0.1"
+              value={settings.temperature}
+              onChange={(e) => onChange({ temperature: Number(e.target.value) })}
+              className="w-full accent-indigo-600"
+            />
+            <p className={`text-xs mt-1 ${mutedText}`}>
+              Lower values give more consistent analyses, higher values more varied ones.
+              {settings.provider === 'mock' && ' The mock provider returns the same recorded response every time and ignores it.'}
+            </p>
+          </div>
+          {problem && <p className="md:col-span-2 text-sm text-red-600">{problem}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSettings;
@@ -0,0 +1,84 @@
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ItemAttributes from './ItemAttributes';
+import SourceBadges from './SourceBadges';
+import ItemEvidence from './ItemEvidence';
+import { COLORS, tooltipStyle } from '../lib/constants';
+
+const LEVEL_BADGES = {
+  high: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-red-100 text-red-800'
+};
+
+// Effort is the inverse of feasibility: high effort is the warning colour
+const EFFORT_BADGES = {
+  high: LEVEL_BADGES.low,
+  medium: LEVEL_BADGES.medium,
+  low: LEVEL_BADGES.high
+};
+
+const badgeClass = (badges, value) =>
+  badges[String(value ?? '').trim().toLowerCase().split(/[\s/]/)[0]] || 'bg-gray-100 text-gray-700';
+
+const ProductIdeasResults = ({ insights, theme, itemActions }) => (
+  <div className="space-y-6">
+    <div>
+      <h3 className="text-lg font-poppins font-medium mb-2">Product Ideas</h3>
+      {insights.ideas.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {insights.ideas.map((idea, i) => (
+            <div
+              key={i}
+              className={`p-4 rounded-lg border ${theme === 'light' ? 'border-gray-200 bg-gray-50' : 'border-gray-600 bg-gray-700'}`}
+            >
+              <h4 className="font-semibold">
+                {idea.title}
+                <SourceBadges item={idea} sources={insights.sources} theme={theme} />
+              </h4>
+              {idea.description && <p className="text-sm mt-1">{idea.description}</p>}
+              <dl className="mt-3 space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Target user</dt>
+                  <dd className="text-right ml-4">{idea.targetUser || '—'}</dd>
+                </div>
+                <div className="flex justify-between items-center">
+                  <dt className="text-gray-500">Feasibility</dt>
+                  <dd className={`text-xs px-2 py-0.5 rounded ${badgeClass(LEVEL_BADGES, idea.feasibility)}`}>{idea.feasibility || 'Unknown'}</dd>
+                </div>
+                <div className="flex justify-between items-center">
+                  <dt className="text-gray-500">Effort</dt>
+                  <dd className={`text-xs px-2 py-0.5 rounded ${badgeClass(EFFORT_BADGES, idea.effort)}`}>{idea.effort || 'Unknown'}</dd>
+                </div>
+              </dl>
+              <ItemAttributes
+                attributes={idea.attributes}
+                theme={theme}
+                exclude={['targetUser', 'feasibility', 'effort']}
+              />
+              <ItemEvidence theme={theme} sectionKey="ideas" item={idea} actions={itemActions} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No product ideas identified</p>
+      )}
+    </div>
+    {insights.chartData.length > 0 && (
+      <div className="h-[300px] flex flex-col items-center">
+        <h4 className="text-sm font-medium mb-2">Feasibility vs Effort</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={insights.chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <XAxis dataKey="name" />
+            <YAxis domain={[0, 3]} ticks={[0, 1, 2, 3]} />
+            <Tooltip contentStyle={tooltipStyle(theme)} />
+            <Legend />
+            <Bar dataKey="feasibility" name="Feasibility" fill={COLORS[1]} radius={[4, 4, 0, 0]} />
+            <Bar dataKey="effort" name="Effort" fill={COLORS[2]} radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    )}
+  </div>
+);
+
+export default ProductIdeasResults;
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import { Sun, Moon } from 'lucide-react';
+import ItemAttributes from './ItemAttributes';
+import SourceBadges from './SourceBadges';
+import ModeSections from './ModeSections';
+import { RESULT_VIEWS } from './resultViews';
+import { getInsightType, restoreInsight } from '../lib/insightTypes';
+import { intakeEntries } from '../lib/modes';
+import { db } from '../services/firebase';
+import { fetchPublicReport } from '../services/publicReports';
+import '../App.css';
+
+// Read-only page for a public report link (`?report=<id>`); needs no sign-in
+const ReportView = ({ reportId }) => {
+  const [theme, setTheme] = useState('light');
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    fetchPublicReport(db, reportId)
+      .then(data => {
+        if (!data) {
+          setStatus('unavailable');
+          return;
+        }
+        setReport({ ...restoreInsight(data), timestamp: data.timestamp, expiresAt: data.expiresAt.toDate() });
+        setStatus('ready');
+      })
+      .catch(error => {
+        console.error("Report Error:", error);
+        setStatus('error');
+      });
+  }, [reportId]);
+
+  const ResultsView = report ? RESULT_VIEWS[getInsightType(report.insightType).view] : null;
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  return (
+    <div className={`min-h-screen ${theme === 'light' ? 'bg-gray-100 text-gray-900' : 'bg-gray-900 text-white'} font-inter transition-colors duration-300`}>
+      <header className="p-4 flex justify-between items-center">
+        <a href={window.location.pathname} className="text-3xl font-poppins font-bold text-indigo-600">InsightCraft</a>
+        <button
+          onClick={() => setTheme(prev => (prev === 'light' ? 'dark' : 'light'))}
+          className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+        >
+          {theme === 'light' ? <Moon size={24} /> : <Sun size={24} />}
+        </button>
+      </header>
+      <main className="max-w-5xl mx-auto p-4">
+        <section className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6`}>
+          {status === 'loading' && <p className="text-sm">Loading report…</p>}
+          {status === 'unavailable' && (
+            <p className="text-sm">This report link has expired, been revoked or does not exist.</p>
+          )}
+          {status === 'error' && <p className="text-sm text-red-600">Failed to load the report. Please try again later.</p>}
+          {status === 'ready' && (
+            <>
+              <h2 className="text-2xl font-poppins font-semibold">{report.insightType}</h2>
+              <p className={`text-sm ${mutedText}`}>
+                {report.mode} · {report.timestamp.toLocaleDateString()} · Read-only link, expires {report.expiresAt.toLocaleDateString()}
+              </p>
+              <p className="text-sm mt-2 mb-2">{report.input}</p>
+              <ul className={`text-sm mb-6 ${mutedText}`}>
+                {intakeEntries(report.mode, report.modeInputs).map(([label, value]) => (
+                  <li key={label}><span className="font-medium">{label}:</span> {value}</li>
+                ))}
+              </ul>
+              {report.summary && (
+                <div className="mb-6">
+                  <h3 className="text-lg font-poppins font-medium mb-2">Core Analysis</h3>
+                  <p className="text-sm">{report.summary}</p>
+                </div>
+              )}
+              <ResultsView insights={report} theme={theme} />
+              <ModeSections insights={report} theme={theme} />
+              {report.recommendations.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-lg font-poppins font-medium mb-2">Strategic Recommendations</h3>
+                  <ol className="list-decimal pl-5">
+                    {report.recommendations.map((item, i) => (
+                      <li key={i} className="text-sm">
+                        {item.text}
+                        <SourceBadges item={item} sources={report.sources} theme={theme} />
+                        <ItemAttributes attributes={item.attributes} theme={theme} />
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default ReportView;
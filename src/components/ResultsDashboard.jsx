@@ -0,0 +1,194 @@
+import { motion } from 'framer-motion';
+import { Download, Save, Pencil, Check, Undo2 } from 'lucide-react';
+import { getInsightType } from '../lib/insightTypes';
+import { intakeEntries } from '../lib/modes';
+import { describeGeneratedBy } from '../lib/llmSettings';
+import { PRINT_THEMES } from '../lib/pdfReport';
+import { claimCount, unverifiedClaims } from '../lib/evidence';
+import { RESULT_VIEWS } from './resultViews';
+import ModeSections from './ModeSections';
+import EditableItemList from './EditableItemList';
+import ItemAttributes from './ItemAttributes';
+import ItemActions from './ItemActions';
+import SourceBadges from './SourceBadges';
+import ExportMenu from './ExportMenu';
+
+// The open analysis: its charts and sections, recommendations, edit and save
+// buttons and exports. Version history, share links and comments for saved
+// insights are passed as `children` and shown below the recommendations.
+// `itemActions` is null when items cannot be reworked (see ItemActions).
+const ResultsDashboard = ({
+  theme,
+  insights,
+  workspaceLabel,
+  editing,
+  canEdit,
+  canSave,
+  onToggleEditing,
+  onSave,
+  onEditItems,
+  onEditRecommendations,
+  itemActions,
+  onUndo,
+  printTheme,
+  onPrintThemeChange,
+  onExportPdf,
+  onExport,
+  children
+}) => {
+  const ResultsView = RESULT_VIEWS[getInsightType(insights.insightType).view];
+  const context = intakeEntries(insights.mode, insights.modeInputs);
+  const mutedText = theme === 'light' ? 'text-gray-600' : 'text-gray-300';
+  const unverified = insights.streaming ? [] : unverifiedClaims(insights);
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0 }}
+      className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6 mb-6`}
+    >
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-2xl font-poppins font-semibold">Results Dashboard</h2>
+          <p className={`text-sm ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+            {insights.insightType} · {insights.mode}
+            {insights.version && ` · Version ${insights.version}`}
+            {insights.generatedBy && ` · ${describeGeneratedBy(insights.generatedBy)}`}
+            {workspaceLabel && ` · ${workspaceLabel}`}
+            {insights.imported && ' · Imported'}
+            {insights.edited && ' · Unsaved changes'}
+            {insights.streaming && ' · Generating…'}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          {!insights.streaming && canEdit && (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              onClick={onToggleEditing}
+              className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700"
+            >
+              {editing ? <Check size={20} className="mr-2" /> : <Pencil size={20} className="mr-2" />}
+              {editing ? 'Done' : 'Edit'}
+            </motion.button>
+          )}
+          {canSave && !insights.streaming && (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              onClick={onSave}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              <Save size={20} className="mr-2" /> {insights.id ? 'Save Version' : 'Save Insight'}
+            </motion.button>
+          )}
+          <select
+            value={printTheme}
+            onChange={(e) => onPrintThemeChange(e.target.value)}
+            className={`p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
+            aria-label="PDF theme"
+          >
+            {Object.entries(PRINT_THEMES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label} PDF</option>
+            ))}
+          </select>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            onClick={onExportPdf}
+            disabled={insights.streaming}
+            className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            <Download size={20} className="mr-2" /> Export PDF
+          </motion.button>
+          <ExportMenu theme={theme} disabled={insights.streaming} onExport={onExport} />
+        </div>
+      </div>
+      {insights.partial && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-sm" role="status">
+          Generation did not finish, so these results are partial.
+        </div>
+      )}
+      {insights.summary && (
+        <div className="mb-6">
+          <h3 className="text-lg font-poppins font-medium mb-2">Core Analysis</h3>
+          <p className="text-sm">{insights.summary}</p>
+        </div>
+      )}
+      {context.length > 0 && (
+        <p className={`text-sm mb-2 ${mutedText}`}>
+          <span className="font-medium">Context:</span>{' '}
+          {context.map(([label, value]) => `${label}: ${value}`).join(' · ')}
+        </p>
+      )}
+      {insights.scenario && (
+        <p className={`text-sm mb-2 ${mutedText}`}>
+          <span className="font-medium">Scenario:</span> What if {insights.scenario.assumption}
+        </p>
+      )}
+      {insights.sources?.length > 0 && (
+        <p className={`text-sm mb-4 ${mutedText}`}>
+          <span className="font-medium">Sources:</span>{' '}
+          {insights.sources.map(source => `${source.id} ${source.name}`).join(' · ')}
+        </p>
+      )}
+      {unverified.length > 0 && (
+        <div className="bg-amber-50 border border-amber-300 text-amber-800 px-4 py-3 rounded mb-4 text-sm" role="status">
+          <p>
+            <span className="font-medium">{unverified.length} of {claimCount(insights)} claims need verification.</span>{' '}
+            They rest on estimates rather than sources. Check them, then add a link or a note to each to mark it as checked.
+          </p>
+          <ul className="list-disc pl-5 mt-1">
+            {unverified.map(({ section, item, index }) => (
+              <li key={`${section.key}-${index}`}>{section.title} #{index + 1}: {item.title || item.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {insights.undoStack?.length > 0 && (
+        <div className={`flex justify-between items-center text-sm mb-4 p-2 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          <span>{insights.undoStack[insights.undoStack.length - 1].label}</span>
+          <button onClick={onUndo} className="flex items-center text-indigo-600 hover:text-indigo-700">
+            <Undo2 size={14} className="mr-1" /> Undo{insights.undoStack.length > 1 && ` (${insights.undoStack.length})`}
+          </button>
+        </div>
+      )}
+      <ResultsView
+        insights={insights}
+        theme={theme}
+        editing={editing}
+        onEditItems={onEditItems}
+        itemActions={itemActions}
+      />
+      <ModeSections insights={insights} theme={theme} itemActions={itemActions} />
+      {editing ? (
+        <div className="mt-6">
+          <h3 className="text-lg font-poppins font-medium mb-2">Strategic Recommendations</h3>
+          <EditableItemList
+            items={insights.recommendations || []}
+            onChange={onEditRecommendations}
+            theme={theme}
+            addLabel="Add recommendation"
+          />
+        </div>
+      ) : insights.recommendations?.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-lg font-poppins font-medium mb-2">Strategic Recommendations</h3>
+          <ol className="list-decimal pl-5">
+            {insights.recommendations.map((item, i) => (
+              <li key={i} className="group text-sm">
+                {item.text}
+                <SourceBadges item={item} sources={insights.sources} theme={theme} />
+                <ItemAttributes attributes={item.attributes} theme={theme} />
+                {itemActions && (
+                  <ItemActions theme={theme} sectionKey="recommendations" index={i} item={item} actions={itemActions} />
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+      {children}
+    </motion.section>
+  );
+};
+
+export default ResultsDashboard;
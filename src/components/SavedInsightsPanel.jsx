@@ -0,0 +1,387 @@
+import { useEffect, useRef, useState } from 'react';
+import { Columns, Folder, Search, Star, Tag, Trash2 } from 'lucide-react';
+import { INSIGHT_TYPES } from '../lib/insightTypes';
+import { MODES } from '../lib/modes';
+import { parseTags } from '../lib/savedSearch';
+import { MAX_COMPARED } from '../lib/compareInsights';
+import { actionProgress } from '../lib/actionPlan';
+
+const EMPTY_FILTERS = {
+  search: '',
+  insightType: '',
+  mode: '',
+  folder: '',
+  tag: '',
+  from: '',
+  to: '',
+  pinnedOnly: false
+};
+
+// Date inputs give yyyy-mm-dd; the range covers both days completely
+const toQueryFilters = (filters) => ({
+  ...filters,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`) : null,
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`) : null
+});
+
+// Share of the insight's tracked actions that are done
+const ActionProgress = ({ plan, theme }) => {
+  const { done, total, percent } = actionProgress(plan);
+  return (
+    <div className="flex items-center mt-2 max-w-xs">
+      <div className={`flex-1 h-1.5 rounded ${theme === 'light' ? 'bg-gray-300' : 'bg-gray-600'}`}>
+        <div className="h-1.5 rounded bg-green-500" style={{ width: `${percent}%` }} />
+      </div>
+      <span className={`ml-2 text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+        {done} of {total} actions done
+      </span>
+    </div>
+  );
+};
+
+const OrganiseForm = ({ insight, folders, theme, onSave, onCancel }) => {
+  const [tags, setTags] = useState((insight.tags || []).join(', '));
+  const [folder, setFolder] = useState(insight.folder || '');
+  const inputClass = `p-1 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2">
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+        className={inputClass}
+      />
+      <input
+        value={folder}
+        onChange={(e) => setFolder(e.target.value)}
+        placeholder="Folder"
+        list="saved-insight-folders"
+        className={inputClass}
+      />
+      <datalist id="saved-insight-folders">
+        {folders.map(name => <option key={name} value={name} />)}
+      </datalist>
+      <button
+        onClick={() => onSave({ tags: parseTags(tags), folder: folder.trim() })}
+        className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+      >
+        Save
+      </button>
+      <button onClick={onCancel} className="px-3 py-1 text-sm text-gray-500 hover:text-gray-700">
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+const SavedInsightsPanel = ({
+  theme,
+  canEdit,
+  refreshKey,
+  fetchPage,
+  fetchPinned,
+  fetchLibrary,
+  onOrganise,
+  onLoad,
+  onDelete,
+  onCompare
+}) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchText, setSearchText] = useState('');
+  const [items, setItems] = useState([]);
+  const [pinned, setPinned] = useState([]);
+  const [library, setLibrary] = useState({ tags: [], folders: [] });
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [organisingId, setOrganisingId] = useState(null);
+  const [error, setError] = useState(null);
+  // Insights ticked for the compare view
+  const [selected, setSelected] = useState([]);
+
+  // Bumped whenever the list is reloaded, so a page requested for the old list is dropped
+  const listGeneration = useRef(0);
+
+  const filtered = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+
+  useEffect(() => {
+    listGeneration.current += 1;
+    let cancelled = false;
+    let answered = false;
+    const load = (options) => Promise.all([
+      fetchPage(toQueryFilters(filters), null, options),
+      fetchPinned(options),
+      fetchLibrary(options)
+    ]);
+    const show = ([page, pinnedList, libraryData]) => {
+      setItems(page.items);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+      setPinned(pinnedList);
+      setLibrary(libraryData);
+      setError(null);
+    };
+    setLoading(true);
+    // What this device has cached shows at once; the server's answer replaces it
+    load({ fromCache: true })
+      .then(result => !cancelled && !answered && show(result))
+      .catch(() => {});
+    load()
+      .then(result => {
+        answered = true;
+        if (!cancelled) show(result);
+      })
+      .catch(err => {
+        console.error("Error fetching insights:", err);
+        // A missing composite index surfaces here as failed-precondition
+        if (!cancelled) setError('Failed to load saved insights. Please refresh the page.');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [filters, refreshKey, fetchPage, fetchPinned, fetchLibrary]);
+
+  const loadMore = async () => {
+    const generation = listGeneration.current;
+    setLoading(true);
+    try {
+      const page = await fetchPage(toQueryFilters(filters), cursor);
+      if (generation !== listGeneration.current) return;
+      setItems(prev => [...prev, ...page.items]);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      console.error("Error fetching insights:", err);
+      if (generation === listGeneration.current) setError('Failed to load more insights. Please try again.');
+    } finally {
+      if (generation === listGeneration.current) setLoading(false);
+    }
+  };
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const organise = async (insight, changes) => {
+    try {
+      const updated = await onOrganise(insight, changes);
+      setItems(prev => prev.map(entry => (entry.id === updated.id ? updated : entry)));
+      setPinned(prev => (updated.pinned
+        ? [updated, ...prev.filter(entry => entry.id !== updated.id)]
+        : prev.filter(entry => entry.id !== updated.id)));
+      setOrganisingId(null);
+      setLibrary(await fetchLibrary());
+    } catch (err) {
+      console.error("Error organising insight:", err);
+      setError('Failed to update the insight. Please try again.');
+    }
+  };
+
+  const toggleSelected = (insight) => setSelected(prev => (
+    prev.some(entry => entry.id === insight.id)
+      ? prev.filter(entry => entry.id !== insight.id)
+      : [...prev, insight].slice(0, MAX_COMPARED)
+  ));
+
+  const selectClass = `p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+
+  const renderInsight = (insight) => (
+    <div
+      key={insight.id}
+      className={`p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}
+    >
+      <div className="flex justify-between items-center">
+        <input
+          type="checkbox"
+          checked={selected.some(entry => entry.id === insight.id)}
+          disabled={selected.length >= MAX_COMPARED && !selected.some(entry => entry.id === insight.id)}
+          onChange={() => toggleSelected(insight)}
+          className="mr-3"
+          aria-label="Select for comparison"
+        />
+        <div
+          className="flex-1 cursor-pointer"
+          onClick={() => onLoad(insight)}
+        >
+          <h3 className="font-semibold">{insight.insightType}</h3>
+          <p className={`text-sm ${theme === 'light' ? 'text-gray-600' : 'text-gray-300'}`}>{insight.input}</p>
+          <p className={`text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+            {insight.timestamp.toLocaleString()}
+            {insight.mode && ` · ${insight.mode}`}
+            {insight.version > 1 && ` · Version ${insight.version}`}
+            {insight.scenario && ` · What if ${insight.scenario.assumption}`}
+            {insight.savedBy && ` · saved by ${insight.savedBy}`}
+          </p>
+          {insight.actionPlan?.length > 0 && <ActionProgress plan={insight.actionPlan} theme={theme} />}
+        </div>
+        {/* Viewers of a workspace cannot pin, tag or delete */}
+        {canEdit && (
+          <>
+            <button
+              onClick={() => organise(insight, { pinned: !insight.pinned })}
+              className={`p-2 transition-transform hover:scale-105 ${insight.pinned ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}`}
+              aria-label={insight.pinned ? 'Unpin' : 'Pin'}
+            >
+              <Star size={20} fill={insight.pinned ? 'currentColor' : 'none'} />
+            </button>
+            <button
+              onClick={() => setOrganisingId(organisingId === insight.id ? null : insight.id)}
+              className="p-2 text-gray-400 hover:text-indigo-600 transition-transform hover:scale-105"
+              aria-label="Edit tags and folder"
+            >
+              <Tag size={20} />
+            </button>
+            <button
+              onClick={() => onDelete(insight.id)}
+              className="p-2 text-red-600 hover:text-red-700 transition-transform hover:scale-105"
+              aria-label="Delete"
+            >
+              <Trash2 size={20} />
+            </button>
+          </>
+        )}
+      </div>
+      {(insight.folder || insight.tags?.length > 0) && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {insight.folder && (
+            <button
+              onClick={() => setFilter('folder', insight.folder)}
+              className="flex items-center text-xs px-2 py-0.5 rounded bg-indigo-100 text-indigo-700"
+            >
+              <Folder size={12} className="mr-1" /> {insight.folder}
+            </button>
+          )}
+          {(insight.tags || []).map(tag => (
+            <button
+              key={tag}
+              onClick={() => setFilter('tag', tag)}
+              className={`text-xs px-2 py-0.5 rounded ${theme === 'light' ? 'bg-gray-200 text-gray-600' : 'bg-gray-600 text-gray-200'}`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+      {organisingId === insight.id && (
+        <OrganiseForm
+          insight={insight}
+          folders={library.folders}
+          theme={theme}
+          onSave={(changes) => organise(insight, changes)}
+          onCancel={() => setOrganisingId(null)}
+        />
+      )}
+    </div>
+  );
+
+  // Pinned insights are listed once, at the top, when the list is unfiltered
+  const listed = filtered ? items : items.filter(insight => !insight.pinned);
+
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilter('search', searchText.trim());
+        }}
+        className="flex space-x-2 mb-3"
+      >
+        <input
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search descriptions and insights"
+          className={`flex-1 ${selectClass}`}
+        />
+        <button type="submit" className="px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700" aria-label="Search">
+          <Search size={16} />
+        </button>
+      </form>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select value={filters.insightType} onChange={(e) => setFilter('insightType', e.target.value)} className={selectClass}>
+          <option value="">All types</option>
+          {Object.keys(INSIGHT_TYPES).map(name => <option key={name}>{name}</option>)}
+        </select>
+        <select value={filters.mode} onChange={(e) => setFilter('mode', e.target.value)} className={selectClass}>
+          <option value="">All modes</option>
+          {Object.keys(MODES).map(name => <option key={name}>{name}</option>)}
+        </select>
+        <select value={filters.folder} onChange={(e) => setFilter('folder', e.target.value)} className={selectClass}>
+          <option value="">All folders</option>
+          {library.folders.map(name => <option key={name}>{name}</option>)}
+        </select>
+        <select value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)} className={selectClass}>
+          <option value="">All tags</option>
+          {library.tags.map(name => <option key={name} value={name}>#{name}</option>)}
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={selectClass} aria-label="From date" />
+        <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={selectClass} aria-label="To date" />
+        <label className="flex items-center text-sm">
+          <input
+            type="checkbox"
+            checked={filters.pinnedOnly}
+            onChange={(e) => setFilter('pinnedOnly', e.target.checked)}
+            className="mr-1"
+          />
+          Pinned only
+        </label>
+        {filtered && (
+          <button
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setSearchText('');
+            }}
+            className="text-sm text-indigo-600 hover:text-indigo-700"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      {selected.length > 0 && (
+        <div className={`flex items-center justify-between p-3 mb-4 rounded-lg ${theme === 'light' ? 'bg-indigo-50' : 'bg-gray-700'}`}>
+          <span className="text-sm">
+            {selected.length} selected{selected.length < 2 && ' · pick at least 2 to compare'}
+          </span>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onCompare(selected)}
+              disabled={selected.length < 2}
+              className="flex items-center px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Columns size={16} className="mr-1" /> Compare
+            </button>
+            <button onClick={() => setSelected([])} className="px-3 py-1 text-sm text-gray-500 hover:text-gray-700">
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {!filtered && pinned.length > 0 && (
+        <div className="space-y-4 mb-6">
+          <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500">Pinned</h3>
+          {pinned.map(renderInsight)}
+        </div>
+      )}
+      {listed.length === 0 && !loading ? (
+        (filtered || pinned.length === 0) && (
+          <p className="text-sm text-gray-500">
+            {filtered ? 'No saved insights match these filters.' : 'No saved insights yet.'}
+          </p>
+        )
+      ) : (
+        <div className="space-y-4">
+          {listed.map(renderInsight)}
+        </div>
+      )}
+      {hasMore && (
+        <button
+          onClick={loadMore}
+          disabled={loading}
+          className="mt-4 px-4 py-2 text-sm bg-gray-600 text-white rounded-lg hover:bg-gray-700"
+        >
+          {loading ? 'Loading…' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SavedInsightsPanel;
@@ -0,0 +1,63 @@
+import { motion } from 'framer-motion';
+import { Archive } from 'lucide-react';
+import WorkspaceBar from './WorkspaceBar';
+import SavedInsightsPanel from './SavedInsightsPanel';
+
+// The signed-in user's saved insights: workspace switcher, the paged list of the
+// selected library and a zip export of all of it. `repository` is the library's
+// insightsRepository; its fetch functions are stable while the library is selected.
+const SavedInsightsSection = ({
+  theme,
+  user,
+  workspaceState,
+  activeWorkspaceId,
+  onSelectWorkspace,
+  repository,
+  canEdit,
+  refreshKey,
+  exporting,
+  onExportAll,
+  onOrganise,
+  onLoad,
+  onDelete,
+  onCompare
+}) => (
+  <motion.section
+    initial={{ opacity: 0 }}
+    animate={{ opacity: 1 }}
+    className={`${theme === 'light' ? 'bg-white text-gray-800' : 'bg-gray-800 text-white'} rounded-lg shadow-lg p-6`}
+  >
+    <div className="flex justify-between items-center mb-4">
+      <h2 className="text-2xl font-poppins font-semibold">Saved Insights</h2>
+      <button
+        onClick={onExportAll}
+        disabled={exporting}
+        className="flex items-center px-3 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-transform hover:scale-105 disabled:opacity-50"
+      >
+        <Archive size={16} className="mr-2" /> {exporting ? 'Exporting…' : 'Export all (.zip)'}
+      </button>
+    </div>
+    <WorkspaceBar
+      theme={theme}
+      user={user}
+      workspaceState={workspaceState}
+      activeWorkspaceId={activeWorkspaceId}
+      onSelect={onSelectWorkspace}
+    />
+    <SavedInsightsPanel
+      key={activeWorkspaceId || 'personal'}
+      theme={theme}
+      canEdit={canEdit}
+      refreshKey={refreshKey}
+      fetchPage={repository.fetchPage}
+      fetchPinned={repository.fetchPinned}
+      fetchLibrary={repository.fetchLibrary}
+      onOrganise={onOrganise}
+      onLoad={onLoad}
+      onDelete={onDelete}
+      onCompare={onCompare}
+    />
+  </motion.section>
+);
+
+export default SavedInsightsSection;
@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react';
+import { GitBranch } from 'lucide-react';
+import { MAX_ASSUMPTION_LENGTH, buildScenarioTree, flattenScenarioTree, scenarioLabel } from '../lib/scenarios';
+import ScenarioShifts from './ScenarioShifts';
+
+// What-if scenarios of a saved insight: the tree of scenarios generated from it
+// and its ancestors, a form to create one from the open insight and a table of
+// how the scores shift across them. `onCreate` is null when the user cannot save here.
+const ScenarioPanel = ({ theme, currentId, currentVersion, loadTree, busy, onCreate, onOpen }) => {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [assumption, setAssumption] = useState('');
+  const [showShifts, setShowShifts] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reloaded when another node is opened or saved, since a save adds or updates a node
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    loadTree()
+      .then(list => {
+        if (cancelled) return;
+        setEntries(list);
+        setError(null);
+      })
+      .catch(err => {
+        console.error("Scenario Error:", err);
+        if (!cancelled) setError('Failed to load the scenarios.');
+      });
+    return () => { cancelled = true; };
+  }, [open, loadTree, currentId, currentVersion]);
+
+  const rows = flattenScenarioTree(buildScenarioTree(entries));
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  const create = (e) => {
+    e.preventDefault();
+    onCreate(assumption);
+  };
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-700"
+      >
+        <GitBranch size={16} className="mr-1" />
+        {open ? 'Hide scenarios' : 'What-if scenarios'}
+      </button>
+      {open && (
+        <div className={`mt-3 p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {onCreate && (
+            <form onSubmit={create} className="mb-4">
+              <label htmlFor="scenario-assumption" className="block text-sm font-medium mb-1">
+                Create a scenario from this analysis
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  id="scenario-assumption"
+                  value={assumption}
+                  onChange={(e) => setAssumption(e.target.value)}
+                  placeholder="What if… e.g., we target schools instead of parents"
+                  maxLength={MAX_ASSUMPTION_LENGTH}
+                  className={`flex-1 p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || !assumption.trim()}
+                  className="px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {busy ? 'Generating…' : 'Create scenario'}
+                </button>
+              </div>
+              <p className={`text-xs mt-1 ${mutedText}`}>
+                Change one assumption; the rest of the brief stays as it is. Save the result to add it to the tree.
+              </p>
+            </form>
+          )}
+          {rows.length <= 1 ? (
+            <p className={`text-sm ${mutedText}`}>No scenarios have been saved for this analysis yet.</p>
+          ) : (
+            <>
+              <ul className="space-y-1 mb-3">
+                {rows.map(({ insight, depth }) => (
+                  <li
+                    key={insight.id}
+                    className="flex justify-between items-center text-sm"
+                    style={{ paddingLeft: `${depth * 1.25}rem` }}
+                  >
+                    <span className="flex items-center min-w-0">
+                      {depth > 0 && <GitBranch size={14} className={`mr-1 shrink-0 ${mutedText}`} />}
+                      <span className={`truncate ${insight.id === currentId ? 'font-semibold' : ''}`}>{scenarioLabel(insight)}</span>
+                      <span className={`ml-2 shrink-0 ${mutedText}`}>
+                        {insight.timestamp.toLocaleDateString()}
+                        {insight.version > 1 && ` · Version ${insight.version}`}
+                      </span>
+                    </span>
+                    {insight.id === currentId ? (
+                      <span className="text-xs text-gray-500">Current</span>
+                    ) : (
+                      <button onClick={() => onOpen(insight)} className="text-indigo-600 hover:text-indigo-700">
+                        Open
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => setShowShifts(prev => !prev)}
+                className="text-sm font-medium text-indigo-600 hover:text-indigo-700 mb-2"
+              >
+                {showShifts ? 'Hide score shifts' : 'Compare how the scores shift'}
+              </button>
+              {showShifts && <ScenarioShifts insights={rows.map(row => row.insight)} theme={theme} />}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
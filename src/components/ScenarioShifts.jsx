@@ -0,0 +1,55 @@
+import { scenarioShifts } from '../lib/scenarioShifts';
+import { scenarioLabel } from '../lib/scenarios';
+
+const formatChange = (change) => (change > 0 ? `+${change}` : `${change}`);
+
+// Table of how the scores move across the scenarios of a tree. Each change is
+// measured from the scenario's parent and coloured by whether it helps the business.
+const ScenarioShifts = ({ insights, theme }) => {
+  const rows = scenarioShifts(insights);
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  const changeClass = (change, better) => {
+    if (!change || !better) return mutedText;
+    return (change > 0) === (better === 'higher') ? 'text-green-600' : 'text-red-600';
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className={`text-left ${mutedText}`}>
+            <th className="py-1 pr-3 font-medium">Score</th>
+            {insights.map(insight => (
+              <th key={insight.id} className="py-1 pr-3 font-medium max-w-[10rem] truncate" title={scenarioLabel(insight)}>
+                {scenarioLabel(insight)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label} className={`border-t ${theme === 'light' ? 'border-gray-200' : 'border-gray-600'}`}>
+              <td className="py-1 pr-3 font-medium">{row.label}</td>
+              {row.cells.map((cell, index) => (
+                <td key={insights[index].id} className="py-1 pr-3 whitespace-nowrap">
+                  {cell.value ?? 'n/a'}
+                  {cell.change !== null && (
+                    <span className={`ml-1 text-xs ${changeClass(cell.change, row.better)}`}>
+                      ({formatChange(cell.change)})
+                    </span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className={`text-xs mt-2 ${mutedText}`}>
+        Changes in brackets are from the analysis each scenario was created from.
+      </p>
+    </div>
+  );
+};
+
+export default ScenarioShifts;
@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Copy, Link } from 'lucide-react';
+import { LINK_EXPIRY_DAYS, reportUrl } from '../services/publicReports';
+
+const linkStatus = (link) => {
+  if (link.revoked) return 'Revoked';
+  if (link.expiresAt < new Date()) return 'Expired';
+  return `Expires ${link.expiresAt.toLocaleDateString()}`;
+};
+
+// Public read-only links to a snapshot of the saved insight
+const ShareLinkPanel = ({ theme, loadLinks, onPublish, onRevoke }) => {
+  const [open, setOpen] = useState(false);
+  const [links, setLinks] = useState([]);
+  const [days, setDays] = useState(7);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const refresh = useCallback(() => loadLinks()
+    .then(setLinks)
+    .catch(err => {
+      console.error("Share Link Error:", err);
+      setError('Failed to load the public links.');
+    }), [loadLinks]);
+
+  useEffect(() => {
+    if (open) refresh();
+  }, [open, refresh]);
+
+  const act = async (action) => {
+    try {
+      await action();
+      setError(null);
+      await refresh();
+    } catch (err) {
+      console.error("Share Link Error:", err);
+      setError('Failed to update the public link. Please try again.');
+    }
+  };
+
+  const copy = async (id) => {
+    await navigator.clipboard.writeText(reportUrl(id));
+    setCopiedId(id);
+  };
+
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-700"
+      >
+        <Link size={16} className="mr-1" /> {open ? 'Hide public links' : 'Share a read-only link'}
+      </button>
+      {open && (
+        <div className={`mt-3 p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          <p className={`text-xs mb-3 ${mutedText}`}>
+            Anyone with the link can view a copy of the insight as it is now, until the link expires or is revoked.
+          </p>
+          {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+          <div className="flex items-center gap-2 mb-3">
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className={`p-1 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-800'} border-gray-300`}
+              aria-label="Link expiry"
+            >
+              {LINK_EXPIRY_DAYS.map(value => (
+                <option key={value} value={value}>Expires in {value} {value === 1 ? 'day' : 'days'}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => act(() => onPublish(days))}
+              className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+            >
+              Create link
+            </button>
+          </div>
+          <ul className="space-y-2">
+            {links.map(link => {
+              const active = !link.revoked && link.expiresAt > new Date();
+              return (
+                <li key={link.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <span className={`truncate ${active ? '' : `line-through ${mutedText}`}`}>{reportUrl(link.id)}</span>
+                  <span className="flex items-center gap-2">
+                    <span className={`text-xs ${mutedText}`}>{linkStatus(link)}</span>
+                    {active && (
+                      <>
+                        <button onClick={() => copy(link.id)} className="flex items-center text-indigo-600 hover:text-indigo-700">
+                          <Copy size={14} className="mr-1" /> {copiedId === link.id ? 'Copied' : 'Copy'}
+                        </button>
+                        <button onClick={() => act(() => onRevoke(link.id))} className="text-red-600 hover:text-red-700">
+                          Revoke
+                        </button>
+                      </>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinkPanel;
@@ -0,0 +1,65 @@
+import { useRef } from 'react';
+import { FileText, Paperclip, X } from 'lucide-react';
+import { MAX_SOURCES, SOURCE_ACCEPT, SOURCE_KINDS } from '../lib/sources';
+
+// Files attached as context for the next generation, each shown with the id the results cite it by
+const SourceAttachments = ({ theme, sources, busy, onAdd, onRemove }) => {
+  const inputRef = useRef(null);
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={busy || sources.length >= MAX_SOURCES}
+          className="flex items-center text-sm text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+        >
+          <Paperclip size={16} className="mr-1" /> {busy ? 'Reading files…' : 'Attach sources'}
+        </button>
+        <span className={`text-xs ${mutedText}`}>
+          PDF, text or CSV, up to {MAX_SOURCES} files. Their text is sent with the description.
+        </span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={SOURCE_ACCEPT}
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            onAdd([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {sources.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mt-2">
+          {sources.map(source => (
+            <li
+              key={source.id}
+              className={`flex items-center text-sm px-2 py-1 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}
+            >
+              <FileText size={14} className="mr-1 shrink-0" />
+              <span className="font-semibold mr-1">{source.id}</span>
+              <span className="truncate max-w-[12rem]" title={source.name}>{source.name}</span>
+              <span className={`ml-1 text-xs ${mutedText}`}>
+                {SOURCE_KINDS[source.kind]}{source.truncated && ', shortened'}
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemove(source.id)}
+                className="ml-1 p-0.5 text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${source.name}`}
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SourceAttachments;
@@ -0,0 +1,23 @@
+import { citedSources } from '../lib/sources';
+
+// The attached sources an item drew on, by id; the file name shows on hover
+const SourceBadges = ({ item, sources, theme }) => {
+  const cited = citedSources(item, sources);
+  if (cited.length === 0) return null;
+
+  return (
+    <span className="inline-flex flex-wrap gap-1 mt-1 ml-1 align-middle">
+      {cited.map(source => (
+        <span
+          key={source.id}
+          title={source.name}
+          className={`text-xs px-1.5 py-0.5 rounded border ${theme === 'light' ? 'border-indigo-200 text-indigo-700' : 'border-indigo-400 text-indigo-300'}`}
+        >
+          {source.id}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default SourceBadges;
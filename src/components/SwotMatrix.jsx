@@ -0,0 +1,47 @@
+import { SWOT_SECTIONS } from '../lib/insightParser';
+import { itemId } from '../lib/scoring';
+
+const QUADRANT_STYLES = {
+  Strengths: { light: 'bg-green-50 border-green-300', dark: 'bg-green-900/30 border-green-700', caption: 'Internal · Helpful' },
+  Weaknesses: { light: 'bg-red-50 border-red-300', dark: 'bg-red-900/30 border-red-700', caption: 'Internal · Harmful' },
+  Opportunities: { light: 'bg-blue-50 border-blue-300', dark: 'bg-blue-900/30 border-blue-700', caption: 'External · Helpful' },
+  Threats: { light: 'bg-amber-50 border-amber-300', dark: 'bg-amber-900/30 border-amber-700', caption: 'External · Harmful' }
+};
+
+// Classic 2x2 matrix: internal factors on top, external below, helpful on the left
+const SwotMatrix = ({ swot, theme, highlightedId, onHighlight }) => (
+  <div>
+    <h3 className="text-lg font-poppins font-medium mb-2">SWOT Matrix</h3>
+    <div className="grid grid-cols-2 gap-2">
+      {SWOT_SECTIONS.map(section => (
+        <div key={section} className={`p-3 rounded-lg border ${QUADRANT_STYLES[section][theme]}`}>
+          <div className="flex justify-between items-baseline mb-1">
+            <h4 className="font-semibold">{section}</h4>
+            <span className={`text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>{QUADRANT_STYLES[section].caption}</span>
+          </div>
+          {swot[section].length > 0 ? (
+            <ul className="space-y-1">
+              {swot[section].map((item, index) => {
+                const id = itemId(section, index);
+                return (
+                  <li
+                    key={id}
+                    onMouseEnter={() => onHighlight(id)}
+                    onMouseLeave={() => onHighlight(null)}
+                    className={`text-sm px-1 rounded ${highlightedId === id ? 'bg-yellow-200 text-gray-900' : ''}`}
+                  >
+                    {item.text}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">None identified</p>
+          )}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default SwotMatrix;
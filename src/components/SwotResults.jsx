@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ItemAttributes from './ItemAttributes';
+import SourceBadges from './SourceBadges';
+import EditableItemList from './EditableItemList';
+import ItemActions from './ItemActions';
+import ItemEvidence from './ItemEvidence';
+import SwotMatrix from './SwotMatrix';
+import ImpactLikelihoodHeatmap from './ImpactLikelihoodHeatmap';
+import { COLORS, tooltipStyle } from '../lib/constants';
+import { CHART_METRICS, DEFAULT_CHART_METRIC, buildSwotChartData, scoreSwot, itemId } from '../lib/scoring';
+
+const ScoreCard = ({ label, value, detail, theme }) => (
+  <div className={`p-3 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+    <p className={`text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>{label}</p>
+    <p className="text-xl font-semibold">{value}</p>
+    {detail && <p className={`text-xs ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>{detail}</p>}
+  </div>
+);
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+// `itemActions` adds the per-item regenerate/refine/explain links; views without it are read-only
+const SwotResults = ({ insights, theme, editing, onEditItems, itemActions }) => {
+  const [metric, setMetric] = useState(DEFAULT_CHART_METRIC);
+  // Item hovered in the heatmap or matrix; a click pins it until the next click
+  const [hoveredId, setHoveredId] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const highlightedId = hoveredId || selectedId;
+
+  const selectItem = (id) => {
+    const next = selectedId === id ? null : id;
+    setSelectedId(next);
+    if (next) document.getElementById(`swot-item-${next}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const scores = scoreSwot(insights.swot);
+  const chartData = buildSwotChartData(insights.swot, metric);
+  const pieData = chartData
+    .map((entry, index) => ({ ...entry, color: COLORS[index % COLORS.length] }))
+    .filter(entry => entry.value > 0);
+  const { label: metricLabel, unit } = CHART_METRICS[metric];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <ScoreCard
+          label="Viability"
+          value={scores.viability === null ? 'n/a' : `${scores.viability}/100`}
+          detail="Share of weight that is favourable"
+          theme={theme}
+        />
+        <ScoreCard
+          label="Internal (S − W)"
+          value={signed(scores.internal.net)}
+          detail={`${scores.internal.positive} vs ${scores.internal.negative} points`}
+          theme={theme}
+        />
+        <ScoreCard
+          label="External (O − T)"
+          value={signed(scores.external.net)}
+          detail={`${scores.external.positive} vs ${scores.external.negative} points`}
+          theme={theme}
+        />
+        <ScoreCard
+          label="Positive vs negative"
+          value={`${scores.positive} / ${scores.negative}`}
+          detail="(S + O) / (W + T) points"
+          theme={theme}
+        />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-lg font-poppins font-medium mb-2">Insights</h3>
+          {Object.entries(insights.swot).map(([key, values]) => (
+            <div key={key} className="mb-4">
+              <h4 className="font-semibold">{key}</h4>
+              {editing ? (
+                <EditableItemList
+                  items={values}
+                  onChange={(items) => onEditItems({ swot: { ...insights.swot, [key]: items } })}
+                  theme={theme}
+                  addLabel={`Add ${key.toLowerCase().replace(/s$/, '')}`}
+                />
+              ) : values.length > 0 ? (
+                <ul className="list-disc pl-5">
+                  {values.map((item, i) => (
+                    <li
+                      key={i}
+                      id={`swot-item-${itemId(key, i)}`}
+                      className={`group text-sm rounded transition-colors ${highlightedId === itemId(key, i) ? 'bg-yellow-200 text-gray-900' : ''}`}
+                    >
+                      {item.text}
+                      <SourceBadges item={item} sources={insights.sources} theme={theme} />
+                      <ItemAttributes attributes={item.attributes} theme={theme} />
+                      <ItemEvidence theme={theme} sectionKey={`swot.${key}`} item={item} actions={itemActions} />
+                      {itemActions && (
+                        <ItemActions theme={theme} sectionKey={`swot.${key}`} index={i} item={item} actions={itemActions} />
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No {key.toLowerCase()} identified</p>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="space-y-8">
+          <div className="flex items-center justify-end space-x-2">
+            <label className="text-sm font-medium" htmlFor="chart-metric">Chart metric</label>
+            <select
+              id="chart-metric"
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className={`p-1 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
+            >
+              {Object.entries(CHART_METRICS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="h-[300px] flex flex-col items-center">
+            <h4 className="text-sm font-medium mb-2">SWOT {metricLabel}</h4>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip
+                  formatter={(value) => [`${value} ${unit}`, metricLabel]}
+                  contentStyle={tooltipStyle(theme)}
+                />
+                <Bar dataKey="value" fill="#4f46e5" radius={[4, 4, 0, 0]}>
+                  {chartData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {pieData.length > 0 && (
+            <div className="h-[350px] flex flex-col items-center">
+              <h4 className="text-sm font-medium mb-2">SWOT Distribution</h4>
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie
+                    data={pieData}
+                    dataKey="value"
+                    nameKey="name"
+                    cx="50%"
+                    cy="50%"
+                    outerRadius={120}
+                    innerRadius={60}
+                    paddingAngle={5}
+                    label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                    labelLine={false}
+                  >
+                    {pieData.map((entry) => (
+                      <Cell
+                        key={`cell-${entry.name}`}
+                        fill={entry.color}
+                        stroke={theme === 'dark' ? '#1f2937' : '#ffffff'}
+                        strokeWidth={2}
+                      />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    formatter={(value) => [`${value} ${unit}`, metricLabel]}
+                    contentStyle={tooltipStyle(theme)}
+                  />
+                  <Legend
+                    layout="horizontal"
+                    verticalAlign="bottom"
+                    align="center"
+                    wrapperStyle={{
+                      paddingTop: '20px'
+                    }}
+                  />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <SwotMatrix
+          swot={insights.swot}
+          theme={theme}
+          highlightedId={highlightedId}
+          onHighlight={setHoveredId}
+        />
+        <ImpactLikelihoodHeatmap
+          swot={insights.swot}
+          theme={theme}
+          highlightedId={highlightedId}
+          onHighlight={setHoveredId}
+          onSelect={selectItem}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SwotResults;
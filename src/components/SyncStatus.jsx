@@ -0,0 +1,47 @@
+import { AlertTriangle, CloudOff, Cloud, RefreshCw, X } from 'lucide-react';
+
+const plural = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+const FAILURE_REASONS = {
+  'permission-denied': 'rejected as too large or incomplete',
+  'version-conflict': 'saved elsewhere first, reload the insight'
+};
+
+// Header indicator for offline mode and changes waiting to reach Firestore
+const SyncStatus = ({ theme, online, pending, failure, onDismissFailure }) => {
+  const mutedText = theme === 'light' ? 'text-gray-600' : 'text-gray-300';
+
+  if (failure) {
+    return (
+      <span className="flex items-center text-sm text-red-600">
+        <AlertTriangle size={16} className="mr-1" />
+        Not synced: {failure.label}{FAILURE_REASONS[failure.code] && ` (${FAILURE_REASONS[failure.code]})`}
+        <button onClick={onDismissFailure} className="ml-1 p-0.5 hover:text-red-700" aria-label="Dismiss sync error">
+          <X size={14} />
+        </button>
+      </span>
+    );
+  }
+  if (!online) {
+    return (
+      <span className={`flex items-center text-sm ${mutedText}`}>
+        <CloudOff size={16} className="mr-1" />
+        Offline{pending > 0 && ` · ${plural(pending)} waiting to sync`}
+      </span>
+    );
+  }
+  if (pending > 0) {
+    return (
+      <span className={`flex items-center text-sm ${mutedText}`}>
+        <RefreshCw size={16} className="mr-1 animate-spin" /> Syncing {plural(pending)}…
+      </span>
+    );
+  }
+  return (
+    <span className={`flex items-center text-sm ${mutedText}`} title="All changes are saved">
+      <Cloud size={16} className="mr-1" /> Synced
+    </span>
+  );
+};
+
+export default SyncStatus;
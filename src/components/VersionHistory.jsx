@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { diffInsights } from '../lib/insightDiff';
+
+const DiffLine = ({ symbol, text, className }) => (
+  <li className={`text-sm ${className}`}>
+    <span className="font-mono mr-2">{symbol}</span>{text}
+  </li>
+);
+
+const VersionDiff = ({ before, after, theme }) => {
+  const { summaryChanged, sections } = diffInsights(before, after);
+  if (!summaryChanged && sections.length === 0) {
+    return <p className="text-sm text-gray-500">No differences between these versions.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {summaryChanged && (
+        <p className={`text-sm ${theme === 'light' ? 'text-gray-600' : 'text-gray-300'}`}>The core analysis changed.</p>
+      )}
+      {sections.map(section => (
+        <div key={section.key}>
+          <h4 className="font-semibold text-sm">{section.title}</h4>
+          <ul>
+            {section.added.map((text, i) => <DiffLine key={`+${i}`} symbol="+" text={text} className="text-green-600" />)}
+            {section.removed.map((text, i) => <DiffLine key={`-${i}`} symbol="−" text={text} className="text-red-600" />)}
+            {section.moved.map((text, i) => <DiffLine key={`~${i}`} symbol="↕" text={text} className="text-gray-500" />)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Version list of a saved insight with a diff between any two versions and restore
+const VersionHistory = ({ currentVersion, loadVersions, onRestore, theme }) => {
+  const [open, setOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState({ before: null, after: null });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    loadVersions()
+      .then(list => {
+        if (cancelled) return;
+        setVersions(list);
+        setCompare({ before: list[1]?.version ?? null, after: list[0]?.version ?? null });
+        setError(null);
+      })
+      .catch(err => {
+        console.error("Version History Error:", err);
+        if (!cancelled) setError('Failed to load the version history.');
+      });
+    return () => { cancelled = true; };
+  }, [open, loadVersions, currentVersion]);
+
+  const byVersion = (version) => versions.find(entry => entry.version === version);
+  const before = byVersion(compare.before);
+  const after = byVersion(compare.after);
+
+  const versionSelect = (key) => (
+    <select
+      value={compare[key] ?? ''}
+      onChange={(e) => setCompare(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+      className={`p-1 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`}
+    >
+      {versions.map(entry => (
+        <option key={entry.id} value={entry.version}>Version {entry.version}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-700"
+      >
+        <History size={16} className="mr-1" />
+        {open ? 'Hide version history' : `Version history (version ${currentVersion})`}
+      </button>
+      {open && (
+        <div className={`mt-3 p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <ul className="space-y-2 mb-4">
+            {versions.map(entry => (
+              <li key={entry.id} className="flex justify-between items-center text-sm">
+                <span>
+                  <span className="font-semibold">Version {entry.version}</span>
+                  <span className={`ml-2 ${theme === 'light' ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {entry.timestamp.toLocaleString()}
+                    {entry.savedBy && ` · ${entry.savedBy}`}
+                    {entry.restoredFrom && ` · restored from version ${entry.restoredFrom}`}
+                  </span>
+                </span>
+                {entry.version === currentVersion ? (
+                  <span className="text-xs text-gray-500">Current</span>
+                ) : onRestore && (
+                  <button
+                    onClick={() => onRestore(entry)}
+                    className="flex items-center text-indigo-600 hover:text-indigo-700"
+                  >
+                    <RotateCcw size={14} className="mr-1" /> Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {versions.length > 1 && (
+            <div>
+              <div className="flex items-center space-x-2 mb-3 text-sm">
+                <span>Compare</span>
+                {versionSelect('before')}
+                <span>with</span>
+                {versionSelect('after')}
+              </div>
+              {before && after && <VersionDiff before={before} after={after} theme={theme} />}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
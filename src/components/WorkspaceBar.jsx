@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Plus, UserPlus, Users, X } from 'lucide-react';
+import { INVITE_ROLES, ROLES } from '../services/workspaces';
+
+// Picks where the saved list and new saves live (personal or a workspace),
+// shows pending invitations and lets the workspace owner manage members.
+const WorkspaceBar = ({ theme, user, workspaceState, activeWorkspaceId, onSelect }) => {
+  const { workspaces, invitations, error, clearError } = workspaceState;
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [managing, setManaging] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+
+  const active = workspaces.find(workspace => workspace.id === activeWorkspaceId) || null;
+  const isOwner = active?.role === 'owner';
+  const inputClass = `p-2 text-sm border rounded-lg ${theme === 'light' ? 'bg-white' : 'bg-gray-700'} border-gray-300`;
+  const mutedText = theme === 'light' ? 'text-gray-500' : 'text-gray-400';
+
+  const create = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const workspaceId = await workspaceState.create(name);
+    if (workspaceId) {
+      setName('');
+      setCreating(false);
+      onSelect(workspaceId);
+    }
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.includes('@')) return;
+    await workspaceState.invite(active.id, inviteEmail, inviteRole);
+    setInviteEmail('');
+  };
+
+  const leave = async () => {
+    if (!window.confirm(`Leave ${active.name}? You will need a new invitation to rejoin.`)) return;
+    await workspaceState.leave(active.id);
+    onSelect(null);
+  };
+
+  return (
+    <div className="mb-4">
+      {error && (
+        <p className="text-sm text-red-600 mb-2">
+          {error} <button onClick={clearError} className="underline">Dismiss</button>
+        </p>
+      )}
+      {invitations.map(invitation => (
+        <div
+          key={invitation.id}
+          className={`flex items-center justify-between p-3 mb-2 rounded-lg ${theme === 'light' ? 'bg-indigo-50' : 'bg-gray-700'}`}
+        >
+          <span className="text-sm">
+            You are invited to <span className="font-semibold">{invitation.name}</span> as {invitation.invitedRole}.
+          </span>
+          <button
+            onClick={() => workspaceState.accept(invitation)}
+            className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+          >
+            Join
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <Users size={18} className={mutedText} />
+        <select
+          value={activeWorkspaceId || ''}
+          onChange={(e) => {
+            onSelect(e.target.value || null);
+            setManaging(false);
+          }}
+          className={inputClass}
+          aria-label="Workspace"
+        >
+          <option value="">Personal</option>
+          {workspaces.map(workspace => (
+            <option key={workspace.id} value={workspace.id}>{workspace.name} ({workspace.role})</option>
+          ))}
+        </select>
+        {creating ? (
+          <form onSubmit={create} className="flex items-center gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Workspace name"
+              maxLength={100}
+              className={inputClass}
+              autoFocus
+            />
+            <button type="submit" className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+              Create
+            </button>
+            <button type="button" onClick={() => setCreating(false)} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <button onClick={() => setCreating(true)} className="flex items-center text-sm text-indigo-600 hover:text-indigo-700">
+            <Plus size={16} className="mr-1" /> New workspace
+          </button>
+        )}
+        {active && isOwner && (
+          <button onClick={() => setManaging(prev => !prev)} className="flex items-center text-sm text-indigo-600 hover:text-indigo-700">
+            <UserPlus size={16} className="mr-1" /> {managing ? 'Hide members' : 'Members'}
+          </button>
+        )}
+        {active && !isOwner && (
+          <button onClick={leave} className="text-sm text-red-600 hover:text-red-700">
+            Leave workspace
+          </button>
+        )}
+      </div>
+
+      {active && isOwner && managing && (
+        <div className={`mt-3 p-4 rounded-lg ${theme === 'light' ? 'bg-gray-100' : 'bg-gray-700'}`}>
+          <ul className="space-y-2 mb-3">
+            {active.memberIds.map(uid => (
+              <li key={uid} className="flex items-center justify-between text-sm">
+                <span>{active.memberNames?.[uid] || uid}{uid === user.uid && ' (you)'}</span>
+                {active.members[uid] === 'owner' ? (
+                  <span className={mutedText}>owner</span>
+                ) : (
+                  <span className="flex items-center gap-2">
+                    <select
+                      value={active.members[uid]}
+                      onChange={(e) => workspaceState.setRole(active.id, uid, e.target.value)}
+                      className={inputClass}
+                    >
+                      {ROLES.filter(role => role !== 'owner').map(role => <option key={role}>{role}</option>)}
+                    </select>
+                    <button
+                      onClick={() => workspaceState.removeMember(active.id, uid)}
+                      className="p-1 text-red-600 hover:text-red-700"
+                      aria-label="Remove member"
+                    >
+                      <X size={16} />
+                    </button>
+                  </span>
+                )}
+              </li>
+            ))}
+            {active.inviteEmails.map(email => (
+              <li key={email} className="flex items-center justify-between text-sm">
+                <span className={mutedText}>{email} · invited as {active.invites[email]}</span>
+                <button
+                  onClick={() => workspaceState.revokeInvite(active.id, email)}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={invite} className="flex flex-wrap items-center gap-2">
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="colleague@example.com"
+              className={`flex-1 ${inputClass}`}
+            />
+            <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className={inputClass}>
+              {INVITE_ROLES.map(role => <option key={role}>{role}</option>)}
+            </select>
+            <button type="submit" className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+              Invite
+            </button>
+          </form>
+          <p className={`text-xs mt-2 ${mutedText}`}>
+            Invited people see the invitation here after signing in with that Google account.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceBar;
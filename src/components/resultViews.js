@@ -0,0 +1,10 @@
+import SwotResults from './SwotResults';
+import ProductIdeasResults from './ProductIdeasResults';
+import MarketTrendsResults from './MarketTrendsResults';
+
+// Results component for each insight type's `view`
+export const RESULT_VIEWS = {
+  swot: SwotResults,
+  ideas: ProductIdeasResults,
+  trends: MarketTrendsResults
+};
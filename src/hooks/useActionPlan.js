@@ -0,0 +1,33 @@
+import { toICalendar } from '../lib/actionCalendar';
+import { downloadBlob } from '../lib/exportFormats';
+import { repositoryFor } from '../services/insightsRepository';
+import { trackWrite } from '../services/syncStatus';
+
+// The action plan of the open insight. Like the chat, the plan of a saved insight
+// is written straight away when `canSave`, and `onSaved` runs so the saved list
+// shows the new progress.
+const useActionPlan = ({ db, user, insights, setInsights, canSave, onSaved, onError }) => {
+  // `update` receives the current plan and returns the next one
+  const update = (change) => {
+    const target = insights;
+    const actionPlan = change(target.actionPlan || []);
+    setInsights(prev => (prev?.id === target.id && prev.input === target.input ? { ...prev, actionPlan } : prev));
+    if (target.id && canSave) {
+      const written = repositoryFor(db, user, target.workspaceId || null).updateActionPlan(target.id, actionPlan);
+      trackWrite('action plan', written).catch(err => {
+        console.error("Action Plan Error:", err);
+        onError('The action plan could not be saved. Please try again.');
+      });
+      onSaved();
+    }
+  };
+
+  const exportCalendar = () => downloadBlob(
+    new Blob([toICalendar(insights)], { type: 'text/calendar;charset=utf-8' }),
+    'InsightCraft_Action_Plan.ics'
+  );
+
+  return { update, exportCalendar };
+};
+
+export default useActionPlan;
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import { signInWithPopup, GoogleAuthProvider, signOut as firebaseSignOut, onAuthStateChanged } from 'firebase/auth';
+
+// The signed-in Firebase user, with Google sign-in and sign-out.
+// Failures are logged and reported to `onError` as a message for the user.
+const useAuth = (auth, onError) => {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => onAuthStateChanged(auth, setUser), [auth]);
+
+  const signIn = async () => {
+    const provider = new GoogleAuthProvider();
+    provider.setCustomParameters({ prompt: 'select_account' });
+    try {
+      await signInWithPopup(auth, provider);
+    } catch (error) {
+      console.error("Google Login Error:", error);
+      onError('Failed to login with Google. Please try again.');
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await firebaseSignOut(auth);
+    } catch (error) {
+      console.error("Sign Out Error:", error);
+      onError('Failed to sign out. Please try again.');
+    }
+  };
+
+  return { user, signIn, signOut };
+};
+
+export default useAuth;
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { MAX_CHAT_MESSAGES, buildChatSchema, buildChatPrompt, proposalsFromResponse, applyProposal } from '../lib/followUpChat';
+import { generateStructured } from '../lib/structuredGeneration';
+import { createModel, generationErrorMessage } from '../services/llmProviders';
+import { repositoryFor } from '../services/insightsRepository';
+import { trackWrite } from '../services/syncStatus';
+
+// Follow-up questions about the open insight. The chat of a saved insight is
+// written straight away when `canSave`; an unsaved insight keeps it in memory and
+// stores it with its first save. Applying a proposed item goes through `onEdit`
+// like a manual edit.
+const useFollowUpChat = ({ db, user, settings, insights, setInsights, canSave, signInRequired, onEdit, onError }) => {
+  const [chatting, setChatting] = useState(false);
+
+  // `target` is the insight the messages belong to, which may no longer be open when an answer arrives
+  const updateMessages = (target, update) => {
+    const chat = update(target.chat || []).slice(-MAX_CHAT_MESSAGES);
+    const isTarget = (insight) => insight?.insightType === target.insightType && insight.input === target.input
+      && (!target.id || insight.id === target.id);
+    setInsights(prev => (isTarget(prev) ? { ...prev, chat } : prev));
+    if (target.id && canSave) {
+      trackWrite('chat', repositoryFor(db, user, target.workspaceId || null).updateChat(target.id, chat)).catch(err => {
+        console.error("Chat Error:", err);
+        onError('The chat could not be saved. Please try again.');
+      });
+    }
+  };
+
+  // Rejects with the message to show in the chat
+  const ask = async (question) => {
+    if (signInRequired) throw new Error('Please log in with Google to ask follow-up questions.');
+    const target = insights;
+    setChatting(true);
+    try {
+      const schema = buildChatSchema(target);
+      const model = createModel(settings, { user, responseSchema: schema });
+      const json = await generateStructured(model, buildChatPrompt(target, target.chat || [], question), schema);
+      updateMessages(target, chat => [
+        ...chat,
+        { role: 'user', text: question },
+        { role: 'assistant', text: json.reply.trim(), proposals: proposalsFromResponse(json, target) }
+      ]);
+    } catch (err) {
+      console.error("Chat Error:", err);
+      throw new Error(generationErrorMessage(err, 'Failed to answer the question. Please try again.'));
+    } finally {
+      setChatting(false);
+    }
+  };
+
+  // Push an item from an answer into the analysis; proposals the answer made are marked as used
+  const apply = (messageIndex, proposalIndex, proposal) => {
+    onEdit(applyProposal(insights, proposal));
+    if (proposalIndex === null) return;
+    updateMessages(insights, chat => chat.map((message, index) => (index === messageIndex
+      ? { ...message, proposals: message.proposals.map((entry, i) => (i === proposalIndex ? { ...entry, applied: true } : entry)) }
+      : message)));
+  };
+
+  return { chatting, ask, apply };
+};
+
+export default useFollowUpChat;
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { restoreInsight } from '../lib/insightTypes';
+import { exportInsightPDF } from '../lib/pdfReport';
+import { exportComparisonPDF } from '../lib/comparisonReport';
+import { exportInsight, buildSavedInsightsZip, downloadBlob } from '../lib/exportFormats';
+
+// Downloads of the open insight, the compared insights and every saved insight of
+// the listed library. Failures are logged and reported to `onError`.
+const useInsightExports = ({ insights, comparison, printTheme, repository, onError }) => {
+  const [exportingAll, setExportingAll] = useState(false);
+
+  const exportAs = async (format) => {
+    try {
+      await exportInsight(insights, format);
+    } catch (err) {
+      console.error("Export Error:", err);
+      onError('Failed to export the insight. Please try again.');
+    }
+  };
+
+  const exportPdf = () => {
+    try {
+      exportInsightPDF(insights, { printTheme });
+    } catch (err) {
+      console.error("PDF Export Error:", err);
+      onError('Failed to create the PDF report. Please try again.');
+    }
+  };
+
+  const exportComparison = () => {
+    try {
+      exportComparisonPDF(comparison);
+    } catch (err) {
+      console.error("PDF Export Error:", err);
+      onError('Failed to create the comparison PDF. Please try again.');
+    }
+  };
+
+  // Every saved insight of the listed library as one zip
+  const exportSavedInsights = async () => {
+    setExportingAll(true);
+    try {
+      const saved = await repository.fetchAll();
+      const zip = await buildSavedInsightsZip(saved.map(entry => ({
+        ...restoreInsight(entry),
+        id: entry.id,
+        version: entry.version,
+        timestamp: entry.timestamp,
+        tags: entry.tags || [],
+        ...(entry.folder && { folder: entry.folder }),
+        pinned: Boolean(entry.pinned),
+        ...(entry.savedBy && { savedBy: entry.savedBy })
+      })));
+      downloadBlob(zip, 'InsightCraft_Saved_Insights.zip');
+    } catch (err) {
+      console.error("Export Error:", err);
+      onError('Failed to export the saved insights. Please try again.');
+    } finally {
+      setExportingAll(false);
+    }
+  };
+
+  return { exportingAll, exportAs, exportPdf, exportComparison, exportSavedInsights };
+};
+
+export default useInsightExports;
@@ -0,0 +1,132 @@
+import { useRef, useState } from 'react';
+import { getInsightType, buildResponseSchema, fromResponse } from '../lib/insightTypes';
+import { activeModeInputs } from '../lib/modes';
+import { buildPrompt } from '../lib/promptBuilder';
+import { generatedByFor } from '../lib/llmSettings';
+import { MAX_INPUT_LENGTH } from '../lib/constants';
+import { sourcesForPrompt, sourceSummary } from '../lib/sources';
+import { MAX_ASSUMPTION_LENGTH, scenarioLink } from '../lib/scenarios';
+import { buildActionPlan } from '../lib/actionPlan';
+import { generateStructured } from '../lib/structuredGeneration';
+import { QuotaExceededError } from '../services/generationClient';
+import { createModel, requiresSignIn, ProviderSettingsError } from '../services/llmProviders';
+
+// Generates an analysis from the builder form with the chosen model, streaming
+// partial results into `setInsights` so each section shows as soon as it arrives.
+// `onStart` runs once the form is valid; messages for the user go to `onError`.
+// With `scenario` ({ parent, assumption }) the analysis is a what-if variant of
+// the saved insight `parent`, linked to it and kept in the same library.
+const useInsightGeneration = ({ user, settings, setInsights, onStart, onError }) => {
+  const [loading, setLoading] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  const generate = async ({ insightType, mode, modeInputs, input, sources, scenario = null }) => {
+    if (!user && requiresSignIn(settings)) {
+      onError('Please log in with Google to generate insights, or choose another provider in the model settings.');
+      return;
+    }
+    if (!input) {
+      onError('Please enter a description.');
+      return;
+    }
+    if (input.length < 10) {
+      onError('Please enter a more detailed description (at least 10 characters).');
+      return;
+    }
+    if (input.length > MAX_INPUT_LENGTH) {
+      onError(`Please shorten the description to ${MAX_INPUT_LENGTH} characters or fewer.`);
+      return;
+    }
+    if (scenario && !scenario.assumption.trim()) {
+      onError('Please describe the assumption that changes in this scenario.');
+      return;
+    }
+    if (scenario && scenario.assumption.length > MAX_ASSUMPTION_LENGTH) {
+      onError(`Please shorten the assumption to ${MAX_ASSUMPTION_LENGTH} characters or fewer.`);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let streamed = false;
+    setLoading(true);
+    onError(null);
+    onStart();
+
+    try {
+      const type = getInsightType(insightType);
+      // Only keep the inputs that belong to the selected mode
+      const activeInputs = activeModeInputs(mode, modeInputs);
+      const promptSources = sourcesForPrompt(sources);
+      const responseSchema = buildResponseSchema(insightType, mode, promptSources.map(source => source.id));
+      const model = createModel(settings, { user, responseSchema });
+      const base = {
+        insightType,
+        input,
+        mode,
+        modeInputs: activeInputs,
+        generatedBy: generatedByFor(settings),
+        ...(promptSources.length > 0 && { sources: promptSources.map(sourceSummary) }),
+        ...(scenario && {
+          scenario: scenarioLink(scenario.parent, scenario.assumption),
+          workspaceId: scenario.parent.workspaceId || null
+        })
+      };
+
+      const json = await generateStructured(
+        model,
+        buildPrompt({
+          insightType,
+          mode,
+          modeInputs: activeInputs,
+          input,
+          sources: promptSources,
+          scenario: scenario && { baseline: scenario.parent, assumption: scenario.assumption.trim() }
+        }),
+        responseSchema,
+        {
+          signal: controller.signal,
+          // Render each section as soon as it has streamed in
+          onPartial: (partial) => {
+            streamed = true;
+            setInsights({ ...base, ...fromResponse(partial, insightType, mode), streaming: true });
+          }
+        }
+      );
+      const result = fromResponse(json, insightType, mode);
+
+      if (!type.hasContent(result)) {
+        throw new Error(`The response did not contain any ${insightType} items.`);
+      }
+
+      // The recommendations start out as the open actions of the plan
+      setInsights({ ...base, ...result, actionPlan: buildActionPlan(result) });
+    } catch (error) {
+      // Keep whatever streamed in before the failure, flagged as partial
+      if (streamed) {
+        setInsights(prev => (prev?.streaming ? { ...prev, streaming: false, partial: true } : prev));
+      }
+
+      if (error.name === 'AbortError') {
+        onError(streamed ? 'Generation cancelled. The partial results are shown below.' : 'Generation cancelled.');
+        return;
+      }
+      if (error instanceof QuotaExceededError || error instanceof ProviderSettingsError) {
+        onError(error.message);
+        return;
+      }
+      console.error("Generation Error:", error);
+      const message = error.message || "Failed to generate insights. Please try again.";
+      onError(streamed ? `${message} The partial results are shown below.` : message);
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const cancel = () => abortControllerRef.current?.abort();
+
+  return { loading, generate, cancel };
+};
+
+export default useInsightGeneration;
@@ -0,0 +1,86 @@
+import { restoreInsight } from '../lib/insightTypes';
+import { repositoryFor } from '../services/insightsRepository';
+import { VersionConflictError } from '../services/insightVersions';
+import { trackWrite } from '../services/syncStatus';
+
+// Saving, restoring and deleting insights. Each save of an insight that is already
+// stored adds a version instead of overwriting it. New insights go to
+// `activeWorkspaceId`; saved ones and scenarios stay in the library they came from.
+// Offline, writes are kept on this device and synced when the connection returns.
+// `onSaved` runs after every save or delete so the saved list reloads; `onRestore`
+// runs before a restored version replaces the open insight.
+const useInsightSaving = ({ db, user, insights, setInsights, activeWorkspaceId, repository, onSaved, onRestore, onError }) => {
+  const save = async (insight = insights) => {
+    if (!user || !insight) return;
+    const workspaceId = insight.id || insight.scenario ? insight.workspaceId || null : activeWorkspaceId;
+    try {
+      const saved = await repositoryFor(db, user, workspaceId).save({
+        ...insight,
+        ...(workspaceId && { savedBy: user.displayName || user.email })
+      });
+      trackWrite('saved insight', saved.committed);
+      if (navigator.onLine) await saved.committed;
+      // Another insight may have been opened while the write was pending; it keeps its own id
+      const isSaved = (open) => open?.insightType === insight.insightType && open.input === insight.input
+        && (open.id || null) === (insight.id || null);
+      setInsights(prev => (isSaved(prev)
+        ? { ...prev, id: saved.id, version: saved.version, workspaceId, restoredFrom: null, edited: false, imported: false }
+        : prev));
+      onSaved();
+
+      if (!navigator.onLine) alert('Saved on this device. It will sync when you are back online.');
+      else alert(saved.version > 1 ? `Saved as version ${saved.version}.` : 'Insight saved successfully!');
+    } catch (error) {
+      console.error("Error saving insight:", error);
+      if (error instanceof VersionConflictError) {
+        onSaved();
+        onError(`Version ${error.version} of this insight was saved in another tab or by someone else while you had it open. Reload it from Saved Insights and apply your changes again.`);
+        return;
+      }
+      // The security rules reject documents that are too large or malformed
+      onError(error.code === 'permission-denied'
+        ? 'This insight could not be saved because it is too large or incomplete.'
+        : 'Failed to save insight. Please try again.');
+    }
+  };
+
+  // Restoring saves the old content as a new version so the history stays intact
+  const restoreVersion = async (version) => {
+    const restored = {
+      ...restoreInsight(version),
+      id: insights.id,
+      version: insights.version,
+      workspaceId: insights.workspaceId,
+      tags: insights.tags,
+      folder: insights.folder,
+      pinned: insights.pinned,
+      chat: insights.chat,
+      actionPlan: insights.actionPlan,
+      restoredFrom: version.version
+    };
+    onRestore();
+    setInsights(restored);
+    await save(restored);
+  };
+
+  // Delete from the listed library
+  const remove = async (insightId) => {
+    if (!user) return;
+    try {
+      const { committed } = await repository.remove(insightId);
+      trackWrite('deleted insight', committed);
+      if (navigator.onLine) await committed;
+      onSaved();
+      // The open results are no longer backed by a saved document
+      setInsights(prev => (prev?.id === insightId ? { ...prev, id: null, version: null, workspaceId: null } : prev));
+      alert(navigator.onLine ? 'Insight deleted successfully!' : 'Deleted on this device. It will sync when you are back online.');
+    } catch (error) {
+      console.error("Error deleting insight:", error);
+      onError('Failed to delete insight. Please try again.');
+    }
+  };
+
+  return { save, restoreVersion, remove };
+};
+
+export default useInsightSaving;
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { applyEdit } from '../lib/insightTypes';
+import { insightSections } from '../lib/insightDiff';
+import { ITEM_ACTIONS, MAX_UNDO, itemKey, buildItemActionSchema, buildItemActionPrompt, itemFromActionResponse, replaceItem } from '../lib/itemActions';
+import { generateStructured } from '../lib/structuredGeneration';
+import { createModel, generationErrorMessage } from '../services/llmProviders';
+
+// Regenerate, refine or explain one item of the open insight with the rest of the
+// analysis as context. Rewrites go on the insight's `undoStack` so they can be
+// reverted one at a time; explanations are kept here by item key and not saved.
+const useItemActions = ({ user, settings, insights, setInsights, signInRequired, onError }) => {
+  // Action in progress ({ key, action })
+  const [pending, setPending] = useState(null);
+  const [explanations, setExplanations] = useState({});
+
+  const run = async (sectionKey, index, action) => {
+    if (signInRequired) {
+      onError('Please log in with Google to rework individual items.');
+      return;
+    }
+    const section = insightSections(insights).find(entry => entry.key === sectionKey);
+    const item = section.items[index];
+    const key = itemKey(sectionKey, item);
+    setPending({ key, action });
+    onError(null);
+    try {
+      const schema = buildItemActionSchema(insights, sectionKey, action);
+      const model = createModel(settings, { user, responseSchema: schema });
+      const json = await generateStructured(model, buildItemActionPrompt(insights, sectionKey, index, action), schema);
+      if (ITEM_ACTIONS[action].explains) {
+        setExplanations(prev => ({ ...prev, [key]: json.explanation.trim() }));
+        return;
+      }
+      const rewritten = itemFromActionResponse(json, insights, sectionKey);
+      const entry = { label: `${ITEM_ACTIONS[action].done} ${section.title} #${index + 1}`, sectionKey, previous: item, current: rewritten };
+      // Applied to the latest state; dropped if the item was edited or another insight opened meanwhile
+      setInsights(prev => {
+        const changes = prev && replaceItem(prev, sectionKey, item, rewritten);
+        return changes ? applyEdit(prev, { ...changes, undoStack: [...(prev.undoStack || []), entry].slice(-MAX_UNDO) }) : prev;
+      });
+    } catch (err) {
+      console.error("Item Action Error:", err);
+      onError(generationErrorMessage(err, 'Failed to update the item. Please try again.'));
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const undo = () => setInsights(prev => {
+    const entry = prev.undoStack[prev.undoStack.length - 1];
+    const undoStack = prev.undoStack.slice(0, -1);
+    const changes = replaceItem(prev, entry.sectionKey, entry.current, entry.previous);
+    // A rewrite edited by hand since can no longer be undone, so it is only dropped
+    return changes ? applyEdit(prev, { ...changes, undoStack }) : { ...prev, undoStack };
+  });
+
+  // Attaching or removing a supporting source edits the item like a manual edit
+  const editEvidence = (sectionKey, item, next) => setInsights(prev => {
+    const changes = prev && replaceItem(prev, sectionKey, item, next);
+    return changes ? applyEdit(prev, changes) : prev;
+  });
+
+  const dismiss = (key) => setExplanations(prev => Object.fromEntries(
+    Object.entries(prev).filter(([entryKey]) => entryKey !== key)
+  ));
+
+  return { pending, explanations, run, undo, editEvidence, dismiss };
+};
+
+export default useItemActions;
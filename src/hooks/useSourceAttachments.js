@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { MAX_SOURCES, SourceError, nextSourceId, readSource } from '../lib/sources';
+
+// Files attached as context for the next generation, with their extracted text.
+// Files that cannot be read are skipped and reported to `onError`.
+const useSourceAttachments = (onError) => {
+  const [sources, setSources] = useState([]);
+  const [reading, setReading] = useState(false);
+
+  const add = async (files) => {
+    const accepted = files.slice(0, MAX_SOURCES - sources.length);
+    if (accepted.length < files.length) onError(`Only ${MAX_SOURCES} files can be attached.`);
+    setReading(true);
+    try {
+      let next = sources;
+      for (const file of accepted) {
+        try {
+          next = [...next, await readSource(file, nextSourceId(next))];
+        } catch (err) {
+          console.error("Source Error:", err);
+          onError(err instanceof SourceError ? err.message : `Failed to read ${file.name}.`);
+        }
+      }
+      setSources(next);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const remove = (id) => setSources(prev => prev.filter(source => source.id !== id));
+
+  return { sources, reading, add, remove };
+};
+
+export default useSourceAttachments;
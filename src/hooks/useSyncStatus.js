@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { subscribeSyncStatus, trackEarlierWrites } from '../services/syncStatus';
+
+// Whether the browser is online and how many Firestore writes are waiting to sync.
+// Once a user is signed in, writes left over from an earlier session are counted too.
+const useSyncStatus = (db, user) => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [status, setStatus] = useState({ pending: 0, failure: null });
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  useEffect(() => subscribeSyncStatus(setStatus), []);
+
+  useEffect(() => {
+    if (user) trackEarlierWrites(db);
+  }, [db, user]);
+
+  return { online, ...status };
+};
+
+export default useSyncStatus;
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  acceptInvitation,
+  createWorkspace,
+  inviteMember,
+  listInvitations,
+  listWorkspaces,
+  removeMember,
+  revokeInvitation,
+  setMemberRole
+} from '../services/workspaces';
+
+// Workspaces the signed-in user belongs to and the invitations waiting for them.
+// Every action reloads both lists so roles and members stay current.
+const useWorkspaces = (db, user) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    if (!user) {
+      setWorkspaces([]);
+      setInvitations([]);
+      return;
+    }
+    try {
+      const [workspaceList, invitationList] = await Promise.all([listWorkspaces(db, user), listInvitations(db, user)]);
+      setWorkspaces(workspaceList);
+      setInvitations(invitationList);
+      setError(null);
+    } catch (err) {
+      console.error("Workspace Error:", err);
+      setError('Failed to load workspaces. Please refresh the page.');
+    }
+  }, [db, user]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const run = (action, failure) => async (...args) => {
+    try {
+      const result = await action(...args);
+      await reload();
+      return result;
+    } catch (err) {
+      console.error("Workspace Error:", err);
+      setError(failure);
+      return null;
+    }
+  };
+
+  return {
+    workspaces,
+    invitations,
+    error,
+    clearError: () => setError(null),
+    create: run((name) => createWorkspace(db, user, name), 'Failed to create the workspace.'),
+    accept: run((invitation) => acceptInvitation(db, user, invitation), 'Failed to join the workspace.'),
+    invite: run((workspaceId, email, role) => inviteMember(db, workspaceId, email, role), 'Failed to send the invitation.'),
+    revokeInvite: run((workspaceId, email) => revokeInvitation(db, workspaceId, email), 'Failed to revoke the invitation.'),
+    setRole: run((workspaceId, uid, role) => setMemberRole(db, workspaceId, uid, role), 'Failed to change the role.'),
+    removeMember: run((workspaceId, uid) => removeMember(db, workspaceId, uid), 'Failed to remove the member.'),
+    leave: run((workspaceId) => removeMember(db, workspaceId, user.uid), 'Failed to leave the workspace.')
+  };
+};
+
+export default useWorkspaces;
@@ -0,0 +1,69 @@
+import { ACTION_STATUSES } from './actionPlan';
+
+// iCalendar (RFC 5545) export of an action plan's deadlines: one all-day event
+// per action with a due date, so the plan can be added to any calendar app.
+
+// Text values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const dateValue = (dueDate) => dueDate.replace(/-/g, '');
+
+const nextDay = (dueDate) => {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const timestampValue = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const describeAction = (action, insight) => [
+  `Status: ${ACTION_STATUSES[action.status]}`,
+  action.owner && `Owner: ${action.owner}`,
+  ...action.addresses.map(link => `Addresses ${link.section}: ${link.text}`),
+  `From the ${insight.insightType} of "${insight.input}"`
+].filter(Boolean).join('\n');
+
+export const toICalendar = (insight, now = new Date()) => {
+  const events = (insight.actionPlan || [])
+    .filter(action => action.dueDate)
+    .flatMap(action => [
+      'BEGIN:VEVENT',
+      `UID:${insight.id || 'unsaved'}-${action.id}@insightcraft`,
+      `DTSTAMP:${timestampValue(now)}`,
+      `DTSTART;VALUE=DATE:${dateValue(action.dueDate)}`,
+      `DTEND;VALUE=DATE:${nextDay(action.dueDate)}`,
+      `SUMMARY:${escapeText(action.status === 'done' ? `Done: ${action.text}` : action.text)}`,
+      `DESCRIPTION:${escapeText(describeAction(action, insight))}`,
+      'END:VEVENT'
+    ]);
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//InsightCraft//Action Plan//EN',
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { toICalendar } from './actionCalendar';
+
+const insight = {
+  id: 'saved-1',
+  insightType: 'SWOT Analysis',
+  input: 'A coding club',
+  actionPlan: [
+    {
+      id: 'a1',
+      text: 'Test ads; compare cost, then decide',
+      owner: 'Marketing lead',
+      dueDate: '2025-03-31',
+      status: 'doing',
+      addresses: [{ section: 'Weaknesses', text: 'One channel' }]
+    },
+    { id: 'a2', text: 'Undated', owner: '', dueDate: '', status: 'todo', addresses: [] }
+  ]
+};
+
+describe('toICalendar', () => {
+  const ics = toICalendar(insight, new Date('2025-01-15T09:30:00Z'));
+  const lines = ics.split('\r\n');
+
+  it('writes an all-day event for each action with a due date', () => {
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(lines).toContain('UID:saved-1-a1@insightcraft');
+    expect(lines).toContain('DTSTAMP:20250115T093000Z');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250331');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250401');
+    expect(lines).toContain('SUMMARY:Test ads\\; compare cost\\, then decide');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('folds long lines and escapes line breaks in the description', () => {
+    const description = ics.slice(ics.indexOf('DESCRIPTION:'), ics.indexOf('\r\nEND:VEVENT'));
+    expect(description.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    expect(description.replace(/\r\n /g, '')).toBe(
+      'DESCRIPTION:Status: In progress\\nOwner: Marketing lead\\nAddresses Weaknesses: One channel\\nFrom the SWOT Analysis of "A coding club"'
+    );
+  });
+});
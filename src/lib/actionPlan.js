@@ -0,0 +1,124 @@
+import { SWOT_SECTIONS } from './insightParser';
+
+// The strategic recommendations of an insight as tracked action items:
+// { id, text, owner, dueDate, status, addresses }. `dueDate` is yyyy-mm-dd or ''
+// and `addresses` lists the SWOT items the action acts on as { section, text },
+// resolved from the "Threats 2" style references the model gives for each
+// recommendation. The plan is stored on the insight document and, like the
+// chat, is not versioned.
+
+export const ACTION_STATUSES = {
+  todo: 'To do',
+  doing: 'In progress',
+  done: 'Done'
+};
+
+export const MAX_ACTIONS = 50;
+export const MAX_OWNER_LENGTH = 100;
+
+const UNIT_PATTERN = '(day|week|month|quarter|year)s?';
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const COUNT_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+// "6 weeks", "3-6 months" (the later end), "two quarters"
+const COUNTED = new RegExp(`\\b${COUNT_PATTERN}(?:\\s*(?:-|–|to)\\s*${COUNT_PATTERN})?\\s*${UNIT_PATTERN}\\b`);
+// "next month", "this quarter"
+const NEXT_UNIT = new RegExp(`\\b(?:next|this|within the)\\s+${UNIT_PATTERN}\\b`);
+const QUARTER = /\bq([1-4])\s*(\d{4})\b/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Months, quarters and years end on the same day of the month, or on the last
+// day of a shorter month: Jan 31 + 1 month is Feb 28, not Mar 3
+const addPeriod = (from, count, unit) => {
+  if (unit === 'day' || unit === 'week') {
+    return new Date(from.getFullYear(), from.getMonth(), from.getDate() + count * (unit === 'week' ? 7 : 1));
+  }
+  const month = from.getMonth() + count * { month: 1, quarter: 3, year: 12 }[unit];
+  const lastDay = new Date(from.getFullYear(), month + 1, 0).getDate();
+  return new Date(from.getFullYear(), month, Math.min(from.getDate(), lastDay));
+};
+
+const countOf = (word) => NUMBER_WORDS[word] ?? Number(word);
+
+// A deadline for a recommendation's timeframe counted from `from`, or '' when
+// the timeframe names no period ("Ongoing")
+export const dueDateFromTimeframe = (timeframe, from = new Date()) => {
+  const phrase = String(timeframe ?? '').toLowerCase();
+  const quarter = phrase.match(QUARTER);
+  if (quarter) return toDateString(new Date(Number(quarter[2]), Number(quarter[1]) * 3, 0));
+  const counted = phrase.match(COUNTED);
+  if (counted) return toDateString(addPeriod(from, countOf(counted[2] ?? counted[1]), counted[3]));
+  const next = phrase.match(NEXT_UNIT);
+  if (next) return toDateString(addPeriod(from, 1, next[1]));
+  if (/\b(immediately|now|asap|right away)\b/.test(phrase)) return toDateString(addPeriod(from, 1, 'week'));
+  return '';
+};
+
+const REFERENCE = new RegExp(`^(${SWOT_SECTIONS.join('|')})\\s*#?\\s*(\\d+)$`, 'i');
+
+// The SWOT items a recommendation's references point to; unknown references are dropped
+export const resolveAddresses = (references, swot) => {
+  if (!swot || !Array.isArray(references)) return [];
+  const links = references.map(reference => {
+    const match = String(reference).trim().match(REFERENCE);
+    if (!match) return null;
+    const section = SWOT_SECTIONS.find(name => name.toLowerCase() === match[1].toLowerCase());
+    const entry = swot[section]?.[Number(match[2]) - 1];
+    return entry ? { section, text: entry.text } : null;
+  }).filter(Boolean);
+  return links.filter((link, index) => links.findIndex(other => other.section === link.section && other.text === link.text) === index);
+};
+
+const nextId = (plan) => `a${plan.reduce((max, action) => Math.max(max, Number(action.id.slice(1)) || 0), 0) + 1}`;
+
+const actionFromRecommendation = (recommendation, insight, id, from) => ({
+  id,
+  text: recommendation.text,
+  owner: String(recommendation.attributes?.owner ?? '').slice(0, MAX_OWNER_LENGTH),
+  dueDate: dueDateFromTimeframe(recommendation.attributes?.timeframe, from),
+  status: 'todo',
+  addresses: resolveAddresses(recommendation.addresses, insight.swot)
+});
+
+// Add an action for every recommendation the plan does not track yet, matched by text
+export const addRecommendedActions = (plan, insight, from = new Date()) => (insight.recommendations || [])
+  .filter(recommendation => recommendation.text)
+  .reduce((acc, recommendation) => (acc.some(action => action.text === recommendation.text) || acc.length >= MAX_ACTIONS
+    ? acc
+    : [...acc, actionFromRecommendation(recommendation, insight, nextId(acc), from)]), plan);
+
+export const buildActionPlan = (insight, from = new Date()) => addRecommendedActions([], insight, from);
+
+export const updateAction = (plan, id, changes) => plan.map(action => (action.id === id ? { ...action, ...changes } : action));
+
+export const removeAction = (plan, id) => plan.filter(action => action.id !== id);
+
+export const actionProgress = (plan) => {
+  const total = plan?.length || 0;
+  const done = (plan || []).filter(action => action.status === 'done').length;
+  return { done, total, percent: total > 0 ? Math.round((done / total) * 100) : 0 };
+};
+
+// Actions past their due date that are not done, relative to `today` (yyyy-mm-dd)
+export const isOverdue = (action, today = toDateString(new Date())) => Boolean(action.dueDate)
+  && action.status !== 'done' && action.dueDate < today;
+
+// A saved or imported plan with every field present and of the expected type
+export const normalizeActionPlan = (plan) => (Array.isArray(plan) ? plan : [])
+  .filter(action => action && typeof action.id === 'string' && typeof action.text === 'string' && action.text)
+  .slice(0, MAX_ACTIONS)
+  .map(action => ({
+    id: action.id,
+    text: action.text,
+    owner: typeof action.owner === 'string' ? action.owner : '',
+    dueDate: /^\d{4}-\d{2}-\d{2}$/.test(action.dueDate) ? action.dueDate : '',
+    status: ACTION_STATUSES[action.status] ? action.status : 'todo',
+    addresses: (Array.isArray(action.addresses) ? action.addresses : [])
+      .filter(link => SWOT_SECTIONS.includes(link?.section) && typeof link.text === 'string')
+      .map(link => ({ section: link.section, text: link.text }))
+  }));
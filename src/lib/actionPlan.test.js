@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import {
+  actionProgress,
+  addRecommendedActions,
+  buildActionPlan,
+  dueDateFromTimeframe,
+  isOverdue,
+  normalizeActionPlan,
+  resolveAddresses,
+  updateAction
+} from './actionPlan';
+import { sampleInsight } from '../test/fixtures';
+
+const from = new Date(2025, 0, 15);
+
+describe('dueDateFromTimeframe', () => {
+  it('counts the period of the timeframe from the given day', () => {
+    expect(dueDateFromTimeframe('Next 6 weeks', from)).toBe('2025-02-26');
+    expect(dueDateFromTimeframe('Within 3 months', from)).toBe('2025-04-15');
+    expect(dueDateFromTimeframe('3-6 months', from)).toBe('2025-07-15');
+    expect(dueDateFromTimeframe('Two quarters', from)).toBe('2025-07-15');
+    expect(dueDateFromTimeframe('Next quarter', from)).toBe('2025-04-15');
+    expect(dueDateFromTimeframe('Immediately', from)).toBe('2025-01-22');
+  });
+
+  it('ends on the last day of a shorter month instead of running into the next', () => {
+    expect(dueDateFromTimeframe('Within 1 month', new Date(2025, 0, 31))).toBe('2025-02-28');
+    expect(dueDateFromTimeframe('Next month', new Date(2024, 0, 31))).toBe('2024-02-29');
+    expect(dueDateFromTimeframe('Next quarter', new Date(2025, 10, 30))).toBe('2026-02-28');
+    expect(dueDateFromTimeframe('3 months', new Date(2025, 2, 31))).toBe('2025-06-30');
+    expect(dueDateFromTimeframe('Within a year', new Date(2024, 1, 29))).toBe('2025-02-28');
+    expect(dueDateFromTimeframe('2 weeks', new Date(2025, 11, 25))).toBe('2026-01-08');
+  });
+
+  it('ends a named quarter on its last day', () => {
+    expect(dueDateFromTimeframe('Q3 2025', from)).toBe('2025-09-30');
+  });
+
+  it('leaves timeframes without a period undated', () => {
+    expect(dueDateFromTimeframe('Ongoing', from)).toBe('');
+    expect(dueDateFromTimeframe(undefined, from)).toBe('');
+  });
+});
+
+describe('resolveAddresses', () => {
+  const { swot } = sampleInsight();
+
+  it('turns quadrant references into the items they point to', () => {
+    expect(resolveAddresses(['threats 2', 'Weaknesses #1', 'Threats 2'], swot)).toEqual([
+      { section: 'Threats', text: 'Economic slowdown reduces discretionary spending' },
+      { section: 'Weaknesses', text: 'Reliance on one acquisition channel' }
+    ]);
+  });
+
+  it('drops references to items that do not exist', () => {
+    expect(resolveAddresses(['Threats 9', 'the brand'], swot)).toEqual([]);
+    expect(resolveAddresses(['Threats 1'], undefined)).toEqual([]);
+  });
+});
+
+describe('buildActionPlan', () => {
+  it('tracks every recommendation with its owner, deadline and SWOT links', () => {
+    const plan = buildActionPlan(sampleInsight(), from);
+    expect(plan).toHaveLength(3);
+    expect(plan[0]).toEqual({
+      id: 'a1',
+      text: 'Add a second acquisition channel and cap the first at 60% of new customers',
+      owner: 'Marketing lead',
+      dueDate: '2025-04-15',
+      status: 'todo',
+      addresses: [{ section: 'Weaknesses', text: 'Reliance on one acquisition channel' }]
+    });
+  });
+
+  it('has no SWOT links for other insight types', () => {
+    expect(buildActionPlan(sampleInsight('Market Trends'), from).every(action => action.addresses.length === 0)).toBe(true);
+  });
+});
+
+describe('addRecommendedActions', () => {
+  it('only adds recommendations the plan does not track yet', () => {
+    const insight = sampleInsight();
+    const plan = updateAction(buildActionPlan(insight, from), 'a1', { status: 'done' });
+    const recommendations = [...insight.recommendations, { text: 'Hire a teacher', attributes: {} }];
+    const next = addRecommendedActions(plan, { ...insight, recommendations }, from);
+    expect(next.slice(0, 3)).toEqual(plan);
+    expect(next[3]).toMatchObject({ id: 'a4', text: 'Hire a teacher', owner: '', dueDate: '', status: 'todo' });
+  });
+});
+
+describe('actionProgress and isOverdue', () => {
+  const plan = [
+    { id: 'a1', text: 'One', status: 'done', dueDate: '2025-01-01' },
+    { id: 'a2', text: 'Two', status: 'doing', dueDate: '2025-01-01' },
+    { id: 'a3', text: 'Three', status: 'todo', dueDate: '' }
+  ];
+
+  it('counts the done actions', () => {
+    expect(actionProgress(plan)).toEqual({ done: 1, total: 3, percent: 33 });
+    expect(actionProgress(undefined)).toEqual({ done: 0, total: 0, percent: 0 });
+  });
+
+  it('flags open actions past their due date', () => {
+    expect(plan.map(action => isOverdue(action, '2025-01-15'))).toEqual([false, true, false]);
+  });
+});
+
+describe('normalizeActionPlan', () => {
+  it('fills missing fields and drops malformed actions', () => {
+    expect(normalizeActionPlan([
+      { id: 'a1', text: 'Launch', status: 'blocked', dueDate: 'soon', addresses: [{ section: 'Threats', text: 'Rival' }, { section: 'Other', text: 'x' }] },
+      { id: 'a2' },
+      null
+    ])).toEqual([
+      { id: 'a1', text: 'Launch', owner: '', dueDate: '', status: 'todo', addresses: [{ section: 'Threats', text: 'Rival' }] }
+    ]);
+    expect(normalizeActionPlan(undefined)).toEqual([]);
+  });
+});
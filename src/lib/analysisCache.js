@@ -0,0 +1,31 @@
+import { INSIGHT_TYPES, restoreInsight } from './insightTypes';
+import { readStored, removeStored, writeStored } from './storage';
+
+// The last unsaved analysis is kept in localStorage so it survives a reload,
+// including offline or signed out. Saved insights are not kept here: Firestore's
+// offline cache already holds them and they reopen from the saved list.
+
+const CACHE_KEY = 'insightcraft:lastAnalysis';
+
+// Fields that only make sense while the analysis is on screen
+const UNCACHED_FIELDS = ['streaming', 'undoStack'];
+
+// The cached analysis, or null when there is none or it is not one this version can restore
+export const loadLastAnalysis = () => {
+  const cached = readStored(CACHE_KEY);
+  if (!cached || typeof cached !== 'object' || !INSIGHT_TYPES[cached.insightType]) return null;
+  try {
+    return { ...cached, ...restoreInsight(cached) };
+  } catch {
+    return null;
+  }
+};
+
+// Clearing the results or saving them removes the cached copy
+export const saveLastAnalysis = (insight) => {
+  if (!insight || insight.id) {
+    removeStored(CACHE_KEY);
+    return;
+  }
+  writeStored(CACHE_KEY, Object.fromEntries(Object.entries(insight).filter(([key]) => !UNCACHED_FIELDS.includes(key))));
+};
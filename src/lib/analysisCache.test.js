@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { loadLastAnalysis, saveLastAnalysis } from './analysisCache';
+import { sampleInsight } from '../test/fixtures';
+
+const CACHE_KEY = 'insightcraft:lastAnalysis';
+
+describe('analysis cache', () => {
+  it('keeps the last unsaved analysis without its on-screen state', () => {
+    const insight = sampleInsight();
+    saveLastAnalysis({ ...insight, streaming: true, undoStack: [{ label: 'Regenerated' }] });
+
+    const cached = loadLastAnalysis();
+    expect(cached).toMatchObject({ insightType: 'SWOT Analysis', input: insight.input, summary: insight.summary });
+    expect(cached.swot.Threats).toEqual(insight.swot.Threats);
+    expect(cached).not.toHaveProperty('streaming');
+    expect(cached).not.toHaveProperty('undoStack');
+  });
+
+  it('removes the cached copy once the analysis is saved or cleared', () => {
+    saveLastAnalysis(sampleInsight());
+    saveLastAnalysis({ ...sampleInsight(), id: 'saved-1' });
+    expect(loadLastAnalysis()).toBeNull();
+
+    saveLastAnalysis(sampleInsight());
+    saveLastAnalysis(null);
+    expect(localStorage.getItem(CACHE_KEY)).toBeNull();
+  });
+
+  it('ignores a cache it cannot read', () => {
+    localStorage.setItem(CACHE_KEY, '{broken');
+    expect(loadLastAnalysis()).toBeNull();
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ insightType: 'Horoscope' }));
+    expect(loadLastAnalysis()).toBeNull();
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ insightType: 'SWOT Analysis', swot: 5, recommendations: 'none' }));
+    expect(loadLastAnalysis()).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+import { insightSections } from './insightDiff';
+import { tokenize } from './savedSearch';
+import { buildSwotChartData } from './scoring';
+
+// Lines up 2-4 insights section by section and links items that say the same
+// thing. Items are compared by word overlap (Jaccard similarity of their
+// significant words), so "Low customer acquisition cost" matches
+// "Customer acquisition costs are low" without needing an exact match.
+
+export const MAX_COMPARED = 4;
+export const MATCH_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'with'
+]);
+
+export const columnLabel = (index) => String.fromCharCode(65 + index);
+
+const itemText = (item) => (typeof item === 'string' ? item : item.text || item.title || '');
+
+// Significant words with a plural "s" dropped, so cost/costs compare equal
+const significantWords = (text) => new Set(
+  tokenize(text)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word))
+);
+
+export const similarity = (a, b) => {
+  const wordsA = significantWords(a);
+  const wordsB = significantWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+const isMatch = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase() || similarity(a, b) >= MATCH_THRESHOLD;
+
+// Sections of every insight aligned by key. Each cell holds the items of one
+// insight; items that match an item in another column share a `group` number.
+export const alignInsights = (insights) => {
+  const sectionsByInsight = insights.map(insight => insightSections(insight));
+  const keys = [];
+  const titles = {};
+  sectionsByInsight.flat().forEach(section => {
+    if (!keys.includes(section.key)) keys.push(section.key);
+    titles[section.key] = section.title;
+  });
+
+  let nextGroup = 0;
+  return keys.map(key => {
+    const columns = sectionsByInsight.map(sections => (
+      (sections.find(section => section.key === key)?.items || []).map(item => ({ text: itemText(item), item, group: null }))
+    ));
+
+    columns.forEach((column, columnIndex) => {
+      column.forEach(cell => {
+        columns.slice(columnIndex + 1).forEach(other => {
+          other
+            .filter(candidate => isMatch(cell.text, candidate.text))
+            .forEach(candidate => {
+              if (cell.group === null) cell.group = candidate.group ?? nextGroup++;
+              // Two groups linked by this pair become one
+              if (candidate.group !== null && candidate.group !== cell.group) {
+                const merged = candidate.group;
+                columns.flat().forEach(entry => {
+                  if (entry.group === merged) entry.group = cell.group;
+                });
+              }
+              candidate.group = cell.group;
+            });
+        });
+      });
+    });
+
+    return { key, title: titles[key], columns };
+  }).filter(section => section.columns.some(column => column.length > 0));
+};
+
+// Items added and removed between two insights, matching items by word overlap
+export const changeSummary = (before, after) => {
+  const beforeSections = Object.fromEntries(insightSections(before).map(section => [section.key, section.items.map(itemText)]));
+  return insightSections(after)
+    .map(section => {
+      const previous = beforeSections[section.key] || [];
+      const current = section.items.map(itemText);
+      return {
+        key: section.key,
+        title: section.title,
+        added: current.filter(text => !previous.some(other => isMatch(text, other))),
+        removed: previous.filter(text => !current.some(other => isMatch(text, other)))
+      };
+    })
+    .filter(section => section.added.length > 0 || section.removed.length > 0);
+};
+
+// Weighted SWOT scores of each SWOT insight as one row per quadrant, keyed by column label
+export const buildOverlayChartData = (insights) => {
+  const swotColumns = insights
+    .map((insight, index) => ({ label: columnLabel(index), insight }))
+    .filter(({ insight }) => insight.swot);
+  if (swotColumns.length < 2) return { series: [], data: [] };
+
+  const scores = swotColumns.map(({ insight }) => buildSwotChartData(insight.swot));
+  return {
+    series: swotColumns.map(({ label }) => label),
+    data: scores[0].map((row, index) => ({
+      name: row.name,
+      ...Object.fromEntries(swotColumns.map(({ label }, column) => [label, scores[column][index].value]))
+    }))
+  };
+};
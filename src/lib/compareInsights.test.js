@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MATCH_THRESHOLD,
+  alignInsights,
+  buildOverlayChartData,
+  changeSummary,
+  columnLabel,
+  similarity
+} from './compareInsights';
+import { sampleInsight } from '../test/fixtures';
+
+const withStrengths = (strengths) => {
+  const insight = sampleInsight();
+  return { ...insight, swot: { ...insight.swot, Strengths: strengths.map(text => ({ text })) } };
+};
+
+describe('columnLabel', () => {
+  it('labels columns with letters', () => {
+    expect([0, 1, 2, 3].map(columnLabel)).toEqual(['A', 'B', 'C', 'D']);
+  });
+});
+
+describe('similarity', () => {
+  it('ignores stop words, case and plural endings', () => {
+    expect(similarity('Low customer acquisition cost', 'Customer acquisition costs are low')).toBe(1);
+  });
+
+  it('is the share of significant words the two texts have in common', () => {
+    expect(similarity('strong brand loyalty', 'strong brand recognition')).toBeCloseTo(2 / 4);
+    expect(similarity('strong brand loyalty', 'Strong brand recognition')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(similarity('strong brand loyalty', 'expensive hardware')).toBe(0);
+  });
+
+  it('is 0 when either text has no significant words', () => {
+    expect(similarity('the and of', 'brand')).toBe(0);
+    expect(similarity('', '')).toBe(0);
+  });
+});
+
+describe('alignInsights', () => {
+  it('groups matching items across columns and leaves the rest ungrouped', () => {
+    const [strengths] = alignInsights([
+      withStrengths(['Low customer acquisition cost', 'Experienced founders']),
+      withStrengths(['Customer acquisition costs are low', 'Patented technology']),
+      withStrengths(['Low acquisition cost for customers'])
+    ]);
+
+    expect(strengths.key).toBe('swot.Strengths');
+    expect(strengths.columns.map(column => column.map(cell => cell.text))).toEqual([
+      ['Low customer acquisition cost', 'Experienced founders'],
+      ['Customer acquisition costs are low', 'Patented technology'],
+      ['Low acquisition cost for customers']
+    ]);
+    const [[cost, founders], [otherCost, patent], [thirdCost]] = strengths.columns;
+    expect(cost.group).not.toBeNull();
+    expect(otherCost.group).toBe(cost.group);
+    expect(thirdCost.group).toBe(cost.group);
+    expect(founders.group).toBeNull();
+    expect(patent.group).toBeNull();
+  });
+
+  it('links items that match through another column', () => {
+    const [strengths] = alignInsights([
+      withStrengths(['Strong brand loyalty']),
+      withStrengths(['Brand recognition']),
+      withStrengths(['Strong brand recognition'])
+    ]);
+    const groups = strengths.columns.map(([cell]) => cell.group);
+
+    expect(groups[0]).not.toBeNull();
+    expect(new Set(groups).size).toBe(1);
+  });
+
+  it('keeps sections only one insight has and drops sections that are empty everywhere', () => {
+    const startup = sampleInsight();
+    const marketing = { ...sampleInsight('SWOT Analysis', 'Marketing Strategist'), recommendations: [] };
+    const keys = alignInsights([{ ...startup, recommendations: [] }, marketing]).map(section => section.key);
+
+    expect(keys).toContain('extras.assumptions');
+    expect(keys).toContain('extras.channelMix');
+    expect(keys).not.toContain('recommendations');
+  });
+});
+
+describe('changeSummary', () => {
+  it('lists items added and removed, treating reworded items as unchanged', () => {
+    const before = withStrengths(['Low customer acquisition cost', 'Experienced founders']);
+    const after = withStrengths(['Customer acquisition costs are low', 'Patented technology']);
+
+    expect(changeSummary(before, after)).toEqual([{
+      key: 'swot.Strengths',
+      title: 'Strengths',
+      added: ['Patented technology'],
+      removed: ['Experienced founders']
+    }]);
+  });
+
+  it('is empty when nothing changed', () => {
+    expect(changeSummary(sampleInsight(), sampleInsight())).toEqual([]);
+  });
+});
+
+describe('buildOverlayChartData', () => {
+  it('has one row per quadrant with a score per SWOT insight', () => {
+    const { series, data } = buildOverlayChartData([sampleInsight(), sampleInsight('Product Ideas'), sampleInsight()]);
+
+    expect(series).toEqual(['A', 'C']);
+    expect(data.map(row => row.name)).toEqual(['Strengths', 'Weaknesses', 'Opportunities', 'Threats']);
+    data.forEach(row => {
+      expect(row.A).toBe(row.C);
+      expect(row).not.toHaveProperty('B');
+    });
+  });
+
+  it('is empty with fewer than two SWOT insights', () => {
+    expect(buildOverlayChartData([sampleInsight(), sampleInsight('Product Ideas')])).toEqual({ series: [], data: [] });
+  });
+});
@@ -0,0 +1,127 @@
+import jsPDF from 'jspdf';
+import { alignInsights, buildOverlayChartData, changeSummary, columnLabel } from './compareInsights';
+import { PRINT_THEMES, createLayout, drawBarChart } from './pdfReport';
+import { COLORS } from './constants';
+
+// PDF of the compare view: one column per insight for every section, matched
+// items marked with the same [n] tag, then the change summary and the overlay
+// chart, drawn as vector bars like the single-insight report.
+
+const PAGE_BOTTOM = 190;
+
+export const buildComparisonReport = (insights) => {
+  const doc = new jsPDF({
+    orientation: "landscape",
+    unit: "mm",
+    format: "a4"
+  });
+
+  const margin = 15;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const columnWidth = (pageWidth - margin * 2) / insights.length;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_BOTTOM) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(20);
+  doc.text("InsightCraft Comparison", margin, y);
+  y += 10;
+
+  doc.setFontSize(11);
+  insights.forEach((insight, index) => {
+    doc.setFont("helvetica", "bold");
+    doc.text(`${columnLabel(index)}:`, margin, y);
+    doc.setFont("helvetica", "normal");
+    const lines = doc.splitTextToSize(
+      `${insight.insightType} · ${insight.mode} · ${insight.timestamp.toLocaleDateString()} · ${insight.input}`,
+      pageWidth - margin * 2 - 8
+    );
+    ensureSpace(lines.length * 6);
+    doc.text(lines, margin + 8, y);
+    y += lines.length * 6 + 1;
+  });
+  y += 4;
+
+  doc.setFontSize(10);
+  alignInsights(insights).forEach(section => {
+    const cellLines = section.columns.map(column => column.flatMap(cell => doc.splitTextToSize(
+      `• ${cell.text}${cell.group !== null ? ` [${cell.group + 1}]` : ''}`,
+      columnWidth - 4
+    )));
+    const rows = Math.max(...cellLines.map(lines => lines.length), 1);
+
+    ensureSpace(12);
+    doc.setFont("helvetica", "bold");
+    doc.text(section.title, margin, y);
+    y += 6;
+    insights.forEach((_, index) => doc.text(columnLabel(index), margin + index * columnWidth, y));
+    y += 5;
+
+    doc.setFont("helvetica", "normal");
+    for (let row = 0; row < rows; row += 1) {
+      ensureSpace(5);
+      cellLines.forEach((lines, index) => {
+        if (lines[row]) doc.text(lines[row], margin + index * columnWidth, y);
+      });
+      y += 5;
+    }
+    y += 4;
+  });
+
+  const pairs = insights.slice(1).map((insight, index) => ({
+    label: `${columnLabel(index)} -> ${columnLabel(index + 1)}`,
+    changes: changeSummary(insights[index], insight)
+  }));
+  ensureSpace(12);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(12);
+  doc.text("What Changed", margin, y);
+  y += 7;
+  doc.setFontSize(10);
+  pairs.forEach(({ label, changes }) => {
+    ensureSpace(6);
+    doc.setFont("helvetica", "bold");
+    doc.text(label, margin, y);
+    y += 5;
+    doc.setFont("helvetica", "normal");
+    if (changes.length === 0) {
+      doc.text("No added or removed items.", margin + 5, y);
+      y += 5;
+    }
+    changes.forEach(({ title, added, removed }) => {
+      [...added.map(text => `+ ${title}: ${text}`), ...removed.map(text => `- ${title}: ${text}`)].forEach(line => {
+        doc.splitTextToSize(line, pageWidth - margin * 2 - 5).forEach(part => {
+          ensureSpace(5);
+          doc.text(part, margin + 5, y);
+          y += 5;
+        });
+      });
+    });
+    y += 3;
+  });
+
+  // One bar per compared SWOT insight in each quadrant
+  const overlay = buildOverlayChartData(insights);
+  if (overlay.series.length > 1) {
+    const layout = createLayout(doc, PRINT_THEMES.light);
+    layout.y = y;
+    drawBarChart(layout, {
+      title: 'SWOT Scores Overlay',
+      data: overlay.data,
+      series: overlay.series.map((label, index) => ({ key: label, label, color: COLORS[index % COLORS.length] })),
+      unit: ' pts'
+    });
+  }
+
+  return doc;
+};
+
+export const exportComparisonPDF = (insights) => {
+  buildComparisonReport(insights).save('InsightCraft_Comparison.pdf');
+};
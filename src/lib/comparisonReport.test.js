@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { buildComparisonReport } from './comparisonReport';
+import { sampleInsight } from '../test/fixtures';
+
+const compared = (insight, index) => ({ ...insight, id: `i${index}`, timestamp: new Date(2025, 5, index + 1) });
+
+describe('buildComparisonReport', () => {
+  it('draws the overlay chart of SWOT insights as vector bars', () => {
+    const first = sampleInsight();
+    const second = { ...sampleInsight(), swot: { ...first.swot, Threats: [] } };
+    const text = buildComparisonReport([first, second].map(compared)).output();
+
+    expect(text).toContain('SWOT Scores Overlay');
+    expect(text).toContain('What Changed');
+    // Bars and labels, no embedded image
+    expect(text).toContain('(Threats)');
+    expect(text).not.toContain('/Subtype /Image');
+  });
+
+  it('leaves the chart out when fewer than two insights are SWOT analyses', () => {
+    const text = buildComparisonReport([sampleInsight(), sampleInsight('Market Trends')].map(compared)).output();
+    expect(text).toContain('InsightCraft Comparison');
+    expect(text).not.toContain('SWOT Scores Overlay');
+  });
+});
@@ -0,0 +1,12 @@
+export const COLORS = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+
+export const tooltipStyle = (theme) => ({
+  backgroundColor: theme === 'dark' ? '#1f2937' : '#ffffff',
+  borderColor: theme === 'dark' ? '#374151' : '#e5e7eb'
+});
+
+// Longest description the Firestore rules accept on a saved insight
+export const MAX_INPUT_LENGTH = 5000;
+
+// Longest answer accepted in a guided intake field; keep in sync with hasValidModeInputs in firestore.rules
+export const MAX_INTAKE_LENGTH = 500;
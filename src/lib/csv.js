@@ -0,0 +1,58 @@
+// Reading and writing RFC 4180 CSV: comma separated, fields quoted with "
+// when they contain a comma, quote or line break, "" for a literal quote.
+
+// Excel and LibreOffice run cells starting with any of these, e.g. =1+1, -2+3 or @SUM(A1)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a field when needed, and stop spreadsheets from running text that starts like a formula
+export const csvField = (value) => {
+  const text = String(value ?? '');
+  const safe = FORMULA_START.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const toCsvRows = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n');
+
+// Undo the formula guard added by csvField
+export const unguardField = (value) => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+// Rows of fields; a leading byte order mark and blank lines are ignored
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
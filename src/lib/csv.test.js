@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { csvField, parseCsv, toCsvRows, unguardField } from './csv';
+
+describe('csvField', () => {
+  it('leaves plain text as it is', () => {
+    expect(csvField('Strengths')).toBe('Strengths');
+    expect(csvField(3)).toBe('3');
+    expect(csvField(null)).toBe('');
+  });
+
+  it('quotes fields with commas, quotes or line breaks', () => {
+    expect(csvField('Low cost, high margin')).toBe('"Low cost, high margin"');
+    expect(csvField('The "best" option')).toBe('"The ""best"" option"');
+    expect(csvField('Line one\nline two')).toBe('"Line one\nline two"');
+  });
+
+  it('guards text that a spreadsheet would run as a formula', () => {
+    expect(csvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(csvField('+44 20 7946 0000')).toBe("'+44 20 7946 0000");
+    expect(csvField('@mention')).toBe("'@mention");
+    expect(csvField('=HYPERLINK("x","y")')).toBe(`"'=HYPERLINK(""x"",""y"")"`);
+    expect(csvField('-2+3')).toBe("'-2+3");
+    expect(csvField('-cmd|\' /C calc\'!A0')).toBe("'-cmd|' /C calc'!A0");
+    expect(csvField('-5% churn')).toBe("'-5% churn");
+    expect(csvField('Churn of -5%')).toBe('Churn of -5%');
+  });
+
+  it('removes the guard again when reading', () => {
+    expect(unguardField("'=SUM(A1:A2)")).toBe('=SUM(A1:A2)');
+    expect(unguardField("'-2+3")).toBe('-2+3');
+    expect(unguardField("'quoted by the user")).toBe("'quoted by the user");
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads what toCsvRows writes', () => {
+    const rows = [
+      ['Section', 'Item'],
+      ['Strengths', 'Low cost, high margin'],
+      ['Threats', 'A "fast follower"\nwith funding']
+    ];
+
+    expect(parseCsv(toCsvRows(rows))).toEqual(rows);
+  });
+
+  it('accepts LF and CRLF line endings and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,b\nc,d\r\ne,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  it('keeps empty fields and drops blank lines', () => {
+    expect(parseCsv('a,,c\n\n , \n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  it('reads an empty file as no rows', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
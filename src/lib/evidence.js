@@ -0,0 +1,69 @@
+import { insightSections } from './insightDiff';
+
+// Every generated claim (an item of any section but the recommendations) has
+// `verification` from the model: { basis, confidence, needsVerification }, where
+// `basis` says what the claim rests on. Users back claims up with their own
+// `supportingSources`, each { kind: 'url' | 'note', value }. A claim the model
+// flagged stays unverified until a supporting source is attached. Insights
+// generated before claims were checked have no verification and are not flagged.
+
+export const CONFIDENCE_LEVELS = ['High', 'Medium', 'Low'];
+export const MAX_SUPPORTING_SOURCES = 5;
+export const MAX_SUPPORT_LENGTH = 500;
+
+// The verification of an item with every field present, or null when it has none
+export const verificationOf = (item) => {
+  const raw = item?.verification;
+  if (!raw || typeof raw !== 'object') return null;
+  return {
+    basis: typeof raw.basis === 'string' ? raw.basis.trim() : '',
+    confidence: CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : null,
+    needsVerification: raw.needsVerification === true
+  };
+};
+
+export const isUnverified = (item) => Boolean(verificationOf(item)?.needsVerification)
+  && !(item.supportingSources?.length > 0);
+
+export const claimSections = (insight) => insightSections(insight).filter(section => section.key !== 'recommendations');
+
+// The unverified claims of an insight with the section and position of each
+export const unverifiedClaims = (insight) => claimSections(insight).flatMap(section => section.items
+  .map((item, index) => ({ section, item, index }))
+  .filter(({ item }) => isUnverified(item)));
+
+export const claimCount = (insight) => claimSections(insight).reduce((sum, section) => sum + section.items.length, 0);
+
+// "Confidence: Low. Basis: Estimate from ... Needs verification", for exports
+export const describeVerification = (item) => {
+  const verification = verificationOf(item);
+  if (!verification) return '';
+  return [
+    verification.confidence && `Confidence: ${verification.confidence}`,
+    verification.basis && `Basis: ${verification.basis}`,
+    isUnverified(item) && 'Needs verification'
+  ].filter(Boolean).join('. ');
+};
+
+const HTTP_URL = /^https?:\/\/\S+$/i;
+
+// Text that is a single http(s) address is kept as a link; anything else is a note
+export const toSupportingSource = (value) => {
+  const trimmed = String(value).trim().slice(0, MAX_SUPPORT_LENGTH);
+  return { kind: HTTP_URL.test(trimmed) ? 'url' : 'note', value: trimmed };
+};
+
+// Whether a stored source can be shown as a link. Checked again when rendering
+// because a document written outside the app could label any scheme as 'url'
+export const isLink = (source) => source?.kind === 'url' && typeof source.value === 'string' && HTTP_URL.test(source.value);
+
+export const addSupportingSource = (item, value) => ({
+  ...item,
+  supportingSources: [...(item.supportingSources || []), toSupportingSource(value)].slice(0, MAX_SUPPORTING_SOURCES)
+});
+
+export const removeSupportingSource = (item, index) => {
+  const { supportingSources = [], ...rest } = item;
+  const remaining = supportingSources.filter((_, i) => i !== index);
+  return remaining.length > 0 ? { ...rest, supportingSources: remaining } : rest;
+};
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addSupportingSource,
+  claimCount,
+  describeVerification,
+  isLink,
+  isUnverified,
+  removeSupportingSource,
+  toSupportingSource,
+  unverifiedClaims,
+  verificationOf
+} from './evidence';
+import { sampleInsight } from '../test/fixtures';
+
+const estimate = {
+  text: 'Could double the addressable market',
+  attributes: {},
+  verification: { basis: 'Estimate', confidence: 'Low', needsVerification: true }
+};
+
+describe('verificationOf', () => {
+  it('fills in fields a partial response has not streamed yet', () => {
+    expect(verificationOf({ verification: { basis: ' Estimate ' } })).toEqual({ basis: 'Estimate', confidence: null, needsVerification: false });
+    expect(verificationOf({ verification: { confidence: 'Huge', needsVerification: 'yes' } })).toEqual({ basis: '', confidence: null, needsVerification: false });
+    expect(verificationOf({ text: 'Saved before claims were checked' })).toBeNull();
+  });
+});
+
+describe('isUnverified', () => {
+  it('flags estimates until a supporting source is attached', () => {
+    expect(isUnverified(estimate)).toBe(true);
+    expect(isUnverified(addSupportingSource(estimate, 'Checked with the sales team'))).toBe(false);
+    expect(isUnverified({ ...estimate, verification: { ...estimate.verification, needsVerification: false } })).toBe(false);
+    expect(isUnverified({ text: 'No verification', attributes: {} })).toBe(false);
+  });
+});
+
+describe('unverifiedClaims', () => {
+  it('lists the flagged items of every section but the recommendations', () => {
+    const insight = sampleInsight();
+    const claims = unverifiedClaims(insight);
+    expect(claims.map(({ section, index }) => `${section.title} #${index + 1}`)).toEqual([
+      'Strengths #1', 'Strengths #2', 'Opportunities #1', 'Opportunities #2', 'Threats #1'
+    ]);
+    expect(claimCount(insight)).toBe(9);
+  });
+});
+
+describe('describeVerification', () => {
+  it('summarises the evidence for exports', () => {
+    expect(describeVerification(estimate)).toBe('Confidence: Low. Basis: Estimate. Needs verification');
+    expect(describeVerification({ text: 'x' })).toBe('');
+  });
+});
+
+describe('supporting sources', () => {
+  it('keeps http links as links and anything else as a note', () => {
+    expect(toSupportingSource(' https://example.com/report?id=1 ')).toEqual({ kind: 'url', value: 'https://example.com/report?id=1' });
+    expect(toSupportingSource('javascript:alert(1)')).toEqual({ kind: 'note', value: 'javascript:alert(1)' });
+    expect(toSupportingSource('See https://example.com')).toEqual({ kind: 'note', value: 'See https://example.com' });
+  });
+
+  it('shows only http(s) addresses as links, whatever the stored kind says', () => {
+    expect(isLink({ kind: 'url', value: 'https://example.com/report' })).toBe(true);
+    expect(isLink({ kind: 'url', value: 'HTTP://example.com' })).toBe(true);
+    expect(isLink({ kind: 'url', value: 'javascript:alert(1)' })).toBe(false);
+    expect(isLink({ kind: 'url', value: ' javascript:alert(1)//https://example.com' })).toBe(false);
+    expect(isLink({ kind: 'url', value: 'data:text/html,<script>alert(1)</script>' })).toBe(false);
+    expect(isLink({ kind: 'url', value: 42 })).toBe(false);
+    expect(isLink({ kind: 'note', value: 'https://example.com' })).toBe(false);
+  });
+
+  it('adds and removes sources on the item', () => {
+    const supported = addSupportingSource(addSupportingSource(estimate, 'https://example.com'), 'Founder interview');
+    expect(supported.supportingSources).toHaveLength(2);
+    expect(removeSupportingSource(supported, 0).supportingSources).toEqual([{ kind: 'note', value: 'Founder interview' }]);
+    expect(removeSupportingSource(removeSupportingSource(supported, 0), 0)).toEqual(estimate);
+  });
+});
@@ -0,0 +1,172 @@
+import { attributeLabel, formatAttributeValue, formatItem, normalizeItem } from './insightParser';
+import { getInsightType } from './insightTypes';
+import { insightSections } from './insightDiff';
+import { intakeEntries, modeReportSections } from './modes';
+import { toCsvRows } from './csv';
+import { describeGeneratedBy } from './llmSettings';
+
+// Exports of the results dashboard other than the PDF. Markdown, CSV and JSON
+// are built here; Word and PowerPoint live in officeExports.js, which is only
+// loaded when one of them is picked because the libraries are large.
+
+export const JSON_FORMAT = 'insightcraft';
+export const JSON_FORMAT_VERSION = 1;
+
+// UI state that is not part of the analysis
+const TRANSIENT_FIELDS = ['streaming', 'partial', 'edited', 'imported', 'workspaceId', 'undoStack'];
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40) || 'insight';
+
+// "2025-06-01-ai-tutoring-for-kids", used for the files of a bulk export
+export const insightFileName = (insight) => {
+  const date = insight.timestamp instanceof Date ? insight.timestamp.toISOString().slice(0, 10) : null;
+  return [date, slugify(insight.input), insight.id?.slice(0, 6)].filter(Boolean).join('-');
+};
+
+// Every section of the report as title and display lines, in dashboard order
+export const reportSections = (insight) => [
+  ...getInsightType(insight.insightType).reportSections(insight),
+  ...modeReportSections(insight.extras, insight.mode)
+];
+
+export const toMarkdown = (insight) => {
+  const lines = [
+    `# ${insight.insightType}`,
+    '',
+    `- **Mode:** ${insight.mode}`,
+    ...intakeEntries(insight.mode, insight.modeInputs).map(([label, value]) => `- **${label}:** ${value.replace(/\s*\n\s*/g, '; ')}`),
+    ...(insight.version ? [`- **Version:** ${insight.version}`] : []),
+    ...(insight.generatedBy ? [`- **Model:** ${describeGeneratedBy(insight.generatedBy)}`] : []),
+    ...(insight.scenario ? [`- **Scenario:** What if ${insight.scenario.assumption}`] : []),
+    ...(insight.timestamp instanceof Date ? [`- **Saved:** ${insight.timestamp.toLocaleString()}`] : []),
+    ...(insight.tags?.length > 0 ? [`- **Tags:** ${insight.tags.join(', ')}`] : []),
+    '',
+    '## Brief',
+    '',
+    insight.input,
+    ''
+  ];
+  if (insight.summary) lines.push('## Core Analysis', '', insight.summary, '');
+  reportSections(insight).forEach(({ title, items }) => {
+    lines.push(`## ${title}`, '', ...(items.length > 0 ? items.map(item => `- ${item}`) : ['_None identified_']), '');
+  });
+  if (insight.recommendations?.length > 0) {
+    lines.push('## Strategic Recommendations', '', ...insight.recommendations.map((item, index) => `${index + 1}. ${formatItem(item)}`), '');
+  }
+  return lines.join('\n');
+};
+
+// One row per item of every insight, with a column for each attribute any item has
+export const toCsv = (insights) => {
+  const rows = insights.flatMap(insight => insightSections(insight).flatMap(section => (
+    section.items.map((entry, index) => {
+      const item = normalizeItem(entry);
+      return {
+        insight,
+        section: section.title,
+        position: index + 1,
+        text: item.text || item.title || '',
+        attributes: item.attributes
+      };
+    })
+  )));
+  const attributeKeys = [...new Set(rows.flatMap(row => Object.keys(row.attributes)))];
+  const header = ['Insight ID', 'Saved', 'Insight Type', 'Mode', 'Brief', 'Section', 'Position', 'Item', ...attributeKeys.map(attributeLabel)];
+
+  return toCsvRows([
+    header,
+    ...rows.map(({ insight, section, position, text, attributes }) => [
+      insight.id || '',
+      insight.timestamp instanceof Date ? insight.timestamp.toISOString() : '',
+      insight.insightType,
+      insight.mode,
+      insight.input,
+      section,
+      position,
+      text,
+      ...attributeKeys.map(key => (key in attributes ? formatAttributeValue(key, attributes[key]) : ''))
+    ])
+  ]);
+};
+
+// Everything needed to rebuild the insight, with dates as ISO strings
+export const exportableInsight = (insight) => Object.fromEntries(
+  Object.entries(insight).filter(([key, value]) => !TRANSIENT_FIELDS.includes(key) && value !== undefined)
+);
+
+export const toJson = (insights) => JSON.stringify({
+  format: JSON_FORMAT,
+  formatVersion: JSON_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  insights: insights.map(exportableInsight)
+}, null, 2);
+
+const textBlob = (text, type) => new Blob([text], { type: `${type};charset=utf-8` });
+
+// Each format builds a Blob for one insight
+export const EXPORT_FORMATS = {
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    build: async (insight) => textBlob(toMarkdown(insight), 'text/markdown')
+  },
+  docx: {
+    label: 'Word document',
+    extension: 'docx',
+    build: async (insight) => (await import('./officeExports')).toDocx(insight)
+  },
+  pptx: {
+    label: 'PowerPoint deck',
+    extension: 'pptx',
+    build: async (insight) => (await import('./officeExports')).toPptx(insight)
+  },
+  csv: {
+    label: 'CSV (one row per item)',
+    extension: 'csv',
+    // Byte order mark so Excel reads the file as UTF-8
+    build: async (insight) => textBlob(`\uFEFF${toCsv([insight])}`, 'text/csv')
+  },
+  json: {
+    label: 'JSON (lossless)',
+    extension: 'json',
+    build: async (insight) => textBlob(toJson([insight]), 'application/json')
+  }
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportInsight = async (insight, format) => {
+  const { build, extension } = EXPORT_FORMATS[format];
+  downloadBlob(await build(insight), `InsightCraft_Report.${extension}`);
+};
+
+// Zip of a whole saved list: every insight as Markdown, plus all of them in one
+// CSV and one lossless JSON file
+export const buildSavedInsightsZip = async (insights) => {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  const folder = zip.folder('markdown');
+  const usedNames = new Set();
+  insights.forEach(insight => {
+    let name = insightFileName(insight);
+    for (let suffix = 2; usedNames.has(name); suffix += 1) name = `${insightFileName(insight)}-${suffix}`;
+    usedNames.add(name);
+    folder.file(`${name}.md`, toMarkdown(insight));
+  });
+  zip.file('insights.csv', `\uFEFF${toCsv(insights)}`);
+  zip.file('insights.json', toJson(insights));
+  return zip.generateAsync({ type: 'blob' });
+};
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { exportableInsight, insightFileName, toCsv, toJson, toMarkdown } from './exportFormats';
+import { parseCsvAnalysis, parseJsonAnalysis } from './importAnalysis';
+import { sampleInsight } from '../test/fixtures';
+
+describe('toMarkdown', () => {
+  it('has a heading per section and numbered recommendations', () => {
+    const insight = sampleInsight();
+    const markdown = toMarkdown({ ...insight, version: 2 });
+    expect(markdown).toMatch(/^# SWOT Analysis\n/);
+    expect(markdown).toContain('- **Version:** 2');
+    expect(markdown).toContain('- **Model:** Mock (recorded responses) · recorded');
+    expect(markdown).toContain(`## Brief\n\n${insight.input}`);
+    expect(markdown).toContain('## Threats\n\n- ');
+    expect(markdown).toContain('## Strategic Recommendations\n\n1. ');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes one row per item with a column per attribute', () => {
+    const insight = sampleInsight();
+    const [header, ...rows] = toCsv([insight]).split('\r\n');
+    expect(header.startsWith('Insight ID,Saved,Insight Type,Mode,Brief,Section,Position,Item,')).toBe(true);
+    expect(header).toContain('Impact');
+    const itemCount = Object.values(insight.swot).flat().length + insight.recommendations.length
+      + Object.values(insight.extras).flat().length;
+    expect(rows).toHaveLength(itemCount);
+  });
+});
+
+describe('exportableInsight', () => {
+  it('drops UI state', () => {
+    const exported = exportableInsight({ ...sampleInsight(), streaming: false, edited: true, workspaceId: 'w1', undoStack: [] });
+    expect(exported).not.toHaveProperty('edited');
+    expect(exported).not.toHaveProperty('workspaceId');
+    expect(exported).not.toHaveProperty('undoStack');
+  });
+});
+
+describe('insightFileName', () => {
+  it('combines the save date, brief and id', () => {
+    expect(insightFileName({ input: 'AI tutoring for kids!', id: 'abcdef123', timestamp: new Date('2025-06-01T10:00:00Z') }))
+      .toBe('2025-06-01-ai-tutoring-for-kids-abcdef');
+  });
+});
+
+describe('round trips through import', () => {
+  it('restores a JSON export exactly, as a new unsaved copy', () => {
+    const insight = { ...sampleInsight('Product Ideas', 'Content Creator'), id: 'saved-1', version: 3 };
+    const [imported] = parseJsonAnalysis(toJson([insight]));
+    expect(imported.imported).toBe(true);
+    expect(imported.insightType).toBe('Product Ideas');
+    expect(imported.ideas).toEqual(insight.ideas);
+    expect(imported.recommendations).toEqual(insight.recommendations);
+    expect(imported.extras).toEqual(insight.extras);
+    expect(imported).not.toHaveProperty('id');
+  });
+
+  it('restores the items and attributes of a CSV export', () => {
+    const insight = sampleInsight();
+    const [imported] = parseCsvAnalysis(toCsv([insight]));
+    expect(imported.input).toBe(insight.input);
+    expect(imported.swot.Threats.map(item => item.text)).toEqual(insight.swot.Threats.map(item => item.text));
+    expect(imported.swot.Opportunities[0].attributes.probability).toBe(insight.swot.Opportunities[0].attributes.probability);
+  });
+});
@@ -0,0 +1,74 @@
+import { sectionItemSchema, itemFromResponse } from './insightTypes';
+import { insightSections } from './insightDiff';
+import { buildAnalysisContext } from './promptBuilder';
+import { text, integer, item, list, object } from './responseSchema';
+
+// Follow-up questions about the open analysis. Each answer can carry proposed
+// items per section (new ones, or rewrites of item n) that the user can push
+// into the analysis. The conversation is kept on the insight as `chat`:
+// { role: 'user' | 'assistant', text, proposals? } entries.
+
+export const MAX_CHAT_MESSAGES = 60;
+export const MAX_QUESTION_LENGTH = 1000;
+// Earlier messages sent with each question so follow-ups can refer back
+const HISTORY_IN_PROMPT = 10;
+
+// Section keys such as "swot.Threats" as schema property names
+const proposalKey = (sectionKey) => sectionKey.replace('.', '_');
+
+export const buildChatSchema = (insight) => object({
+  reply: text('The answer, in plain text: short paragraphs, with "- " at the start of list lines'),
+  proposals: object(Object.fromEntries(insightSections(insight).map(section => {
+    const itemSchema = sectionItemSchema(insight.insightType, insight.mode, section.key);
+    return [proposalKey(section.key), list(item({
+      ...itemSchema.properties,
+      replaces: integer(`Number of the ${section.title} item this rewrites, or 0 for a new item`)
+    }, [...itemSchema.required, 'replaces']), `${section.title} items proposed in the answer`, 0)];
+  })), 'Items from the answer that could go into the analysis, by section; every list is empty when the answer proposes none')
+});
+
+export const buildChatPrompt = (insight, messages, question) => {
+  const history = messages.slice(-HISTORY_IN_PROMPT);
+
+  return `${buildAnalysisContext(insight, section => `${section.title} [${proposalKey(section.key)}]`)}${history.length > 0 ? `\nConversation so far:\n${history.map(message => `${message.role === 'user' ? 'User' : 'You'}: ${message.text}`).join('\n')}\n` : ''}
+User's question: ${question}
+
+Answer the question in "reply". Refer to items by section and number, e.g. "Threat 2".
+When the answer expands, rewrites or adds to items of the analysis, also put those items in "proposals" under their section, with "replaces" set to the number of the item rewritten or 0 for a new item. Leave every proposals list empty when the answer does not change the analysis.
+
+Respond only with JSON that matches the provided response schema.
+`;
+};
+
+export const proposalsFromResponse = (json, insight) => insightSections(insight).flatMap(section => (
+  (json.proposals?.[proposalKey(section.key)] || [])
+    .filter(entry => entry && (entry.text || entry.title))
+    .map(({ replaces, ...entry }) => ({
+      sectionKey: section.key,
+      sectionTitle: section.title,
+      // A number outside the section is treated as a new item
+      replaces: Number.isInteger(replaces) && replaces > 0 && replaces <= section.items.length ? replaces : 0,
+      item: itemFromResponse(entry, section.key, insight.insightType, insight.mode)
+    }))
+));
+
+// The whole text of an answer as a proposal for a section the user picked
+export const answerProposal = (insight, sectionKey, answer, replaces = 0) => ({
+  sectionKey,
+  sectionTitle: insightSections(insight).find(section => section.key === sectionKey).title,
+  replaces,
+  item: itemFromResponse({ text: answer }, sectionKey, insight.insightType, insight.mode)
+});
+
+// The changes that put a proposal into the analysis, in the shape the dashboard's edits take
+export const applyProposal = (insight, { sectionKey, replaces, item: proposed }) => {
+  const section = insightSections(insight).find(entry => entry.key === sectionKey);
+  const items = replaces > 0 && replaces <= section.items.length
+    ? section.items.map((entry, index) => (index === replaces - 1 ? proposed : entry))
+    : [...section.items, proposed];
+  const [key, subKey] = sectionKey.split('.');
+  if (key === 'recommendations') {
+    return { recommendations: items.map((entry, index) => ({ ...entry, priority: index + 1 })) };
+  }
+  return subKey ? { [key]: { ...insight[key], [subKey]: items } } : { [key]: items };
+};
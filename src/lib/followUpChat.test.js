@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import {
+  answerProposal,
+  applyProposal,
+  buildChatPrompt,
+  buildChatSchema,
+  proposalsFromResponse
+} from './followUpChat';
+import { sampleInsight } from '../test/fixtures';
+
+const insight = sampleInsight();
+
+describe('buildChatSchema', () => {
+  it('asks for a reply and a list of proposals per section', () => {
+    const schema = buildChatSchema(insight);
+
+    expect(schema.required).toEqual(expect.arrayContaining(['reply', 'proposals']));
+    expect(Object.keys(schema.properties.proposals.properties)).toEqual([
+      'swot_Strengths',
+      'swot_Weaknesses',
+      'swot_Opportunities',
+      'swot_Threats',
+      'extras_assumptions',
+      'recommendations'
+    ]);
+    expect(schema.properties.proposals.properties.swot_Threats.items.required).toContain('replaces');
+  });
+});
+
+describe('buildChatPrompt', () => {
+  it('includes the analysis, the recent conversation and the question', () => {
+    const messages = Array.from({ length: 12 }, (_, index) => ({ role: index % 2 ? 'assistant' : 'user', text: `Message ${index}` }));
+    const prompt = buildChatPrompt(insight, messages, 'Which threat matters most?');
+
+    expect(prompt).toContain(insight.swot.Threats[0].text);
+    expect(prompt).toContain('Threats [swot_Threats]');
+    expect(prompt).not.toContain('Message 1\n');
+    expect(prompt).toContain('User: Message 2');
+    expect(prompt).toContain('You: Message 11');
+    expect(prompt).toContain("User's question: Which threat matters most?");
+  });
+
+  it('leaves out the conversation before the first question', () => {
+    expect(buildChatPrompt(insight, [], 'Why?')).not.toContain('Conversation so far');
+  });
+});
+
+describe('proposalsFromResponse', () => {
+  it('reads proposals by section and treats an out-of-range number as a new item', () => {
+    const proposals = proposalsFromResponse({
+      reply: 'Two changes.',
+      proposals: {
+        swot_Threats: [
+          { text: 'Schools start free clubs', likelihood: 30, impact: 'Medium', replaces: 1 },
+          { text: 'Rising rent for rooms', replaces: 9 },
+          { text: '', replaces: 0 }
+        ],
+        swot_Strengths: []
+      }
+    }, insight);
+
+    expect(proposals.map(({ sectionKey, sectionTitle, replaces, item }) => [sectionKey, sectionTitle, replaces, item.text])).toEqual([
+      ['swot.Threats', 'Threats', 1, 'Schools start free clubs'],
+      ['swot.Threats', 'Threats', 0, 'Rising rent for rooms']
+    ]);
+    expect(proposals[0].item).not.toHaveProperty('replaces');
+  });
+
+  it('is empty when the answer proposes nothing', () => {
+    expect(proposalsFromResponse({ reply: 'No.' }, insight)).toEqual([]);
+  });
+});
+
+describe('applying proposals', () => {
+  it('adds a new item to a quadrant', () => {
+    const changes = applyProposal(insight, { sectionKey: 'swot.Threats', replaces: 0, item: { text: 'New threat' } });
+
+    expect(changes.swot.Threats.map(item => item.text)).toEqual([...insight.swot.Threats.map(item => item.text), 'New threat']);
+    expect(changes.swot.Strengths).toBe(insight.swot.Strengths);
+  });
+
+  it('replaces the numbered item of a mode section', () => {
+    const changes = applyProposal(insight, { sectionKey: 'extras.assumptions', replaces: 1, item: { text: 'Replaced' } });
+
+    expect(changes.extras.assumptions).toEqual([{ text: 'Replaced' }]);
+  });
+
+  it('renumbers the priorities of recommendations', () => {
+    const { recommendations } = applyProposal(insight, { sectionKey: 'recommendations', replaces: 0, item: { text: 'Hire a tutor' } });
+
+    expect(recommendations.map(item => item.priority)).toEqual([1, 2, 3, 4]);
+    expect(recommendations[3].text).toBe('Hire a tutor');
+  });
+
+  it('turns a whole answer into a proposal for the chosen section', () => {
+    expect(answerProposal(insight, 'swot.Opportunities', 'Partner with libraries', 2)).toMatchObject({
+      sectionKey: 'swot.Opportunities',
+      sectionTitle: 'Opportunities',
+      replaces: 2,
+      item: { text: 'Partner with libraries' }
+    });
+  });
+});
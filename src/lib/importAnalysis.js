@@ -0,0 +1,133 @@
+import { SWOT_SECTIONS, parseAttribute } from './insightParser';
+import { INSIGHT_TYPES, getInsightType, restoreInsight } from './insightTypes';
+import { MODES, DEFAULT_MODE, getMode } from './modes';
+import { parseCsv, unguardField } from './csv';
+import { JSON_FORMAT, JSON_FORMAT_VERSION } from './exportFormats';
+import { MAX_INPUT_LENGTH } from './constants';
+import { normalizeActionPlan } from './actionPlan';
+
+// Reads analyses exported as JSON or CSV (see exportFormats.js) back into
+// in-memory insights. Imported insights are new, unsaved copies: ids, versions
+// and workspace are dropped so saving one creates a new saved insight.
+
+export const IMPORT_ACCEPT = '.json,.csv,application/json,text/csv';
+
+// Fixed columns of the CSV export; every other column is an item attribute
+const CSV_COLUMNS = ['Insight ID', 'Saved', 'Insight Type', 'Mode', 'Brief', 'Section', 'Position', 'Item'];
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// A scenario's link points into the library it was exported from, so it is dropped
+const asImported = (saved) => ({
+  ...restoreInsight({ ...saved, scenario: null }),
+  ...(Array.isArray(saved.tags) && saved.tags.length > 0 && { tags: saved.tags }),
+  ...(saved.folder && { folder: saved.folder }),
+  ...(Array.isArray(saved.actionPlan) && { actionPlan: normalizeActionPlan(saved.actionPlan) }),
+  imported: true
+});
+
+const checkAnalysis = (saved, label) => {
+  if (!INSIGHT_TYPES[saved.insightType]) {
+    throw new ImportError(`${label} has an unknown insight type "${saved.insightType ?? ''}".`);
+  }
+  if (saved.mode && !MODES[saved.mode]) {
+    throw new ImportError(`${label} has an unknown mode "${saved.mode}".`);
+  }
+  if (typeof saved.input !== 'string' || !saved.input.trim() || saved.input.length > MAX_INPUT_LENGTH) {
+    throw new ImportError(`${label} needs a business description of 1 to ${MAX_INPUT_LENGTH} characters.`);
+  }
+};
+
+export const parseJsonAnalysis = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError('The file is not valid JSON.');
+  }
+  // A single exported insight object is accepted as well as the export wrapper
+  const entries = data?.format === JSON_FORMAT ? data.insights : [data];
+  if (data?.format === JSON_FORMAT && data.formatVersion > JSON_FORMAT_VERSION) {
+    throw new ImportError('The file was exported by a newer version of InsightCraft.');
+  }
+  if (!Array.isArray(entries) || entries.length === 0 || entries.some(entry => typeof entry !== 'object' || !entry || Array.isArray(entry))) {
+    throw new ImportError('The file does not contain an InsightCraft analysis.');
+  }
+  return entries.map((entry, index) => {
+    checkAnalysis(entry, `Analysis ${index + 1}`);
+    return asImported(entry);
+  });
+};
+
+// Where a CSV "Section" title lives in an insight, e.g. "Threats" -> swot.Threats
+const sectionTarget = (insightType, mode, title) => {
+  const type = getInsightType(insightType);
+  if (type.dataKey === 'swot' && SWOT_SECTIONS.includes(title)) return ['swot', title];
+  if (type.dataKey !== 'swot' && type.schema.sections[0] === title) return [type.dataKey];
+  if (title === 'Strategic Recommendations') return ['recommendations'];
+  const extra = getMode(mode).extraSections.find(section => section.title === title);
+  return extra ? ['extras', extra.key] : null;
+};
+
+export const parseCsvAnalysis = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || CSV_COLUMNS.some(column => !header.includes(column))) {
+    throw new ImportError(`The CSV needs the columns ${CSV_COLUMNS.join(', ')}, as written by the CSV export.`);
+  }
+  const column = (row, name) => unguardField(row[header.indexOf(name)] ?? '');
+  const attributeColumns = header.filter(name => !CSV_COLUMNS.includes(name));
+
+  // Rows of one insight share an id, or for unsaved insights the same type and brief
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const key = column(row, 'Insight ID') || `${column(row, 'Insight Type')}\n${column(row, 'Brief')}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, line: index + 2 });
+  });
+  if (groups.size === 0) throw new ImportError('The CSV has no items.');
+
+  return [...groups.values()].map(group => {
+    const first = group[0].row;
+    const saved = {
+      insightType: column(first, 'Insight Type'),
+      mode: column(first, 'Mode') || DEFAULT_MODE,
+      input: column(first, 'Brief'),
+      swot: {},
+      extras: {},
+      recommendations: []
+    };
+    checkAnalysis(saved, `Line ${group[0].line}`);
+    const { dataKey } = getInsightType(saved.insightType);
+    if (dataKey !== 'swot') saved[dataKey] = [];
+
+    [...group]
+      .sort((a, b) => Number(column(a.row, 'Position')) - Number(column(b.row, 'Position')))
+      .forEach(({ row, line }) => {
+        const target = sectionTarget(saved.insightType, saved.mode, column(row, 'Section'));
+        if (!target) throw new ImportError(`Line ${line} has an unknown section "${column(row, 'Section')}".`);
+        const item = {
+          text: column(row, 'Item'),
+          attributes: Object.fromEntries(attributeColumns
+            .map(name => parseAttribute(name, column(row, name)))
+            .filter(Boolean))
+        };
+        const [key, subKey] = target;
+        if (subKey) saved[key][subKey] = [...(saved[key][subKey] || []), item];
+        else saved[key].push(item);
+      });
+    return asImported(saved);
+  });
+};
+
+// Analyses in an imported file, chosen by its extension
+export const parseImportedAnalysis = async (file) => {
+  const text = await file.text();
+  if (/\.json$/i.test(file.name) || file.type === 'application/json') return parseJsonAnalysis(text);
+  if (/\.csv$/i.test(file.name) || file.type === 'text/csv') return parseCsvAnalysis(text);
+  throw new ImportError(`${file.name} is not a JSON or CSV export.`);
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { ImportError, parseCsvAnalysis, parseJsonAnalysis } from './importAnalysis';
+
+const saved = { insightType: 'SWOT Analysis', mode: 'Startup', input: 'A bakery in Leeds', swot: { Strengths: [{ text: 'Location', attributes: {} }] } };
+
+describe('parseJsonAnalysis', () => {
+  it('accepts a single insight as well as the export wrapper', () => {
+    expect(parseJsonAnalysis(JSON.stringify(saved))).toHaveLength(1);
+    expect(parseJsonAnalysis(JSON.stringify({ format: 'insightcraft', formatVersion: 1, insights: [saved, saved] }))).toHaveLength(2);
+  });
+
+  it.each([
+    ['not json', 'The file is not valid JSON.'],
+    ['[]', 'The file does not contain an InsightCraft analysis.'],
+    [JSON.stringify({ format: 'insightcraft', formatVersion: 99, insights: [saved] }), 'The file was exported by a newer version of InsightCraft.'],
+    [JSON.stringify({ ...saved, insightType: 'Horoscope' }), 'Analysis 1 has an unknown insight type "Horoscope".'],
+    [JSON.stringify({ ...saved, input: ' ' }), /needs a business description/]
+  ])('rejects %s', (text, message) => {
+    expect(() => parseJsonAnalysis(text)).toThrow(ImportError);
+    expect(() => parseJsonAnalysis(text)).toThrow(message);
+  });
+});
+
+describe('parseCsvAnalysis', () => {
+  it('needs the columns of the CSV export', () => {
+    expect(() => parseCsvAnalysis('Name,Value\r\na,b')).toThrow(/The CSV needs the columns/);
+  });
+
+  it('groups rows by insight and reads attribute columns', () => {
+    const csv = [
+      'Insight ID,Saved,Insight Type,Mode,Brief,Section,Position,Item,Impact',
+      ',,SWOT Analysis,Startup,A bakery in Leeds,Strengths,1,Location,High',
+      ',,SWOT Analysis,Startup,A bakery in Leeds,Threats,1,Rent rises,',
+      ',,Market Trends,Startup,Coffee vans,Strategic Recommendations,1,Add oat milk,'
+    ].join('\r\n');
+    const [bakery, vans] = parseCsvAnalysis(csv);
+    expect(bakery.swot.Strengths).toEqual([{ text: 'Location', attributes: { impact: 'High' } }]);
+    expect(bakery.swot.Threats).toEqual([{ text: 'Rent rises', attributes: {} }]);
+    expect(vans.insightType).toBe('Market Trends');
+    expect(vans.recommendations[0].text).toBe('Add oat milk');
+  });
+});
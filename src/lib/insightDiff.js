@@ -0,0 +1,57 @@
+import { SWOT_SECTIONS } from './insightParser';
+import { getInsightType } from './insightTypes';
+import { getMode } from './modes';
+
+// Compares two versions of an insight section by section. Items are matched
+// by their text, so an edited item shows up as one removal and one addition.
+
+const itemKey = (item) => (item.text || item.title || '').trim();
+
+// Every list of items in an insight, in the order the dashboard shows them
+export const insightSections = (insight) => {
+  const type = getInsightType(insight.insightType);
+  const data = insight[type.dataKey];
+  const typeSections = type.dataKey === 'swot'
+    ? SWOT_SECTIONS.map(section => ({ key: `swot.${section}`, title: section, items: data?.[section] || [] }))
+    : [{ key: type.dataKey, title: type.schema.sections[0], items: data || [] }];
+
+  return [
+    ...typeSections,
+    ...getMode(insight.mode).extraSections.map(section => ({
+      key: `extras.${section.key}`,
+      title: section.title,
+      items: insight.extras?.[section.key] || []
+    })),
+    { key: 'recommendations', title: 'Strategic Recommendations', items: insight.recommendations || [] }
+  ];
+};
+
+export const diffItems = (before = [], after = []) => {
+  const beforeKeys = before.map(itemKey);
+  const afterKeys = after.map(itemKey);
+  const kept = afterKeys.filter(key => beforeKeys.includes(key));
+  const keptBefore = beforeKeys.filter(key => afterKeys.includes(key));
+
+  return {
+    added: after.filter(item => !beforeKeys.includes(itemKey(item))).map(itemKey),
+    removed: before.filter(item => !afterKeys.includes(itemKey(item))).map(itemKey),
+    // Items present in both versions whose position relative to each other changed
+    moved: kept.filter((key, index) => keptBefore[index] !== key)
+  };
+};
+
+export const diffInsights = (before, after) => {
+  const beforeSections = Object.fromEntries(insightSections(before).map(section => [section.key, section]));
+  const sections = insightSections(after)
+    .map(section => ({
+      key: section.key,
+      title: section.title,
+      ...diffItems(beforeSections[section.key]?.items, section.items)
+    }))
+    .filter(section => section.added.length + section.removed.length + section.moved.length > 0);
+
+  return {
+    summaryChanged: (before.summary || '') !== (after.summary || ''),
+    sections
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { diffInsights, diffItems, insightSections } from './insightDiff';
+import { sampleInsight } from '../test/fixtures';
+
+const items = (...texts) => texts.map(text => ({ text }));
+
+describe('insightSections', () => {
+  it('lists the quadrants, the mode sections and the recommendations of a SWOT analysis', () => {
+    expect(insightSections(sampleInsight()).map(section => [section.key, section.title])).toEqual([
+      ['swot.Strengths', 'Strengths'],
+      ['swot.Weaknesses', 'Weaknesses'],
+      ['swot.Opportunities', 'Opportunities'],
+      ['swot.Threats', 'Threats'],
+      ['extras.assumptions', 'Key Assumptions to Validate'],
+      ['recommendations', 'Strategic Recommendations']
+    ]);
+  });
+
+  it('has a single section for the items of other insight types', () => {
+    const insight = sampleInsight('Product Ideas', 'Marketing Strategist');
+    const keys = insightSections(insight).map(section => section.key);
+
+    expect(keys[0]).not.toMatch(/^swot\./);
+    expect(insightSections(insight)[0].items).toBe(insight[keys[0]]);
+    expect(keys.slice(1)).toEqual(['extras.channelMix', 'extras.budgetSplit', 'recommendations']);
+  });
+
+  it('gives missing sections no items', () => {
+    const sections = insightSections({ insightType: 'SWOT Analysis', mode: 'Startup' });
+
+    expect(sections.every(section => Array.isArray(section.items) && section.items.length === 0)).toBe(true);
+  });
+});
+
+describe('diffItems', () => {
+  it('matches items by their text', () => {
+    expect(diffItems(items('A', 'B', 'C'), items('A', 'C', 'D'))).toEqual({
+      added: ['D'],
+      removed: ['B'],
+      moved: []
+    });
+  });
+
+  it('reports kept items whose order changed', () => {
+    expect(diffItems(items('A', 'B', 'C'), items('C', 'A', 'B')).moved).toEqual(['C', 'A', 'B']);
+  });
+
+  it('treats an edited item as a removal and an addition', () => {
+    expect(diffItems(items('Old wording'), items('New wording'))).toEqual({
+      added: ['New wording'],
+      removed: ['Old wording'],
+      moved: []
+    });
+  });
+
+  it('compares titled items by title when they have no text', () => {
+    expect(diffItems([{ title: 'Pillar' }], [{ title: ' Pillar ' }])).toEqual({ added: [], removed: [], moved: [] });
+  });
+});
+
+describe('diffInsights', () => {
+  it('lists only the sections that changed', () => {
+    const before = sampleInsight();
+    const after = { ...before, swot: { ...before.swot, Threats: [...before.swot.Threats, { text: 'New regulation' }] } };
+
+    expect(diffInsights(before, after)).toEqual({
+      summaryChanged: false,
+      sections: [{ key: 'swot.Threats', title: 'Threats', added: ['New regulation'], removed: [], moved: [] }]
+    });
+  });
+
+  it('notices a changed summary', () => {
+    const before = sampleInsight();
+
+    expect(diffInsights(before, { ...before, summary: 'A different summary' }).summaryChanged).toBe(true);
+    expect(diffInsights({ ...before, summary: undefined }, { ...before, summary: '' }).summaryChanged).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+// Item helpers shared by the results views and exports. Analyses saved before
+// structured JSON output stored each item as a markdown bullet such as
+// "Strong brand (Impact: High)"; parseItem turns those into { text, attributes }.
+
+export const SWOT_SECTIONS = ['Strengths', 'Weaknesses', 'Opportunities', 'Threats'];
+
+// Attributes whose values are percentages and should be stored as numbers
+const PERCENT_ATTRIBUTES = ['probability', 'likelihood', 'confidence', 'share'];
+
+const ATTRIBUTE_REGEX = /\(\s*([A-Za-z][A-Za-z /&-]*?)\s*:\s*([^()]*(?:\([^()]*\)[^()]*)*)\)/g;
+
+const stripMarkdown = (value) => value.replace(/\*\*|__/g, '').replace(/`/g, '').trim();
+
+const toCamelCase = (label) => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+(.)?/g, (_, chr) => (chr ? chr.toUpperCase() : ''));
+
+export const attributeLabel = (key) => key
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/^./, (chr) => chr.toUpperCase());
+
+const parsePercent = (value) => {
+  const match = String(value).match(/(\d+(?:\.\d+)?)\s*%/);
+  return match ? Number(match[1]) : null;
+};
+
+// Parse a single bullet into its text and parenthesised attributes,
+// e.g. "Strong brand (Impact: High) (Probability: 60%)".
+// [key, value] for a "Risk Level" / "40%" style label and value, or null when either is empty.
+// Percentages become numbers.
+export const parseAttribute = (label, rawValue) => {
+  const key = toCamelCase(label.trim());
+  const value = String(rawValue ?? '').trim();
+  if (!key || !value) return null;
+  if (PERCENT_ATTRIBUTES.includes(key)) return [key, parsePercent(value) ?? value];
+  return [key, value];
+};
+
+export const parseItem = (line) => {
+  const source = stripMarkdown(String(line ?? '')).replace(/^(?:[-*•+]|\d+[.)])\s+/, '');
+  const attributes = {};
+
+  const text = source.replace(ATTRIBUTE_REGEX, (_, rawKey, rawValue) => {
+    const attribute = parseAttribute(rawKey, rawValue);
+    if (attribute) attributes[attribute[0]] = attribute[1];
+    return '';
+  })
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([.,;:])/g, '$1')
+    .replace(/[\s:-]+$/, '')
+    .trim();
+
+  return { text, attributes };
+};
+
+// Accepts items saved before the parser existed (plain strings) as well as parsed items
+export const normalizeItem = (item) => {
+  if (typeof item === 'string') return parseItem(item);
+  return {
+    ...item,
+    text: item?.text ?? '',
+    attributes: item?.attributes ?? {}
+  };
+};
+
+export const normalizeSwot = (swot = {}) => SWOT_SECTIONS.reduce((acc, section) => {
+  acc[section] = (swot[section] || []).map(normalizeItem);
+  return acc;
+}, {});
+
+// Split "Title: description" or "Title - description" bullets into their parts
+export const splitTitle = (text) => {
+  const match = text.match(/^(.{2,80}?)(?::\s+|\s+[-–—]\s+)(.+)$/);
+  return match
+    ? { title: match[1].trim(), description: match[2].trim() }
+    : { title: text, description: '' };
+};
+
+export const formatAttributeValue = (key, value) =>
+  PERCENT_ATTRIBUTES.includes(key) && typeof value === 'number' ? `${value}%` : value;
+
+// Single-line representation used by exports
+export const formatItem = (item) => {
+  const { text, attributes } = normalizeItem(item);
+  const details = Object.entries(attributes)
+    .map(([key, value]) => `${attributeLabel(key)}: ${formatAttributeValue(key, value)}`);
+  return details.length > 0 ? `${text} (${details.join('; ')})` : text;
+};
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { formatItem, normalizeItem, normalizeSwot, parseAttribute, parseItem, splitTitle } from './insightParser';
+
+describe('parseItem', () => {
+  it('splits a markdown bullet into text and attributes', () => {
+    expect(parseItem('- **Strong brand** (Impact: High) (Probability: 60%)')).toEqual({
+      text: 'Strong brand',
+      attributes: { impact: 'High', probability: 60 }
+    });
+  });
+
+  it('keeps nested parentheses inside an attribute value', () => {
+    expect(parseItem('1. New market (Evidence: growth (est.) of 12%)')).toEqual({
+      text: 'New market',
+      attributes: { evidence: 'growth (est.) of 12%' }
+    });
+  });
+
+  it('strips every bullet style the model used', () => {
+    expect(parseItem('* Loyal customers').text).toBe('Loyal customers');
+    expect(parseItem('+ Loyal customers').text).toBe('Loyal customers');
+    expect(parseItem('• Loyal customers').text).toBe('Loyal customers');
+    expect(parseItem('12. Loyal customers').text).toBe('Loyal customers');
+    expect(parseItem('3) Loyal customers').text).toBe('Loyal customers');
+  });
+
+  it('removes bold and code markers around and inside the text', () => {
+    expect(parseItem('* **Pricing:** `annual` plans').text).toBe('Pricing: annual plans');
+    expect(parseItem('- __Pricing__ (Impact: **High**)')).toEqual({ text: 'Pricing', attributes: { impact: 'High' } });
+  });
+
+  it('extracts multi-word attribute labels and drops the separator left behind', () => {
+    expect(parseItem('Thin margins - (Risk Level: High) (Timeframe: 6-12 months)')).toEqual({
+      text: 'Thin margins',
+      attributes: { riskLevel: 'High', timeframe: '6-12 months' }
+    });
+  });
+
+  it('keeps the text between attributes', () => {
+    expect(parseItem('Grow (Impact: High) in schools (Probability: 40 %)')).toEqual({
+      text: 'Grow in schools',
+      attributes: { impact: 'High', probability: 40 }
+    });
+  });
+
+  it('leaves parentheses that are not attributes in the text', () => {
+    expect(parseItem('Expand to the EU (Germany first)')).toEqual({ text: 'Expand to the EU (Germany first)', attributes: {} });
+  });
+
+  it('returns empty text for missing lines', () => {
+    expect(parseItem(null)).toEqual({ text: '', attributes: {} });
+  });
+});
+
+describe('parseAttribute', () => {
+  it('camel-cases the label and reads percentages as numbers', () => {
+    expect(parseAttribute('Risk Level', ' High ')).toEqual(['riskLevel', 'High']);
+    expect(parseAttribute('Likelihood', '40% (rough)')).toEqual(['likelihood', 40]);
+  });
+
+  it('keeps percentage attributes without a number as text', () => {
+    expect(parseAttribute('Confidence', 'unknown')).toEqual(['confidence', 'unknown']);
+  });
+
+  it('ignores empty labels and values', () => {
+    expect(parseAttribute('', 'High')).toBeNull();
+    expect(parseAttribute('Impact', '')).toBeNull();
+  });
+});
+
+describe('normalizeItem and normalizeSwot', () => {
+  it('accepts strings saved before structured output and parsed items', () => {
+    expect(normalizeItem('Lean team (Impact: Medium)')).toEqual({ text: 'Lean team', attributes: { impact: 'Medium' } });
+    expect(normalizeItem({ text: 'Lean team' })).toEqual({ text: 'Lean team', attributes: {} });
+  });
+
+  it('fills every quadrant', () => {
+    const swot = normalizeSwot({ Strengths: ['Brand (Impact: High)'] });
+    expect(Object.keys(swot)).toEqual(['Strengths', 'Weaknesses', 'Opportunities', 'Threats']);
+    expect(swot.Strengths[0].attributes.impact).toBe('High');
+    expect(swot.Threats).toEqual([]);
+  });
+});
+
+describe('splitTitle', () => {
+  it('splits on a colon or dash', () => {
+    expect(splitTitle('Pricing: move to annual plans')).toEqual({ title: 'Pricing', description: 'move to annual plans' });
+    expect(splitTitle('Pricing - move to annual plans')).toEqual({ title: 'Pricing', description: 'move to annual plans' });
+  });
+
+  it('keeps text without a separator as the title', () => {
+    expect(splitTitle('Move to annual plans')).toEqual({ title: 'Move to annual plans', description: '' });
+  });
+});
+
+describe('formatItem', () => {
+  it('round-trips through parseItem', () => {
+    const item = { text: 'Competitor enters', attributes: { impact: 'High', likelihood: 30 } };
+    expect(formatItem(item)).toBe('Competitor enters (Impact: High; Likelihood: 30%)');
+    expect(parseItem('Competitor enters (Impact: High) (Likelihood: 30%)')).toEqual(item);
+  });
+});
@@ -0,0 +1,323 @@
+import {
+  SWOT_SECTIONS,
+  splitTitle,
+  normalizeItem,
+  normalizeSwot,
+  formatItem
+} from './insightParser';
+import { text, level, choice, percent, item, list, object, toItems, withSourceIds, withVerification } from './responseSchema';
+import { DEFAULT_MODE, getMode, normalizeExtras, extrasFromResponse } from './modes';
+import { DEFAULT_SCORING_RULES, buildSwotChartData, scoreSwot, scoreSummaryLines } from './scoring';
+import { COLORS } from './constants';
+import { normalizeGeneratedBy } from './llmSettings';
+import { normalizeScenario } from './scenarios';
+
+// Each insight type declares its prompt template, response schema, converter and chart data.
+// `reportChart` describes how the PDF report draws that chart data (pdfReport.js).
+// The prompt is assembled with the selected mode in promptBuilder.js and the
+// results view for a type is picked in App.jsx by `view`.
+
+// High/Medium/Low as 3/2/1 for the product idea chart; unrated ideas plot as 0
+const levelScore = (value) => DEFAULT_SCORING_RULES.levels[String(value ?? '').trim().toLowerCase().split(/[\s/]/)[0]] ?? 0;
+
+// Copy the schema fields found in an item's attributes onto the item itself
+const applySchemaFields = (entry, fields) => {
+  const { title, description } = entry.title ? entry : splitTitle(entry.text);
+  return fields.reduce((acc, field) => {
+    acc[field.key] = entry.attributes[field.key] ?? null;
+    return acc;
+  }, { ...entry, title, description });
+};
+
+const recommendationSchema = item({
+  text: text('A prioritised, concrete action'),
+  timeframe: text('When the action should happen'),
+  resources: text('People, budget or tools required'),
+  owner: text('Role best placed to own the action, e.g. "Founder" or "Marketing lead"')
+}, ['text', 'timeframe']);
+
+// SWOT recommendations also name the items they act on, which links the
+// tracked actions of the action plan to the matrix (see actionPlan.js)
+const swotRecommendationSchema = item({
+  ...recommendationSchema.properties,
+  addresses: list(text('A SWOT item as its quadrant and 1-based position, e.g. "Threats 2"'), 'The SWOT items this action addresses')
+}, recommendationSchema.required);
+
+const swotType = {
+  dataKey: 'swot',
+  view: 'swot',
+  schema: {
+    sections: SWOT_SECTIONS,
+    fields: []
+  },
+  prompt: {
+    task: (input) => `Generate a comprehensive, objective SWOT Analysis for: "${input}".`,
+    requirements: [
+      'Conduct deep analysis considering market conditions, competitive landscape, and internal capabilities',
+      'Provide balanced insights without pre-judging strength levels',
+      'Include quantitative estimates where possible (market size, probability, impact scores)',
+      'Consider both short-term and long-term perspectives',
+      'Highlight non-obvious insights that require expert analysis',
+      'For each recommendation, list the SWOT items it addresses by quadrant and position, e.g. "Weaknesses 1"'
+    ]
+  },
+  recommendationSchema: swotRecommendationSchema,
+  responseSchema: {
+    summary: text('Brief 2-3 sentence summary of the overall assessment'),
+    swot: object({
+      Strengths: list(item({
+        text: text('The strength'),
+        impact: level('Impact of the strength'),
+        evidence: text('Supporting data point'),
+        competitiveAdvantage: text('How it differentiates from competitors'),
+        sustainability: text('How long the advantage is likely to last')
+      }, ['text', 'impact', 'evidence']), 'Internal strengths'),
+      Weaknesses: list(item({
+        text: text('The weakness'),
+        riskLevel: level('Risk the weakness poses'),
+        remediation: text('Suggested remediation'),
+        operationalImpact: text('Effect on day-to-day operations')
+      }, ['text', 'riskLevel', 'remediation']), 'Internal weaknesses'),
+      Opportunities: list(item({
+        text: text('The opportunity'),
+        probability: percent('Probability of capturing the opportunity'),
+        impact: level('Impact if captured'),
+        potentialValue: text('Estimated value'),
+        timeSensitivity: text('How urgent it is'),
+        resourcesNeeded: text('Resources needed to pursue it')
+      }, ['text', 'probability', 'impact', 'potentialValue']), 'External opportunities'),
+      Threats: list(item({
+        text: text('The threat'),
+        likelihood: percent('Likelihood of the threat materialising'),
+        impact: level('Impact if it materialises'),
+        potentialDamage: text('Description of the potential damage'),
+        externalFactor: text('Source of the threat'),
+        defensiveOptions: text('Suggested defences')
+      }, ['text', 'likelihood', 'impact', 'potentialDamage']), 'External threats')
+    }, 'The four SWOT quadrants')
+  },
+  fromResponse: (json) => ({
+    swot: SWOT_SECTIONS.reduce((acc, section) => {
+      acc[section] = toItems(json.swot?.[section]);
+      return acc;
+    }, {})
+  }),
+  hasContent: (data) => SWOT_SECTIONS.some(section => data.swot[section].length > 0),
+  normalize: (data) => normalizeSwot(data.swot),
+  buildChartData: ({ swot }) => buildSwotChartData(swot),
+  reportChart: {
+    title: 'SWOT Weighted Score',
+    series: [{ key: 'value', label: 'Points' }],
+    colorByBar: true
+  },
+  reportSections: ({ swot }) => [
+    ...SWOT_SECTIONS.map(section => ({
+      title: section,
+      items: swot[section].map(formatItem)
+    })),
+    {
+      title: 'Scores',
+      items: scoreSummaryLines(scoreSwot(swot))
+    }
+  ]
+};
+
+const productIdeaFields = [
+  { key: 'targetUser', label: 'Target User' },
+  { key: 'feasibility', label: 'Feasibility' },
+  { key: 'effort', label: 'Effort' }
+];
+
+const productIdeasType = {
+  dataKey: 'ideas',
+  view: 'ideas',
+  schema: {
+    sections: ['Product Ideas'],
+    fields: productIdeaFields
+  },
+  prompt: {
+    task: (input) => `Generate concrete, differentiated Product Ideas for: "${input}".`,
+    requirements: [
+      'Propose 4-6 distinct product or feature ideas, not variations of the same one',
+      'Ground each idea in a specific user need and the current competitive landscape',
+      'Rate feasibility honestly given typical resources at this stage',
+      'Estimate implementation effort relative to the other ideas'
+    ]
+  },
+  responseSchema: {
+    summary: text('Brief 2-3 sentence summary of where the product opportunity lies'),
+    ideas: list(item({
+      title: text('Short idea name'),
+      description: text('One-sentence description'),
+      targetUser: text('Who the idea is for'),
+      feasibility: level('How feasible the idea is at this stage'),
+      effort: level('Implementation effort relative to the other ideas')
+    }, ['title', 'description', 'targetUser', 'feasibility', 'effort']), 'Product ideas')
+  },
+  fromResponse: (json) => ({
+    ideas: toItems(json.ideas).map(idea => applySchemaFields(idea, productIdeaFields))
+  }),
+  hasContent: (data) => data.ideas.length > 0,
+  normalize: (data) => (data.ideas || []).map(idea => applySchemaFields(normalizeItem(idea), productIdeaFields)),
+  buildChartData: ({ ideas }) => ideas.map(idea => ({
+    name: idea.title,
+    feasibility: levelScore(idea.feasibility),
+    effort: levelScore(idea.effort)
+  })),
+  reportChart: {
+    title: 'Feasibility vs Effort',
+    series: [
+      { key: 'feasibility', label: 'Feasibility', color: COLORS[1] },
+      { key: 'effort', label: 'Effort', color: COLORS[2] }
+    ],
+    max: 3
+  },
+  reportSections: ({ ideas }) => [{
+    title: 'Product Ideas',
+    items: ideas.map(formatItem)
+  }]
+};
+
+const marketTrendFields = [
+  { key: 'direction', label: 'Direction' },
+  { key: 'timeHorizon', label: 'Time Horizon' },
+  { key: 'confidence', label: 'Confidence' }
+];
+
+const marketTrendsType = {
+  dataKey: 'trends',
+  view: 'trends',
+  schema: {
+    sections: ['Market Trends'],
+    fields: marketTrendFields
+  },
+  prompt: {
+    task: (input) => `Identify the Market Trends most relevant to: "${input}".`,
+    requirements: [
+      'Cover technology, customer behaviour, regulatory and competitive trends',
+      'State whether each trend is rising, declining or stable',
+      'Give the time horizon over which the trend will matter',
+      'Attach a confidence percentage reflecting the strength of the evidence'
+    ]
+  },
+  responseSchema: {
+    summary: text('Brief 2-3 sentence summary of the market direction'),
+    trends: list(item({
+      title: text('Short trend name'),
+      description: text('One-sentence description'),
+      direction: choice(['Rising', 'Declining', 'Stable'], 'Direction of the trend'),
+      timeHorizon: text('When the trend will matter, e.g. 1-2 years'),
+      confidence: percent('Confidence in the trend')
+    }, ['title', 'description', 'direction', 'timeHorizon', 'confidence']), 'Market trends')
+  },
+  fromResponse: (json) => ({
+    trends: toItems(json.trends).map(trend => applySchemaFields(trend, marketTrendFields))
+  }),
+  hasContent: (data) => data.trends.length > 0,
+  normalize: (data) => (data.trends || []).map(trend => applySchemaFields(normalizeItem(trend), marketTrendFields)),
+  buildChartData: ({ trends }) => trends.map(trend => ({
+    name: trend.title,
+    value: typeof trend.confidence === 'number' ? trend.confidence : 0
+  })),
+  reportChart: {
+    title: 'Trend Confidence',
+    series: [{ key: 'value', label: 'Confidence' }],
+    colorByBar: true,
+    max: 100,
+    unit: '%'
+  },
+  reportSections: ({ trends }) => [{
+    title: 'Market Trends',
+    items: trends.map(formatItem)
+  }]
+};
+
+export const INSIGHT_TYPES = {
+  'SWOT Analysis': swotType,
+  'Product Ideas': productIdeasType,
+  'Market Trends': marketTrendsType
+};
+
+export const DEFAULT_INSIGHT_TYPE = 'SWOT Analysis';
+
+export const getInsightType = (name) => INSIGHT_TYPES[name] || INSIGHT_TYPES[DEFAULT_INSIGHT_TYPE];
+
+// Full response schema for an insight type: summary, the type's sections,
+// the mode's extra sections and the strategic recommendations. Every item but
+// the recommendations states the evidence behind it, and with attached sources
+// every item also lists the ids of the sources it draws on.
+export const buildResponseSchema = (insightType, modeName, sourceIds = []) => {
+  const { extraSections } = getMode(modeName);
+  const claims = withVerification(object({
+    ...getInsightType(insightType).responseSchema,
+    ...(extraSections.length > 0 && {
+      extras: object(Object.fromEntries(
+        extraSections.map(section => [section.key, list(section.schema, section.title)])
+      ), 'Sections specific to the selected mode')
+    })
+  }));
+  const schema = object({
+    ...claims.properties,
+    recommendations: list(getInsightType(insightType).recommendationSchema || recommendationSchema, 'Strategic recommendations in priority order')
+  });
+  return sourceIds.length > 0 ? withSourceIds(schema, sourceIds) : schema;
+};
+
+// The item schema of one section, by its key in insightSections (e.g. "swot.Threats", "extras.assumptions")
+export const sectionItemSchema = (insightType, modeName, sectionKey) => sectionKey
+  .split('.')
+  .reduce((node, part) => node.properties[part], buildResponseSchema(insightType, modeName))
+  .items;
+
+// Convert one response entry for a section into an item shaped like the section's others
+export const itemFromResponse = (entry, sectionKey, insightType, modeName) => {
+  const [key, subKey] = sectionKey.split('.');
+  const type = getInsightType(insightType);
+  if (key === 'extras') return extrasFromResponse({ [subKey]: [entry] }, modeName)[subKey][0];
+  if (key === type.dataKey && !subKey) return type.fromResponse({ [key]: [entry] })[key][0];
+  return toItems([entry])[0];
+};
+
+// Convert validated JSON, or a partial document while streaming, into the in-memory result
+export const fromResponse = (json, insightType, modeName) => {
+  const type = getInsightType(insightType);
+  const data = type.fromResponse(json);
+  return {
+    summary: typeof json.summary === 'string' ? json.summary.trim() : '',
+    ...data,
+    extras: extrasFromResponse(json.extras, modeName),
+    recommendations: toItems(json.recommendations).map((entry, index) => ({ ...entry, priority: index + 1 })),
+    chartData: type.buildChartData(data)
+  };
+};
+
+// Rebuild the in-memory result from a saved Firestore document
+export const restoreInsight = (saved) => {
+  const insightType = INSIGHT_TYPES[saved.insightType] ? saved.insightType : DEFAULT_INSIGHT_TYPE;
+  const type = getInsightType(insightType);
+  const data = { [type.dataKey]: type.normalize(saved) };
+  const mode = saved.mode || DEFAULT_MODE;
+  const generatedBy = normalizeGeneratedBy(saved.generatedBy);
+  const scenario = normalizeScenario(saved.scenario);
+  return {
+    insightType,
+    input: saved.input || '',
+    mode,
+    modeInputs: saved.modeInputs || {},
+    extras: normalizeExtras(saved.extras, mode),
+    summary: saved.summary || '',
+    ...data,
+    recommendations: (saved.recommendations || []).map(normalizeItem),
+    chartData: saved.chartData || type.buildChartData(data),
+    ...(saved.sources?.length > 0 && { sources: saved.sources }),
+    ...(generatedBy && { generatedBy }),
+    ...(scenario && { scenario })
+  };
+};
+
+// An edit from the dashboard, with the charts kept in step with it
+export const applyEdit = (insight, changes) => {
+  const next = { ...insight, ...changes, edited: true };
+  const type = getInsightType(next.insightType);
+  return { ...next, chartData: type.buildChartData({ [type.dataKey]: next[type.dataKey] }) };
+};
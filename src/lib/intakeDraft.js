@@ -0,0 +1,34 @@
+import { INSIGHT_TYPES } from './insightTypes';
+import { MODES } from './modes';
+import { readStored, removeStored, writeStored } from './storage';
+
+// The builder form (mode, insight type, description and intake fields) is kept
+// in localStorage so a half-written brief survives a reload. Inputs of every
+// mode are kept, so switching modes and back loses nothing.
+
+const DRAFT_KEY = 'insightcraft:draft';
+
+const isStringMap = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && Object.values(value).every(entry => typeof entry === 'string');
+
+// The stored draft with anything another version wrote that no longer fits dropped,
+// or null when there is none
+export const loadDraft = () => {
+  const draft = readStored(DRAFT_KEY);
+  if (!draft || typeof draft !== 'object') return null;
+  return {
+    ...(MODES[draft.mode] && { mode: draft.mode }),
+    ...(INSIGHT_TYPES[draft.insightType] && { insightType: draft.insightType }),
+    input: typeof draft.input === 'string' ? draft.input : '',
+    modeInputs: isStringMap(draft.modeInputs) ? draft.modeInputs : {}
+  };
+};
+
+// An empty form leaves no draft behind
+export const saveDraft = ({ mode, insightType, input, modeInputs }) => {
+  const empty = !input.trim() && Object.values(modeInputs).every(value => !value.trim());
+  if (empty) removeStored(DRAFT_KEY);
+  else writeStored(DRAFT_KEY, { mode, insightType, input, modeInputs });
+};
+
+export const clearDraft = () => removeStored(DRAFT_KEY);
@@ -0,0 +1,72 @@
+import { describe, expect, it, vi } from 'vitest';
+import { clearDraft, loadDraft, saveDraft } from './intakeDraft';
+
+const DRAFT_KEY = 'insightcraft:draft';
+
+const draft = {
+  mode: 'Content Creator',
+  insightType: 'Product Ideas',
+  input: 'A travel channel for students',
+  modeInputs: { platform: 'YouTube' }
+};
+
+describe('intake draft', () => {
+  it('keeps a draft in localStorage', () => {
+    saveDraft(draft);
+
+    expect(JSON.parse(localStorage.getItem(DRAFT_KEY))).toEqual(draft);
+    expect(loadDraft()).toEqual(draft);
+  });
+
+  it('removes the draft once the form is empty', () => {
+    saveDraft(draft);
+    saveDraft({ ...draft, input: '  ', modeInputs: { platform: '' } });
+
+    expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+  });
+
+  it('keeps intake fields without a description', () => {
+    saveDraft({ ...draft, input: '' });
+
+    expect(loadDraft()).toEqual({ ...draft, input: '' });
+  });
+
+  it('clears the draft', () => {
+    saveDraft(draft);
+    clearDraft();
+
+    expect(loadDraft()).toBeNull();
+  });
+
+  it('has no draft when nothing or something unreadable is stored', () => {
+    expect(loadDraft()).toBeNull();
+    localStorage.setItem(DRAFT_KEY, '{broken');
+    expect(loadDraft()).toBeNull();
+    localStorage.setItem(DRAFT_KEY, '"text"');
+    expect(loadDraft()).toBeNull();
+  });
+
+  it('drops an unknown mode or insight type and malformed fields', () => {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({
+      mode: 'Astrologer',
+      insightType: 'Horoscope',
+      input: 42,
+      modeInputs: { platform: ['YouTube'] }
+    }));
+
+    expect(loadDraft()).toEqual({ input: '', modeInputs: {} });
+  });
+
+  it('warns instead of failing when storage is full', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(() => saveDraft(draft)).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+
+    setItem.mockRestore();
+    warn.mockRestore();
+  });
+});
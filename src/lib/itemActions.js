@@ -0,0 +1,68 @@
+import { sectionItemSchema, itemFromResponse } from './insightTypes';
+import { insightSections } from './insightDiff';
+import { buildAnalysisContext } from './promptBuilder';
+import { formatItem } from './insightParser';
+import { text, object } from './responseSchema';
+import { applyProposal } from './followUpChat';
+
+// Actions on a single item of an analysis. Each makes one model call scoped to
+// that item, with the rest of the analysis as context. Rewrites replace the
+// item and can be undone; "explain" only returns text shown beside it.
+
+export const ITEM_ACTIONS = {
+  regenerate: {
+    label: 'Regenerate',
+    done: 'Regenerated',
+    instruction: 'Replace it with a different, stronger item for the same section. It must not repeat any other item in the analysis.'
+  },
+  specific: {
+    label: 'More specific',
+    done: 'Made more specific',
+    instruction: 'Rewrite it to be more specific to this business: name concrete segments, channels, numbers and timeframes. Keep its meaning.'
+  },
+  evidence: {
+    label: 'Add evidence',
+    done: 'Added evidence to',
+    instruction: 'Strengthen it with evidence: data points, industry benchmarks or comparable companies that support it, saying where figures come from. Give ranges marked as estimates rather than inventing precise statistics.'
+  },
+  explain: {
+    label: 'Explain',
+    explains: true,
+    instruction: 'Explain the reasoning behind it in 3-6 sentences: what in the brief and context led to it, the assumptions it rests on and what would make it wrong.'
+  }
+};
+
+// Rewrites kept for undo
+export const MAX_UNDO = 20;
+
+// Identifies an item by its section and text, so explanations stay with it when others move
+export const itemKey = (sectionKey, item) => `${sectionKey}\n${item.text}`;
+
+export const buildItemActionSchema = (insight, sectionKey, action) => (ITEM_ACTIONS[action].explains
+  ? object({ explanation: text('The reasoning behind the item, in plain text') })
+  : object({ item: sectionItemSchema(insight.insightType, insight.mode, sectionKey) }));
+
+export const buildItemActionPrompt = (insight, sectionKey, index, action) => {
+  const section = insightSections(insight).find(entry => entry.key === sectionKey);
+  return `${buildAnalysisContext(insight)}
+Work only on item ${index + 1} of ${section.title}: "${formatItem(section.items[index])}"
+
+${ITEM_ACTIONS[action].instruction}
+Leave the rest of the analysis as it is; use it as context only.
+
+Respond only with JSON that matches the provided response schema.
+`;
+};
+
+// The rewritten item in a response, shaped like the others in its section
+export const itemFromActionResponse = (json, insight, sectionKey) => (
+  itemFromResponse(json.item, sectionKey, insight.insightType, insight.mode)
+);
+
+// The change that puts `next` in place of `current`, found by its text in case
+// other items have moved since; null when it has been edited or removed meanwhile
+export const replaceItem = (insight, sectionKey, current, next) => {
+  const section = insightSections(insight).find(entry => entry.key === sectionKey);
+  const index = section.items.findIndex(entry => entry.text === current.text);
+  return index === -1 ? null : applyProposal(insight, { sectionKey, replaces: index + 1, item: next });
+};
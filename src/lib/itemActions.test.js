@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ITEM_ACTIONS,
+  buildItemActionPrompt,
+  buildItemActionSchema,
+  itemFromActionResponse,
+  itemKey,
+  replaceItem
+} from './itemActions';
+import { sampleInsight } from '../test/fixtures';
+
+const insight = sampleInsight();
+const [firstThreat, secondThreat] = insight.swot.Threats;
+
+describe('item actions', () => {
+  it('keys an item by its section and text', () => {
+    expect(itemKey('swot.Threats', firstThreat)).toBe(`swot.Threats\n${firstThreat.text}`);
+  });
+
+  it('asks for an explanation or a rewritten item shaped like its section', () => {
+    expect(Object.keys(buildItemActionSchema(insight, 'swot.Threats', 'explain').properties)).toEqual(['explanation']);
+
+    const { item } = buildItemActionSchema(insight, 'swot.Threats', 'specific').properties;
+    expect(item.properties).toHaveProperty('likelihood');
+    expect(item.properties).not.toHaveProperty('riskLevel');
+  });
+
+  it('prompts with the whole analysis and the numbered item', () => {
+    const prompt = buildItemActionPrompt(insight, 'swot.Threats', 1, 'regenerate');
+
+    expect(prompt).toContain(insight.swot.Strengths[0].text);
+    expect(prompt).toContain(`Work only on item 2 of Threats: "${secondThreat.text}`);
+    expect(prompt).toContain(ITEM_ACTIONS.regenerate.instruction);
+  });
+
+  it('reads the rewritten item from the response', () => {
+    const item = itemFromActionResponse({ item: { text: 'A rewritten threat', likelihood: 25, impact: 'Low' } }, insight, 'swot.Threats');
+
+    expect(item).toMatchObject({ text: 'A rewritten threat', attributes: { likelihood: 25, impact: 'Low' } });
+  });
+});
+
+describe('replaceItem', () => {
+  it('finds the item by its text even after others moved', () => {
+    const moved = { ...insight, swot: { ...insight.swot, Threats: [secondThreat, firstThreat] } };
+    const changes = replaceItem(moved, 'swot.Threats', firstThreat, { text: 'Rewritten' });
+
+    expect(changes.swot.Threats).toEqual([secondThreat, { text: 'Rewritten' }]);
+  });
+
+  it('gives up when the item was edited or removed meanwhile', () => {
+    expect(replaceItem(insight, 'swot.Threats', { text: 'No longer there' }, { text: 'Rewritten' })).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+import { readStored, removeStored, writeStored } from './storage';
+
+// Which model generates analyses. Settings are kept per browser in localStorage,
+// except the API key of an OpenAI-compatible server: it stays in sessionStorage,
+// and so only until the tab is closed, unless the user asks to remember it.
+// The providers themselves are created in services/llmProviders.js.
+
+const SETTINGS_KEY = 'insightcraft:llmSettings';
+const API_KEY_KEY = 'insightcraft:apiKey';
+
+// Keep in sync with ALLOWED_MODELS in functions/index.js
+export const GEMINI_MODELS = ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash'];
+
+// `requiresSignIn`: requests go through the `generate` function, which needs a Firebase user.
+// `models`: the choices offered; providers without a list take any model name.
+export const PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    models: GEMINI_MODELS,
+    requiresSignIn: true
+  },
+  openai: {
+    label: 'OpenAI-compatible server',
+    requiresSignIn: false
+  },
+  mock: {
+    label: 'Mock (recorded responses)',
+    models: ['recorded'],
+    requiresSignIn: false
+  }
+};
+
+export const MIN_TEMPERATURE = 0;
+export const MAX_TEMPERATURE = 2;
+
+export const DEFAULT_SETTINGS = {
+  provider: 'gemini',
+  model: GEMINI_MODELS[0],
+  temperature: 1,
+  // OpenAI-compatible server; the default is a local Ollama
+  baseUrl: 'http://localhost:11434/v1',
+  apiKey: '',
+  rememberApiKey: false
+};
+
+const clampTemperature = (value) => Math.min(MAX_TEMPERATURE, Math.max(MIN_TEMPERATURE, value));
+
+// Fill in and correct settings read from storage or changed in the settings panel
+export const normalizeSettings = (settings = {}) => {
+  const provider = PROVIDERS[settings.provider] ? settings.provider : DEFAULT_SETTINGS.provider;
+  const { models } = PROVIDERS[provider];
+  const model = typeof settings.model === 'string' ? settings.model.trim() : '';
+  return {
+    provider,
+    model: models ? (models.includes(model) ? model : models[0]) : model,
+    temperature: Number.isFinite(settings.temperature) ? clampTemperature(settings.temperature) : DEFAULT_SETTINGS.temperature,
+    baseUrl: typeof settings.baseUrl === 'string' ? settings.baseUrl.trim() : DEFAULT_SETTINGS.baseUrl,
+    apiKey: typeof settings.apiKey === 'string' ? settings.apiKey.trim() : '',
+    rememberApiKey: settings.rememberApiKey === true
+  };
+};
+
+// What is missing before the provider can be used, or null when it is ready
+export const settingsProblem = (settings) => {
+  if (settings.provider !== 'openai') return null;
+  if (!/^https?:\/\/\S+$/.test(settings.baseUrl)) return 'Enter the server URL in the model settings, e.g. http://localhost:11434/v1.';
+  if (!settings.model) return 'Enter the model name in the model settings.';
+  return null;
+};
+
+// Recorded on saved insights as `generatedBy`
+export const generatedByFor = (settings) => ({ provider: settings.provider, model: settings.model });
+
+// A stored or imported `generatedBy`, or null when it is missing or not one the rules accept
+export const normalizeGeneratedBy = (generatedBy) => (
+  generatedBy && PROVIDERS[generatedBy.provider] && typeof generatedBy.model === 'string'
+    ? { provider: generatedBy.provider, model: generatedBy.model.slice(0, 200) }
+    : null
+);
+
+export const describeGeneratedBy = (generatedBy) => (generatedBy
+  ? `${PROVIDERS[generatedBy.provider]?.label || generatedBy.provider} · ${generatedBy.model}`
+  : '');
+
+const apiKeyArea = (rememberApiKey) => (rememberApiKey ? 'localStorage' : 'sessionStorage');
+
+// Settings another version stored are corrected like ones changed in the panel.
+// Earlier versions kept the API key with the other settings; it is read from
+// there once and moved out by the next save.
+export const loadSettings = () => {
+  const stored = readStored(SETTINGS_KEY) || {};
+  const apiKey = readStored(API_KEY_KEY, apiKeyArea(stored.rememberApiKey === true)) ?? stored.apiKey;
+  return normalizeSettings({ ...stored, apiKey });
+};
+
+export const saveSettings = ({ apiKey, ...settings }) => {
+  writeStored(SETTINGS_KEY, settings);
+  removeStored(API_KEY_KEY, apiKeyArea(!settings.rememberApiKey));
+  if (apiKey) writeStored(API_KEY_KEY, apiKey, apiKeyArea(settings.rememberApiKey));
+  else removeStored(API_KEY_KEY, apiKeyArea(settings.rememberApiKey));
+};
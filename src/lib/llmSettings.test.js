@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SETTINGS, describeGeneratedBy, loadSettings, normalizeGeneratedBy, normalizeSettings, saveSettings, settingsProblem } from './llmSettings';
+
+describe('normalizeSettings', () => {
+  it('fills in the defaults', () => {
+    expect(normalizeSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('corrects unknown providers, models and temperatures out of range', () => {
+    expect(normalizeSettings({ provider: 'nope', model: 'gpt-9', temperature: 7 })).toMatchObject({
+      provider: 'gemini',
+      model: DEFAULT_SETTINGS.model,
+      temperature: 2
+    });
+  });
+
+  it('keeps a free-form model name for OpenAI-compatible servers', () => {
+    expect(normalizeSettings({ provider: 'openai', model: ' llama3 ' }).model).toBe('llama3');
+  });
+});
+
+describe('settingsProblem', () => {
+  it('needs a server URL and model for OpenAI-compatible servers', () => {
+    expect(settingsProblem(normalizeSettings({ provider: 'openai', baseUrl: 'localhost', model: 'llama3' }))).toMatch(/server URL/);
+    expect(settingsProblem(normalizeSettings({ provider: 'openai', model: '' }))).toMatch(/model name/);
+    expect(settingsProblem(normalizeSettings({ provider: 'openai', model: 'llama3' }))).toBeNull();
+    expect(settingsProblem(DEFAULT_SETTINGS)).toBeNull();
+  });
+});
+
+describe('generatedBy', () => {
+  it('accepts known providers only', () => {
+    expect(normalizeGeneratedBy({ provider: 'mock', model: 'recorded' })).toEqual({ provider: 'mock', model: 'recorded' });
+    expect(normalizeGeneratedBy({ provider: 'other', model: 'x' })).toBeNull();
+    expect(describeGeneratedBy({ provider: 'gemini', model: 'gemini-2.0-flash' })).toBe('Gemini · gemini-2.0-flash');
+  });
+});
+
+describe('loadSettings and saveSettings', () => {
+  it('keep the settings in localStorage', () => {
+    const settings = normalizeSettings({ provider: 'mock', temperature: 0.4 });
+    saveSettings(settings);
+    expect(loadSettings()).toEqual(settings);
+  });
+
+  it('fall back to the defaults for unreadable data', () => {
+    localStorage.setItem('insightcraft:llmSettings', '{broken');
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('keep the API key for this tab only unless it is remembered', () => {
+    saveSettings(normalizeSettings({ provider: 'openai', model: 'llama3', apiKey: 'sk-test' }));
+
+    expect(localStorage.getItem('insightcraft:llmSettings')).not.toContain('sk-test');
+    expect(localStorage.getItem('insightcraft:apiKey')).toBeNull();
+    expect(sessionStorage.getItem('insightcraft:apiKey')).toBe('"sk-test"');
+    expect(loadSettings().apiKey).toBe('sk-test');
+  });
+
+  it('move a remembered API key to localStorage and back', () => {
+    const settings = normalizeSettings({ provider: 'openai', model: 'llama3', apiKey: 'sk-test' });
+    saveSettings(settings);
+    saveSettings({ ...settings, rememberApiKey: true });
+
+    expect(sessionStorage.getItem('insightcraft:apiKey')).toBeNull();
+    sessionStorage.clear();
+    expect(loadSettings()).toMatchObject({ apiKey: 'sk-test', rememberApiKey: true });
+
+    saveSettings(settings);
+    expect(localStorage.getItem('insightcraft:apiKey')).toBeNull();
+    expect(sessionStorage.getItem('insightcraft:apiKey')).toBe('"sk-test"');
+  });
+
+  it('forget the API key once it is cleared', () => {
+    const settings = normalizeSettings({ provider: 'openai', model: 'llama3', apiKey: 'sk-test', rememberApiKey: true });
+    saveSettings(settings);
+    saveSettings({ ...settings, apiKey: '' });
+
+    expect(localStorage.getItem('insightcraft:apiKey')).toBeNull();
+    expect(loadSettings().apiKey).toBe('');
+  });
+
+  it('move an API key stored with the other settings out of them', () => {
+    localStorage.setItem('insightcraft:llmSettings', JSON.stringify({ provider: 'openai', model: 'llama3', apiKey: 'sk-old' }));
+    const settings = loadSettings();
+    saveSettings(settings);
+
+    expect(settings.apiKey).toBe('sk-old');
+    expect(localStorage.getItem('insightcraft:llmSettings')).not.toContain('sk-old');
+    expect(sessionStorage.getItem('insightcraft:apiKey')).toBe('"sk-old"');
+  });
+});
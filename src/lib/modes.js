@@ -0,0 +1,139 @@
+import { splitTitle, normalizeItem, formatItem } from './insightParser';
+import { text, level, choice, percent, item, toItems } from './responseSchema';
+
+// Each mode sets the analyst persona, the guided intake fields it asks for in
+// the builder and the extra output sections it adds to every insight type.
+
+// Intake fields shared by several modes; a mode can override the label or placeholder
+const INTAKE = {
+  industry: { key: 'industry', label: 'Industry', placeholder: 'e.g., K-12 education technology' },
+  targetMarket: { key: 'targetMarket', label: 'Target Market', placeholder: 'e.g., Mid-size logistics companies' },
+  geography: { key: 'geography', label: 'Geography', placeholder: 'e.g., UK first, then EU' },
+  teamSize: { key: 'teamSize', label: 'Team Size', type: 'select', options: ['Solo', '2-5', '6-20', '21-100', 'More than 100'] },
+  funding: { key: 'funding', label: 'Revenue / Funding', placeholder: 'e.g., $8k MRR, $500k pre-seed raised' },
+  competitors: { key: 'competitors', label: 'Key Competitors', type: 'textarea', placeholder: 'e.g., Scratch, Tynker, Code.org' },
+  goals: { key: 'goals', label: 'Goals', type: 'textarea', placeholder: 'e.g., Reach 1,000 paying families within 12 months' }
+};
+
+export const MODES = {
+  'Startup': {
+    persona: 'a top-tier startup analyst and former venture investor advising an early-stage founder',
+    fields: [
+      INTAKE.industry,
+      { key: 'targetCustomer', label: 'Target Customer', placeholder: 'e.g., Parents of kids aged 8-14' },
+      INTAKE.geography,
+      { key: 'stage', label: 'Stage', type: 'select', options: ['Idea', 'MVP', 'Early Revenue', 'Scaling'] },
+      INTAKE.teamSize,
+      INTAKE.funding,
+      INTAKE.competitors,
+      INTAKE.goals
+    ],
+    extraSections: [
+      {
+        key: 'assumptions',
+        title: 'Key Assumptions to Validate',
+        schema: item({
+          text: text('An assumption the business depends on'),
+          validationMethod: text('Cheapest experiment that would validate it'),
+          riskLevel: level('Risk if the assumption is wrong')
+        }, ['text', 'validationMethod', 'riskLevel'])
+      }
+    ]
+  },
+  'Content Creator': {
+    persona: 'a top-tier creator economy strategist who has grown and monetised audiences across major platforms',
+    fields: [
+      { ...INTAKE.industry, label: 'Niche', placeholder: 'e.g., Budget travel for students' },
+      { key: 'platform', label: 'Primary Platform', type: 'select', options: ['YouTube', 'Instagram', 'TikTok', 'LinkedIn', 'Podcast', 'Blog / Newsletter'] },
+      { key: 'audience', label: 'Audience', placeholder: 'e.g., Beginner programmers aged 18-25' },
+      { ...INTAKE.geography, placeholder: 'e.g., English-speaking, mostly US' },
+      INTAKE.teamSize,
+      { ...INTAKE.funding, label: 'Audience Size / Revenue', placeholder: 'e.g., 40k subscribers, $1.5k/month from sponsors' },
+      { ...INTAKE.competitors, label: 'Comparable Creators', placeholder: 'e.g., Kara and Nate, Lost LeBlanc' },
+      { ...INTAKE.goals, placeholder: 'e.g., Go full-time within a year' }
+    ],
+    extraSections: [
+      {
+        key: 'contentPillars',
+        title: 'Content Pillars',
+        schema: item({
+          title: text('Pillar name'),
+          description: text('What the pillar covers'),
+          format: text('Content format, e.g. long-form video, short, carousel'),
+          cadence: text('Posting frequency')
+        }, ['title', 'description', 'format', 'cadence'])
+      }
+    ]
+  },
+  'Marketing Strategist': {
+    persona: 'a top-tier marketing strategist who plans multi-channel campaigns and owns the marketing budget',
+    fields: [
+      INTAKE.industry,
+      INTAKE.targetMarket,
+      INTAKE.geography,
+      { key: 'companyStage', label: 'Company Stage', type: 'select', options: ['Pre-launch', 'Growing', 'Established', 'Enterprise'] },
+      { ...INTAKE.teamSize, label: 'Marketing Team Size' },
+      { key: 'budget', label: 'Marketing Budget', placeholder: 'e.g., $20k per month' },
+      { key: 'objective', label: 'Campaign Objective', placeholder: 'e.g., 5,000 paid sign-ups in Q3' },
+      { ...INTAKE.competitors, placeholder: 'e.g., Brands bidding for the same keywords and audiences' }
+    ],
+    extraSections: [
+      {
+        key: 'channelMix',
+        title: 'Channel Mix',
+        schema: item({
+          title: text('Channel'),
+          description: text('Role of the channel in the funnel'),
+          funnelStage: choice(['Awareness', 'Consideration', 'Conversion', 'Retention'], 'Funnel stage the channel serves'),
+          kpi: text('Metric used to judge the channel')
+        }, ['title', 'description', 'funnelStage', 'kpi'])
+      },
+      {
+        key: 'budgetSplit',
+        title: 'Budget Split',
+        schema: item({
+          title: text('Channel or activity'),
+          description: text('What the spend covers'),
+          share: percent('Share of the total budget')
+        }, ['title', 'description', 'share']),
+        chart: 'share'
+      }
+    ]
+  }
+};
+
+export const DEFAULT_MODE = 'Startup';
+
+export const getMode = (name) => MODES[name] || MODES[DEFAULT_MODE];
+
+// [label, value] pairs of the intake fields filled in for a mode, in form order
+export const intakeEntries = (modeName, modeInputs = {}) => getMode(modeName).fields
+  .filter(field => typeof modeInputs[field.key] === 'string' && modeInputs[field.key].trim())
+  .map(field => [field.label, modeInputs[field.key].trim()]);
+
+// Only the inputs that belong to a mode, so switching modes leaves no stray fields behind
+export const activeModeInputs = (modeName, modeInputs = {}) => Object.fromEntries(
+  getMode(modeName).fields
+    .filter(field => typeof modeInputs[field.key] === 'string' && modeInputs[field.key].trim())
+    .map(field => [field.key, modeInputs[field.key].trim()])
+);
+
+const toExtraItem = (entry) => (entry.title ? entry : { ...entry, ...splitTitle(entry.text) });
+
+// Convert the `extras` object of a (possibly partial) response into items keyed by section
+export const extrasFromResponse = (extras, modeName) => getMode(modeName).extraSections.reduce((acc, section) => {
+  acc[section.key] = toItems(extras?.[section.key]).map(toExtraItem);
+  return acc;
+}, {});
+
+export const normalizeExtras = (extras = {}, modeName) => getMode(modeName).extraSections.reduce((acc, section) => {
+  acc[section.key] = (extras[section.key] || []).map(entry => toExtraItem(normalizeItem(entry)));
+  return acc;
+}, {});
+
+export const modeReportSections = (extras = {}, modeName) => getMode(modeName).extraSections
+  .filter(section => extras[section.key]?.length > 0)
+  .map(section => ({
+    title: section.title,
+    items: extras[section.key].map(formatItem)
+  }));
@@ -0,0 +1,91 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_MODE,
+  MODES,
+  activeModeInputs,
+  extrasFromResponse,
+  getMode,
+  intakeEntries,
+  modeReportSections,
+  normalizeExtras
+} from './modes';
+
+describe('getMode', () => {
+  it('falls back to the default mode', () => {
+    expect(getMode('Marketing Strategist')).toBe(MODES['Marketing Strategist']);
+    expect(getMode('Unknown')).toBe(MODES[DEFAULT_MODE]);
+    expect(getMode(undefined)).toBe(MODES[DEFAULT_MODE]);
+  });
+
+  it('gives every mode a persona, intake fields and output sections', () => {
+    Object.values(MODES).forEach(mode => {
+      expect(mode.persona).toBeTruthy();
+      expect(mode.fields.length).toBeGreaterThan(0);
+      expect(mode.extraSections.length).toBeGreaterThan(0);
+      expect(new Set(mode.fields.map(field => field.key)).size).toBe(mode.fields.length);
+    });
+  });
+});
+
+describe('intake fields', () => {
+  const inputs = { goals: '  Reach 1,000 families ', industry: 'EdTech', platform: 'YouTube', stage: '   ', extra: 3 };
+
+  it('lists the filled-in fields of a mode in form order with their labels', () => {
+    expect(intakeEntries('Startup', inputs)).toEqual([['Industry', 'EdTech'], ['Goals', 'Reach 1,000 families']]);
+    expect(intakeEntries('Content Creator', inputs)).toEqual([
+      ['Niche', 'EdTech'],
+      ['Primary Platform', 'YouTube'],
+      ['Goals', 'Reach 1,000 families']
+    ]);
+  });
+
+  it('are all allowed by the Firestore rules', () => {
+    const rule = readFileSync('firestore.rules', 'utf8').match(/function hasValidModeInputs[\s\S]*?\n {4}}/)[0];
+    const keys = new Set(Object.values(MODES).flatMap(mode => mode.fields.map(field => field.key)));
+
+    keys.forEach(key => expect(rule).toContain(`isBoundedString(inputs.get('${key}', ''), 500)`));
+    expect(rule.match(/inputs\.get\(/g)).toHaveLength(keys.size);
+  });
+
+  it('keeps only the trimmed inputs that belong to a mode', () => {
+    expect(activeModeInputs('Startup', inputs)).toEqual({ industry: 'EdTech', goals: 'Reach 1,000 families' });
+    expect(activeModeInputs('Startup')).toEqual({});
+  });
+});
+
+describe('extra sections', () => {
+  it('reads the extra sections of a response, titling items from their text', () => {
+    const extras = extrasFromResponse({
+      assumptions: [{ text: 'Parents pay monthly. They prefer it to a yearly fee', validationMethod: 'Pricing test', riskLevel: 'High' }],
+      channelMix: [{ title: 'Ignored', description: 'Not a Startup section' }]
+    }, 'Startup');
+
+    expect(Object.keys(extras)).toEqual(['assumptions']);
+    expect(extras.assumptions).toHaveLength(1);
+    expect(extras.assumptions[0].title).toBeTruthy();
+    expect(extras.assumptions[0].attributes).toMatchObject({ validationMethod: 'Pricing test', riskLevel: 'High' });
+  });
+
+  it('gives every section of the mode a list, even when the response has none', () => {
+    expect(extrasFromResponse(undefined, 'Marketing Strategist')).toEqual({ channelMix: [], budgetSplit: [] });
+    expect(normalizeExtras(undefined, 'Marketing Strategist')).toEqual({ channelMix: [], budgetSplit: [] });
+  });
+
+  it('normalizes stored items that are plain strings', () => {
+    const { assumptions } = normalizeExtras({ assumptions: ['Schools will allow after-school use of their rooms'] }, 'Startup');
+
+    expect(assumptions[0]).toMatchObject({ text: 'Schools will allow after-school use of their rooms' });
+    expect(assumptions[0].title).toBeTruthy();
+  });
+
+  it('adds the non-empty sections to the report', () => {
+    const extras = normalizeExtras({ channelMix: [{ text: 'Search ads', funnelStage: 'Conversion' }] }, 'Marketing Strategist');
+    const sections = modeReportSections(extras, 'Marketing Strategist');
+
+    expect(sections.map(section => section.title)).toEqual(['Channel Mix']);
+    expect(sections[0].items).toHaveLength(1);
+    expect(sections[0].items[0]).toContain('Search ads');
+    expect(modeReportSections(undefined, 'Startup')).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  AlignmentType,
+  Document,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import PptxGenJS from 'pptxgenjs';
+import { SWOT_SECTIONS, formatItem } from './insightParser';
+import { getInsightType } from './insightTypes';
+import { intakeEntries } from './modes';
+import { scoreSummaryLines, scoreSwot } from './scoring';
+import { COLORS } from './constants';
+import { reportSections } from './exportFormats';
+import { describeGeneratedBy } from './llmSettings';
+
+// Word and PowerPoint versions of the report. Loaded on demand from exportFormats.js.
+
+const SLIDE_ITEMS = 8;
+
+// docx and pptxgenjs take colours without the leading #
+const hex = (color) => color.replace('#', '');
+
+const details = (insight) => [
+  ['Mode', insight.mode],
+  ...intakeEntries(insight.mode, insight.modeInputs),
+  ...(insight.version ? [['Version', String(insight.version)]] : []),
+  ...(insight.generatedBy ? [['Model', describeGeneratedBy(insight.generatedBy)]] : []),
+  ...(insight.scenario ? [['Scenario', `What if ${insight.scenario.assumption}`]] : [])
+];
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+const heading = (text, level = HeadingLevel.HEADING_1) => new Paragraph({ text, heading: level, spacing: { before: 240, after: 120 } });
+
+const bullets = (items) => (items.length > 0
+  ? items.map(text => new Paragraph({ text, bullet: { level: 0 } }))
+  : [new Paragraph({ children: [new TextRun({ text: 'None identified', italics: true })] })]);
+
+const quadrantCell = (section, items, color) => new TableCell({
+  width: { size: 50, type: WidthType.PERCENTAGE },
+  children: [
+    new Paragraph({
+      children: [new TextRun({ text: section, bold: true, color: 'FFFFFF' })],
+      shading: { type: ShadingType.CLEAR, fill: hex(color), color: 'auto' },
+      spacing: { after: 80 }
+    }),
+    ...bullets(items.map(formatItem))
+  ]
+});
+
+// The four quadrants as a 2x2 table
+const quadrantTable = (swot) => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  rows: [SWOT_SECTIONS.slice(0, 2), SWOT_SECTIONS.slice(2)].map((pair, row) => new TableRow({
+    children: pair.map((section, column) => quadrantCell(section, swot[section] || [], COLORS[row * 2 + column]))
+  }))
+});
+
+// Chart data as a table: one row per category, one column per series
+const chartTable = (insight) => {
+  const { series } = getInsightType(insight.insightType).reportChart;
+  const cell = (text, bold = false) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text), bold })] })]
+  });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: [cell('', true), ...series.map(({ label }) => cell(label, true))] }),
+      ...insight.chartData.map(row => new TableRow({
+        children: [cell(row.name), ...series.map(({ key }) => cell(row[key] ?? 0))]
+      }))
+    ]
+  });
+};
+
+export const toDocx = async (insight) => {
+  const type = getInsightType(insight.insightType);
+  const children = [
+    new Paragraph({ text: 'InsightCraft Report', heading: HeadingLevel.TITLE }),
+    new Paragraph({ text: insight.insightType, heading: HeadingLevel.HEADING_2 }),
+    ...details(insight).map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+    })),
+    heading('Brief'),
+    new Paragraph(insight.input || '')
+  ];
+
+  if (insight.summary) children.push(heading('Core Analysis'), new Paragraph(insight.summary));
+  if (insight.swot) {
+    children.push(
+      heading('SWOT Quadrants'),
+      quadrantTable(insight.swot),
+      heading('Scores'),
+      ...bullets(scoreSummaryLines(scoreSwot(insight.swot)))
+    );
+    reportSections(insight)
+      .filter(({ title }) => !SWOT_SECTIONS.includes(title) && title !== 'Scores')
+      .forEach(({ title, items }) => children.push(heading(title), ...bullets(items)));
+  } else {
+    reportSections(insight).forEach(({ title, items }) => children.push(heading(title), ...bullets(items)));
+  }
+  if (insight.chartData?.length > 0) children.push(heading(type.reportChart.title), chartTable(insight));
+  if (insight.recommendations?.length > 0) {
+    children.push(
+      heading('Strategic Recommendations'),
+      ...insight.recommendations.map(item => new Paragraph({
+        text: formatItem(item),
+        numbering: { reference: 'recommendations', level: 0 }
+      }))
+    );
+  }
+
+  const doc = new Document({
+    creator: 'InsightCraft',
+    title: `${insight.insightType} report`,
+    numbering: {
+      config: [{
+        reference: 'recommendations',
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+      }]
+    },
+    sections: [{ children }]
+  });
+  return Packer.toBlob(doc);
+};
+
+const addTitleBar = (slide, title, color) => {
+  slide.addShape('rect', { x: 0, y: 0, w: '100%', h: 0.9, fill: { color: hex(color) } });
+  slide.addText(title, { x: 0.5, y: 0.1, w: 12.3, h: 0.7, fontSize: 26, bold: true, color: 'FFFFFF' });
+};
+
+// One slide per list, split over several slides when it is long
+const addListSlides = (pptx, title, items, color, { numbered = false } = {}) => {
+  const pages = items.length > 0 ? chunk(items, SLIDE_ITEMS) : [[]];
+  pages.forEach((page, index) => {
+    const slide = pptx.addSlide();
+    addTitleBar(slide, pages.length > 1 ? `${title} (${index + 1}/${pages.length})` : title, color);
+    slide.addText(
+      page.length > 0
+        ? page.map(text => ({ text, options: { bullet: numbered ? { type: 'number', startAt: index * SLIDE_ITEMS + 1 } : true, breakLine: true } }))
+        : [{ text: 'None identified', options: { italic: true } }],
+      { x: 0.5, y: 1.2, w: 12.3, h: 5.9, fontSize: 16, valign: 'top', fit: 'shrink', paraSpaceAfter: 6 }
+    );
+  });
+};
+
+export const toPptx = async (insight) => {
+  const type = getInsightType(insight.insightType);
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = `${insight.insightType} report`;
+
+  const cover = pptx.addSlide();
+  cover.background = { color: hex(COLORS[0]) };
+  cover.addText('InsightCraft Report', { x: 0.6, y: 1.6, w: 12, h: 1, fontSize: 40, bold: true, color: 'FFFFFF' });
+  const intake = intakeEntries(insight.mode, insight.modeInputs);
+  const coverDetails = details(insight).filter(([label]) => !intake.some(([intakeLabel]) => intakeLabel === label));
+  cover.addText(coverDetails.map(([label, value]) => `${label}: ${value}`).join('   ·   '), {
+    x: 0.6, y: 2.7, w: 12, h: 0.5, fontSize: 16, color: 'FFFFFF'
+  });
+  cover.addText(insight.input || '', { x: 0.6, y: 3.5, w: 12, h: 3.2, fontSize: 16, color: 'FFFFFF', valign: 'top', fit: 'shrink' });
+
+  // The intake fields get a slide of their own rather than crowding the cover
+  if (intake.length > 0) {
+    const slide = pptx.addSlide();
+    addTitleBar(slide, 'Business Context', COLORS[0]);
+    slide.addText(intake.flatMap(([label, value]) => [
+      { text: `${label}: `, options: { bold: true } },
+      { text: value.replace(/\s*\n\s*/g, '; '), options: { breakLine: true } }
+    ]), { x: 0.5, y: 1.2, w: 12.3, h: 5.9, fontSize: 18, valign: 'top', paraSpaceAfter: 8, fit: 'shrink' });
+  }
+
+  if (insight.summary) {
+    const slide = pptx.addSlide();
+    addTitleBar(slide, 'Core Analysis', COLORS[0]);
+    slide.addText(insight.summary, { x: 0.5, y: 1.2, w: 12.3, h: 5.9, fontSize: 20, valign: 'top', fit: 'shrink' });
+  }
+
+  reportSections(insight).forEach(({ title, items }, index) => {
+    addListSlides(pptx, title, items, COLORS[index % COLORS.length]);
+  });
+
+  if (insight.chartData?.length > 0) {
+    const { title, series, max } = type.reportChart;
+    const slide = pptx.addSlide();
+    addTitleBar(slide, title, COLORS[0]);
+    slide.addChart(pptx.ChartType.bar, series.map(({ key, label }) => ({
+      name: label,
+      labels: insight.chartData.map(row => String(row.name)),
+      values: insight.chartData.map(row => Number(row[key]) || 0)
+    })), {
+      x: 0.5,
+      y: 1.2,
+      w: 12.3,
+      h: 5.9,
+      barDir: 'bar',
+      chartColors: series.map((serie, index) => hex(serie.color || COLORS[index])),
+      showLegend: series.length > 1,
+      legendPos: 'b',
+      showValue: true,
+      ...(max && { valAxisMaxVal: max })
+    });
+  }
+
+  if (insight.recommendations?.length > 0) {
+    addListSlides(pptx, 'Strategic Recommendations', insight.recommendations.map(formatItem), COLORS[0], { numbered: true });
+  }
+
+  return pptx.write({ outputType: 'blob' });
+};
@@ -0,0 +1,79 @@
+// Best-effort parser for a JSON document that is still being streamed.
+// The text is cut back to the last point where a value was complete and the
+// open objects and arrays are closed, so `{"a": [{"x": 1}, {"y"` parses as
+// { a: [{ x: 1 }, {}] }. Text before the first { or [ (a preamble such as
+// "JSON:") is skipped. Returns null when nothing usable has arrived yet.
+
+const CLOSERS = { '{': '}', '[': ']' };
+const LITERAL_START = /[-0-9tfn]/;
+const DELIMITER = /[\s,\]}]/;
+
+export const parsePartialJson = (input) => {
+  const start = input.search(/[{[]/);
+  if (start < 0) return null;
+  const text = input.slice(start);
+  const stack = [];
+  let safeIndex = -1;
+  let safeStack = [];
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+
+  const markSafe = (index) => {
+    safeIndex = index;
+    safeStack = stack.map(frame => frame.type);
+  };
+
+  const inValuePosition = () => {
+    const frame = stack[stack.length - 1];
+    return !frame || frame.type === '[' || !frame.expectKey;
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const chr = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (chr === '\\') {
+        escaped = true;
+      } else if (chr === '"') {
+        inString = false;
+        if (!stringIsKey) markSafe(i + 1);
+      }
+      continue;
+    }
+
+    if (chr === '"') {
+      inString = true;
+      stringIsKey = !inValuePosition();
+    } else if (chr === '{' || chr === '[') {
+      stack.push({ type: chr, expectKey: chr === '{' });
+      markSafe(i + 1);
+    } else if (chr === '}' || chr === ']') {
+      stack.pop();
+      markSafe(i + 1);
+    } else if (chr === ':') {
+      const frame = stack[stack.length - 1];
+      if (frame) frame.expectKey = false;
+    } else if (chr === ',') {
+      const frame = stack[stack.length - 1];
+      if (frame?.type === '{') frame.expectKey = true;
+    } else if (LITERAL_START.test(chr) && inValuePosition()) {
+      let end = i + 1;
+      while (end < text.length && !DELIMITER.test(text[end])) end += 1;
+      // A literal running to the end of the text may still be incomplete
+      if (end < text.length) markSafe(end);
+      i = end - 1;
+    }
+  }
+
+  if (safeIndex < 0) return null;
+
+  const completed = text.slice(0, safeIndex) + safeStack.reverse().map(type => CLOSERS[type]).join('');
+  try {
+    return JSON.parse(completed);
+  } catch {
+    return null;
+  }
+};
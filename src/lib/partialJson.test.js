@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { parsePartialJson } from './partialJson';
+
+describe('parsePartialJson', () => {
+  it('closes open objects and arrays', () => {
+    expect(parsePartialJson('{"a": [{"x": 1}, {"y"')).toEqual({ a: [{ x: 1 }, {}] });
+  });
+
+  it('drops a string that is still arriving', () => {
+    expect(parsePartialJson('{"summary": "Done", "swot": {"Strengths": [{"text": "Stro')).toEqual({
+      summary: 'Done',
+      swot: { Strengths: [{}] }
+    });
+  });
+
+  it('parses complete documents', () => {
+    expect(parsePartialJson('{"a": [1, 2], "b": true}')).toEqual({ a: [1, 2], b: true });
+  });
+
+  it('skips text before the JSON', () => {
+    expect(parsePartialJson('JSON: {"a":1}')).toEqual({ a: 1 });
+    expect(parsePartialJson('Sure. Here: {')).toEqual({});
+    expect(parsePartialJson('Here it is: [{"x": 1}, {"y"')).toEqual([{ x: 1 }, {}]);
+    expect(parsePartialJson('Note: no JSON yet')).toBeNull();
+  });
+
+  it('returns null before anything usable arrived', () => {
+    expect(parsePartialJson('')).toBeNull();
+    expect(parsePartialJson('  ')).toBeNull();
+  });
+});
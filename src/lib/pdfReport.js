@@ -0,0 +1,583 @@
+import jsPDF from 'jspdf';
+import { SWOT_SECTIONS, formatItem } from './insightParser';
+import { getInsightType } from './insightTypes';
+import { getMode, intakeEntries, modeReportSections } from './modes';
+import { buildImpactLikelihoodPoints, scoreSummaryLines, scoreSwot } from './scoring';
+import { COLORS } from './constants';
+import { describeGeneratedBy } from './llmSettings';
+import { claimCount, describeVerification, isUnverified, unverifiedClaims } from './evidence';
+
+// Multi-page A4 report of one insight, drawn with jsPDF text and shapes only, so
+// the text stays selectable and the charts stay sharp at any zoom. Layout: cover,
+// table of contents, then the analysis section by section with a running header
+// and page numbers on every page after the cover.
+
+export const PRINT_THEMES = {
+  light: {
+    label: 'Light',
+    background: '#ffffff',
+    text: '#111827',
+    muted: '#6b7280',
+    accent: '#4f46e5',
+    onAccent: '#ffffff',
+    rule: '#d1d5db',
+    band: '#f59e0b'
+  },
+  dark: {
+    label: 'Dark',
+    background: '#111827',
+    text: '#f3f4f6',
+    muted: '#9ca3af',
+    accent: '#818cf8',
+    onAccent: '#111827',
+    rule: '#374151',
+    band: '#f59e0b'
+  }
+};
+
+export const DEFAULT_PRINT_THEME = 'light';
+
+const MARGIN = 18;
+const CONTENT_TOP = 24;
+// Space under the content for the footer, 278 mm down a portrait A4 page
+const BOTTOM_MARGIN = 19;
+const TOC_PAGE = 2;
+const COVER_EXCERPT_LINES = 12;
+
+// Line height in mm for a font size in points, with 1.4 leading
+const lineHeight = (size) => size * 0.3528 * 1.4;
+
+const hexToRgb = (hex) => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+
+// `color` laid over `background` at the given opacity; jsPDF has no simple alpha fill
+const blend = (color, background, opacity) => {
+  const [r, g, b] = hexToRgb(color);
+  const [br, bg, bb] = hexToRgb(background);
+  const mix = (value, base) => Math.round(base + (value - base) * opacity);
+  return `#${[mix(r, br), mix(g, bg), mix(b, bb)].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Smallest 1/2/5 x 10^n at or above the largest value, so axis ticks stay round
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+};
+
+const axisTicks = (max) => (Number.isInteger(max) && max <= 5
+  ? Array.from({ length: max + 1 }, (_, i) => i)
+  : [0, 1, 2, 3, 4].map(i => Math.round((max * i) / 4 * 10) / 10));
+
+// Page flow shared with the comparison report, which lays out a landscape page
+export const createLayout = (doc, colors) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  const contentBottom = pageHeight - BOTTOM_MARGIN;
+  const toc = [];
+  let y = CONTENT_TOP;
+
+  const paintBackground = () => {
+    doc.setFillColor(colors.background);
+    doc.rect(0, 0, pageWidth, pageHeight, 'F');
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    paintBackground();
+    y = CONTENT_TOP;
+  };
+
+  // Start a new page when the next `height` mm would run past the bottom margin
+  const ensureSpace = (height) => {
+    if (y + height <= contentBottom) return false;
+    newPage();
+    return true;
+  };
+
+  const setText = (size, style = 'normal', color = colors.text) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+
+  // Wrap text to `width` and write it line by line, breaking pages as needed
+  const paragraph = (text, { size = 10.5, style = 'normal', color = colors.text, indent = 0, after = 3 } = {}) => {
+    setText(size, style, color);
+    const height = lineHeight(size);
+    doc.splitTextToSize(text, contentWidth - indent).forEach(line => {
+      ensureSpace(height);
+      setText(size, style, color);
+      doc.text(line, MARGIN + indent, y + height * 0.7);
+      y += height;
+    });
+    y += after;
+  };
+
+  // Bulleted or numbered list with a hanging indent for wrapped lines
+  const list = (items, { numbered = false, size = 10.5 } = {}) => {
+    const height = lineHeight(size);
+    const indent = numbered ? 7 : 5;
+    items.forEach((text, index) => {
+      setText(size);
+      doc.splitTextToSize(text, contentWidth - indent).forEach((line, lineIndex) => {
+        ensureSpace(height);
+        setText(size);
+        if (lineIndex === 0) doc.text(numbered ? `${index + 1}.` : '•', MARGIN, y + height * 0.7);
+        doc.text(line, MARGIN + indent, y + height * 0.7);
+        y += height;
+      });
+      y += 1.5;
+    });
+    y += 2;
+  };
+
+  // Section heading, recorded for the table of contents. Kept with at least
+  // `keepWith` mm of the content that follows it.
+  const section = (title, { keepWith = 20 } = {}) => {
+    y += 4;
+    ensureSpace(12 + keepWith);
+    toc.push({ title, page: doc.getCurrentPageInfo().pageNumber });
+    setText(15, 'bold', colors.accent);
+    doc.text(title, MARGIN, y + 5);
+    y += 8;
+    doc.setDrawColor(colors.rule);
+    doc.setLineWidth(0.3);
+    doc.line(MARGIN, y, pageWidth - MARGIN, y);
+    y += 5;
+  };
+
+  const subheading = (title) => {
+    ensureSpace(10);
+    setText(11.5, 'bold');
+    doc.text(title, MARGIN, y + 4);
+    y += 7;
+  };
+
+  return {
+    doc,
+    colors,
+    pageWidth,
+    pageHeight,
+    contentWidth,
+    contentBottom,
+    toc,
+    get y() { return y; },
+    set y(value) { y = value; },
+    paintBackground,
+    newPage,
+    ensureSpace,
+    setText,
+    paragraph,
+    list,
+    section,
+    subheading
+  };
+};
+
+const drawCover = (layout, insight, { date }) => {
+  const { doc, colors, pageWidth, contentWidth } = layout;
+  layout.paintBackground();
+
+  doc.setFillColor(colors.accent);
+  doc.rect(0, 0, pageWidth, 80, 'F');
+  layout.setText(30, 'bold', colors.onAccent);
+  doc.text('InsightCraft Report', MARGIN, 42);
+  layout.setText(16, 'normal', colors.onAccent);
+  doc.text(insight.insightType, MARGIN, 56);
+
+  const unverified = unverifiedClaims(insight).length;
+  const details = [
+    ['Mode', insight.mode],
+    ...intakeEntries(insight.mode, insight.modeInputs),
+    ...(insight.version ? [['Version', String(insight.version)]] : []),
+    ...(insight.generatedBy ? [['Model', describeGeneratedBy(insight.generatedBy)]] : []),
+    ...(insight.scenario ? [['Scenario', `What if ${insight.scenario.assumption}`]] : []),
+    ...(unverified > 0 ? [['Unverified', `${unverified} of ${claimCount(insight)} claims`]] : []),
+    ['Date', date]
+  ];
+  // Values line up after the widest label
+  layout.setText(10.5, 'bold', colors.muted);
+  const labelWidth = Math.max(45, ...details.map(([label]) => doc.getTextWidth(label.toUpperCase()) + 6));
+  let y = 100;
+  details.forEach(([label, value]) => {
+    layout.setText(10.5, 'bold', colors.muted);
+    doc.text(label.toUpperCase(), MARGIN, y);
+    layout.setText(12);
+    const lines = doc.splitTextToSize(value, contentWidth - labelWidth).slice(0, 2);
+    doc.text(lines, MARGIN + labelWidth, y);
+    y += lines.length * lineHeight(12) + 3;
+  });
+
+  y += 8;
+  layout.setText(10.5, 'bold', colors.muted);
+  doc.text('BRIEF', MARGIN, y);
+  y += 7;
+  layout.setText(12);
+  const brief = doc.splitTextToSize(insight.input || '', contentWidth);
+  const excerpt = brief.slice(0, COVER_EXCERPT_LINES);
+  if (brief.length > COVER_EXCERPT_LINES) excerpt[excerpt.length - 1] += ' …';
+  doc.text(excerpt, MARGIN, y, { lineHeightFactor: 1.4 });
+};
+
+// Two rows of two quadrant panels. A row taller than the page continues on the
+// next one with its headers repeated.
+const drawQuadrantGrid = (layout, swot) => {
+  const { doc, colors, contentWidth } = layout;
+  const gap = 6;
+  const padding = 3;
+  const headerHeight = 8;
+  const size = 9.5;
+  const height = lineHeight(size);
+  const cellWidth = (contentWidth - gap) / 2;
+  const textWidth = cellWidth - padding * 2 - 4;
+
+  [SWOT_SECTIONS.slice(0, 2), SWOT_SECTIONS.slice(2)].forEach((pair, row) => {
+    layout.setText(size);
+    const cells = pair.map((section, column) => {
+      const items = swot[section] || [];
+      return {
+        section,
+        color: COLORS[(row * 2 + column) % COLORS.length],
+        x: MARGIN + column * (cellWidth + gap),
+        lines: items.length === 0
+          ? [{ text: 'None identified', muted: true }]
+          : items.flatMap(item => [
+            ...doc.splitTextToSize(isUnverified(item) ? `[Unverified] ${formatItem(item)}` : formatItem(item), textWidth).map((text, i) => ({ text, bullet: i === 0 })),
+            { text: '', spacer: true }
+          ]).slice(0, -1)
+      };
+    });
+    const rows = Math.max(...cells.map(cell => cell.lines.length));
+
+    const drawHeaders = (continued) => {
+      cells.forEach(cell => {
+        doc.setFillColor(cell.color);
+        doc.rect(cell.x, layout.y, cellWidth, headerHeight, 'F');
+        layout.setText(11, 'bold', '#ffffff');
+        doc.text(`${cell.section}${continued ? ' (continued)' : ''}`, cell.x + padding, layout.y + 5.5);
+      });
+      layout.y += headerHeight + padding;
+    };
+    const drawBorders = (top) => {
+      layout.y += padding;
+      doc.setLineWidth(0.4);
+      cells.forEach(cell => {
+        doc.setDrawColor(cell.color);
+        doc.rect(cell.x, top, cellWidth, layout.y - top, 'S');
+      });
+    };
+
+    layout.ensureSpace(headerHeight + padding * 2 + height * 3);
+    let top = layout.y;
+    drawHeaders(false);
+    for (let line = 0; line < rows; line += 1) {
+      if (layout.y + height + padding > layout.contentBottom) {
+        drawBorders(top);
+        layout.newPage();
+        top = layout.y;
+        drawHeaders(true);
+      }
+      cells.forEach(cell => {
+        const entry = cell.lines[line];
+        if (!entry || entry.spacer) return;
+        layout.setText(size, 'normal', entry.muted ? colors.muted : colors.text);
+        const baseline = layout.y + height * 0.7;
+        if (entry.bullet) doc.text('•', cell.x + padding, baseline);
+        doc.text(entry.text, cell.x + padding + 4, baseline);
+      });
+      layout.y += height;
+    }
+    drawBorders(top);
+    layout.y += gap;
+  });
+};
+
+// Horizontal bars, one group per category; rows continue across pages
+export const drawBarChart = (layout, { title, data, series, max, unit = '', colorByBar = false }) => {
+  const { doc, colors, contentWidth } = layout;
+  if (data.length === 0) return;
+  const labelWidth = 50;
+  const valueWidth = 14;
+  const plotX = MARGIN + labelWidth;
+  const plotWidth = contentWidth - labelWidth - valueWidth;
+  const barHeight = 4;
+  const rowHeight = series.length * barHeight + 3;
+  const scaleMax = max ?? niceMax(Math.max(...data.flatMap(row => series.map(({ key }) => Number(row[key]) || 0))));
+  const ticks = axisTicks(scaleMax);
+  const xFor = (value) => plotX + (Math.min(Math.max(value, 0), scaleMax) / scaleMax) * plotWidth;
+  const colorFor = (serie, seriesIndex, rowIndex) => serie.color
+    || COLORS[(colorByBar ? rowIndex : seriesIndex) % COLORS.length];
+
+  layout.ensureSpace(18 + Math.min(data.length, 4) * rowHeight);
+  layout.subheading(title);
+  if (series.length > 1) {
+    let x = MARGIN;
+    series.forEach((serie, index) => {
+      doc.setFillColor(colorFor(serie, index, 0));
+      doc.rect(x, layout.y, 3, 3, 'F');
+      layout.setText(8.5, 'normal', colors.muted);
+      doc.text(serie.label, x + 4.5, layout.y + 2.6);
+      x += doc.getTextWidth(serie.label) + 12;
+    });
+    layout.y += 6;
+  }
+
+  data.forEach((row, rowIndex) => {
+    layout.ensureSpace(rowHeight + 6);
+    const top = layout.y;
+    doc.setDrawColor(colors.rule);
+    doc.setLineWidth(0.2);
+    ticks.forEach(tick => doc.line(xFor(tick), top, xFor(tick), top + rowHeight));
+
+    layout.setText(8.5);
+    const [label, ...rest] = doc.splitTextToSize(String(row.name ?? ''), labelWidth - 3);
+    doc.text(rest.length > 0 ? `${label} …` : label, MARGIN, top + rowHeight / 2 + 1);
+
+    series.forEach((serie, seriesIndex) => {
+      const value = Number(row[serie.key]) || 0;
+      const barTop = top + 1.5 + seriesIndex * barHeight;
+      doc.setFillColor(colorFor(serie, seriesIndex, rowIndex));
+      doc.rect(plotX, barTop, Math.max(xFor(value) - plotX, 0.3), barHeight - 0.8, 'F');
+      layout.setText(7.5, 'normal', colors.muted);
+      doc.text(`${value}${unit}`, xFor(value) + 1.5, barTop + barHeight - 1.4);
+    });
+    layout.y += rowHeight;
+  });
+
+  doc.setDrawColor(colors.muted);
+  doc.line(plotX, layout.y, plotX + plotWidth, layout.y);
+  layout.setText(7.5, 'normal', colors.muted);
+  ticks.forEach(tick => doc.text(`${tick}${unit}`, xFor(tick), layout.y + 4, { align: 'center' }));
+  if (series.length === 1) doc.text(series[0].label, plotX + plotWidth, layout.y + 8, { align: 'right' });
+  layout.y += 12;
+};
+
+// Filled polygon from absolute points; jsPDF's lines() takes relative segments
+const fillPolygon = (doc, points) => {
+  const segments = points.slice(1).map(([x, y], i) => [x - points[i][0], y - points[i][1]]);
+  doc.lines(segments, points[0][0], points[0][1], [1, 1], 'F', true);
+};
+
+const drawPieChart = (layout, { title, data, unit = '', donut = false }) => {
+  const { doc, colors } = layout;
+  const slices = data.filter(entry => entry.value > 0);
+  if (slices.length === 0) return;
+  const total = slices.reduce((sum, entry) => sum + entry.value, 0);
+  const radius = 26;
+  const legendHeight = slices.length * 6;
+
+  layout.ensureSpace(12 + Math.max(radius * 2, legendHeight));
+  layout.subheading(title);
+  const cx = MARGIN + radius + 4;
+  const cy = layout.y + radius;
+
+  let angle = -Math.PI / 2;
+  slices.forEach((entry, index) => {
+    const sweep = (entry.value / total) * Math.PI * 2;
+    const steps = Math.max(Math.ceil(sweep / (Math.PI / 60)), 1);
+    const arc = Array.from({ length: steps + 1 }, (_, i) => {
+      const a = angle + (sweep * i) / steps;
+      return [cx + radius * Math.cos(a), cy + radius * Math.sin(a)];
+    });
+    doc.setFillColor(entry.color || COLORS[index % COLORS.length]);
+    fillPolygon(doc, [[cx, cy], ...arc]);
+    angle += sweep;
+  });
+  if (donut) {
+    doc.setFillColor(colors.background);
+    doc.circle(cx, cy, radius / 2, 'F');
+  }
+
+  const legendX = cx + radius + 12;
+  let legendY = cy - legendHeight / 2;
+  slices.forEach((entry, index) => {
+    doc.setFillColor(entry.color || COLORS[index % COLORS.length]);
+    doc.rect(legendX, legendY, 3.5, 3.5, 'F');
+    layout.setText(9.5);
+    const label = `${entry.name}: ${entry.value}${unit} (${Math.round((entry.value / total) * 100)}%)`;
+    doc.text(doc.splitTextToSize(label, layout.pageWidth - MARGIN - legendX - 6)[0], legendX + 5.5, legendY + 3);
+    legendY += 6;
+  });
+  layout.y += radius * 2 + 8;
+};
+
+// Opportunities and Threats by likelihood and impact, numbered and listed underneath
+const drawImpactLikelihood = (layout, swot) => {
+  const { doc, colors } = layout;
+  const points = buildImpactLikelihoodPoints(swot);
+  if (points.length === 0) return;
+  const plotX = MARGIN + 16;
+  const plotWidth = 130;
+  const plotHeight = 66;
+  const seriesColors = { Opportunities: '#10b981', Threats: '#ef4444' };
+
+  layout.ensureSpace(12 + plotHeight + 16);
+  layout.subheading('Impact vs Likelihood');
+  const top = layout.y;
+  const xFor = (likelihood) => plotX + (likelihood / 100) * plotWidth;
+  const yFor = (impact) => top + ((3.5 - impact) / 3) * plotHeight;
+
+  // Heat bands: the further up and right, the more attention the item needs
+  [0, 33, 66].forEach((x1, column, starts) => {
+    const x2 = starts[column + 1] ?? 100;
+    [1, 2, 3].forEach(impact => {
+      doc.setFillColor(blend(colors.band, colors.background, 0.08 + (column + impact - 1) * 0.08));
+      doc.rect(xFor(x1), yFor(impact + 0.5), xFor(x2) - xFor(x1), plotHeight / 3, 'F');
+    });
+  });
+  doc.setDrawColor(colors.muted);
+  doc.setLineWidth(0.3);
+  doc.line(plotX, top, plotX, top + plotHeight);
+  doc.line(plotX, top + plotHeight, plotX + plotWidth, top + plotHeight);
+
+  layout.setText(7.5, 'normal', colors.muted);
+  [['Low', 1], ['Medium', 2], ['High', 3]].forEach(([label, impact]) => {
+    doc.text(label, plotX - 2, yFor(impact) + 1, { align: 'right' });
+  });
+  [0, 25, 50, 75, 100].forEach(tick => doc.text(`${tick}%`, xFor(tick), top + plotHeight + 4, { align: 'center' }));
+  doc.text('Probability / likelihood', plotX + plotWidth / 2, top + plotHeight + 8.5, { align: 'center' });
+
+  points.forEach((point, index) => {
+    // Spread points that share the same impact so they do not hide each other
+    const x = xFor(point.likelihood);
+    const y = yFor(point.impact + ((index % 5) - 2) * 0.08);
+    doc.setFillColor(seriesColors[point.section]);
+    doc.circle(x, y, 1.6, 'F');
+    layout.setText(7, 'bold');
+    doc.text(String(index + 1), x + 2.2, y - 1);
+  });
+
+  let legendY = top + 4;
+  Object.entries(seriesColors).forEach(([name, color]) => {
+    doc.setFillColor(color);
+    doc.circle(plotX + plotWidth + 8, legendY - 1, 1.6, 'F');
+    layout.setText(8.5);
+    doc.text(name, plotX + plotWidth + 11, legendY);
+    legendY += 6;
+  });
+
+  layout.y = top + plotHeight + 13;
+  layout.list(points.map(point => `${point.text} (${point.section}, ${point.likelihood}%)`), { numbered: true, size: 9 });
+};
+
+// Contents page with dotted leaders and clickable entries, written last once page numbers are known
+const drawTableOfContents = (layout) => {
+  const { doc, colors, pageWidth, toc } = layout;
+  doc.setPage(TOC_PAGE);
+  layout.setText(20, 'bold', colors.accent);
+  doc.text('Contents', MARGIN, CONTENT_TOP + 8);
+  let y = CONTENT_TOP + 22;
+  toc.forEach(({ title, page }) => {
+    layout.setText(11.5);
+    doc.text(title, MARGIN, y);
+    doc.text(String(page), pageWidth - MARGIN, y, { align: 'right' });
+    const start = MARGIN + doc.getTextWidth(title) + 2;
+    const end = pageWidth - MARGIN - doc.getTextWidth(String(page)) - 2;
+    layout.setText(11.5, 'normal', colors.muted);
+    if (end > start) doc.text('.'.repeat(Math.floor((end - start) / doc.getTextWidth('.'))), end, y, { align: 'right' });
+    doc.link(MARGIN, y - 5, pageWidth - MARGIN * 2, 7, { pageNumber: page });
+    y += 9;
+  });
+};
+
+const drawHeadersAndFooters = (layout, insight) => {
+  const { doc, colors, pageWidth, pageHeight } = layout;
+  const pages = doc.getNumberOfPages();
+  for (let page = 2; page <= pages; page += 1) {
+    doc.setPage(page);
+    layout.setText(8.5, 'normal', colors.muted);
+    doc.text(`InsightCraft · ${insight.insightType}`, MARGIN, 12);
+    doc.text(insight.mode, pageWidth - MARGIN, 12, { align: 'right' });
+    doc.setDrawColor(colors.rule);
+    doc.setLineWidth(0.2);
+    doc.line(MARGIN, 14.5, pageWidth - MARGIN, 14.5);
+    doc.text(`Page ${page} of ${pages}`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+  }
+};
+
+export const buildInsightReport = (insight, { printTheme = DEFAULT_PRINT_THEME, date = new Date() } = {}) => {
+  const doc = new jsPDF({
+    orientation: "portrait",
+    unit: "mm",
+    format: "a4"
+  });
+  const layout = createLayout(doc, PRINT_THEMES[printTheme] || PRINT_THEMES[DEFAULT_PRINT_THEME]);
+  const type = getInsightType(insight.insightType);
+
+  drawCover(layout, insight, { date: date.toLocaleDateString() });
+  // Filled in at the end
+  layout.newPage();
+  layout.newPage();
+
+  layout.section('Brief', { keepWith: 10 });
+  layout.paragraph(insight.input || '');
+
+  if (insight.summary) {
+    layout.section('Summary', { keepWith: 10 });
+    layout.paragraph(insight.summary);
+  }
+
+  if (insight.swot) {
+    layout.section('SWOT Quadrants', { keepWith: 40 });
+    drawQuadrantGrid(layout, insight.swot);
+    layout.section('Scores', { keepWith: 30 });
+    layout.list(scoreSummaryLines(scoreSwot(insight.swot)));
+  } else {
+    type.reportSections(insight).forEach(({ title, items }) => {
+      layout.section(title);
+      layout.list(items);
+    });
+  }
+
+  if (insight.chartData?.length > 0 || insight.swot) {
+    layout.section('Charts', { keepWith: 60 });
+    drawBarChart(layout, { ...type.reportChart, data: insight.chartData || [] });
+    if (insight.swot) {
+      drawPieChart(layout, {
+        title: 'SWOT Distribution',
+        data: (insight.chartData || []).map((entry, index) => ({ ...entry, color: COLORS[index % COLORS.length] })),
+        unit: ' pts',
+        donut: true
+      });
+      drawImpactLikelihood(layout, insight.swot);
+    }
+  }
+
+  const modeSections = getMode(insight.mode).extraSections;
+  modeReportSections(insight.extras, insight.mode).forEach(({ title, items }) => {
+    layout.section(title);
+    layout.list(items);
+    const { key, chart } = modeSections.find(section => section.title === title);
+    if (chart === 'share') {
+      drawPieChart(layout, {
+        title,
+        data: insight.extras[key]
+          .filter(item => typeof item.attributes?.share === 'number')
+          .map(item => ({ name: item.title, value: item.attributes.share })),
+        unit: '%'
+      });
+    }
+  });
+
+  if (insight.recommendations?.length > 0) {
+    layout.section('Strategic Recommendations');
+    layout.list(insight.recommendations.map(formatItem), { numbered: true });
+  }
+
+  // Claims flagged by the model that no supporting source has been attached to
+  const unverified = unverifiedClaims(insight);
+  if (unverified.length > 0) {
+    layout.section('Claims to Verify');
+    layout.paragraph(`${unverified.length} of ${claimCount(insight)} claims rest on estimates and have not been checked against a source.`);
+    layout.list(unverified.map(({ section, item, index }) => `${section.title} #${index + 1}: ${item.text} (${describeVerification(item)})`));
+  }
+
+  drawTableOfContents(layout);
+  drawHeadersAndFooters(layout, insight);
+  return doc;
+};
+
+export const exportInsightPDF = (insight, options) => {
+  buildInsightReport(insight, options).save('InsightCraft_Report.pdf');
+};
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { PRINT_THEMES, buildInsightReport } from './pdfReport';
+import { sampleInsight } from '../test/fixtures';
+
+// The raw PDF; jsPDF writes text uncompressed, so drawn strings can be found in it
+const pageText = (doc) => doc.output();
+
+describe('buildInsightReport', () => {
+  it.each(Object.keys(PRINT_THEMES))('lays out a SWOT report with the %s theme', (printTheme) => {
+    const doc = buildInsightReport(sampleInsight(), { printTheme, date: new Date('2025-06-01') });
+    const pages = doc.getNumberOfPages();
+    expect(pages).toBeGreaterThanOrEqual(4);
+    const text = pageText(doc);
+    expect(text).toContain('SWOT Quadrants');
+    expect(text).toContain('Strategic Recommendations');
+    // Every page but the cover has a header and footer
+    expect(text).toContain(`(Page ${pages} of ${pages})`);
+    expect(text).toContain('(InsightCraft · SWOT Analysis)');
+  });
+
+  it('marks the claims that still need verification', () => {
+    const insight = sampleInsight();
+    const text = pageText(buildInsightReport(insight));
+    expect(text).toContain('Claims to Verify');
+    expect(text).toContain('[Unverified] Focused offering');
+
+    // Once every claim has a supporting source the section is left out
+    const checked = JSON.parse(JSON.stringify(insight).replace(/"needsVerification":true/g, '"needsVerification":false'));
+    expect(pageText(buildInsightReport(checked))).not.toContain('Claims to Verify');
+  });
+
+  it('lists the sections of other insight types', () => {
+    const doc = buildInsightReport(sampleInsight('Market Trends', 'Marketing Strategist'));
+    const text = pageText(doc);
+    expect(text).toContain('Market Trends');
+    expect(text).not.toContain('SWOT Quadrants');
+  });
+});
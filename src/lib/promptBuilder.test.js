@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysisContext, buildPrompt, buildRepairPrompt } from './promptBuilder';
+import { sampleInsight } from '../test/fixtures';
+
+describe('buildPrompt', () => {
+  it('states the brief, the mode persona and numbered requirements', () => {
+    const prompt = buildPrompt({ insightType: 'SWOT Analysis', mode: 'Startup', modeInputs: {}, input: 'A bakery in Leeds' });
+    expect(prompt).toContain('A bakery in Leeds');
+    expect(prompt).toMatch(/^Act as /m);
+    expect(prompt).toMatch(/^1\. /m);
+    expect(prompt).toContain('Respond only with JSON that matches the provided response schema.');
+    expect(prompt).not.toContain('Business context provided by the user');
+    expect(prompt).not.toContain('Attached sources');
+  });
+
+  it('includes the intake answers, indenting multi-line ones', () => {
+    const prompt = buildPrompt({
+      insightType: 'SWOT Analysis',
+      mode: 'Startup',
+      modeInputs: { geography: 'UK\nIreland' },
+      input: 'A bakery in Leeds'
+    });
+    expect(prompt).toContain('Business context provided by the user');
+    expect(prompt).toContain('UK\n  Ireland');
+    expect(prompt).toContain('Tailor every point to the business context above');
+  });
+
+  it('wraps attached sources in markers and asks for citations', () => {
+    const prompt = buildPrompt({
+      insightType: 'Market Trends',
+      mode: 'Startup',
+      modeInputs: {},
+      input: 'A bakery in Leeds',
+      sources: [{ id: 'S1', name: 'notes.txt', kind: 'text', text: 'Footfall is up 12%.', truncated: true }]
+    });
+    expect(prompt).toContain('<<<S1: notes.txt');
+    expect(prompt).toContain(', truncated\nFootfall is up 12%.\n>>>S1');
+    expect(prompt).toContain('set "sources" on every item');
+  });
+});
+
+describe('buildAnalysisContext', () => {
+  it('lists every section of the analysis with numbered items', () => {
+    const insight = sampleInsight();
+    const context = buildAnalysisContext(insight, section => `[${section.key}] ${section.title}`);
+    expect(context).toContain(insight.input);
+    expect(context).toContain('[swot.Threats] Threats:\n1. ');
+    expect(context).toContain(`Summary: ${insight.summary}`);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  it('lists the validation problems and repeats the request and response', () => {
+    const prompt = buildRepairPrompt({
+      prompt: 'Original',
+      response: '{"summary": 1}',
+      errors: [{ path: 'summary', message: 'should be a string (got number)' }]
+    });
+    expect(prompt).toContain('- summary should be a string (got number)');
+    expect(prompt).toContain('Original request:\nOriginal');
+    expect(prompt).toContain('Your previous response:\n{"summary": 1}');
+  });
+});
+
+describe('buildPrompt for a scenario', () => {
+  it('gives the baseline analysis and the changed assumption', () => {
+    const baseline = sampleInsight();
+    const prompt = buildPrompt({
+      insightType: baseline.insightType,
+      mode: baseline.mode,
+      modeInputs: {},
+      input: baseline.input,
+      scenario: { baseline, assumption: 'we sell to schools instead of parents' }
+    });
+    expect(prompt).toContain('This is a what-if scenario.');
+    expect(prompt).toContain(`Threats:\n1. ${baseline.swot.Threats[0].text}`);
+    expect(prompt).toContain('"we sell to schools instead of parents"');
+    expect(prompt).toContain('Show how the changed assumption shifts the analysis');
+  });
+});
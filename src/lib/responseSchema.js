@@ -0,0 +1,221 @@
+import { SchemaType } from '@google/generative-ai';
+
+// Helpers for declaring Gemini response schemas and validating the JSON the
+// model returns against them. Only the subset of OpenAPI the SDK accepts is used.
+
+export const text = (description) => ({ type: SchemaType.STRING, description });
+
+export const level = (description) => ({
+  type: SchemaType.STRING,
+  format: 'enum',
+  enum: ['High', 'Medium', 'Low'],
+  description
+});
+
+export const choice = (values, description) => ({
+  type: SchemaType.STRING,
+  format: 'enum',
+  enum: values,
+  description
+});
+
+export const percent = (description) => ({
+  type: SchemaType.NUMBER,
+  description: `${description} as a number between 0 and 100`
+});
+
+export const integer = (description) => ({ type: SchemaType.INTEGER, description });
+
+export const flag = (description) => ({ type: SchemaType.BOOLEAN, description });
+
+export const item = (properties, required = Object.keys(properties).slice(0, 1)) => ({
+  type: SchemaType.OBJECT,
+  properties,
+  required
+});
+
+export const list = (items, description, minItems = 1) => ({
+  type: SchemaType.ARRAY,
+  items,
+  minItems,
+  description
+});
+
+export const object = (properties, description) => ({
+  type: SchemaType.OBJECT,
+  properties,
+  required: Object.keys(properties),
+  description
+});
+
+// Add `property` under `key` to every item object in `schema`
+const withItemProperty = (schema, key, property, required = false) => {
+  if (schema.type === SchemaType.ARRAY) {
+    const items = withItemProperty(schema.items, key, property, required);
+    return {
+      ...schema,
+      items: items.type === SchemaType.OBJECT
+        ? {
+          ...items,
+          properties: { ...items.properties, [key]: property },
+          ...(required && { required: [...(items.required || []), key] })
+        }
+        : items
+    };
+  }
+  if (schema.type === SchemaType.OBJECT) {
+    return {
+      ...schema,
+      properties: Object.fromEntries(
+        Object.entries(schema.properties).map(([name, child]) => [name, withItemProperty(child, key, property, required)])
+      )
+    };
+  }
+  return schema;
+};
+
+// Add a `sources` list to every item object in `schema`, so the model can say
+// which of the attached sources (by id) each item draws on
+export const withSourceIds = (schema, ids) => withItemProperty(schema, 'sources', {
+  type: SchemaType.ARRAY,
+  items: choice(ids, 'Source id'),
+  description: 'Ids of the attached sources this item draws on; empty when it draws on none'
+});
+
+// What a claim rests on, so sourced facts can be told apart from estimates (see lib/evidence.js)
+export const verificationSchema = object({
+  basis: text('What the claim rests on: an attached source, a named report or dataset, or "Estimate" with the reasoning'),
+  confidence: level('Confidence that the claim, and any figure in it, is accurate'),
+  needsVerification: flag('True when the claim contains a figure or fact that was estimated or recalled rather than taken from a source')
+}, 'Evidence behind the claim');
+
+// Add a required `verification` object to every item object in `schema`
+export const withVerification = (schema) => withItemProperty(schema, 'verification', verificationSchema, true);
+
+// The same schema as standard JSON Schema, for providers other than Gemini.
+// Gemini's `format: 'enum'` is dropped and `nullable` becomes a null type.
+export const toJsonSchema = (schema) => {
+  const converted = {
+    type: schema.nullable ? [schema.type, 'null'] : schema.type,
+    ...(schema.description && { description: schema.description }),
+    ...(schema.enum && { enum: schema.enum })
+  };
+  if (schema.type === SchemaType.ARRAY) {
+    return {
+      ...converted,
+      items: toJsonSchema(schema.items),
+      ...(schema.minItems !== undefined && { minItems: schema.minItems }),
+      ...(schema.maxItems !== undefined && { maxItems: schema.maxItems })
+    };
+  }
+  if (schema.type === SchemaType.OBJECT) {
+    return {
+      ...converted,
+      properties: Object.fromEntries(
+        Object.entries(schema.properties).map(([key, property]) => [key, toJsonSchema(property)])
+      ),
+      required: schema.required || []
+    };
+  }
+  return converted;
+};
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Returns a list of { path, message } describing every field that does not match the schema
+export const validateAgainstSchema = (value, schema, path = '') => {
+  const label = path || 'response';
+
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [{ path: label, message: 'is missing' }];
+  }
+
+  switch (schema.type) {
+    case SchemaType.STRING:
+      if (typeof value !== 'string') return [{ path: label, message: `should be a string (got ${describe(value)})` }];
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path: label, message: `should be one of ${schema.enum.join(', ')} (got "${value}")` }];
+      }
+      return [];
+    case SchemaType.NUMBER:
+    case SchemaType.INTEGER:
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [{ path: label, message: `should be a number (got ${describe(value)})` }];
+      }
+      if (schema.type === SchemaType.INTEGER && !Number.isInteger(value)) {
+        return [{ path: label, message: `should be an integer (got ${value})` }];
+      }
+      return [];
+    case SchemaType.BOOLEAN:
+      return typeof value === 'boolean' ? [] : [{ path: label, message: `should be a boolean (got ${describe(value)})` }];
+    case SchemaType.ARRAY: {
+      if (!Array.isArray(value)) return [{ path: label, message: `should be a list (got ${describe(value)})` }];
+      const errors = [];
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: label, message: `should contain at least ${schema.minItems} item(s)` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: label, message: `should contain at most ${schema.maxItems} item(s)` });
+      }
+      value.forEach((entry, index) => {
+        errors.push(...validateAgainstSchema(entry, schema.items, joinPath(path, index)));
+      });
+      return errors;
+    }
+    case SchemaType.OBJECT: {
+      if (describe(value) !== 'object') return [{ path: label, message: `should be an object (got ${describe(value)})` }];
+      const errors = [];
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        const required = schema.required?.includes(key);
+        if ((value[key] === undefined || value[key] === null) && !required) return;
+        errors.push(...validateAgainstSchema(value[key], propertySchema, joinPath(path, key)));
+      });
+      return errors;
+    }
+    default:
+      return [];
+  }
+};
+
+export const formatValidationErrors = (errors, limit = 3) => {
+  const shown = errors.slice(0, limit).map(({ path, message }) => `${path} ${message}`);
+  const hidden = errors.length - shown.length;
+  return hidden > 0 ? `${shown.join('; ')} (and ${hidden} more)` : shown.join('; ');
+};
+
+// Convert a schema object ({ text } or { title, description } plus attribute fields)
+// into the { text, attributes } item shape the UI, exports and Firestore use.
+// `sources` (ids of attached sources), `addresses` (the SWOT items a recommendation
+// acts on) and `verification` (the evidence behind a claim) are kept on the item
+// rather than as attributes.
+export const toItem = ({ text: itemText, title, description, sources, addresses, verification, ...rest }) => {
+  const attributes = Object.fromEntries(
+    Object.entries(rest).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+  const ids = Array.isArray(sources) ? [...new Set(sources.filter(id => typeof id === 'string'))] : [];
+  const references = Array.isArray(addresses) ? addresses.filter(entry => typeof entry === 'string' && entry.trim()) : [];
+  const cited = {
+    ...(ids.length > 0 && { sources: ids }),
+    ...(references.length > 0 && { addresses: references.map(entry => entry.trim()) }),
+    ...(verification && typeof verification === 'object' && !Array.isArray(verification) && { verification })
+  };
+  if (itemText !== undefined) return { text: itemText.trim(), attributes, ...cited };
+  return {
+    text: description ? `${title}: ${description}` : title,
+    title,
+    description: description || '',
+    attributes,
+    ...cited
+  };
+};
+
+// Convert a list of schema objects, skipping entries that have not streamed in far enough to show
+export const toItems = (entries) => (entries || [])
+  .filter(entry => entry && (entry.text || entry.title))
+  .map(toItem);
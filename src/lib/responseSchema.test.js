@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { formatValidationErrors, item, level, list, object, percent, text, toItem, toJsonSchema, validateAgainstSchema, withSourceIds, withVerification } from './responseSchema';
+
+const schema = object({
+  summary: text('Summary'),
+  items: list(item({ text: text('Item'), impact: level('Impact'), probability: percent('Probability') }), 'Items')
+});
+
+describe('validateAgainstSchema', () => {
+  it('accepts a matching value', () => {
+    expect(validateAgainstSchema({ summary: 'ok', items: [{ text: 'a', impact: 'High', probability: 40 }] }, schema)).toEqual([]);
+  });
+
+  it('reports every mismatch with its path', () => {
+    expect(validateAgainstSchema({ items: [{ text: 'a', impact: 'Huge', probability: '40' }] }, schema)).toEqual([
+      { path: 'summary', message: 'is missing' },
+      { path: 'items[0].impact', message: 'should be one of High, Medium, Low (got "Huge")' },
+      { path: 'items[0].probability', message: 'should be a number (got string)' }
+    ]);
+  });
+
+  it('enforces the minimum list length', () => {
+    expect(validateAgainstSchema({ summary: 'ok', items: [] }, schema)).toEqual([
+      { path: 'items', message: 'should contain at least 1 item(s)' }
+    ]);
+  });
+});
+
+describe('formatValidationErrors', () => {
+  it('shows the first few errors and counts the rest', () => {
+    const errors = ['a', 'b', 'c', 'd'].map(path => ({ path, message: 'is missing' }));
+    expect(formatValidationErrors(errors)).toBe('a is missing; b is missing; c is missing (and 1 more)');
+  });
+});
+
+describe('withSourceIds', () => {
+  it('adds a sources list limited to the given ids to every item', () => {
+    const cited = withSourceIds(schema, ['S1', 'S2']);
+    expect(cited.properties.items.items.properties.sources.items.enum).toEqual(['S1', 'S2']);
+    expect(cited.properties.summary).toEqual(schema.properties.summary);
+  });
+});
+
+describe('withVerification', () => {
+  it('requires the evidence behind every item', () => {
+    const checked = withVerification(schema);
+    const itemSchema = checked.properties.items.items;
+    expect(Object.keys(itemSchema.properties.verification.properties)).toEqual(['basis', 'confidence', 'needsVerification']);
+    expect(itemSchema.required).toEqual(['text', 'verification']);
+    expect(validateAgainstSchema({ summary: 'ok', items: [{ text: 'a' }] }, checked)).toEqual([
+      { path: 'items[0].verification', message: 'is missing' }
+    ]);
+  });
+});
+
+describe('toJsonSchema', () => {
+  it('converts to standard JSON Schema', () => {
+    const converted = toJsonSchema(schema);
+    expect(converted.required).toEqual(['summary', 'items']);
+    expect(converted.properties.items.minItems).toBe(1);
+    expect(converted.properties.items.items.properties.impact).toEqual({ type: 'string', description: 'Impact', enum: ['High', 'Medium', 'Low'] });
+  });
+});
+
+describe('toItem', () => {
+  it('moves fields other than the text into attributes and keeps cited sources', () => {
+    expect(toItem({ text: ' Brand ', impact: 'High', evidence: '', sources: ['S1', 'S1'] })).toEqual({
+      text: 'Brand',
+      attributes: { impact: 'High' },
+      sources: ['S1']
+    });
+  });
+
+  it('keeps the SWOT items a recommendation addresses on the item', () => {
+    expect(toItem({ text: 'Add a channel', timeframe: 'Q3', addresses: ['Weaknesses 1', ' ', 3] })).toEqual({
+      text: 'Add a channel',
+      attributes: { timeframe: 'Q3' },
+      addresses: ['Weaknesses 1']
+    });
+  });
+
+  it('joins a title and description', () => {
+    expect(toItem({ title: 'Clubs', description: 'Weekly sessions' })).toEqual({
+      text: 'Clubs: Weekly sessions',
+      title: 'Clubs',
+      description: 'Weekly sessions',
+      attributes: {}
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { insightSections } from './insightDiff';
+
+// Firestore has no full-text search, so every saved insight stores the distinct
+// words of its description, summary and items in `searchTerms`. A query is run
+// with `array-contains` on its most selective word and the rest of the words are
+// matched in the browser. Tags are indexed as `tag:<name>` in the same array.
+
+export const MAX_SEARCH_TERMS = 500;
+const MIN_TERM_LENGTH = 2;
+
+export const tokenize = (text) => [...new Set(
+  String(text ?? '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TERM_LENGTH)
+)];
+
+export const normalizeTag = (tag) => String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-');
+
+export const MAX_TAGS = 10;
+
+export const parseTags = (text) => [...new Set(String(text ?? '').split(',').map(normalizeTag).filter(Boolean))]
+  .slice(0, MAX_TAGS);
+
+export const tagTerm = (tag) => `tag:${normalizeTag(tag)}`;
+
+export const buildSearchTerms = (insight) => {
+  const texts = [
+    insight.input,
+    insight.summary,
+    // Insights saved before structured output store items as plain strings
+    ...insightSections(insight).flatMap(section => section.items.map(item => (typeof item === 'string' ? item : item.text || item.title)))
+  ];
+  const words = tokenize(texts.filter(Boolean).join(' ')).slice(0, MAX_SEARCH_TERMS - (insight.tags?.length || 0));
+  return [...words, ...(insight.tags || []).map(tagTerm)];
+};
+
+// The word sent to Firestore: the longest one is usually the most selective
+export const primarySearchTerm = (query) => tokenize(query).sort((a, b) => b.length - a.length)[0] || null;
+
+export const matchesSearch = (insight, query) => {
+  const terms = insight.searchTerms || [];
+  return tokenize(query).every(word => terms.includes(word));
+};
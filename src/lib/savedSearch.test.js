@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_SEARCH_TERMS,
+  MAX_TAGS,
+  buildSearchTerms,
+  matchesSearch,
+  normalizeTag,
+  parseTags,
+  primarySearchTerm,
+  tagTerm,
+  tokenize
+} from './savedSearch';
+import { sampleInsight } from '../test/fixtures';
+
+describe('tokenize', () => {
+  it('splits text into distinct lowercase words', () => {
+    expect(tokenize('Coding club, coding CLUB for kids aged 8-12')).toEqual(['coding', 'club', 'for', 'kids', 'aged', '12']);
+  });
+
+  it('keeps letters and digits of any script', () => {
+    expect(tokenize('Café für Zürich 2025')).toEqual(['café', 'für', 'zürich', '2025']);
+  });
+
+  it('reads missing text as no words', () => {
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('tags', () => {
+  it('normalizes a tag to lowercase words joined by dashes', () => {
+    expect(normalizeTag('  Q3  Planning ')).toBe('q3-planning');
+    expect(tagTerm('Q3 Planning')).toBe('tag:q3-planning');
+  });
+
+  it('parses a comma-separated list without blanks or repeats', () => {
+    expect(parseTags('Client, client ,, Q3 planning,')).toEqual(['client', 'q3-planning']);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+
+  it(`keeps at most ${MAX_TAGS} tags`, () => {
+    const text = Array.from({ length: MAX_TAGS + 3 }, (_, index) => `tag${index}`).join(',');
+
+    expect(parseTags(text)).toHaveLength(MAX_TAGS);
+  });
+});
+
+describe('buildSearchTerms', () => {
+  it('indexes the description, summary, items and tags', () => {
+    const insight = { ...sampleInsight(), tags: ['client-a'] };
+    const terms = buildSearchTerms(insight);
+
+    expect(terms).toEqual(expect.arrayContaining(['after', 'school', 'coding', 'acquisition', 'tag:client-a']));
+    expect(terms[terms.length - 1]).toBe('tag:client-a');
+  });
+
+  it('reads items saved as plain strings', () => {
+    const insight = { ...sampleInsight(), swot: { Strengths: ['Patented technology'] } };
+
+    expect(buildSearchTerms(insight)).toEqual(expect.arrayContaining(['patented', 'technology']));
+  });
+
+  it(`stays within ${MAX_SEARCH_TERMS} terms including the tags`, () => {
+    const input = Array.from({ length: MAX_SEARCH_TERMS + 50 }, (_, index) => `word${index}`).join(' ');
+    const terms = buildSearchTerms({ ...sampleInsight(), input, tags: ['a', 'b'] });
+
+    expect(terms).toHaveLength(MAX_SEARCH_TERMS);
+    expect(terms.slice(-2)).toEqual(['tag:a', 'tag:b']);
+  });
+});
+
+describe('searching', () => {
+  it('sends the longest word of the query to Firestore', () => {
+    expect(primarySearchTerm('club for kids')).toBe('club');
+    expect(primarySearchTerm('subscription pricing')).toBe('subscription');
+    expect(primarySearchTerm(' a ')).toBeNull();
+  });
+
+  it('matches insights that contain every word of the query', () => {
+    const insight = { searchTerms: ['coding', 'club', 'kids'] };
+
+    expect(matchesSearch(insight, 'Coding kids')).toBe(true);
+    expect(matchesSearch(insight, 'coding adults')).toBe(false);
+    expect(matchesSearch({}, 'coding')).toBe(false);
+  });
+});
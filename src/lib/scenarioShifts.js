@@ -0,0 +1,52 @@
+import { insightSections } from './insightDiff';
+import { scoreSwot } from './scoring';
+
+// How the scores of a scenario tree move from each scenario's parent. SWOT
+// analyses are compared by quadrant score, viability and the internal and
+// external balance; other types by the number of items in each section.
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// `better` is the direction that favours the business, or null when neither does
+const metrics = (insight) => {
+  if (!insight.swot) {
+    return insightSections(insight).map(section => ({ label: section.title, unit: 'items', better: null, value: section.items.length }));
+  }
+  const scores = scoreSwot(insight.swot);
+  return [
+    ...Object.entries(scores.quadrants).map(([label, quadrant]) => ({
+      label,
+      unit: 'points',
+      better: label === 'Weaknesses' || label === 'Threats' ? 'lower' : 'higher',
+      value: quadrant.weighted
+    })),
+    { label: 'Viability', unit: '/100', better: 'higher', value: scores.viability },
+    { label: 'Internal (S - W)', unit: 'points', better: 'higher', value: scores.internal.net },
+    { label: 'External (O - T)', unit: 'points', better: 'higher', value: scores.external.net }
+  ];
+};
+
+// One row per metric with a cell per insight: its value and the change from its
+// parent in `insights`, or null for the baseline and when either value is missing
+export const scenarioShifts = (insights) => {
+  const byId = new Map(insights.map(insight => [insight.id, metrics(insight)]));
+  const columns = insights.map(insight => ({
+    insight,
+    values: byId.get(insight.id),
+    parentValues: byId.get(insight.scenario?.parentId) || null
+  }));
+
+  return (columns[0]?.values || []).map(({ label, unit, better }, row) => ({
+    label,
+    unit,
+    better,
+    cells: columns.map(({ values, parentValues }) => {
+      const value = values[row]?.label === label ? values[row].value : null;
+      const parentValue = parentValues?.[row]?.label === label ? parentValues[row].value : null;
+      return {
+        value,
+        change: value !== null && parentValue !== null ? round(value - parentValue) : null
+      };
+    })
+  }));
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { scenarioShifts } from './scenarioShifts';
+
+const swotInsight = (id, threatImpact, scenario) => ({
+  id,
+  insightType: 'SWOT Analysis',
+  mode: 'Startup',
+  swot: {
+    Strengths: [{ text: 'Brand', attributes: { impact: 'High' } }],
+    Weaknesses: [],
+    Opportunities: [],
+    Threats: [{ text: 'Rival', attributes: { impact: threatImpact, likelihood: 100 } }]
+  },
+  extras: {},
+  recommendations: [],
+  ...(scenario && { scenario })
+});
+
+describe('scenarioShifts', () => {
+  it('measures each scenario from its parent', () => {
+    const insights = [
+      swotInsight('root', 'Low'),
+      swotInsight('a', 'High', { parentId: 'root', rootId: 'root', assumption: 'a rival launches' }),
+      swotInsight('b', 'Medium', { parentId: 'a', rootId: 'root', assumption: 'we partner' })
+    ];
+    const threats = scenarioShifts(insights).find(row => row.label === 'Threats');
+    expect(threats.better).toBe('lower');
+    expect(threats.cells).toEqual([
+      { value: 3.3, change: null },
+      { value: 10, change: 6.7 },
+      { value: 6.7, change: -3.3 }
+    ]);
+    const viability = scenarioShifts(insights).find(row => row.label === 'Viability');
+    expect(viability.cells.map(cell => cell.value)).toEqual([75, 50, 60]);
+  });
+
+  it('counts the items of each section for other insight types', () => {
+    const trends = (id, count, scenario) => ({
+      id,
+      insightType: 'Market Trends',
+      mode: 'Startup',
+      trends: Array.from({ length: count }, (_, i) => ({ text: `Trend ${i}`, attributes: {} })),
+      extras: {},
+      recommendations: [],
+      ...(scenario && { scenario })
+    });
+    const rows = scenarioShifts([trends('root', 2), trends('a', 5, { parentId: 'root', rootId: 'root', assumption: 'x' })]);
+    expect(rows[0]).toMatchObject({ unit: 'items', better: null, cells: [{ value: 2, change: null }, { value: 5, change: 3 }] });
+  });
+});
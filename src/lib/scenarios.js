@@ -0,0 +1,50 @@
+// What-if scenarios: an analysis regenerated from a saved insight with one
+// assumption changed. A scenario stores `scenario: { parentId, rootId, assumption }`,
+// where `rootId` is the saved insight the first scenario of the tree was made
+// from, so a whole tree can be read with one query. Scenarios of scenarios nest.
+
+export const MAX_ASSUMPTION_LENGTH = 500;
+
+// The link stored on a scenario generated from the saved insight `parent`
+export const scenarioLink = (parent, assumption) => ({
+  parentId: parent.id,
+  rootId: parent.scenario?.rootId || parent.id,
+  // Stored without the "What if" the form starts with
+  assumption: assumption.trim().replace(/^what if\s+/i, '')
+});
+
+// A stored or imported `scenario`, or null when it is missing or malformed
+export const normalizeScenario = (scenario) => (
+  scenario && typeof scenario.parentId === 'string' && typeof scenario.rootId === 'string'
+    && typeof scenario.assumption === 'string' && scenario.assumption.trim()
+    ? {
+      parentId: scenario.parentId,
+      rootId: scenario.rootId,
+      assumption: scenario.assumption.trim().slice(0, MAX_ASSUMPTION_LENGTH)
+    }
+    : null
+);
+
+// The id of the tree `insight` belongs to; a saved insight without scenarios is its own root
+export const scenarioRootId = (insight) => insight.scenario?.rootId || insight.id;
+
+// Saved insights of one tree as nested { insight, children } nodes, oldest first.
+// A scenario whose parent was deleted is shown at the top level.
+export const buildScenarioTree = (insights) => {
+  const ids = new Set(insights.map(insight => insight.id));
+  const sorted = [...insights].sort((a, b) => a.timestamp - b.timestamp);
+  const nodesOf = (parentId) => sorted
+    .filter(insight => (parentId
+      ? insight.scenario?.parentId === parentId
+      : !insight.scenario || !ids.has(insight.scenario.parentId)))
+    .map(insight => ({ insight, children: nodesOf(insight.id) }));
+  return nodesOf(null);
+};
+
+// The nodes of a tree depth first, with their depth
+export const flattenScenarioTree = (nodes, depth = 0) => nodes.flatMap(node => [
+  { insight: node.insight, depth },
+  ...flattenScenarioTree(node.children, depth + 1)
+]);
+
+export const scenarioLabel = (insight) => (insight.scenario ? `What if ${insight.scenario.assumption}` : 'Baseline');
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { buildScenarioTree, flattenScenarioTree, normalizeScenario, scenarioLabel, scenarioLink, scenarioRootId } from './scenarios';
+
+const saved = (id, minutes, scenario) => ({ id, timestamp: new Date(2025, 5, 1, 10, minutes), ...(scenario && { scenario }) });
+
+describe('scenarioLink', () => {
+  it('links to the parent and the root of its tree', () => {
+    expect(scenarioLink({ id: 'root' }, ' What if we target schools ')).toEqual({ parentId: 'root', rootId: 'root', assumption: 'we target schools' });
+    expect(scenarioLink({ id: 'a', scenario: { parentId: 'root', rootId: 'root', assumption: 'x' } }, 'funding halves'))
+      .toEqual({ parentId: 'a', rootId: 'root', assumption: 'funding halves' });
+  });
+});
+
+describe('normalizeScenario', () => {
+  it('keeps well-formed links only', () => {
+    expect(normalizeScenario({ parentId: 'a', rootId: 'r', assumption: 'x' })).toEqual({ parentId: 'a', rootId: 'r', assumption: 'x' });
+    expect(normalizeScenario({ parentId: 'a', assumption: 'x' })).toBeNull();
+    expect(normalizeScenario({ parentId: 'a', rootId: 'r', assumption: ' ' })).toBeNull();
+    expect(normalizeScenario(undefined)).toBeNull();
+  });
+});
+
+describe('scenarioRootId and scenarioLabel', () => {
+  it('treat a saved insight without a link as the baseline of its own tree', () => {
+    expect(scenarioRootId({ id: 'root' })).toBe('root');
+    expect(scenarioRootId({ id: 'a', scenario: { rootId: 'root' } })).toBe('root');
+    expect(scenarioLabel({ id: 'root' })).toBe('Baseline');
+    expect(scenarioLabel({ id: 'a', scenario: { assumption: 'we target schools' } })).toBe('What if we target schools');
+  });
+});
+
+describe('buildScenarioTree', () => {
+  const root = saved('root', 0);
+  const b2b = saved('b2b', 1, { parentId: 'root', rootId: 'root', assumption: 'we sell B2B' });
+  const halfFunding = saved('half', 2, { parentId: 'root', rootId: 'root', assumption: 'funding halves' });
+  const b2bEurope = saved('b2b-eu', 3, { parentId: 'b2b', rootId: 'root', assumption: 'we start in Europe' });
+
+  it('nests scenarios under their parents, oldest first', () => {
+    const rows = flattenScenarioTree(buildScenarioTree([b2bEurope, halfFunding, root, b2b]));
+    expect(rows.map(({ insight, depth }) => [insight.id, depth])).toEqual([
+      ['root', 0], ['b2b', 1], ['b2b-eu', 2], ['half', 1]
+    ]);
+  });
+
+  it('shows scenarios whose parent was deleted at the top level', () => {
+    const rows = flattenScenarioTree(buildScenarioTree([halfFunding, b2bEurope]));
+    expect(rows.map(({ insight, depth }) => [insight.id, depth])).toEqual([['half', 0], ['b2b-eu', 0]]);
+  });
+});
@@ -0,0 +1,141 @@
+import { SWOT_SECTIONS } from './insightParser';
+
+// Turns the attributes of each SWOT item into a numeric weight and rolls them
+// up into quadrant, balance and viability scores. Every function takes an
+// optional `rules` object so the weights can be tuned without touching the maths.
+
+export const DEFAULT_SCORING_RULES = {
+  // Weight of a High/Medium/Low rating
+  levels: { high: 3, medium: 2, low: 1 },
+  // Rating assumed when an item has none
+  defaultLevel: 'medium',
+  // Probability/likelihood (%) assumed when an item has none
+  defaultPercent: 50,
+  // Points awarded to an item with the highest rating and 100% probability
+  maxItemPoints: 10,
+  // Which attributes drive the weight of each quadrant's items
+  quadrants: {
+    Strengths: { level: 'impact' },
+    Weaknesses: { level: 'riskLevel' },
+    Opportunities: { level: 'impact', percent: 'probability' },
+    Threats: { level: 'impact', percent: 'likelihood' }
+  }
+};
+
+export const CHART_METRICS = {
+  weighted: { label: 'Weighted score', unit: 'points' },
+  average: { label: 'Average item weight', unit: 'points' },
+  count: { label: 'Item count', unit: 'items' }
+};
+
+export const DEFAULT_CHART_METRIC = 'weighted';
+
+export const mergeRules = (rules = {}) => ({
+  ...DEFAULT_SCORING_RULES,
+  ...rules,
+  levels: { ...DEFAULT_SCORING_RULES.levels, ...rules.levels },
+  quadrants: { ...DEFAULT_SCORING_RULES.quadrants, ...rules.quadrants }
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Numeric weight for a High/Medium/Low style rating; accepts "High", "high risk", "Medium/High"
+export const levelWeight = (value, rules = DEFAULT_SCORING_RULES) => {
+  const key = String(value ?? '').trim().toLowerCase().split(/[\s/]/)[0];
+  return rules.levels[key] ?? rules.levels[rules.defaultLevel];
+};
+
+const percentValue = (value, rules) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) return rules.defaultPercent;
+  return Math.min(Math.max(number, 0), 100);
+};
+
+// Weight of a single item in points (0 to maxItemPoints)
+export const scoreItem = (item, quadrant, rules = DEFAULT_SCORING_RULES) => {
+  const config = rules.quadrants[quadrant];
+  const attributes = item?.attributes || {};
+  const maxLevel = Math.max(...Object.values(rules.levels));
+
+  let weight = levelWeight(attributes[config.level], rules) / maxLevel;
+  if (config.percent) weight *= percentValue(attributes[config.percent], rules) / 100;
+
+  return round(weight * rules.maxItemPoints);
+};
+
+export const scoreSwot = (swot, customRules) => {
+  const rules = mergeRules(customRules);
+
+  const quadrants = SWOT_SECTIONS.reduce((acc, section) => {
+    const weights = (swot?.[section] || []).map(item => scoreItem(item, section, rules));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    acc[section] = {
+      count: weights.length,
+      weighted: round(total),
+      average: weights.length > 0 ? round(total / weights.length) : 0,
+      items: weights
+    };
+    return acc;
+  }, {});
+
+  const { Strengths, Weaknesses, Opportunities, Threats } = quadrants;
+  const positive = Strengths.weighted + Opportunities.weighted;
+  const negative = Weaknesses.weighted + Threats.weighted;
+
+  return {
+    quadrants,
+    internal: {
+      positive: Strengths.weighted,
+      negative: Weaknesses.weighted,
+      net: round(Strengths.weighted - Weaknesses.weighted)
+    },
+    external: {
+      positive: Opportunities.weighted,
+      negative: Threats.weighted,
+      net: round(Opportunities.weighted - Threats.weighted)
+    },
+    positive: round(positive),
+    negative: round(negative),
+    // Share of the total weight that is favourable, 0-100; null when nothing was scored
+    viability: positive + negative > 0 ? Math.round((positive / (positive + negative)) * 100) : null
+  };
+};
+
+export const buildSwotChartData = (swot, metric = DEFAULT_CHART_METRIC, customRules) => {
+  const { quadrants } = scoreSwot(swot, customRules);
+  return SWOT_SECTIONS.map(section => ({
+    name: section,
+    value: quadrants[section][metric] ?? 0
+  }));
+};
+
+export const scoreSummaryLines = (scores) => [
+  `Viability: ${scores.viability ?? 'n/a'}${scores.viability !== null ? '/100' : ''}`,
+  `Internal (Strengths - Weaknesses): ${scores.internal.net} points`,
+  `External (Opportunities - Threats): ${scores.external.net} points`,
+  `Positive vs negative: ${scores.positive} vs ${scores.negative} points`
+];
+
+export const itemId = (section, index) => `${section}-${index}`;
+
+// One point per Opportunity and Threat that states a probability/likelihood:
+// x is that percentage, y the impact weight
+export const buildImpactLikelihoodPoints = (swot, customRules) => {
+  const rules = mergeRules(customRules);
+
+  return ['Opportunities', 'Threats'].flatMap(section => {
+    const config = rules.quadrants[section];
+    return (swot?.[section] || []).flatMap((item, index) => {
+      const percent = item.attributes?.[config.percent];
+      if (typeof percent !== 'number') return [];
+      return [{
+        id: itemId(section, index),
+        section,
+        text: item.text,
+        likelihood: percentValue(percent, rules),
+        impact: levelWeight(item.attributes?.[config.level], rules),
+        score: scoreItem(item, section, rules)
+      }];
+    });
+  });
+};
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SCORING_RULES, buildImpactLikelihoodPoints, buildSwotChartData, levelWeight, mergeRules, scoreItem, scoreSummaryLines, scoreSwot } from './scoring';
+
+const swot = {
+  Strengths: [{ text: 'Brand', attributes: { impact: 'High' } }, { text: 'Team', attributes: { impact: 'Low' } }],
+  Weaknesses: [{ text: 'Cash', attributes: { riskLevel: 'Medium' } }],
+  Opportunities: [{ text: 'Export', attributes: { impact: 'High', probability: 50 } }],
+  Threats: [{ text: 'Rival', attributes: { impact: 'High', likelihood: 100 } }]
+};
+
+describe('levelWeight', () => {
+  it('reads the first word of a rating and falls back to the default level', () => {
+    expect(levelWeight('High risk')).toBe(3);
+    expect(levelWeight('medium/high')).toBe(2);
+    expect(levelWeight(undefined)).toBe(2);
+  });
+});
+
+describe('mergeRules', () => {
+  it('keeps the default tables that are not overridden', () => {
+    const rules = mergeRules({ levels: { high: 5 }, quadrants: { Strengths: { level: 'strength' } } });
+    expect(rules.levels).toEqual({ high: 5, medium: 2, low: 1 });
+    expect(rules.quadrants.Threats).toEqual(DEFAULT_SCORING_RULES.quadrants.Threats);
+    expect(rules.quadrants.Strengths).toEqual({ level: 'strength' });
+    expect(rules.maxItemPoints).toBe(10);
+  });
+});
+
+describe('scoreItem', () => {
+  it('weights by rating and probability', () => {
+    expect(scoreItem(swot.Strengths[0], 'Strengths')).toBe(10);
+    expect(scoreItem(swot.Opportunities[0], 'Opportunities')).toBe(5);
+  });
+
+  it('assumes a 50% probability when none is given', () => {
+    expect(scoreItem({ text: 'x', attributes: { impact: 'High' } }, 'Threats')).toBe(5);
+  });
+});
+
+describe('scoreSwot', () => {
+  it('rolls items up into quadrant, balance and viability scores', () => {
+    const scores = scoreSwot(swot);
+    expect(scores.quadrants.Strengths).toEqual({ count: 2, weighted: 13.3, average: 6.7, items: [10, 3.3] });
+    expect(scores.internal.net).toBe(6.6);
+    expect(scores.external.net).toBe(-5);
+    expect(scores.viability).toBe(Math.round((18.3 / (18.3 + 16.7)) * 100));
+  });
+
+  it('has no viability when nothing was scored', () => {
+    expect(scoreSwot({}).viability).toBeNull();
+    expect(scoreSummaryLines(scoreSwot({}))[0]).toBe('Viability: n/a');
+  });
+
+  it('accepts custom rules', () => {
+    const scores = scoreSwot(swot, { maxItemPoints: 100 });
+    expect(scores.quadrants.Strengths.items).toEqual([100, 33.3]);
+  });
+
+  it('merges custom levels over the defaults', () => {
+    const rules = { levels: { critical: 4 } };
+    const scores = scoreSwot({ Strengths: [{ text: 'Patent', attributes: { impact: 'Critical' } }, swot.Strengths[0]] }, rules);
+    expect(scores.quadrants.Strengths.items).toEqual([10, 7.5]);
+  });
+
+  it('reads the attributes a custom quadrant rule names', () => {
+    const rules = { quadrants: { Weaknesses: { level: 'impact', percent: 'likelihood' } } };
+    const weakness = { text: 'Cash', attributes: { impact: 'High', likelihood: 20, riskLevel: 'Low' } };
+    expect(scoreSwot({ Weaknesses: [weakness] }, rules).quadrants.Weaknesses.items).toEqual([2]);
+    expect(scoreSwot({ Strengths: [swot.Strengths[0]] }, rules).quadrants.Strengths.items).toEqual([10]);
+  });
+
+  it('uses the configured defaults for items without attributes', () => {
+    const scores = scoreSwot({ Threats: [{ text: 'Rival', attributes: {} }] }, { defaultLevel: 'high', defaultPercent: 100 });
+    expect(scores.quadrants.Threats.items).toEqual([10]);
+  });
+});
+
+describe('buildSwotChartData', () => {
+  it('returns one bar per quadrant for the chosen metric', () => {
+    expect(buildSwotChartData(swot, 'count')).toEqual([
+      { name: 'Strengths', value: 2 },
+      { name: 'Weaknesses', value: 1 },
+      { name: 'Opportunities', value: 1 },
+      { name: 'Threats', value: 1 }
+    ]);
+  });
+});
+
+describe('buildImpactLikelihoodPoints', () => {
+  it('plots opportunities and threats that state a percentage', () => {
+    const points = buildImpactLikelihoodPoints(swot);
+    expect(points.map(point => [point.id, point.likelihood])).toEqual([['Opportunities-0', 50], ['Threats-0', 100]]);
+  });
+});
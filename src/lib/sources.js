@@ -0,0 +1,111 @@
+import { parseCsv } from './csv';
+
+// Files attached to a generation request as extra context: PDFs (a pitch deck),
+// plain text or Markdown (a business plan) and CSV (competitor data). Their text
+// is extracted in the browser and sent with the prompt under an id such as "S1",
+// which the model cites on the items that draw on it.
+
+export const MAX_SOURCES = 5;
+export const MAX_SOURCE_SIZE = 10 * 1024 * 1024;
+// Characters of extracted text sent per source and in total, to keep prompts within the proxy's limit
+export const MAX_SOURCE_CHARS = 20000;
+export const MAX_TOTAL_SOURCE_CHARS = 60000;
+const MAX_CSV_ROWS = 200;
+
+export const SOURCE_ACCEPT = '.pdf,.txt,.md,.markdown,.csv,application/pdf,text/plain,text/markdown,text/csv';
+
+export const SOURCE_KINDS = {
+  pdf: 'PDF',
+  text: 'Text',
+  csv: 'CSV'
+};
+
+export class SourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceError';
+  }
+}
+
+export const sourceKind = (file) => {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === 'text/csv' || name.endsWith('.csv')) return 'csv';
+  if (file.type.startsWith('text/') || /\.(txt|md|markdown)$/.test(name)) return 'text';
+  return null;
+};
+
+// The next unused id, so removing S2 does not renumber S3
+export const nextSourceId = (sources) => {
+  const used = sources.map(source => Number(source.id.slice(1)));
+  return `S${Math.max(0, ...used) + 1}`;
+};
+
+const readPdfText = async (file) => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let number = 1; number <= pdf.numPages; number += 1) {
+    const page = await pdf.getPage(number);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(entry => entry.str).join(' ').replace(/\s+/g, ' ').trim());
+    // Stop once there is more text than will be sent
+    if (pages.join('\n').length > MAX_SOURCE_CHARS) break;
+  }
+  await pdf.destroy();
+  return pages.map((text, index) => `[Page ${index + 1}] ${text}`).join('\n');
+};
+
+// A CSV as "column: value" lines per row, which models read more reliably than raw CSV
+const csvToText = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const lines = rows.slice(0, MAX_CSV_ROWS).map((row, index) => (
+    `Row ${index + 1}: ${header.map((column, i) => `${column || `Column ${i + 1}`}: ${row[i] ?? ''}`).join('; ')}`
+  ));
+  if (rows.length > MAX_CSV_ROWS) lines.push(`(${rows.length - MAX_CSV_ROWS} more rows not included)`);
+  return lines.join('\n');
+};
+
+// Read an attached file into { id, name, kind, text, truncated }
+export const readSource = async (file, id) => {
+  const kind = sourceKind(file);
+  if (!kind) throw new SourceError(`${file.name} is not a PDF, text or CSV file.`);
+  if (file.size > MAX_SOURCE_SIZE) throw new SourceError(`${file.name} is larger than ${MAX_SOURCE_SIZE / 1024 / 1024} MB.`);
+
+  let text;
+  if (kind === 'pdf') text = await readPdfText(file);
+  else if (kind === 'csv') text = csvToText(await file.text());
+  else text = await file.text();
+
+  text = text.trim();
+  if (!text) throw new SourceError(`No text could be read from ${file.name}. Scanned PDFs need to be converted to text first.`);
+  return {
+    id,
+    name: file.name,
+    kind,
+    text: text.slice(0, MAX_SOURCE_CHARS),
+    truncated: text.length > MAX_SOURCE_CHARS
+  };
+};
+
+// The text each source contributes to the prompt, sharing MAX_TOTAL_SOURCE_CHARS in attachment order
+export const sourcesForPrompt = (sources) => {
+  let remaining = MAX_TOTAL_SOURCE_CHARS;
+  return sources.map(source => {
+    const text = source.text.slice(0, Math.max(remaining, 0));
+    remaining -= text.length;
+    return { ...source, text, truncated: source.truncated || text.length < source.text.length };
+  }).filter(source => source.text.length > 0);
+};
+
+// What is stored with an insight: enough to label citations, not the extracted text
+export const sourceSummary = ({ id, name, kind }) => ({ id, name, kind });
+
+// Sources an item cites, in the order it cites them
+export const citedSources = (item, sources = []) => (item?.sources || [])
+  .map(id => sources.find(source => source.id === id))
+  .filter(Boolean);
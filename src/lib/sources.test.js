@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_SOURCE_CHARS,
+  MAX_SOURCE_SIZE,
+  MAX_TOTAL_SOURCE_CHARS,
+  SourceError,
+  citedSources,
+  nextSourceId,
+  readSource,
+  sourceKind,
+  sourceSummary,
+  sourcesForPrompt
+} from './sources';
+
+// jsdom's File has no text(), so files are stood in for by what readSource uses
+const file = (content, name, type = '') => ({ name, type, size: content.length, text: async () => content });
+
+describe('sourceKind', () => {
+  it('recognizes PDFs, CSVs and text by type or extension', () => {
+    expect(sourceKind(file('', 'deck.pdf'))).toBe('pdf');
+    expect(sourceKind(file('', 'deck', 'application/pdf'))).toBe('pdf');
+    expect(sourceKind(file('', 'Competitors.CSV'))).toBe('csv');
+    expect(sourceKind(file('', 'data', 'text/csv'))).toBe('csv');
+    expect(sourceKind(file('', 'plan.md'))).toBe('text');
+    expect(sourceKind(file('', 'notes', 'text/plain'))).toBe('text');
+  });
+
+  it('rejects other files', () => {
+    expect(sourceKind(file('', 'photo.png', 'image/png'))).toBeNull();
+    expect(sourceKind(file('', 'model.xlsx'))).toBeNull();
+  });
+});
+
+describe('nextSourceId', () => {
+  it('numbers sources after the highest id in use', () => {
+    expect(nextSourceId([])).toBe('S1');
+    expect(nextSourceId([{ id: 'S1' }, { id: 'S3' }])).toBe('S4');
+  });
+});
+
+describe('readSource', () => {
+  it('reads a text file', async () => {
+    await expect(readSource(file('  Our plan is to launch in May.  ', 'plan.txt'), 'S1')).resolves.toEqual({
+      id: 'S1',
+      name: 'plan.txt',
+      kind: 'text',
+      text: 'Our plan is to launch in May.',
+      truncated: false
+    });
+  });
+
+  it('reads each CSV row as column: value pairs', async () => {
+    const source = await readSource(file('Name,Price\nTynker,$20\n"Code, Inc",\n', 'competitors.csv'), 'S2');
+
+    expect(source.text).toBe('Row 1: Name: Tynker; Price: $20\nRow 2: Name: Code, Inc; Price:');
+  });
+
+  it('names unnamed columns and counts rows left out', async () => {
+    const rows = Array.from({ length: 203 }, (_, index) => `x${index},${index}`);
+    const source = await readSource(file(`,Price\n${rows.join('\n')}`, 'data.csv'), 'S1');
+    const lines = source.text.split('\n');
+
+    expect(lines[0]).toBe('Row 1: Column 1: x0; Price: 0');
+    expect(lines).toHaveLength(201);
+    expect(lines[200]).toBe('(3 more rows not included)');
+  });
+
+  it('keeps the first MAX_SOURCE_CHARS characters of a long file', async () => {
+    const source = await readSource(file('a'.repeat(MAX_SOURCE_CHARS + 10), 'long.txt'), 'S1');
+
+    expect(source.text).toHaveLength(MAX_SOURCE_CHARS);
+    expect(source.truncated).toBe(true);
+  });
+
+  it('rejects unsupported, empty and oversized files', async () => {
+    await expect(readSource(file('x', 'photo.png', 'image/png'), 'S1')).rejects.toThrow(SourceError);
+    await expect(readSource(file('   \n', 'empty.txt'), 'S1')).rejects.toThrow('No text could be read from empty.txt');
+
+    await expect(readSource({ ...file('x', 'huge.txt'), size: MAX_SOURCE_SIZE + 1 }, 'S1')).rejects.toThrow('huge.txt is larger than 10 MB.');
+  });
+});
+
+describe('sourcesForPrompt', () => {
+  it('shares the total budget in attachment order and drops sources left without text', () => {
+    const rest = MAX_TOTAL_SOURCE_CHARS - 2 * MAX_SOURCE_CHARS;
+    const prompt = sourcesForPrompt([
+      { id: 'S1', text: 'a'.repeat(MAX_SOURCE_CHARS), truncated: false },
+      { id: 'S2', text: 'b'.repeat(MAX_SOURCE_CHARS), truncated: true },
+      { id: 'S3', text: 'c'.repeat(rest + 5), truncated: false },
+      { id: 'S4', text: 'd', truncated: false }
+    ]);
+
+    expect(prompt.map(source => [source.id, source.text.length, source.truncated])).toEqual([
+      ['S1', MAX_SOURCE_CHARS, false],
+      ['S2', MAX_SOURCE_CHARS, true],
+      ['S3', rest, true]
+    ]);
+  });
+});
+
+describe('citations', () => {
+  const sources = [
+    { id: 'S1', name: 'deck.pdf', kind: 'pdf', text: 'Slides' },
+    { id: 'S2', name: 'data.csv', kind: 'csv', text: 'Rows' }
+  ];
+
+  it('stores only what labels a citation', () => {
+    expect(sourceSummary(sources[0])).toEqual({ id: 'S1', name: 'deck.pdf', kind: 'pdf' });
+  });
+
+  it('lists the sources an item cites in its order, skipping unknown ids', () => {
+    expect(citedSources({ sources: ['S2', 'S9', 'S1'] }, sources).map(source => source.id)).toEqual(['S2', 'S1']);
+    expect(citedSources({ text: 'No citations' }, sources)).toEqual([]);
+    expect(citedSources(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+// JSON values in localStorage or sessionStorage. Storage can be disabled, full or
+// hold something another version wrote, and nothing the app keeps there is
+// essential: reads give null instead of throwing, and failed writes log a warning.
+
+const storageArea = (area) => window[area];
+
+// The stored value, or null when there is none or it cannot be read
+export const readStored = (key, area = 'localStorage') => {
+  try {
+    return JSON.parse(storageArea(area).getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+export const writeStored = (key, value, area = 'localStorage') => {
+  try {
+    storageArea(area).setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`${key} could not be stored:`, err);
+  }
+};
+
+export const removeStored = (key, area = 'localStorage') => {
+  try {
+    storageArea(area).removeItem(key);
+  } catch {
+    // Nothing stored to remove
+  }
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from 'vitest';
+import { readStored, removeStored, writeStored } from './storage';
+
+describe('storage', () => {
+  it('keeps JSON values in localStorage or sessionStorage', () => {
+    writeStored('insightcraft:test', { a: 1 });
+    writeStored('insightcraft:test', 'session', 'sessionStorage');
+
+    expect(readStored('insightcraft:test')).toEqual({ a: 1 });
+    expect(readStored('insightcraft:test', 'sessionStorage')).toBe('session');
+
+    removeStored('insightcraft:test', 'sessionStorage');
+    expect(readStored('insightcraft:test', 'sessionStorage')).toBeNull();
+    expect(readStored('insightcraft:test')).toEqual({ a: 1 });
+  });
+
+  it('reads a missing or unreadable value as null', () => {
+    expect(readStored('insightcraft:missing')).toBeNull();
+    localStorage.setItem('insightcraft:test', '{broken');
+    expect(readStored('insightcraft:test')).toBeNull();
+  });
+
+  it('warns instead of failing when storage is full or disabled', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    const removeItem = vi.spyOn(Storage.prototype, 'removeItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    expect(() => writeStored('insightcraft:test', 'value')).not.toThrow();
+    expect(warn).toHaveBeenCalledWith('insightcraft:test could not be stored:', expect.any(Error));
+    expect(() => removeStored('insightcraft:test')).not.toThrow();
+
+    setItem.mockRestore();
+    removeItem.mockRestore();
+    warn.mockRestore();
+  });
+});
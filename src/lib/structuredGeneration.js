@@ -0,0 +1,61 @@
+import { validateAgainstSchema, formatValidationErrors } from './responseSchema';
+import { buildRepairPrompt } from './promptBuilder';
+import { parsePartialJson } from './partialJson';
+
+export class ResponseValidationError extends Error {
+  constructor(errors) {
+    super(`The analysis came back with invalid fields: ${formatValidationErrors(errors)}`);
+    this.name = 'ResponseValidationError';
+    this.errors = errors;
+  }
+}
+
+// Models occasionally wrap JSON in a markdown code fence even in JSON mode
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+export const checkResponse = (text, schema) => {
+  let value;
+  try {
+    value = JSON.parse(stripCodeFence(text));
+  } catch (error) {
+    return { value: null, errors: [{ path: 'response', message: `is not valid JSON (${error.message})` }] };
+  }
+  return { value, errors: validateAgainstSchema(value, schema) };
+};
+
+// Read the response text, streaming it when `onPartial` is given so callers can
+// render the partially parsed document as it arrives
+const readResponse = async (model, prompt, { onPartial, signal }) => {
+  if (!onPartial || !model.generateContentStream) {
+    const result = await model.generateContent(prompt, { signal });
+    return result.response.text();
+  }
+
+  const { stream } = await model.generateContentStream(prompt, { signal });
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk.text();
+    // The preview is best effort; the full text is still checked once the stream ends
+    try {
+      const partial = parsePartialJson(stripCodeFence(text));
+      if (partial) onPartial(partial);
+    } catch (err) {
+      console.warn("Partial response could not be previewed:", err);
+    }
+  }
+  return text;
+};
+
+// Generate JSON for `prompt` with a model configured for JSON output and
+// validate it against `schema`, making one repair call if validation fails.
+export const generateStructured = async (model, prompt, schema, { onPartial, signal } = {}) => {
+  const text = await readResponse(model, prompt, { onPartial, signal });
+  const first = checkResponse(text, schema);
+  if (first.errors.length === 0) return first.value;
+
+  console.warn("Response failed validation, requesting repair:", first.errors);
+  const repaired = await model.generateContent(buildRepairPrompt({ prompt, response: text, errors: first.errors }), { signal });
+  const second = checkResponse(repaired.response.text(), schema);
+  if (second.errors.length > 0) throw new ResponseValidationError(second.errors);
+  return second.value;
+};
@@ -0,0 +1,77 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ResponseValidationError, checkResponse, generateStructured } from './structuredGeneration';
+import { object, text } from './responseSchema';
+
+const schema = object({ summary: text('Summary') });
+
+const respond = (...texts) => {
+  const generateContent = vi.fn();
+  texts.forEach(value => generateContent.mockResolvedValueOnce({ response: { text: () => value } }));
+  return { generateContent };
+};
+
+const streaming = (chunks, repair) => ({
+  generateContentStream: async () => ({
+    stream: (async function* stream() {
+      for (const chunk of chunks) yield { text: () => chunk };
+    })()
+  }),
+  generateContent: vi.fn().mockResolvedValue({ response: { text: () => repair } })
+});
+
+describe('checkResponse', () => {
+  it('strips a markdown code fence', () => {
+    expect(checkResponse('```json\n{"summary": "ok"}\n```', schema)).toEqual({ value: { summary: 'ok' }, errors: [] });
+  });
+
+  it('reports text that is not JSON', () => {
+    expect(checkResponse('Sure! Here you go', schema).errors[0].message).toMatch(/^is not valid JSON/);
+  });
+});
+
+describe('generateStructured', () => {
+  it('returns valid JSON from a single call', async () => {
+    const model = respond('{"summary": "ok"}');
+    await expect(generateStructured(model, 'prompt', schema)).resolves.toEqual({ summary: 'ok' });
+    expect(model.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('makes one repair call when the response is invalid', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const model = respond('{"summary": 3}', '{"summary": "fixed"}');
+    await expect(generateStructured(model, 'prompt', schema)).resolves.toEqual({ summary: 'fixed' });
+    expect(model.generateContent.mock.calls[1][0]).toContain('- summary should be a string (got number)');
+  });
+
+  it('gives up when the repair is invalid too', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const model = respond('{}', '{}');
+    await expect(generateStructured(model, 'prompt', schema)).rejects.toBeInstanceOf(ResponseValidationError);
+  });
+
+  it('streams partial documents to onPartial', async () => {
+    const model = streaming(['{"summ', 'ary": "o', 'k"}']);
+    const onPartial = vi.fn();
+    await expect(generateStructured(model, 'prompt', schema, { onPartial })).resolves.toEqual({ summary: 'ok' });
+    expect(onPartial).toHaveBeenLastCalledWith({ summary: 'ok' });
+  });
+
+  it('previews a stream that starts with text before the JSON and repairs the final response', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const model = streaming(['JSON: {"summ', 'ary": "ok"}'], '{"summary": "ok"}');
+    const onPartial = vi.fn();
+    await expect(generateStructured(model, 'prompt', schema, { onPartial })).resolves.toEqual({ summary: 'ok' });
+    expect(onPartial).toHaveBeenLastCalledWith({ summary: 'ok' });
+    expect(model.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('finishes the generation when a preview fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const model = streaming(['{"summary": ', '"ok"}']);
+    const onPartial = vi.fn(() => {
+      throw new Error('render failed');
+    });
+    await expect(generateStructured(model, 'prompt', schema, { onPartial })).resolves.toEqual({ summary: 'ok' });
+    expect(warn).toHaveBeenCalledWith('Partial response could not be previewed:', expect.any(Error));
+  });
+});
@@ -1,9 +1,13 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import ReportView from './components/ReportView.jsx';
+
+// Public report links open the read-only report view instead of the app
+const reportId = new URLSearchParams(window.location.search).get('report');
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {reportId ? <ReportView reportId={reportId} /> : <App />}
   </React.StrictMode>
-);
\ No newline at end of file
+);
@@ -0,0 +1,87 @@
+// Client for the `generate` Cloud Function that proxies Gemini.
+// createProxyModel returns an object with the same generateContent and
+// generateContentStream shape as the Gemini SDK so it can be passed to generateStructured.
+
+const PROJECT_ID = import.meta.env.VITE_FIREBASE_PROJECT_ID;
+const REGION = 'asia-south1';
+
+export const USE_EMULATORS = import.meta.env.VITE_USE_EMULATORS === 'true';
+
+const GENERATE_URL = import.meta.env.VITE_GENERATE_URL || (USE_EMULATORS
+  ? `http://127.0.0.1:5001/${PROJECT_ID}/${REGION}/generate`
+  : `https://${REGION}-${PROJECT_ID}.cloudfunctions.net/generate`);
+
+export class QuotaExceededError extends Error {
+  constructor(message, { code, retryAfter } = {}) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const postGenerate = async (user, body, signal) => {
+  if (!user) throw new Error('Please log in with Google to generate insights.');
+
+  const idToken = await user.getIdToken();
+  const response = await fetch(GENERATE_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${idToken}`
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      throw new QuotaExceededError(
+        error?.message || 'You have reached your generation limit. Please try again later.',
+        error
+      );
+    }
+    throw new Error(error?.message || `Generation failed (HTTP ${response.status}).`);
+  }
+  return response;
+};
+
+// The streaming endpoint sends one JSON object per line: { text } chunks,
+// then { done, usage } or { error } if Gemini fails midway
+async function* readChunks(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines.filter(entry => entry.trim())) {
+      const message = JSON.parse(line);
+      if (message.error) throw new Error(message.error.message);
+      if (typeof message.text === 'string') yield { text: () => message.text };
+    }
+    if (done) return;
+  }
+}
+
+export const createProxyModel = ({ user, responseSchema, model = 'gemini-2.0-flash', temperature }) => ({
+  generateContent: async (prompt, { signal } = {}) => {
+    const response = await postGenerate(user, { prompt, responseSchema, model, temperature }, signal);
+    const body = await response.json();
+    return {
+      response: {
+        text: () => body.text,
+        usageMetadata: body.usage
+      }
+    };
+  },
+  generateContentStream: async (prompt, { signal } = {}) => {
+    const response = await postGenerate(user, { prompt, responseSchema, model, temperature, stream: true }, signal);
+    return { stream: readChunks(response) };
+  }
+});
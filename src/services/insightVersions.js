@@ -0,0 +1,135 @@
+import { collection, doc, getDoc, getDocs, orderBy, query, writeBatch } from 'firebase/firestore';
+import { getInsightType, restoreInsight } from '../lib/insightTypes';
+import { buildSearchTerms } from '../lib/savedSearch';
+
+// Saved insights keep their full history. Every save writes an immutable
+// `versions/v{n}` document and replaces the insight document with that latest
+// version, so the saved list only ever reads the parent documents. Tags, folder,
+// pin state, the follow-up chat and the action plan are kept on the insight
+// document only and are not versioned.
+
+// Where insights are stored: a user's own collection or a shared workspace's.
+// `libraryPath` is the document that keeps the tag and folder names.
+export const userScope = (uid) => ({
+  insightsPath: `users/${uid}/insights`,
+  libraryPath: `users/${uid}`
+});
+
+export const workspaceScope = (workspaceId) => ({
+  workspaceId,
+  insightsPath: `workspaces/${workspaceId}/insights`,
+  libraryPath: `workspaces/${workspaceId}`
+});
+
+const versionId = (version) => `v${version}`;
+
+// The version a save was about to write already exists: the insight was saved
+// again in another tab or by another workspace member since it was opened
+export class VersionConflictError extends Error {
+  constructor(version) {
+    super(`Version ${version} of this insight has already been saved.`);
+    this.name = 'VersionConflictError';
+    this.code = 'version-conflict';
+    this.version = version;
+  }
+}
+
+// The fields of an in-memory insight that are stored in Firestore
+export const buildInsightRecord = (insight, timestamp = new Date()) => {
+  const { dataKey } = getInsightType(insight.insightType);
+  return {
+    insightType: insight.insightType,
+    input: insight.input,
+    mode: insight.mode,
+    modeInputs: insight.modeInputs,
+    summary: insight.summary,
+    [dataKey]: insight[dataKey],
+    extras: insight.extras,
+    recommendations: insight.recommendations,
+    chartData: insight.chartData,
+    ...(insight.sources?.length > 0 && { sources: insight.sources }),
+    // Provider and model that generated the analysis
+    ...(insight.generatedBy && { generatedBy: insight.generatedBy }),
+    // The insight this what-if scenario was generated from (see lib/scenarios.js)
+    ...(insight.scenario && { scenario: insight.scenario }),
+    ...(insight.restoredFrom && { restoredFrom: insight.restoredFrom }),
+    // Who saved the version, shown to the other members of a workspace
+    ...(insight.savedBy && { savedBy: insight.savedBy }),
+    timestamp
+  };
+};
+
+// Save `insight` as the next version of `insight.id`, or as a new insight when it has no id yet.
+// The write is in the local cache once this resolves; `committed` settles when the
+// server has accepted it, which offline is only after the connection returns.
+export const saveInsightVersion = async (db, scope, insight) => {
+  const insightRef = insight.id
+    ? doc(db, scope.insightsPath, insight.id)
+    : doc(collection(db, scope.insightsPath));
+  const batch = writeBatch(db);
+  let version = (insight.version || 0) + 1;
+
+  // Insights saved before versioning have no history; keep the stored copy as version 1
+  if (insight.id && !insight.version) {
+    const snapshot = await getDoc(insightRef);
+    if (snapshot.exists()) {
+      const stored = snapshot.data();
+      batch.set(doc(insightRef, 'versions', versionId(1)), {
+        ...buildInsightRecord(restoreInsight(stored), stored.timestamp),
+        version: 1
+      });
+      version = 2;
+    }
+  }
+
+  const record = { ...buildInsightRecord(insight), version };
+  const organisation = {
+    tags: insight.tags || [],
+    pinned: Boolean(insight.pinned),
+    ...(insight.folder && { folder: insight.folder }),
+    ...(insight.chat?.length > 0 && { chat: insight.chat }),
+    ...(insight.actionPlan?.length > 0 && { actionPlan: insight.actionPlan })
+  };
+  const versionRef = doc(insightRef, 'versions', versionId(version));
+  batch.set(versionRef, record);
+  batch.set(insightRef, {
+    ...record,
+    ...organisation,
+    searchTerms: buildSearchTerms({ ...record, tags: organisation.tags })
+  });
+  // Versions are immutable, so the rules deny the batch when v{n} is already stored;
+  // that is told apart from a document the rules rejected as invalid
+  const committed = batch.commit().catch(async (err) => {
+    if (err.code === 'permission-denied' && insight.id) {
+      const existing = await getDoc(versionRef).catch(() => null);
+      if (existing?.exists()) throw new VersionConflictError(version);
+    }
+    throw err;
+  });
+
+  return { id: insightRef.id, version, record: { ...record, ...organisation }, committed };
+};
+
+export const listVersions = async (db, scope, insightId) => {
+  const snapshot = await getDocs(query(
+    collection(db, scope.insightsPath, insightId, 'versions'),
+    orderBy('version', 'desc')
+  ));
+  return snapshot.docs.map(version => ({
+    id: version.id,
+    ...version.data(),
+    timestamp: version.data().timestamp.toDate()
+  }));
+};
+
+// Delete an insight together with its version history. Like saving, this resolves
+// once the deletion is in the local cache and returns the server's acknowledgement.
+// Offline, only the versions this device has cached can be found and deleted.
+export const deleteInsightWithVersions = async (db, scope, insightId) => {
+  const insightRef = doc(db, scope.insightsPath, insightId);
+  const versions = await getDocs(collection(insightRef, 'versions'));
+  const batch = writeBatch(db);
+  versions.docs.forEach(version => batch.delete(version.ref));
+  batch.delete(insightRef);
+  return { committed: batch.commit() };
+};
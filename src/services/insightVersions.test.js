@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getDoc, writeBatch } from 'firebase/firestore';
+import { VersionConflictError, saveInsightVersion, userScope } from './insightVersions';
+import { sampleInsight } from '../test/fixtures';
+
+// Firestore is replaced by paths and a batch whose commit the tests decide
+
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn((_, ...segments) => ({ path: segments.join('/') })),
+  doc: vi.fn((parent, ...segments) => {
+    const path = [parent.path, ...segments].filter(Boolean).join('/');
+    return { path, id: path.split('/').pop() || 'generated-id' };
+  }),
+  getDoc: vi.fn(),
+  getDocs: vi.fn(),
+  orderBy: vi.fn(),
+  query: vi.fn(),
+  writeBatch: vi.fn()
+}));
+
+const denied = () => Object.assign(new Error('denied'), { code: 'permission-denied' });
+
+let batch;
+
+beforeEach(() => {
+  batch = { set: vi.fn(), commit: vi.fn(async () => {}) };
+  writeBatch.mockReturnValue(batch);
+  getDoc.mockReset();
+});
+
+describe('saveInsightVersion', () => {
+  it('writes the next version and the insight document together', async () => {
+    const saved = await saveInsightVersion({}, userScope('alice'), { ...sampleInsight('SWOT Analysis'), id: 'i1', version: 2 });
+    await saved.committed;
+
+    expect(saved.version).toBe(3);
+    expect(batch.set.mock.calls.map(([ref]) => ref.path)).toEqual(['users/alice/insights/i1/versions/v3', 'users/alice/insights/i1']);
+  });
+
+  it('reports a version that was saved elsewhere first as a conflict', async () => {
+    batch.commit.mockRejectedValue(denied());
+    getDoc.mockResolvedValue({ exists: () => true });
+    const saved = await saveInsightVersion({}, userScope('alice'), { ...sampleInsight('SWOT Analysis'), id: 'i1', version: 2 });
+
+    const error = await saved.committed.catch(err => err);
+    expect(error).toBeInstanceOf(VersionConflictError);
+    expect(error.version).toBe(3);
+    expect(getDoc.mock.calls[0][0].path).toBe('users/alice/insights/i1/versions/v3');
+  });
+
+  it('passes on a rejection of a document the rules found invalid', async () => {
+    batch.commit.mockRejectedValue(denied());
+    getDoc.mockResolvedValue({ exists: () => false });
+    const saved = await saveInsightVersion({}, userScope('alice'), { ...sampleInsight('SWOT Analysis'), id: 'i1', version: 2 });
+
+    await expect(saved.committed).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  it('does not look for a conflict when saving a new insight', async () => {
+    batch.commit.mockRejectedValue(denied());
+    const saved = await saveInsightVersion({}, userScope('alice'), sampleInsight('SWOT Analysis'));
+
+    await expect(saved.committed).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(getDoc).not.toHaveBeenCalled();
+  });
+});
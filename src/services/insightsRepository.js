@@ -0,0 +1,30 @@
+import { userScope, workspaceScope, saveInsightVersion, listVersions, deleteInsightWithVersions } from './insightVersions';
+import { fetchSavedPage, fetchPinned, fetchLibrary, fetchAllSaved, fetchScenarioTree, updateOrganisation, updateChat, updateActionPlan } from './savedInsights';
+import { subscribeComments, addComment, deleteComment } from './workspaces';
+
+// Saved insights of one library, a user's own or a workspace's, with the scope
+// bound so the dashboard does not pass `db` and paths around. The functions are
+// thin wrappers over insightVersions.js, savedInsights.js and workspaces.js.
+export const createInsightsRepository = (db, scope) => ({
+  scope,
+  save: (insight) => saveInsightVersion(db, scope, insight),
+  remove: (insightId) => deleteInsightWithVersions(db, scope, insightId),
+  listVersions: (insightId) => listVersions(db, scope, insightId),
+  fetchPage: (filters, cursor, options) => fetchSavedPage(db, scope, filters, cursor, options),
+  fetchPinned: (options) => fetchPinned(db, scope, options),
+  fetchLibrary: (options) => fetchLibrary(db, scope, options),
+  fetchAll: () => fetchAllSaved(db, scope),
+  fetchScenarioTree: (rootId) => fetchScenarioTree(db, scope, rootId),
+  organise: (insight, changes) => updateOrganisation(db, scope, insight, changes),
+  updateChat: (insightId, chat) => updateChat(db, scope, insightId, chat),
+  updateActionPlan: (insightId, actionPlan) => updateActionPlan(db, scope, insightId, actionPlan),
+  subscribeComments: (insightId, onChange, onError) => subscribeComments(db, scope, insightId, onChange, onError),
+  addComment: (insightId, user, text) => addComment(db, scope, insightId, user, text),
+  deleteComment: (insightId, commentId) => deleteComment(db, scope, insightId, commentId)
+});
+
+// The repository for a workspace's insights, or the user's own when `workspaceId` is null
+export const repositoryFor = (db, user, workspaceId) => createInsightsRepository(
+  db,
+  workspaceId ? workspaceScope(workspaceId) : userScope(user.uid)
+);
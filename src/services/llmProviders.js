@@ -0,0 +1,38 @@
+import { PROVIDERS, settingsProblem } from '../lib/llmSettings';
+import { QuotaExceededError, createProxyModel } from './generationClient';
+import { createOpenAICompatibleModel } from './openAICompatibleClient';
+import { createMockModel } from './mockProvider';
+
+// A provider turns the model settings into a model object with the Gemini SDK's
+// shape: generateContent(prompt, { signal }) resolving to { response: { text() } },
+// and optionally generateContentStream(prompt, { signal }) resolving to
+// { stream } of { text() } chunks. generateStructured works with any of them.
+
+export class ProviderSettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderSettingsError';
+  }
+}
+
+const FACTORIES = {
+  gemini: ({ user, responseSchema, model, temperature }) => createProxyModel({ user, responseSchema, model, temperature }),
+  openai: ({ responseSchema, model, temperature, baseUrl, apiKey }) => createOpenAICompatibleModel({
+    responseSchema, model, temperature, baseUrl, apiKey
+  }),
+  mock: ({ responseSchema }) => createMockModel({ responseSchema })
+};
+
+export const requiresSignIn = (settings) => PROVIDERS[settings.provider].requiresSignIn;
+
+// Errors worth showing as they are; anything else gets `fallback`
+export const generationErrorMessage = (err, fallback) => (
+  err instanceof QuotaExceededError || err instanceof ProviderSettingsError ? err.message : fallback
+);
+
+// A model for one request, answering with JSON that matches `responseSchema`
+export const createModel = (settings, { user, responseSchema }) => {
+  const problem = settingsProblem(settings);
+  if (problem) throw new ProviderSettingsError(problem);
+  return FACTORIES[settings.provider]({ ...settings, user, responseSchema });
+};
@@ -0,0 +1,91 @@
+import { SchemaType } from '@google/generative-ai';
+import fixtures from './fixtures/mockResponses.json';
+
+// Stand-in model that needs no network or account. It answers every prompt
+// with the recorded response in fixtures/mockResponses.json whose `match` field
+// is a property of the response schema, fitted to that schema: fields the
+// schema does not have are dropped and missing required ones are filled from
+// their description. The same schema always gets the same response.
+
+// Milliseconds between streamed chunks, so the streaming UI can be seen working
+const CHUNK_DELAY = 20;
+const CHUNK_SIZE = 80;
+
+const sample = (schema) => {
+  switch (schema.type) {
+    case SchemaType.STRING:
+      return schema.enum ? schema.enum[0] : `${schema.description || 'Value'} (mock)`;
+    case SchemaType.NUMBER:
+      return 50;
+    case SchemaType.INTEGER:
+      return 0;
+    case SchemaType.BOOLEAN:
+      return false;
+    case SchemaType.ARRAY:
+      return Array.from({ length: schema.minItems || 0 }, () => sample(schema.items));
+    case SchemaType.OBJECT:
+      return Object.fromEntries((schema.required || []).map(key => [key, sample(schema.properties[key])]));
+    default:
+      return null;
+  }
+};
+
+// `value` reshaped to satisfy `schema`, keeping as much of it as fits
+export const fitToSchema = (value, schema) => {
+  switch (schema.type) {
+    case SchemaType.STRING:
+      return typeof value === 'string' && (!schema.enum || schema.enum.includes(value)) ? value : sample(schema);
+    case SchemaType.NUMBER:
+      return typeof value === 'number' ? value : sample(schema);
+    case SchemaType.INTEGER:
+      return Number.isInteger(value) ? value : sample(schema);
+    case SchemaType.BOOLEAN:
+      return typeof value === 'boolean' ? value : sample(schema);
+    case SchemaType.ARRAY: {
+      const entries = (Array.isArray(value) ? value : [])
+        .slice(0, schema.maxItems)
+        .map(entry => fitToSchema(entry, schema.items));
+      return [...entries, ...sample({ ...schema, minItems: Math.max(0, (schema.minItems || 0) - entries.length) })];
+    }
+    case SchemaType.OBJECT: {
+      const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      return Object.fromEntries(Object.entries(schema.properties)
+        .filter(([key]) => source[key] !== undefined || schema.required?.includes(key))
+        .map(([key, property]) => [key, fitToSchema(source[key], property)]));
+    }
+    default:
+      return value;
+  }
+};
+
+export const mockResponse = (responseSchema) => {
+  const fixture = fixtures.find(entry => responseSchema?.properties?.[entry.match]);
+  return responseSchema ? fitToSchema(fixture?.response, responseSchema) : { text: fixtures[0].response.summary };
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Generation cancelled.', 'AbortError'));
+    return;
+  }
+  setTimeout(resolve, ms);
+});
+
+async function* streamText(text, signal) {
+  for (let start = 0; start < text.length; start += CHUNK_SIZE) {
+    await wait(CHUNK_DELAY, signal);
+    const chunk = text.slice(start, start + CHUNK_SIZE);
+    yield { text: () => chunk };
+  }
+}
+
+export const createMockModel = ({ responseSchema }) => ({
+  generateContent: async (prompt, { signal } = {}) => {
+    await wait(0, signal);
+    const text = JSON.stringify(mockResponse(responseSchema));
+    return { response: { text: () => text } };
+  },
+  generateContentStream: async (prompt, { signal } = {}) => ({
+    stream: streamText(JSON.stringify(mockResponse(responseSchema), null, 2), signal)
+  })
+});
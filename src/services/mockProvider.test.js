@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createMockModel, fitToSchema, mockResponse } from './mockProvider';
+import { INSIGHT_TYPES, buildResponseSchema } from '../lib/insightTypes';
+import { MODES } from '../lib/modes';
+import { buildChatSchema } from '../lib/followUpChat';
+import { validateAgainstSchema, item, level, list, object, text } from '../lib/responseSchema';
+import { generateStructured } from '../lib/structuredGeneration';
+import { sampleInsight } from '../test/fixtures';
+
+describe('mockResponse', () => {
+  const schemas = Object.keys(INSIGHT_TYPES).flatMap(type => Object.keys(MODES).flatMap(mode => [
+    [`${type} / ${mode}`, buildResponseSchema(type, mode)],
+    [`${type} / ${mode} with sources`, buildResponseSchema(type, mode, ['S1'])]
+  ]));
+
+  it.each(schemas)('matches the %s schema', (_, schema) => {
+    expect(validateAgainstSchema(mockResponse(schema), schema)).toEqual([]);
+  });
+
+  it('matches the follow-up chat schema', () => {
+    const schema = buildChatSchema(sampleInsight());
+    expect(validateAgainstSchema(mockResponse(schema), schema)).toEqual([]);
+  });
+});
+
+describe('fitToSchema', () => {
+  it('drops unknown fields and fills required ones', () => {
+    const schema = object({ title: text('Title'), items: list(item({ text: text('Item'), impact: level('Impact') }), 'Items', 2) });
+    expect(fitToSchema({ extra: true, items: [{ text: 'a', impact: 'Huge' }] }, schema)).toEqual({
+      title: 'Title (mock)',
+      items: [{ text: 'a', impact: 'High' }, { text: 'Item (mock)' }]
+    });
+  });
+});
+
+describe('createMockModel', () => {
+  it('streams a response that passes validation', async () => {
+    const schema = buildResponseSchema('SWOT Analysis', 'Startup');
+    const partials = [];
+    const json = await generateStructured(createMockModel({ responseSchema: schema }), 'prompt', schema, {
+      onPartial: (partial) => partials.push(partial)
+    });
+    expect(json).toEqual(mockResponse(schema));
+    expect(partials.length).toBeGreaterThan(1);
+  });
+
+  it('stops when the request is aborted', async () => {
+    const schema = buildResponseSchema('SWOT Analysis', 'Startup');
+    const controller = new AbortController();
+    controller.abort();
+    await expect(generateStructured(createMockModel({ responseSchema: schema }), 'prompt', schema, {
+      signal: controller.signal,
+      onPartial: () => {}
+    })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,84 @@
+import { toJsonSchema } from '../lib/responseSchema';
+
+// Client for any server that implements the OpenAI chat completions API, such as
+// OpenAI itself, Ollama, LM Studio or llama.cpp. Like createProxyModel it returns
+// an object with the Gemini SDK's generateContent and generateContentStream shape.
+// Requests go straight from the browser, so the server must allow CORS.
+
+const postCompletion = async ({ baseUrl, apiKey, model, temperature, responseSchema }, prompt, { stream, signal }) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        stream,
+        messages: [{ role: 'user', content: prompt }],
+        ...(responseSchema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: toJsonSchema(responseSchema) }
+          }
+        })
+      }),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Could not reach the model server at ${baseUrl}. Check that it is running and allows requests from this site.`);
+  }
+
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error?.message || `The model server returned HTTP ${response.status}.`);
+  }
+  return response;
+};
+
+// Streamed completions are server-sent events: `data: {...}` lines with text
+// in choices[0].delta.content, ending with `data: [DONE]`
+async function* readEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      const data = line.match(/^data:\s*(.*)$/)?.[1].trim();
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      const message = JSON.parse(data);
+      if (message.error) throw new Error(message.error.message);
+      const content = message.choices?.[0]?.delta?.content;
+      if (content) yield { text: () => content };
+    }
+    if (done) return;
+  }
+}
+
+export const createOpenAICompatibleModel = (options) => ({
+  generateContent: async (prompt, { signal } = {}) => {
+    const response = await postCompletion(options, prompt, { stream: false, signal });
+    const body = await response.json();
+    return {
+      response: {
+        text: () => body.choices?.[0]?.message?.content || '',
+        usageMetadata: body.usage
+      }
+    };
+  },
+  generateContentStream: async (prompt, { signal } = {}) => {
+    const response = await postCompletion(options, prompt, { stream: true, signal });
+    return { stream: readEvents(response) };
+  }
+});
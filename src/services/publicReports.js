@@ -0,0 +1,77 @@
+import {
+  Timestamp,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+import { buildInsightRecord } from './insightVersions';
+
+// Public read-only links. Publishing copies the insight into `publicReports`
+// under a random id; the link is `?report=<id>` and stops working once it
+// expires or is revoked. Later edits to the insight do not change the copy.
+
+export const LINK_EXPIRY_DAYS = [1, 7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const reportUrl = (reportId) => `${window.location.origin}${window.location.pathname}?report=${reportId}`;
+
+// Who saved the insight in a workspace and where it sits in its version history
+const PRIVATE_FIELDS = ['savedBy', 'restoredFrom'];
+
+// The stored insight without its private fields: anyone with the link can read
+// the copy, signed in or not
+export const publicRecord = (insight) => Object.fromEntries(
+  Object.entries(buildInsightRecord(insight)).filter(([key]) => !PRIVATE_FIELDS.includes(key))
+);
+
+export const publishReport = async (db, user, insight, days) => {
+  const ref = doc(collection(db, 'publicReports'));
+  await setDoc(ref, {
+    ...publicRecord(insight),
+    ownerId: user.uid,
+    sourceId: insight.id,
+    expiresAt: Timestamp.fromMillis(Date.now() + days * DAY_MS),
+    revoked: false,
+    createdAt: serverTimestamp()
+  });
+  return ref.id;
+};
+
+export const listReportLinks = async (db, user, insightId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'publicReports'),
+    where('ownerId', '==', user.uid),
+    where('sourceId', '==', insightId)
+  ));
+  return snapshot.docs
+    .map(entry => ({
+      id: entry.id,
+      revoked: entry.data().revoked,
+      expiresAt: entry.data().expiresAt.toDate(),
+      createdAt: entry.data().createdAt?.toDate() || new Date()
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const revokeReport = (db, reportId) => updateDoc(doc(db, 'publicReports', reportId), { revoked: true });
+
+// The published snapshot, or null when the link is unknown, expired or revoked
+export const fetchPublicReport = async (db, reportId) => {
+  try {
+    const snapshot = await getDoc(doc(db, 'publicReports', reportId));
+    if (!snapshot.exists()) return null;
+    const data = snapshot.data();
+    if (data.revoked || data.expiresAt.toMillis() < Date.now()) return null;
+    return { ...data, timestamp: data.timestamp.toDate() };
+  } catch (error) {
+    // The rules deny reads of expired and revoked links
+    if (error.code === 'permission-denied') return null;
+    throw error;
+  }
+};
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { publicRecord } from './publicReports';
+import { sampleInsight } from '../test/fixtures';
+
+describe('publicRecord', () => {
+  it('leaves out who saved the insight and its version history', () => {
+    const record = publicRecord({
+      ...sampleInsight('SWOT Analysis'),
+      id: 'i1',
+      workspaceId: 'w1',
+      savedBy: 'Ada Lovelace',
+      restoredFrom: 2,
+      tags: ['pricing']
+    });
+
+    expect(record).not.toHaveProperty('savedBy');
+    expect(record).not.toHaveProperty('restoredFrom');
+    expect(record).not.toHaveProperty('workspaceId');
+    expect(record).not.toHaveProperty('tags');
+    expect(record).toMatchObject({ insightType: 'SWOT Analysis', input: 'An after-school coding club for kids aged 8 to 12' });
+    expect(record.swot.Strengths.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,131 @@
+import {
+  arrayUnion,
+  collection,
+  deleteField,
+  doc,
+  getDoc,
+  getDocFromCache,
+  getDocs,
+  getDocsFromCache,
+  limit,
+  orderBy,
+  query,
+  setDoc,
+  startAfter,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+import { buildSearchTerms, matchesSearch, primarySearchTerm, tagTerm } from '../lib/savedSearch';
+
+// Paged, filtered reads of the saved insights list and the tag/folder metadata.
+// firestore.indexes.json has a composite index for every combination of the type,
+// mode, folder and pinned filters and the searchTerms lookup, each ordered by
+// timestamp. The date range is on timestamp itself and needs no index of its own.
+// With `{ fromCache: true }` the reads answer from this device's offline cache only,
+// so the list can be shown before the server responds.
+
+export const PAGE_SIZE = 10;
+const PINNED_LIMIT = 20;
+
+const toSaved = (snapshot) => ({
+  id: snapshot.id,
+  ...snapshot.data(),
+  timestamp: snapshot.data().timestamp.toDate()
+});
+
+// Only one array-contains is allowed per query: a tag filter takes it and the
+// search words are then all matched in the browser
+const filterConstraints = (filters) => {
+  const term = filters.tag ? tagTerm(filters.tag) : primarySearchTerm(filters.search);
+  return [
+    ...(filters.insightType ? [where('insightType', '==', filters.insightType)] : []),
+    ...(filters.mode ? [where('mode', '==', filters.mode)] : []),
+    ...(filters.folder ? [where('folder', '==', filters.folder)] : []),
+    ...(filters.pinnedOnly ? [where('pinned', '==', true)] : []),
+    ...(term ? [where('searchTerms', 'array-contains', term)] : []),
+    ...(filters.from ? [where('timestamp', '>=', filters.from)] : []),
+    ...(filters.to ? [where('timestamp', '<=', filters.to)] : [])
+  ];
+};
+
+// One page ordered newest first; pass the returned cursor to get the next page.
+// A page can hold fewer than PAGE_SIZE matches when search words are filtered out locally.
+const readDocs = (q, { fromCache = false } = {}) => (fromCache ? getDocsFromCache(q) : getDocs(q));
+
+export const fetchSavedPage = async (db, scope, filters = {}, cursor = null, options) => {
+  const snapshot = await readDocs(query(
+    collection(db, scope.insightsPath),
+    ...filterConstraints(filters),
+    orderBy('timestamp', 'desc'),
+    ...(cursor ? [startAfter(cursor)] : []),
+    limit(PAGE_SIZE)
+  ), options);
+  return {
+    items: snapshot.docs
+      .map(toSaved)
+      .filter(insight => !filters.search || matchesSearch(insight, filters.search)),
+    cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+    hasMore: snapshot.docs.length === PAGE_SIZE
+  };
+};
+
+export const fetchPinned = async (db, scope, options) => {
+  const snapshot = await readDocs(query(
+    collection(db, scope.insightsPath),
+    where('pinned', '==', true),
+    orderBy('timestamp', 'desc'),
+    limit(PINNED_LIMIT)
+  ), options);
+  return snapshot.docs.map(toSaved);
+};
+
+// Every insight in a scope, newest first, for the bulk export
+export const fetchAllSaved = async (db, scope) => {
+  const snapshot = await getDocs(query(collection(db, scope.insightsPath), orderBy('timestamp', 'desc')));
+  return snapshot.docs.map(toSaved);
+};
+
+// A saved insight and every what-if scenario generated from it, in no particular order.
+// The root is missing when it has been deleted.
+export const fetchScenarioTree = async (db, scope, rootId) => {
+  const [root, scenarios] = await Promise.all([
+    getDoc(doc(db, scope.insightsPath, rootId)),
+    getDocs(query(collection(db, scope.insightsPath), where('scenario.rootId', '==', rootId)))
+  ]);
+  return [...(root.exists() ? [toSaved(root)] : []), ...scenarios.docs.map(toSaved)];
+};
+
+// Tags and folders created in a scope, kept on its library document for the filter menus
+export const fetchLibrary = async (db, scope, { fromCache = false } = {}) => {
+  const ref = doc(db, scope.libraryPath);
+  const snapshot = await (fromCache ? getDocFromCache(ref) : getDoc(ref));
+  const { tags = [], folders = [] } = snapshot.exists() ? snapshot.data() : {};
+  return { tags: [...tags].sort(), folders: [...folders].sort() };
+};
+
+// Update the tags, folder or pin state of a saved insight
+export const updateOrganisation = async (db, scope, insight, changes) => {
+  const next = { ...insight, ...changes };
+  const update = {
+    ...changes,
+    ...('folder' in changes && !changes.folder && { folder: deleteField() }),
+    // Tags are searchable, and insights saved before search existed get their terms here
+    ...('tags' in changes && { searchTerms: buildSearchTerms(next) })
+  };
+  await updateDoc(doc(db, scope.insightsPath, insight.id), update);
+
+  if (changes.tags?.length > 0 || changes.folder) {
+    await setDoc(doc(db, scope.libraryPath), {
+      ...(changes.tags?.length > 0 && { tags: arrayUnion(...changes.tags) }),
+      ...(changes.folder && { folders: arrayUnion(changes.folder) })
+    }, { merge: true });
+  }
+
+  return { ...next, ...(update.searchTerms && { searchTerms: update.searchTerms }) };
+};
+
+// Replace the follow-up chat of a saved insight; like tags it is not versioned
+export const updateChat = (db, scope, insightId, chat) => updateDoc(doc(db, scope.insightsPath, insightId), { chat });
+
+// Replace the action plan of a saved insight; status changes are not versions either
+export const updateActionPlan = (db, scope, insightId, actionPlan) => updateDoc(doc(db, scope.insightsPath, insightId), { actionPlan });
@@ -0,0 +1,46 @@
+import { waitForPendingWrites } from 'firebase/firestore';
+
+// Firestore applies a write to its local cache straight away, but the write's
+// promise settles only when the server has accepted or rejected it, which can be
+// long after the user went offline. Writes are tracked here so the app can show
+// how many changes are still waiting to sync and whether one failed.
+
+let pending = 0;
+let failure = null;
+const listeners = new Set();
+
+const snapshot = () => ({ pending, failure });
+
+const notify = () => listeners.forEach(listener => listener(snapshot()));
+
+// Track `committed` (a Firestore write promise) under a short description such as "saved insight"
+export const trackWrite = (label, committed) => {
+  pending += 1;
+  notify();
+  committed
+    .catch(err => {
+      console.error("Sync Error:", err);
+      failure = { label, code: err.code || null };
+      notify();
+    })
+    .finally(() => {
+      pending -= 1;
+      notify();
+    });
+  return committed;
+};
+
+// Writes queued in an earlier session are sent from the persistent cache after a
+// reload; this counts them as one pending change until they are all acknowledged
+export const trackEarlierWrites = (db) => trackWrite('earlier changes', waitForPendingWrites(db));
+
+export const clearSyncFailure = () => {
+  failure = null;
+  notify();
+};
+
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  listener(snapshot());
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,134 @@
+import {
+  FieldPath,
+  addDoc,
+  arrayRemove,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDocs,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+
+// Shared workspaces. A workspace document maps member uids to a role (owner,
+// editor or viewer) and invited emails to the role they will join with; the
+// Firestore rules enforce what each role may do.
+
+export const ROLES = ['owner', 'editor', 'viewer'];
+export const INVITE_ROLES = ['editor', 'viewer'];
+
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+const memberName = (user) => user.displayName || user.email || 'Unknown member';
+
+const toWorkspace = (snapshot, uid) => ({
+  id: snapshot.id,
+  ...snapshot.data(),
+  role: snapshot.data().members?.[uid] || null
+});
+
+export const listWorkspaces = async (db, user) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'workspaces'),
+    where('memberIds', 'array-contains', user.uid)
+  ));
+  return snapshot.docs
+    .map(entry => toWorkspace(entry, user.uid))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Workspaces that have invited the signed-in user's email. The rules only show
+// them to an address the sign-in provider has verified.
+export const listInvitations = async (db, user) => {
+  if (!user.email || !user.emailVerified) return [];
+  const snapshot = await getDocs(query(
+    collection(db, 'workspaces'),
+    where('inviteEmails', 'array-contains', normalizeEmail(user.email))
+  ));
+  return snapshot.docs.map(entry => ({
+    ...toWorkspace(entry, user.uid),
+    invitedRole: entry.data().invites[normalizeEmail(user.email)]
+  }));
+};
+
+export const createWorkspace = async (db, user, name) => {
+  const ref = await addDoc(collection(db, 'workspaces'), {
+    name: name.trim(),
+    ownerId: user.uid,
+    members: { [user.uid]: 'owner' },
+    memberIds: [user.uid],
+    memberNames: { [user.uid]: memberName(user) },
+    invites: {},
+    inviteEmails: [],
+    createdAt: serverTimestamp()
+  });
+  return ref.id;
+};
+
+// Emails contain dots, so map entries keyed by email are addressed with a FieldPath
+export const inviteMember = (db, workspaceId, email, role) => updateDoc(
+  doc(db, 'workspaces', workspaceId),
+  new FieldPath('invites', normalizeEmail(email)), role,
+  'inviteEmails', arrayUnion(normalizeEmail(email))
+);
+
+export const revokeInvitation = (db, workspaceId, email) => updateDoc(
+  doc(db, 'workspaces', workspaceId),
+  new FieldPath('invites', email), deleteField(),
+  'inviteEmails', arrayRemove(email)
+);
+
+export const acceptInvitation = (db, user, invitation) => updateDoc(
+  doc(db, 'workspaces', invitation.id),
+  new FieldPath('members', user.uid), invitation.invitedRole,
+  'memberIds', arrayUnion(user.uid),
+  new FieldPath('memberNames', user.uid), memberName(user),
+  new FieldPath('invites', normalizeEmail(user.email)), deleteField(),
+  'inviteEmails', arrayRemove(normalizeEmail(user.email))
+);
+
+export const setMemberRole = (db, workspaceId, uid, role) => updateDoc(
+  doc(db, 'workspaces', workspaceId),
+  new FieldPath('members', uid), role
+);
+
+// Used both by the owner to remove a member and by a member to leave
+export const removeMember = (db, workspaceId, uid) => updateDoc(
+  doc(db, 'workspaces', workspaceId),
+  new FieldPath('members', uid), deleteField(),
+  'memberIds', arrayRemove(uid),
+  new FieldPath('memberNames', uid), deleteField()
+);
+
+const commentsCollection = (db, scope, insightId) => collection(db, scope.insightsPath, insightId, 'comments');
+
+// Live comment thread of a workspace insight; returns the unsubscribe function
+export const subscribeComments = (db, scope, insightId, onChange, onError) => onSnapshot(
+  query(commentsCollection(db, scope, insightId), orderBy('createdAt', 'asc')),
+  (snapshot) => onChange(snapshot.docs.map(entry => ({
+    id: entry.id,
+    ...entry.data(),
+    // Pending local writes have no server timestamp yet
+    createdAt: entry.data().createdAt?.toDate() || new Date()
+  }))),
+  onError
+);
+
+export const addComment = (db, scope, insightId, user, text) => addDoc(commentsCollection(db, scope, insightId), {
+  authorId: user.uid,
+  authorName: memberName(user),
+  text: text.trim(),
+  createdAt: serverTimestamp()
+});
+
+export const deleteComment = (db, scope, insightId, commentId) => deleteDoc(
+  doc(commentsCollection(db, scope, insightId), commentId)
+);
@@ -0,0 +1,13 @@
+import { buildResponseSchema, fromResponse } from '../lib/insightTypes';
+import { mockResponse } from '../services/mockProvider';
+
+// A finished analysis built from the mock provider's recorded response, as the
+// app holds it after generation
+export const sampleInsight = (insightType = 'SWOT Analysis', mode = 'Startup') => ({
+  insightType,
+  mode,
+  input: 'An after-school coding club for kids aged 8 to 12',
+  modeInputs: {},
+  generatedBy: { provider: 'mock', model: 'recorded' },
+  ...fromResponse(mockResponse(buildResponseSchema(insightType, mode)), insightType, mode)
+});
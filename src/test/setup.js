@@ -0,0 +1,28 @@
+import '@testing-library/jest-dom/vitest';
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Browser APIs jsdom does not implement, used by recharts, framer-motion and the dashboard
+class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+globalThis.ResizeObserver = ResizeObserver;
+window.scrollTo = () => {};
+window.alert = vi.fn();
+window.matchMedia = window.matchMedia || ((query) => ({
+  matches: false,
+  media: query,
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  addListener: () => {},
+  removeListener: () => {}
+}));
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  sessionStorage.clear();
+  vi.clearAllMocks();
+});
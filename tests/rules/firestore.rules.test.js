@@ -0,0 +1,340 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, collection, deleteDoc, doc, getDoc, getDocs, query, serverTimestamp, setDoc, updateDoc, where } from 'firebase/firestore';
+
+// Allowed and denied cases for firestore.rules, run against the emulator
+
+let testEnv;
+
+const insight = (overrides = {}) => ({
+  insightType: 'SWOT Analysis',
+  input: 'An after-school coding club for kids aged 8 to 12',
+  mode: 'Startup',
+  modeInputs: {},
+  summary: 'A focused offering with a small team.',
+  swot: {
+    Strengths: [{ text: 'Focused offering', attributes: { impact: 'High' } }],
+    Weaknesses: [],
+    Opportunities: [],
+    Threats: []
+  },
+  extras: {},
+  recommendations: [],
+  chartData: [{ name: 'Strengths', value: 10 }],
+  timestamp: Timestamp.now(),
+  version: 1,
+  tags: [],
+  pinned: false,
+  generatedBy: { provider: 'gemini', model: 'gemini-2.0-flash' },
+  ...overrides
+});
+
+const workspace = (ownerId, members = { [ownerId]: 'owner' }) => ({
+  name: 'Growth team',
+  ownerId,
+  members,
+  memberIds: Object.keys(members),
+  memberNames: {},
+  invites: {},
+  inviteEmails: [],
+  tags: [],
+  folders: [],
+  createdAt: Timestamp.now()
+});
+
+const as = (uid, token) => testEnv.authenticatedContext(uid, token).firestore();
+
+// Write fixtures without the rules
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-insightcraft',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+  });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('personal insights', () => {
+  it('lets a user save, read and delete their own insights', async () => {
+    const db = as('alice');
+    await assertSucceeds(setDoc(doc(db, 'users/alice/insights/i1'), insight()));
+    await assertSucceeds(getDoc(doc(db, 'users/alice/insights/i1')));
+    await assertSucceeds(deleteDoc(doc(db, 'users/alice/insights/i1')));
+  });
+
+  it('denies other users and signed-out visitors', async () => {
+    await seed('users/alice/insights/i1', insight());
+    await assertFails(getDoc(doc(as('bob'), 'users/alice/insights/i1')));
+    await assertFails(setDoc(doc(as('bob'), 'users/alice/insights/i2'), insight()));
+    await assertFails(updateDoc(doc(as('bob'), 'users/alice/insights/i1'), { summary: 'changed' }));
+    await assertFails(deleteDoc(doc(as('bob'), 'users/alice/insights/i1')));
+    await assertFails(getDocs(collection(as('bob'), 'users/alice/insights')));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice/insights/i1')));
+    await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice/insights/i2'), insight()));
+  });
+
+  it('lets a user list and update their own insights', async () => {
+    await seed('users/alice/insights/i1', insight());
+    await assertSucceeds(getDocs(collection(as('alice'), 'users/alice/insights')));
+    await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice/insights/i1'), { summary: 'changed', version: 2 }));
+    await assertFails(updateDoc(doc(as('alice'), 'users/alice/insights/i1'), { version: '2' }));
+  });
+
+  it.each([
+    ['an unknown field', { admin: true }],
+    ['an unknown insight type', { insightType: 'Horoscope' }],
+    ['an unknown mode', { mode: 'Astrologer' }],
+    ['an empty description', { input: '' }],
+    ['a description over 5000 characters', { input: 'x'.repeat(5001) }],
+    ['a timestamp that is not a timestamp', { timestamp: '2025-06-01' }],
+    ['an unknown SWOT quadrant', { swot: { Strengths: [], Rumours: [] } }],
+    ['more than 50 items in a quadrant', { swot: { Strengths: Array(51).fill({ text: 'x' }) } }],
+    ['an unknown provider', { generatedBy: { provider: 'other', model: 'x' } }],
+    ['more than 10 tags', { tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) }],
+    ['a scenario without a root', { scenario: { parentId: 'i0', assumption: 'we sell B2B' } }],
+    ['a scenario with an empty assumption', { scenario: { parentId: 'i0', rootId: 'i0', assumption: '' } }],
+    ['a scenario assumption over 500 characters', { scenario: { parentId: 'i0', rootId: 'i0', assumption: 'x'.repeat(501) } }],
+    ['more than 50 tracked actions', { actionPlan: Array(51).fill({ id: 'a1', text: 'x', status: 'todo' }) }],
+    ['an unknown intake field', { modeInputs: { notes: 'x' } }],
+    ['an intake answer over 500 characters', { modeInputs: { goals: 'x'.repeat(501) } }],
+    ['an intake answer that is not text', { modeInputs: { industry: { blob: 'x'.repeat(400) } } }],
+    ['intake answers that are not a map', { modeInputs: ['EdTech'] }]
+  ])('rejects an insight with %s', async (_, overrides) => {
+    await assertFails(setDoc(doc(as('alice'), 'users/alice/insights/i1'), insight(overrides)));
+  });
+
+  it('accepts the intake answers of every mode', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i1'), insight({
+      modeInputs: { industry: 'EdTech', stage: 'MVP', goals: 'x'.repeat(500) }
+    })));
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i2'), insight({
+      mode: 'Marketing Strategist',
+      modeInputs: { targetMarket: 'Logistics', companyStage: 'Growing', budget: '$20k', objective: '5,000 sign-ups' }
+    })));
+  });
+
+  it('rejects an insight without chart data', async () => {
+    const { chartData, ...withoutChart } = insight();
+    await assertFails(setDoc(doc(as('alice'), 'users/alice/insights/i1'), withoutChart));
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i1'), { ...withoutChart, chartData }));
+  });
+
+  it('accepts a what-if scenario linked to its parent', async () => {
+    const scenario = { parentId: 'i0', rootId: 'i0', assumption: 'we sell B2B' };
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i1'), insight({ scenario })));
+  });
+
+  it('accepts an action plan and later changes to it', async () => {
+    const action = { id: 'a1', text: 'Add a channel', owner: 'Marketing lead', dueDate: '2025-09-30', status: 'todo', addresses: [] };
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i1'), insight({ actionPlan: [action] })));
+    await assertSucceeds(updateDoc(doc(as('alice'), 'users/alice/insights/i1'), { actionPlan: [{ ...action, status: 'done' }] }));
+  });
+
+  it('accepts the other insight types with their own items', async () => {
+    const { swot, ...rest } = insight();
+    await assertSucceeds(setDoc(doc(as('alice'), 'users/alice/insights/i1'), { ...rest, insightType: 'Market Trends', trends: [] }));
+    await assertFails(setDoc(doc(as('alice'), 'users/alice/insights/i2'), { ...rest, insightType: 'Product Ideas', swot }));
+  });
+});
+
+describe('versions', () => {
+  it('accepts a version stored under its number and keeps it immutable', async () => {
+    const db = as('alice');
+    await assertSucceeds(setDoc(doc(db, 'users/alice/insights/i1/versions/v1'), insight()));
+    await assertFails(setDoc(doc(db, 'users/alice/insights/i1/versions/v3'), insight({ version: 2 })));
+    await assertFails(updateDoc(doc(db, 'users/alice/insights/i1/versions/v1'), { summary: 'changed' }));
+  });
+
+  it('lets the owner read and delete versions', async () => {
+    await seed('users/alice/insights/i1/versions/v1', insight());
+    await assertSucceeds(getDoc(doc(as('alice'), 'users/alice/insights/i1/versions/v1')));
+    await assertSucceeds(getDocs(collection(as('alice'), 'users/alice/insights/i1/versions')));
+    await assertSucceeds(deleteDoc(doc(as('alice'), 'users/alice/insights/i1/versions/v1')));
+  });
+
+  it('rejects overwriting a version that already exists', async () => {
+    await seed('users/alice/insights/i1/versions/v1', insight());
+    await assertFails(setDoc(doc(as('alice'), 'users/alice/insights/i1/versions/v1'), insight({ summary: 'changed' })));
+  });
+
+  it.each([
+    ['no version number', { version: undefined }],
+    ['a version number that is not a whole number', { version: '1' }],
+    ['version 0', { version: 0 }],
+    ['an unknown field', { admin: true }]
+  ])('rejects a version with %s', async (_, overrides) => {
+    const data = Object.fromEntries(Object.entries(insight(overrides)).filter(([, value]) => value !== undefined));
+    await assertFails(setDoc(doc(as('alice'), `users/alice/insights/i1/versions/v${overrides.version ?? 1}`), data));
+  });
+
+  it('denies other users and signed-out visitors', async () => {
+    await seed('users/alice/insights/i1/versions/v1', insight());
+    const guest = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(as('bob'), 'users/alice/insights/i1/versions/v1')));
+    await assertFails(getDocs(collection(as('bob'), 'users/alice/insights/i1/versions')));
+    await assertFails(setDoc(doc(as('bob'), 'users/alice/insights/i1/versions/v2'), insight({ version: 2 })));
+    await assertFails(deleteDoc(doc(as('bob'), 'users/alice/insights/i1/versions/v1')));
+    await assertFails(getDoc(doc(guest, 'users/alice/insights/i1/versions/v1')));
+    await assertFails(setDoc(doc(guest, 'users/alice/insights/i1/versions/v2'), insight({ version: 2 })));
+  });
+});
+
+describe('workspace insights', () => {
+  beforeEach(() => seed('workspaces/w1', workspace('owner', { owner: 'owner', editor: 'editor', viewer: 'viewer' })));
+
+  it('lets owners and editors save, and viewers only read', async () => {
+    await assertSucceeds(setDoc(doc(as('editor'), 'workspaces/w1/insights/i1'), insight({ savedBy: 'Editor' })));
+    await assertSucceeds(getDoc(doc(as('viewer'), 'workspaces/w1/insights/i1')));
+    await assertFails(setDoc(doc(as('viewer'), 'workspaces/w1/insights/i2'), insight()));
+    await assertFails(deleteDoc(doc(as('viewer'), 'workspaces/w1/insights/i1')));
+    await assertFails(getDoc(doc(as('outsider'), 'workspaces/w1/insights/i1')));
+  });
+
+  it('lets members comment under their own name', async () => {
+    const comment = (authorId) => ({ authorId, authorName: 'Viewer', text: 'Looks right', createdAt: serverTimestamp() });
+    await assertSucceeds(setDoc(doc(as('viewer'), 'workspaces/w1/insights/i1/comments/c1'), comment('viewer')));
+    await assertFails(setDoc(doc(as('viewer'), 'workspaces/w1/insights/i1/comments/c2'), comment('editor')));
+    await assertFails(setDoc(doc(as('outsider'), 'workspaces/w1/insights/i1/comments/c3'), comment('outsider')));
+  });
+
+  it('lets only the owner invite', async () => {
+    const invite = (db) => updateDoc(doc(db, 'workspaces/w1'), { invites: { 'carol@example.com': 'viewer' }, inviteEmails: ['carol@example.com'] });
+    await assertFails(invite(as('editor')));
+    await assertFails(invite(as('outsider')));
+    await assertSucceeds(invite(as('owner')));
+  });
+
+  it('rejects invitations as owner and inconsistent invite lists', async () => {
+    const db = as('owner');
+    await assertFails(updateDoc(doc(db, 'workspaces/w1'), { invites: { 'carol@example.com': 'owner' }, inviteEmails: ['carol@example.com'] }));
+    await assertFails(updateDoc(doc(db, 'workspaces/w1'), { invites: { 'carol@example.com': 'viewer' }, inviteEmails: [] }));
+  });
+
+  it('does not let members promote themselves', async () => {
+    await assertFails(updateDoc(doc(as('editor'), 'workspaces/w1'), { 'members.editor': 'owner' }));
+    await assertSucceeds(updateDoc(doc(as('editor'), 'workspaces/w1'), { tags: ['pricing'] }));
+  });
+});
+
+describe('workspace invitations', () => {
+  const carol = { email: 'Carol@example.com', email_verified: true };
+  const invited = {
+    ...workspace('owner'),
+    invites: { 'carol@example.com': 'viewer' },
+    inviteEmails: ['carol@example.com']
+  };
+  const joined = (role = 'viewer') => ({
+    ...invited,
+    members: { owner: 'owner', carol: role },
+    memberIds: ['owner', 'carol'],
+    memberNames: { carol: 'Carol' },
+    invites: {},
+    inviteEmails: []
+  });
+
+  beforeEach(() => seed('workspaces/w1', invited));
+
+  it('shows the workspace to an invited verified address only', async () => {
+    await assertSucceeds(getDoc(doc(as('carol', carol), 'workspaces/w1')));
+    await assertSucceeds(getDocs(query(collection(as('carol', carol), 'workspaces'), where('inviteEmails', 'array-contains', 'carol@example.com'))));
+    await assertFails(getDoc(doc(as('carol', { ...carol, email_verified: false }), 'workspaces/w1')));
+    await assertFails(getDoc(doc(as('dave', { email: 'dave@example.com', email_verified: true }), 'workspaces/w1')));
+  });
+
+  it('lets the invited user join with the role they were invited with', async () => {
+    await assertSucceeds(setDoc(doc(as('carol', carol), 'workspaces/w1'), joined()));
+  });
+
+  it('rejects joining with another role, unverified or uninvited', async () => {
+    await assertFails(setDoc(doc(as('carol', carol), 'workspaces/w1'), joined('editor')));
+    await assertFails(setDoc(doc(as('carol', { ...carol, email_verified: false }), 'workspaces/w1'), joined()));
+    await assertFails(setDoc(doc(as('carol', { email: 'dave@example.com', email_verified: true }), 'workspaces/w1'), joined()));
+  });
+
+  it('rejects a join that changes anything else', async () => {
+    await assertFails(setDoc(doc(as('carol', carol), 'workspaces/w1'), { ...joined(), name: 'Carol\'s team' }));
+    await assertFails(setDoc(doc(as('carol', carol), 'workspaces/w1'), {
+      ...joined(),
+      members: { owner: 'owner', carol: 'viewer', dave: 'viewer' },
+      memberIds: ['owner', 'carol', 'dave']
+    }));
+  });
+});
+
+describe('public reports', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const report = (overrides = {}) => ({
+    ...insight(),
+    ownerId: 'alice',
+    sourceId: 'i1',
+    expiresAt: Timestamp.fromMillis(Date.now() + 7 * DAY_MS),
+    revoked: false,
+    createdAt: Timestamp.now(),
+    ...overrides
+  });
+  const guest = () => testEnv.unauthenticatedContext().firestore();
+
+  it('lets the owner publish a link that anyone can open', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'publicReports/r1'), report({ createdAt: serverTimestamp() })));
+    await assertSucceeds(getDoc(doc(guest(), 'publicReports/r1')));
+    await assertSucceeds(getDoc(doc(as('bob'), 'publicReports/r1')));
+  });
+
+  it.each([
+    ['for another user', { ownerId: 'bob' }],
+    ['that expires after 90 days', { expiresAt: Timestamp.fromMillis(Date.now() + 91 * DAY_MS) }],
+    ['that starts revoked', { revoked: true }],
+    ['with who saved it', { savedBy: 'Alice' }],
+    ['with its version history', { restoredFrom: 1 }],
+    ['with an unknown field', { workspaceId: 'w1' }]
+  ])('rejects publishing a link %s', async (_, overrides) => {
+    await assertFails(setDoc(doc(as('alice'), 'publicReports/r1'), report({ createdAt: serverTimestamp(), ...overrides })));
+  });
+
+  it('hides expired and revoked links from everyone but the owner', async () => {
+    await seed('publicReports/expired', report({ expiresAt: Timestamp.fromMillis(Date.now() - DAY_MS) }));
+    await seed('publicReports/revoked', report({ revoked: true }));
+    for (const id of ['expired', 'revoked']) {
+      await assertFails(getDoc(doc(guest(), `publicReports/${id}`)));
+      await assertFails(getDoc(doc(as('bob'), `publicReports/${id}`)));
+      await assertSucceeds(getDoc(doc(as('alice'), `publicReports/${id}`)));
+    }
+  });
+
+  it('lets only the owner list their links', async () => {
+    await seed('publicReports/r1', report());
+    const links = (db) => getDocs(query(collection(db, 'publicReports'), where('ownerId', '==', 'alice'), where('sourceId', '==', 'i1')));
+    await assertSucceeds(links(as('alice')));
+    await assertFails(links(as('bob')));
+    await assertFails(links(guest()));
+    await assertFails(getDocs(collection(as('bob'), 'publicReports')));
+  });
+
+  it('lets only the owner revoke a link, and not undo it', async () => {
+    await seed('publicReports/r1', report());
+    await assertFails(updateDoc(doc(as('bob'), 'publicReports/r1'), { revoked: true }));
+    await assertFails(updateDoc(doc(guest(), 'publicReports/r1'), { revoked: true }));
+    await assertFails(deleteDoc(doc(as('bob'), 'publicReports/r1')));
+    await assertFails(updateDoc(doc(as('alice'), 'publicReports/r1'), { expiresAt: Timestamp.fromMillis(Date.now() + 60 * DAY_MS) }));
+    await assertSucceeds(updateDoc(doc(as('alice'), 'publicReports/r1'), { revoked: true }));
+    await assertFails(updateDoc(doc(as('alice'), 'publicReports/r1'), { revoked: false }));
+  });
+});
+
+describe('usage and everything else', () => {
+  it('keeps quota counters read-only for their owner', async () => {
+    await seed('usage/alice', { count: 1 });
+    await assertSucceeds(getDoc(doc(as('alice'), 'usage/alice')));
+    await assertFails(setDoc(doc(as('alice'), 'usage/alice'), { count: 0 }));
+    await assertFails(getDoc(doc(as('bob'), 'usage/alice')));
+  });
+
+  it('denies paths the rules do not mention', async () => {
+    await assertFails(setDoc(doc(as('alice'), 'insights/i1'), insight()));
+  });
+});
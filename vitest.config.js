@@ -0,0 +1,15 @@
+import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react'
+
+// Unit and component tests (`npm test`). They run in jsdom with Firebase and the
+// model mocked, so no network or emulator is needed. The Tailwind and PWA
+// plugins of vite.config.js are left out as the tests never load styles.
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: ['src/test/setup.js'],
+    css: false
+  },
+})
@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config'
+
+// Firestore security rules tests (`npm run test:rules`). They talk to the
+// Firestore emulator, which the script starts, and share its database, so the
+// files run one at a time.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['tests/rules/**/*.test.js'],
+    fileParallelism: false
+  },
+})